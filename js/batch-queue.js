@@ -0,0 +1,407 @@
+/**
+ * BATCH QUEUE: Shared Multi-File Job Queue for the Converters
+ *
+ * ROLE:
+ * Lets JPG to PDF, PDF to JPG, PDF to Word and the Image Compressor take hundreds of files in
+ * one drop instead of one at a time, and hands everything back as a single ZIP.
+ *
+ * ARCHITECTURE:
+ * - Queue: BatchQueue runs jobs through a tool's process() with bounded concurrency; each
+ *   running job gets a slot index, so a tool can pin one worker per slot (the compressor
+ *   encodes on a pool of workers; pdf.js parses in its own worker)
+ * - Jobs: { id, file, options, status: 'queued'|'running'|'done'|'failed'|'cancelled',
+ *   progress, message, output, error }. A failing file only fails its own job
+ * - Outputs: { name, blob } or { name, files: [{ name, blob }] } (several files of one job,
+ *   e.g. the pages of a PDF); the combined ZIP files the latter in a folder
+ * - Panel: createBatchPanel() renders the queue into a tool's modal: per-file progress and
+ *   errors, overall progress, CANCEL, DOWNLOAD ZIP. Tools with options show them as fields
+ *   (same schema as the workflow steps) and wait for START on the first drop
+ *
+ * USAGE:
+ *   const batch = createBatchPanel(container, { title, process: (file, options, { onProgress, slot }) => ... });
+ *   batch.addFiles(files);
+ *
+ * DEPENDENCIES: window.JSZip (global) for the combined ZIP
+ */
+
+const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+}
+
+function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 100);
+}
+
+export class BatchQueue {
+    /**
+     * @param {object} config
+     * @param {function} config.process - (file, options, { onProgress(percent, label), signal, slot }) → output
+     * @param {number} [config.concurrency] - Jobs running at once
+     * @param {function} [config.onUpdate] - (job|null) after any change; null for queue-wide changes
+     * @param {function} [config.onIdle] - When no job is in process() any more (release workers here)
+     */
+    constructor({ process, concurrency = DEFAULT_CONCURRENCY, onUpdate = () => {}, onIdle = () => {} }) {
+        this.process = process;
+        this.concurrency = Math.max(1, concurrency);
+        this.onUpdate = onUpdate;
+        this.onIdle = onIdle;
+        this.jobs = [];
+        this.nextId = 1;
+        this.active = 0; // jobs in process(), including cancelled ones still finishing
+        this.freeSlots = Array.from({ length: this.concurrency }, (_, i) => i);
+        this.controller = new AbortController();
+    }
+
+    get running() {
+        return this.jobs.filter(job => job.status === 'running').length;
+    }
+
+    get pending() {
+        return this.jobs.filter(job => job.status === 'queued' || job.status === 'running').length;
+    }
+
+    /**
+     * ENQUEUE: Adds files with the options they are processed with
+     * @returns {object[]} The new jobs
+     */
+    add(files, options = {}) {
+        const jobs = [...files].map(file => ({
+            id: this.nextId++,
+            file,
+            options,
+            status: 'queued',
+            progress: 0,
+            message: 'Queued',
+            output: null,
+            error: null
+        }));
+        this.jobs.push(...jobs);
+        this.onUpdate(null);
+        this.pump();
+        return jobs;
+    }
+
+    pump() {
+        while (this.freeSlots.length) {
+            const job = this.jobs.find(j => j.status === 'queued');
+            if (!job) break;
+            this.runJob(job, this.freeSlots.shift());
+        }
+    }
+
+    async runJob(job, slot) {
+        job.status = 'running';
+        job.message = 'Starting...';
+        this.active++;
+        this.onUpdate(job);
+        const signal = this.controller.signal;
+        try {
+            const output = await this.process(job.file, job.options, {
+                slot,
+                signal,
+                onProgress: (percent, label) => {
+                    if (job.status !== 'running') return;
+                    job.progress = Math.max(0, Math.min(100, percent));
+                    if (label) job.message = label;
+                    this.onUpdate(job);
+                }
+            });
+            if (job.status !== 'running') return; // cancelled meanwhile
+            job.status = 'done';
+            job.progress = 100;
+            job.output = output;
+            job.message = output.files ? `${output.files.length} files` : formatSize(output.blob.size);
+        } catch (err) {
+            if (job.status !== 'running') return;
+            console.error(`Batch job failed (${job.file.name}):`, err);
+            job.status = 'failed';
+            job.error = err.message || String(err);
+            job.message = 'Failed';
+        } finally {
+            this.active--;
+            this.freeSlots.push(slot);
+            this.onUpdate(job);
+            this.pump();
+            if (!this.active) this.onIdle();
+        }
+    }
+
+    /**
+     * CANCEL: Drops queued jobs and aborts the signal handed to running ones; process()
+     * stops at its next check (between pages for the PDF converters), and any result that
+     * still arrives is discarded
+     */
+    cancel() {
+        this.controller.abort();
+        this.controller = new AbortController();
+        this.jobs.forEach(job => {
+            if (job.status === 'queued' || job.status === 'running') {
+                job.status = 'cancelled';
+                job.message = 'Cancelled';
+            }
+        });
+        this.onUpdate(null);
+    }
+
+    /**
+     * CLEAR: Forgets every job (cancelling what is still pending)
+     */
+    clear() {
+        if (this.pending) this.cancel();
+        this.jobs = [];
+        this.onUpdate(null);
+    }
+
+    /**
+     * COMBINED ZIP: Outputs of all finished jobs; duplicate names get a " (2)" suffix
+     * @returns {Promise<Blob|null>} null when nothing has finished
+     */
+    async toZip() {
+        const done = this.jobs.filter(job => job.status === 'done');
+        if (!done.length) return null;
+        const zip = new window.JSZip();
+        const used = new Set();
+        const unique = (name) => {
+            const clean = name.replace(/[\\/:*?"<>|]+/g, '_') || 'file';
+            let path = clean;
+            for (let n = 2; used.has(path.toLowerCase()); n++) path = clean.replace(/(\.[^.]*)?$/, ` (${n})$1`);
+            used.add(path.toLowerCase());
+            return path;
+        };
+        done.forEach(({ output }) => {
+            if (output.files) {
+                const folder = zip.folder(unique(output.name));
+                output.files.forEach(f => folder.file(f.name, f.blob));
+            } else {
+                zip.file(unique(output.name), output.blob);
+            }
+        });
+        return zip.generateAsync({ type: 'blob' });
+    }
+}
+
+/**
+ * OUTPUT BLOB: A job's single file, or a ZIP of its files
+ */
+async function jobDownload(output) {
+    if (!output.files) return { blob: output.blob, name: output.name };
+    const zip = new window.JSZip();
+    output.files.forEach(f => zip.file(f.name, f.blob));
+    return { blob: await zip.generateAsync({ type: 'blob' }), name: `${output.name}.zip` };
+}
+
+/**
+ * BATCH PANEL: Queue UI inside a tool's modal
+ *
+ * @param {HTMLElement} container - Empty element the panel renders into (hidden until used)
+ * @param {object} config
+ * @param {string} config.title - e.g. 'JPG → PDF'
+ * @param {function} config.process - See BatchQueue
+ * @param {number} [config.concurrency]
+ * @param {object[]} [config.options] - Option fields [{ id, label, type: 'select'|'checkbox'|'number', choices, default }]
+ * @param {function} [config.defaults] - Current option values of the tool's single-file UI
+ * @param {string} [config.zipName] - Base name of the combined ZIP
+ * @param {function} [config.onIdle] - See BatchQueue
+ * @returns {object} { addFiles(files), reset() }
+ */
+export function createBatchPanel(container, config) {
+    if (!container) return { addFiles: () => {}, reset: () => {} };
+
+    const optionFields = config.options || [];
+    let staged = [];
+    let zipping = false;
+    let rows = new Map();
+
+    container.classList.add('batch-panel');
+    container.style.display = 'none';
+    container.innerHTML = `
+        <div class="batch-head">
+            <span class="batch-title">BATCH · ${escapeHtml(config.title)}</span>
+            <span class="batch-summary"></span>
+        </div>
+        <div class="batch-progress"><div class="batch-progress-bar"></div></div>
+        ${optionFields.length ? '<div class="batch-options"></div>' : ''}
+        <div class="batch-actions">
+            <button class="batch-btn batch-start" style="display: none;">START</button>
+            <button class="batch-btn batch-cancel">CANCEL</button>
+            <button class="batch-btn batch-zip" disabled>DOWNLOAD ZIP</button>
+            <button class="batch-btn batch-clear">CLEAR</button>
+        </div>
+        <div class="batch-list"></div>
+    `;
+    const summary = container.querySelector('.batch-summary');
+    const overallBar = container.querySelector('.batch-progress-bar');
+    const optionsBox = container.querySelector('.batch-options');
+    const startBtn = container.querySelector('.batch-start');
+    const cancelBtn = container.querySelector('.batch-cancel');
+    const zipBtn = container.querySelector('.batch-zip');
+    const clearBtn = container.querySelector('.batch-clear');
+    const list = container.querySelector('.batch-list');
+
+    const queue = new BatchQueue({
+        process: config.process,
+        concurrency: config.concurrency,
+        onIdle: config.onIdle,
+        onUpdate: (job) => {
+            if (job && rows.has(job.id)) updateRow(job);
+            else renderList();
+            updateSummary();
+        }
+    });
+
+    function renderOptions() {
+        if (!optionsBox) return;
+        const values = { ...Object.fromEntries(optionFields.map(o => [o.id, o.default])), ...(config.defaults ? config.defaults() : {}) };
+        optionsBox.innerHTML = optionFields.map(option => {
+            const value = values[option.id];
+            if (option.type === 'checkbox') {
+                return `<label class="batch-field batch-field-check"><input type="checkbox" data-option="${option.id}" ${value ? 'checked' : ''}> ${escapeHtml(option.label)}</label>`;
+            }
+            if (option.type === 'number') {
+                return `<label class="batch-field">${escapeHtml(option.label)}<input type="number" min="${option.min ?? 0}" max="${option.max ?? ''}" data-option="${option.id}" value="${escapeHtml(value)}"></label>`;
+            }
+            return `<label class="batch-field">${escapeHtml(option.label)}<select data-option="${option.id}">
+                ${option.choices.map(c => `<option value="${escapeHtml(c.value)}" ${String(c.value) === String(value) ? 'selected' : ''}>${escapeHtml(c.label)}</option>`).join('')}
+            </select></label>`;
+        }).join('');
+    }
+
+    function readOptions() {
+        const options = {};
+        optionFields.forEach(option => {
+            const input = optionsBox.querySelector(`[data-option="${option.id}"]`);
+            options[option.id] = option.type === 'checkbox' ? input.checked
+                : option.type === 'number' ? (input.value === '' ? option.default : Number(input.value))
+                    : input.value;
+        });
+        return options;
+    }
+
+    function rowHtml(job) {
+        return `
+            <div class="batch-row" data-job="${job.id}">
+                <div class="batch-row-head">
+                    <span class="batch-row-name" title="${escapeHtml(job.file.name)}">${escapeHtml(job.file.name)}</span>
+                    <span class="batch-row-status"></span>
+                    <button class="batch-row-download" title="Download" style="display: none;">↓</button>
+                </div>
+                <div class="batch-row-progress"><div class="batch-row-bar"></div></div>
+                <div class="batch-row-error"></div>
+            </div>`;
+    }
+
+    function renderList() {
+        const entries = [...staged.map(file => ({ id: `staged`, file, status: 'staged', progress: 0, message: 'Waiting for START' })), ...queue.jobs];
+        list.innerHTML = entries.map(rowHtml).join('');
+        rows = new Map();
+        list.querySelectorAll('.batch-row').forEach((row, i) => {
+            const job = entries[i];
+            if (job.status === 'staged') {
+                row.classList.add('staged');
+                row.querySelector('.batch-row-status').textContent = job.message;
+                return;
+            }
+            rows.set(job.id, row);
+            row.querySelector('.batch-row-download').onclick = async () => {
+                const { blob, name } = await jobDownload(job.output);
+                downloadBlob(blob, name);
+            };
+            updateRow(job);
+        });
+        container.style.display = entries.length ? 'block' : 'none';
+    }
+
+    function updateRow(job) {
+        const row = rows.get(job.id);
+        row.className = `batch-row ${job.status}`;
+        row.querySelector('.batch-row-status').textContent = job.status === 'running' ? `${Math.round(job.progress)}% · ${job.message}` : job.message;
+        row.querySelector('.batch-row-bar').style.width = `${job.progress}%`;
+        row.querySelector('.batch-row-error').textContent = job.error || '';
+        row.querySelector('.batch-row-download').style.display = job.status === 'done' ? 'inline-block' : 'none';
+    }
+
+    function updateSummary() {
+        const count = status => queue.jobs.filter(job => job.status === status).length;
+        const total = queue.jobs.length;
+        const done = count('done');
+        const failed = count('failed');
+        const cancelled = count('cancelled');
+        const settled = done + failed + cancelled;
+        const parts = staged.length && !total ? [`${staged.length} file(s) ready`] : [`${settled}/${total} processed`];
+        if (failed) parts.push(`${failed} failed`);
+        if (cancelled) parts.push(`${cancelled} cancelled`);
+        summary.textContent = parts.join(' · ');
+
+        const progress = total ? queue.jobs.reduce((sum, job) => sum + (job.status === 'running' ? job.progress : job.status === 'queued' ? 0 : 100), 0) / total : 0;
+        overallBar.style.width = `${progress}%`;
+        startBtn.style.display = staged.length ? 'inline-block' : 'none';
+        cancelBtn.disabled = !queue.pending;
+        zipBtn.disabled = !done || zipping;
+    }
+
+    startBtn.onclick = () => {
+        const files = staged;
+        staged = [];
+        queue.add(files, readOptions());
+    };
+
+    cancelBtn.onclick = () => queue.cancel();
+
+    clearBtn.onclick = () => reset();
+
+    zipBtn.onclick = async () => {
+        const originalText = zipBtn.innerText;
+        zipping = true;
+        zipBtn.disabled = true;
+        zipBtn.innerText = 'ZIPPING...';
+        try {
+            const blob = await queue.toZip();
+            if (blob) downloadBlob(blob, `${config.zipName || 'batch'}-${new Date().toISOString().slice(0, 10)}.zip`);
+        } catch (err) {
+            console.error('Batch ZIP Error:', err);
+            alert('Could not create the ZIP: ' + err.message);
+        } finally {
+            zipping = false;
+            zipBtn.innerText = originalText;
+            updateSummary();
+        }
+    };
+
+    /**
+     * INGESTION: Queues files; with option fields the first drop waits for START so the
+     * options can be set, later drops join the running batch with the current options
+     */
+    function addFiles(files) {
+        files = [...files];
+        if (!files.length) return;
+        if (optionFields.length && !queue.jobs.length) {
+            if (!staged.length) renderOptions();
+            staged.push(...files);
+            renderList();
+            updateSummary();
+            return;
+        }
+        queue.add(files, optionFields.length ? readOptions() : {});
+    }
+
+    function reset() {
+        staged = [];
+        queue.clear();
+    }
+
+    return { addFiles, reset };
+}
@@ -15,13 +15,108 @@
  * 2. COMPRESSION: Canvas resize → Transfer to Worker → Encode → Return compressed Blob
  * 3. PREVIEW: Dual-canvas preview (Original vs Compressed)
  * 4. EXPORT: Download compressed file or Save to Vault
+ *
+ * HEADLESS USE:
+ * compressImageFile() runs the same resize + worker encode without UI; workflows and the
+ * batch queue call it directly (optionally on their own worker from createCompressorWorker()).
+ *
+ * BATCH:
+ * Several images at once go to the batch panel (batch-queue.js). Each queue slot encodes on
+ * its own worker; the pool is terminated whenever the queue runs dry.
  * 
  * DEPENDENCIES:
  * - shield-redactor-storage.js (Vault integration)
  * - image-compressor-worker.js (Multi-threaded encoding)
+ * - batch-queue.js (Multi-file queue)
  */
 
 import { shieldStorage } from './shield-redactor-storage.js';
+import { createBatchPanel } from './batch-queue.js';
+
+const WORKER_URL = new URL('./image-compressor-worker.js', import.meta.url);
+
+let sharedWorker = null;
+let nextJobId = 1;
+
+/**
+ * WORKER FACTORY: A dedicated encoder thread (callers terminate it when done)
+ */
+export function createCompressorWorker() {
+    return new Worker(WORKER_URL, { type: 'module' });
+}
+
+/**
+ * PIXEL EXTRACTION: Renders a bitmap at the target size and returns its RGBA buffer
+ * JPEG output gets a white background, since it has no alpha channel.
+ *
+ * @param {ImageBitmap} bitmap - Decoded source image
+ * @param {number} maxWidth - Downscale limit in pixels (0 = keep size)
+ * @param {string} targetFormat - 'image/jpeg' or 'image/png'
+ * @returns {object} { buffer, width, height }
+ */
+function renderPixels(bitmap, maxWidth, targetFormat) {
+    let targetWidth = bitmap.width;
+    let targetHeight = bitmap.height;
+
+    if (maxWidth > 0 && targetWidth > maxWidth) {
+        const ratio = maxWidth / targetWidth;
+        targetWidth = maxWidth;
+        targetHeight = Math.round(targetHeight * ratio);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = targetWidth;
+    canvas.height = targetHeight;
+    const ctx = canvas.getContext('2d');
+
+    if (targetFormat === 'image/jpeg') {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, targetWidth, targetHeight);
+    }
+
+    ctx.drawImage(bitmap, 0, 0, targetWidth, targetHeight);
+    const imageData = ctx.getImageData(0, 0, targetWidth, targetHeight);
+    return { buffer: new Uint8ClampedArray(imageData.data).buffer, width: targetWidth, height: targetHeight };
+}
+
+/**
+ * COMPRESSION ENGINE: Resizes and re-encodes one image off the main thread
+ *
+ * @param {File|Blob} file - JPEG or PNG image
+ * @param {object} [options] - { quality: 1-100, format: 'original'|'image/jpeg'|'image/png', maxWidth: px (0 = keep) }
+ * @param {Worker} [worker] - Encoder from createCompressorWorker(); a shared one is used otherwise
+ * @returns {Promise<Blob>} The compressed image
+ */
+export async function compressImageFile(file, options = {}, worker = null) {
+    if (!file.type.match(/image\/(jpeg|png)/)) throw new Error('Only JPEG and PNG images are supported.');
+
+    const { quality = 75, format = 'original', maxWidth = 0 } = options;
+    const targetFormat = format === 'original' ? file.type : format;
+    const bitmap = await createImageBitmap(file);
+    const { buffer, width, height } = renderPixels(bitmap, maxWidth, targetFormat);
+    bitmap.close();
+
+    const encoder = worker || (sharedWorker = sharedWorker || createCompressorWorker());
+    const id = nextJobId++;
+    const result = await new Promise((resolve, reject) => {
+        const onMessage = (e) => {
+            if (e.data.id !== id) return;
+            encoder.removeEventListener('message', onMessage);
+            encoder.removeEventListener('error', onError);
+            if (e.data.success) resolve(e.data.buffer);
+            else reject(new Error('Compression failed: ' + e.data.error));
+        };
+        const onError = (e) => {
+            encoder.removeEventListener('message', onMessage);
+            encoder.removeEventListener('error', onError);
+            reject(new Error('Compression worker failed: ' + (e.message || 'could not start')));
+        };
+        encoder.addEventListener('message', onMessage);
+        encoder.addEventListener('error', onError);
+        encoder.postMessage({ type: 'compress', buffer, width, height, quality, fileType: targetFormat, id }, [buffer]);
+    });
+    return new Blob([result], { type: targetFormat });
+}
 
 /**
  * INITIALIZATION: Binds UI elements and sets up event listeners
@@ -87,17 +182,72 @@ export function init(config) {
 
     initWorker();
 
+    // Batch encoder pool: one worker per queue slot, started on demand
+    let batchWorkers = [];
+
+    const batch = createBatchPanel(document.getElementById(config.batchPanelId), {
+        title: 'IMAGE COMPRESSOR',
+        zipName: 'compressed-images',
+        options: [
+            { id: 'quality', label: 'Quality (JPEG)', type: 'number', min: 1, max: 100, default: 75 },
+            {
+                id: 'format', label: 'Output Format', type: 'select', default: 'original', choices: [
+                    { value: 'original', label: 'Match Original' },
+                    { value: 'image/jpeg', label: 'JPEG (Smallest Size)' },
+                    { value: 'image/png', label: 'PNG (Lossless/Transparent)' }
+                ]
+            },
+            {
+                id: 'maxWidth', label: 'Max Width', type: 'select', default: '0', choices: [
+                    { value: '0', label: 'Original Dimensions' },
+                    { value: '1920', label: '1920px (FHD)' },
+                    { value: '1280', label: '1280px (HD)' },
+                    { value: '800', label: '800px (Web)' }
+                ]
+            }
+        ],
+        defaults: () => ({
+            quality: parseInt(qualitySlider.value),
+            ...(outputFormatSelect ? { format: outputFormatSelect.value } : {}),
+            ...(maxWidthSelect ? { maxWidth: maxWidthSelect.value } : {})
+        }),
+        process: async (file, options, { onProgress, slot }) => {
+            if (!batchWorkers[slot]) batchWorkers[slot] = createCompressorWorker();
+            onProgress(30, 'Encoding...');
+            const quality = Math.max(1, Math.min(100, parseInt(options.quality) || 75));
+            const blob = await compressImageFile(file, { quality, format: options.format, maxWidth: parseInt(options.maxWidth) || 0 }, batchWorkers[slot]);
+            const ext = blob.type === 'image/png' ? '.png' : '.jpg';
+            return { name: 'compressed_' + file.name.replace(/\.[^/.]+$/, '') + ext, blob };
+        },
+        onIdle: () => {
+            batchWorkers.forEach(w => w && w.terminate());
+            batchWorkers = [];
+        }
+    });
+
+    /**
+     * INGESTION: One image opens the preview, several go to the batch queue
+     */
+    function handleFiles(files) {
+        if (files.length > 1) batch.addFiles(files);
+        else if (files.length === 1) handleFile(files[0]);
+    }
+
     if (dropZone) {
         dropZone.addEventListener('dragover', (e) => { e.preventDefault(); dropZone.style.backgroundColor = 'rgba(255, 140, 0, 0.2)'; });
         dropZone.addEventListener('dragleave', (e) => { e.preventDefault(); dropZone.style.backgroundColor = ''; });
         dropZone.addEventListener('drop', (e) => {
             e.preventDefault();
             dropZone.style.backgroundColor = '';
-            if (e.dataTransfer.files.length) handleFile(e.dataTransfer.files[0]);
+            handleFiles(e.dataTransfer.files);
         });
     }
 
-    if (fileInput) fileInput.addEventListener('change', () => { if (fileInput.files.length) handleFile(fileInput.files[0]); });
+    if (fileInput) fileInput.addEventListener('change', () => {
+        const files = [...fileInput.files];
+        if (files.length > 1) fileInput.value = '';
+        handleFiles(files);
+    });
 
     // UI Change Listeners
     if (outputFormatSelect) outputFormatSelect.addEventListener('change', () => compressImage());
@@ -154,11 +304,9 @@ export function init(config) {
      * 
      * WORKFLOW:
      * 1. Read current UI settings (quality, format, max width)
-     * 2. Calculate target dimensions (respecting max width constraint)
-     * 3. Render image to Canvas at target size
-     * 4. Extract ImageData (raw RGBA pixels)
-     * 5. Transfer buffer to Worker for encoding
-     * 6. Worker returns compressed blob → handleCompressionResult()
+     * 2. Render image at target size and extract raw RGBA pixels (renderPixels)
+     * 3. Transfer buffer to Worker for encoding
+     * 4. Worker returns compressed blob → handleCompressionResult()
      */
     function compressImage() {
         if (!originalBitmap || !worker) return;
@@ -180,42 +328,20 @@ export function init(config) {
 
         updateSliderBackground();
 
-        // Determine Size
-        let targetWidth = originalBitmap.width;
-        let targetHeight = originalBitmap.height;
-        const maxW = parseInt(maxWidthSelect ? maxWidthSelect.value : 0);
-
-        if (maxW > 0 && targetWidth > maxW) {
-            const ratio = maxW / targetWidth;
-            targetWidth = maxW;
-            targetHeight = Math.round(targetHeight * ratio);
-        }
-
         compressedSize.innerText = "Compressing...";
 
-        const canvas = document.createElement('canvas');
-        canvas.width = targetWidth;
-        canvas.height = targetHeight;
-        const ctx = canvas.getContext('2d');
-
-        if (targetFormat === 'image/jpeg') {
-            ctx.fillStyle = '#FFFFFF';
-            ctx.fillRect(0, 0, targetWidth, targetHeight);
-        }
-
-        ctx.drawImage(originalBitmap, 0, 0, targetWidth, targetHeight);
-        const imageData = ctx.getImageData(0, 0, targetWidth, targetHeight);
-        const bufferCopy = new Uint8ClampedArray(imageData.data);
+        const maxW = parseInt(maxWidthSelect ? maxWidthSelect.value : 0);
+        const { buffer, width, height } = renderPixels(originalBitmap, maxW, targetFormat);
 
         worker.postMessage({
             type: 'compress',
-            buffer: bufferCopy.buffer,
-            width: targetWidth,
-            height: targetHeight,
+            buffer,
+            width,
+            height,
             quality: quality,
             fileType: targetFormat,
             id: Date.now()
-        }, [bufferCopy.buffer]);
+        }, [buffer]);
     }
 
     /**
@@ -326,7 +452,10 @@ export function init(config) {
         compressedPreview.src = '';
     }
 
-    window.resetImageCompressor = reset;
+    window.resetImageCompressor = () => {
+        reset();
+        batch.reset();
+    };
 
     /**
      * UTILITY: Converts bytes to human-readable format (KB, MB, etc.)
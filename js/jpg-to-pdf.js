@@ -15,13 +15,59 @@
  * 2. EMBEDDING: Load image into PDF-Lib (embedJpg/embedPng)
  * 3. LAYOUT: Create single-page PDF with image at full size
  * 4. EXPORT: Save as Blob for download or vault storage
+ *
+ * HEADLESS USE:
+ * imageToPdf() is the conversion without UI; workflows and the batch queue call it directly.
+ *
+ * BATCH:
+ * Dropping or selecting several images queues them in the batch panel (batch-queue.js),
+ * one PDF per image, downloadable together as a ZIP.
  * 
  * DEPENDENCIES:
  * - PDF-Lib (global): Browser PDF creation
  * - shield-redactor-storage.js: Vault integration
+ * - batch-queue.js: Multi-file queue
  */
 
 import { shieldStorage } from './shield-redactor-storage.js';
+import { createBatchPanel } from './batch-queue.js';
+
+/**
+ * CONVERSION ENGINE: Converts an image to a single-page PDF using PDF-Lib
+ *
+ * @param {File|Blob} file - Image file (JPEG/PNG)
+ * @param {function} [onProgress] - (percent, label) while converting
+ * @returns {Promise<Blob>} PDF with one page matching the image dimensions
+ */
+export async function imageToPdf(file, onProgress = () => {}) {
+    const { PDFDocument } = PDFLib;
+    const pdfDoc = await PDFDocument.create();
+
+    onProgress(30, 'Reading image...');
+    const arrayBuffer = await file.arrayBuffer();
+    let image;
+
+    if (file.type === 'image/jpeg' || file.type === 'image/jpg') {
+        image = await pdfDoc.embedJpg(arrayBuffer);
+    } else if (file.type === 'image/png') {
+        image = await pdfDoc.embedPng(arrayBuffer);
+    } else {
+        throw new Error('Unsupported image format');
+    }
+
+    onProgress(60, 'Creating PDF...');
+    const page = pdfDoc.addPage([image.width, image.height]);
+    page.drawImage(image, {
+        x: 0,
+        y: 0,
+        width: image.width,
+        height: image.height,
+    });
+
+    onProgress(90, 'Finalizing...');
+    const pdfBytes = await pdfDoc.save();
+    return new Blob([pdfBytes], { type: 'application/pdf' });
+}
 
 /**
  * INITIALIZATION: Binds UI and event handlers
@@ -45,6 +91,23 @@ export function init(config) {
     let currentFile = null;
     let currentId = null;
 
+    const batch = createBatchPanel(document.getElementById(config.batchPanelId), {
+        title: 'JPG → PDF',
+        zipName: 'jpg-to-pdf',
+        process: async (file, options, { onProgress }) => {
+            const blob = await imageToPdf(file, onProgress);
+            return { name: file.name.replace(/\.[^/.]+$/, '') + '.pdf', blob };
+        }
+    });
+
+    /**
+     * INGESTION: One file opens the converter, several go to the batch queue
+     */
+    function handleFiles(files) {
+        if (files.length > 1) batch.addFiles(files);
+        else if (files.length === 1) convertJpgToPdf(files[0]);
+    }
+
     if (dropZone) {
         dropZone.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -62,18 +125,15 @@ export function init(config) {
             e.preventDefault();
             dropZone.style.borderColor = '#ff9900';
             dropZone.style.backgroundColor = 'rgba(255, 153, 0, 0.05)';
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                convertJpgToPdf(files[0]);
-            }
+            handleFiles(e.dataTransfer.files);
         });
     }
 
     if (fileInput) {
         fileInput.addEventListener('change', () => {
-            if (fileInput.files.length > 0) {
-                convertJpgToPdf(fileInput.files[0]);
-            }
+            const files = [...fileInput.files];
+            if (files.length > 1) fileInput.value = '';
+            handleFiles(files);
         });
     }
 
@@ -95,19 +155,10 @@ export function init(config) {
     });
 
     /**
-     * CONVERSION ENGINE: Converts image to PDF using PDF-Lib
+     * CONVERSION UI: Validates the upload and runs imageToPdf() with progress
      * 
      * @param {File} file - Image file (JPEG/PNG)
      * @param {object|null} projectData - Optional vault project data
-     * 
-     * WORKFLOW:
-     * 1. Validate image format
-     * 2. Create new PDF document
-     * 3. Read image as ArrayBuffer
-     * 4. Embed image into PDF (separate methods for JPEG vs PNG)
-     * 5. Create page matching image dimensions
-     * 6. Draw image to fill entire page
-     * 7. Save PDF as Blob
      */
     async function convertJpgToPdf(file, projectData = null) {
         if (!file.type.startsWith('image/')) {
@@ -124,39 +175,10 @@ export function init(config) {
         if (saveVaultBtn) saveVaultBtn.style.display = 'inline-block';
 
         try {
-            const { PDFDocument } = PDFLib;
-            const pdfDoc = await PDFDocument.create();
-
-            progressText.innerText = 'Reading image...';
-            progressBar.style.width = '30%';
-
-            const arrayBuffer = await file.arrayBuffer();
-            let image;
-
-            if (file.type === 'image/jpeg' || file.type === 'image/jpg') {
-                image = await pdfDoc.embedJpg(arrayBuffer);
-            } else if (file.type === 'image/png') {
-                image = await pdfDoc.embedPng(arrayBuffer);
-            } else {
-                throw new Error('Unsupported image format');
-            }
-
-            progressText.innerText = 'Creating PDF...';
-            progressBar.style.width = '60%';
-
-            const page = pdfDoc.addPage([image.width, image.height]);
-            page.drawImage(image, {
-                x: 0,
-                y: 0,
-                width: image.width,
-                height: image.height,
+            pdfBlob = await imageToPdf(file, (percent, label) => {
+                progressText.innerText = label;
+                progressBar.style.width = percent + '%';
             });
-
-            progressText.innerText = 'Finalizing...';
-            progressBar.style.width = '90%';
-
-            const pdfBytes = await pdfDoc.save();
-            pdfBlob = new Blob([pdfBytes], { type: 'application/pdf' });
             fileName = file.name.split('.').slice(0, -1).join('.') + '.pdf';
 
             progressBar.style.width = '100%';
@@ -255,5 +277,8 @@ export function init(config) {
         }
     }
 
-    window.resetJpgToPdf = resetUpload;
+    window.resetJpgToPdf = () => {
+        resetUpload();
+        batch.reset();
+    };
 }
@@ -18,6 +18,9 @@
  * KEY WORKFLOWS:
  * 1. ENCRYPTION: File → ArrayBuffer → AES-GCM Encrypt → Download .krypt
  * 2. DECRYPTION: .krypt File → Extract Salt/IV → AES-GCM Decrypt → Download Original
+ * 3. HEADLESS: window.KRYPT.encrypt/decrypt(data, password) return the packet / plaintext
+ *    bytes without UI (used by workflows); window.KRYPT.deriveKey(password, salt) is the
+ *    shared KDF (the Shield Vault derives its master key with it)
  * 
  * SECURITYConsiderations:
  * - Password strength is critical (user responsibility)
@@ -26,6 +29,7 @@
  */
 
 const KRYPT = (() => {
+    const KDF_ITERATIONS = 100000;
     let elements = {};
     let currentFile = null;
 
@@ -100,9 +104,9 @@ const KRYPT = (() => {
      * WORKFLOW:
      * 1. Import raw password via PBKDF2
      * 2. Apply 100,000 iterations for brute-force resistance
-     * 3. Return 256-bit AES-GCM key
+     * 3. Return 256-bit AES-GCM key (non-extractable)
      */
-    async function deriveKey(password, salt) {
+    async function deriveKey(password, salt, iterations = KDF_ITERATIONS) {
         const encoder = new TextEncoder();
         const baseKey = await crypto.subtle.importKey(
             'raw',
@@ -116,7 +120,7 @@ const KRYPT = (() => {
             {
                 name: 'PBKDF2',
                 salt: salt,
-                iterations: 100000,
+                iterations: iterations,
                 hash: 'SHA-256'
             },
             baseKey,
@@ -202,7 +206,7 @@ const KRYPT = (() => {
         currentFile = null;
     }
 
-    return { init, reset };
+    return { init, reset, encrypt, decrypt, deriveKey, KDF_ITERATIONS };
 })();
 
 window.KRYPT = KRYPT;
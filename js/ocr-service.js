@@ -0,0 +1,391 @@
+/**
+ * OCR SERVICE: Shared Tesseract Worker Pool with Offline Language Packs
+ *
+ * ROLE:
+ * Single OCR entry point for every tool. Keeps Tesseract workers alive between scans
+ * and runs them on an engine and traineddata kept in the vault instead of the CDN, so
+ * OCR keeps working on air-gapped machines.
+ *
+ * ARCHITECTURE:
+ * - Language Packs: .traineddata (or .traineddata.gz) files in the ShieldStorage
+ *   'ocrLanguages' store; imported from disk, or downloaded once while online
+ * - Pool: One pool per language combination ("eng+deu") holding up to poolSize workers,
+ *   started on demand and reused; a pool is shut down after IDLE_TIMEOUT without work
+ * - Engine: tesseract.min.js, worker.min.js and tesseract-core-lstm.wasm.js (Tesseract.js
+ *   5.0.0) in the ShieldStorage 'ocrEngine' store; imported from disk like the packs, or
+ *   downloaded once while online. The library is loaded from there into the page; a
+ *   deployment that self-hosts the engine can point workerPath/corePath at it instead
+ *   with configure()
+ * - Loader: Workers run through ocr-worker.js, which imports the engine and answers
+ *   traineddata requests straight from the vault
+ * - Preferences: The selected languages are the 'ocrLanguageSelection' setting
+ *
+ * USAGE:
+ *   import { ocrService } from './ocr-service.js';
+ *   const { data } = await ocrService.recognize(canvas);            // saved selection
+ *   const { data } = await ocrService.recognize(canvas, ['deu']);   // explicit languages
+ *
+ * DEPENDENCIES: ShieldStorage (Tesseract.js is loaded from the vault)
+ */
+
+import { shieldStorage } from './shield-redactor-storage.js';
+
+export const OCR_LANGUAGES = [
+    { code: 'eng', name: 'English' },
+    { code: 'deu', name: 'German' },
+    { code: 'fra', name: 'French' },
+    { code: 'spa', name: 'Spanish' },
+    { code: 'ita', name: 'Italian' },
+    { code: 'por', name: 'Portuguese' },
+    { code: 'nld', name: 'Dutch' }
+];
+
+const DEFAULT_LANGUAGES = ['eng'];
+const SELECTION_SETTING = 'ocrLanguageSelection';
+const IDLE_TIMEOUT = 5 * 60 * 1000;
+const VAULT_LANG_PATH = 'shield-vault:ocr';
+
+// Engine files in the vault and where a connected machine fetches them once
+const ENGINE_LIBRARY = 'tesseract.min.js';
+export const OCR_ENGINE_FILES = [
+    { name: ENGINE_LIBRARY, url: 'https://unpkg.com/tesseract.js@5.0.0/dist/tesseract.min.js' },
+    { name: 'worker.min.js', url: 'https://unpkg.com/tesseract.js@5.0.0/dist/worker.min.js' },
+    // LSTM-only core with the wasm inlined; runs with or without SIMD support
+    { name: 'tesseract-core-lstm.wasm.js', url: 'https://cdn.jsdelivr.net/npm/tesseract.js-core@5.0.0/tesseract-core-lstm.wasm.js' }
+];
+
+// Same LSTM-only models Tesseract.js fetches by default, so results match the CDN setup
+const packUrl = (code) => `https://cdn.jsdelivr.net/npm/@tesseract.js-data/${code}/4.0.0_best_int/${code}.traineddata.gz`;
+
+export function languageName(code) {
+    const known = OCR_LANGUAGES.find(l => l.code === code);
+    return known ? known.name : code;
+}
+
+/**
+ * PACK CHECK: gzip stream, or a raw traineddata header (little-endian component count)
+ */
+function looksLikeTrainedData(bytes) {
+    if (bytes.length < 8) return false;
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) return true;
+    const entries = bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24);
+    return entries > 0 && entries <= 64;
+}
+
+class OcrService {
+    constructor() {
+        this.poolSize = Math.max(1, Math.min(2, (navigator.hardwareConcurrency || 2) - 1));
+        this.engine = { workerPath: null, corePath: null }; // null: engine from the vault
+        this.engineReady = null;
+        this.pools = new Map();
+    }
+
+    /**
+     * ENGINE PATHS: Overrides where the Tesseract worker script and wasm core come from
+     * Running pools are shut down so the next job starts on the new engine.
+     */
+    async configure({ workerPath, corePath } = {}) {
+        if (workerPath) this.engine.workerPath = workerPath;
+        if (corePath) this.engine.corePath = corePath;
+        this.engineReady = null;
+        await this.terminate();
+    }
+
+    // --- LANGUAGE SELECTION ---
+    async getLanguages() {
+        const saved = await shieldStorage.getSetting(SELECTION_SETTING, DEFAULT_LANGUAGES);
+        return saved && saved.length ? saved : DEFAULT_LANGUAGES;
+    }
+
+    async setLanguages(codes) {
+        if (!codes.length) throw new Error('Select at least one OCR language.');
+        await shieldStorage.saveSetting(SELECTION_SETTING, codes);
+    }
+
+    // --- LANGUAGE PACKS ---
+    /**
+     * PACK CATALOG: Known languages merged with what is stored in the vault
+     * @returns {Promise<Array<{ code, name, installed, size, source, updatedAt }>>}
+     */
+    async listPacks() {
+        const stored = await shieldStorage.getLanguagePackList();
+        const byCode = new Map(stored.map(p => [p.code, p]));
+        const codes = [...OCR_LANGUAGES.map(l => l.code), ...stored.map(p => p.code).filter(c => !OCR_LANGUAGES.some(l => l.code === c))];
+        return codes.map(code => {
+            const pack = byCode.get(code);
+            return {
+                code,
+                name: languageName(code),
+                installed: !!pack,
+                size: pack ? pack.size : 0,
+                source: pack ? pack.source : null,
+                updatedAt: pack ? pack.updatedAt : null
+            };
+        });
+    }
+
+    /**
+     * IMPORTER: Stores a "<code>.traineddata[.gz]" file picked from disk (engine files are
+     * passed on to importEngineFile)
+     * @returns {Promise<string>} The language code taken from the file name, or the engine file name
+     */
+    async importPack(file) {
+        if (OCR_ENGINE_FILES.some(f => f.name === file.name)) return this.importEngineFile(file);
+        const match = /^([a-z]{3}(?:_[a-z]+)?)\.traineddata(?:\.gz)?$/i.exec(file.name);
+        if (!match) throw new Error(`"${file.name}" is not named like a language pack (e.g. deu.traineddata).`);
+
+        const data = new Uint8Array(await file.arrayBuffer());
+        if (!looksLikeTrainedData(data)) throw new Error(`"${file.name}" is not a Tesseract traineddata file.`);
+
+        const code = match[1].toLowerCase();
+        await this.storePack(code, data, 'import');
+        await this.closePoolsUsing(code); // Running workers still hold the old data
+        return code;
+    }
+
+    /**
+     * DOWNLOADER: One-time fetch of a pack into the vault (needs a network connection)
+     */
+    async downloadPack(code) {
+        await this.storePack(code, await this.fetchPack(code), 'download');
+        await this.closePoolsUsing(code);
+    }
+
+    async fetchPack(code) {
+        const response = await fetch(packUrl(code));
+        if (!response.ok) throw new Error(`Download of ${languageName(code)} failed (HTTP ${response.status}).`);
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    async removePack(code) {
+        await shieldStorage.deleteLanguagePack(code);
+        await this.closePoolsUsing(code);
+    }
+
+    async storePack(code, data, source) {
+        await shieldStorage.saveLanguagePack({ code, name: languageName(code), size: data.length, source, data });
+    }
+
+    /**
+     * AVAILABILITY: Makes sure every requested pack is in the vault
+     * Missing packs are downloaded once when the CDN is reachable; otherwise (air-gapped)
+     * the caller gets an error pointing at the importer.
+     */
+    async ensurePacks(codes) {
+        const stored = await shieldStorage.getLanguagePackCodes();
+        const missing = codes.filter(code => !stored.includes(code));
+
+        for (const code of missing) {
+            try {
+                await this.storePack(code, await this.fetchPack(code), 'download');
+            } catch (err) {
+                console.error('Language Pack Download Error:', err);
+                throw new Error(`OCR language pack not installed: ${languageName(code)}. Import ${code}.traineddata under OCR languages.`);
+            }
+        }
+    }
+
+    // --- ENGINE ---
+    /**
+     * ENGINE CATALOG: Every engine file with its vault state
+     * @returns {Promise<Array<{ name, installed, size, source, updatedAt }>>}
+     */
+    async listEngineFiles() {
+        const stored = new Map((await shieldStorage.getEngineFileList()).map(f => [f.name, f]));
+        return OCR_ENGINE_FILES.map(({ name }) => {
+            const file = stored.get(name);
+            return { name, installed: !!file, size: file ? file.size : 0, source: file ? file.source : null, updatedAt: file ? file.updatedAt : null };
+        });
+    }
+
+    async importEngineFile(file) {
+        const data = new Uint8Array(await file.arrayBuffer());
+        // An HTML error page saved under the right name would only fail inside the worker
+        if (!data.length || data[0] === 0x3C) throw new Error(`"${file.name}" is not a Tesseract.js script.`);
+        await shieldStorage.saveEngineFile({ name: file.name, size: data.length, source: 'import', data });
+        this.engineReady = null;
+        await this.terminate();
+        return file.name;
+    }
+
+    /**
+     * ENGINE DOWNLOADER: One-time fetch of the missing engine files (needs a network connection)
+     */
+    async downloadEngine() {
+        const stored = await this.listEngineFiles();
+        for (const { name, url } of OCR_ENGINE_FILES) {
+            if (stored.find(f => f.name === name).installed) continue;
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Download of ${name} failed (HTTP ${response.status}).`);
+            const data = new Uint8Array(await response.arrayBuffer());
+            await shieldStorage.saveEngineFile({ name, size: data.length, source: 'download', data });
+        }
+    }
+
+    /**
+     * ENGINE AVAILABILITY: Makes sure the engine is in the vault and Tesseract is loaded
+     * Shared by every pool; a failure is not cached, so the next job tries again.
+     */
+    ensureEngine() {
+        if (!this.engineReady) {
+            this.engineReady = this.loadEngine().catch(err => {
+                this.engineReady = null;
+                throw err;
+            });
+        }
+        return this.engineReady;
+    }
+
+    async loadEngine() {
+        if (!this.engine.workerPath) {
+            try {
+                await this.downloadEngine();
+            } catch (err) {
+                console.error('OCR Engine Download Error:', err);
+                throw new Error(`OCR engine not installed. Import ${OCR_ENGINE_FILES.map(f => f.name).join(', ')} under OCR languages.`);
+            }
+        }
+        if (typeof window.Tesseract !== 'undefined') return;
+
+        const library = await shieldStorage.getEngineFile(ENGINE_LIBRARY);
+        if (!library) throw new Error(`OCR engine not installed. Import ${ENGINE_LIBRARY} under OCR languages.`);
+        const url = URL.createObjectURL(new Blob([library.data], { type: 'text/javascript' }));
+        try {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = url;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('The OCR engine in the vault could not be loaded.'));
+                document.head.appendChild(script);
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    // --- WORKER POOL ---
+    /**
+     * RECOGNIZER: Runs Tesseract on an image with a pooled worker
+     * @param {HTMLCanvasElement|HTMLImageElement|Blob|string} image - Any Tesseract.js image input
+     * @param {string[]} [languages] - Language codes, primary first; defaults to the saved selection
+     * @param {object} [options] - Passed through to worker.recognize
+     */
+    async recognize(image, languages = null, options = {}) {
+        const codes = languages && languages.length ? languages : await this.getLanguages();
+        const pool = this.getPool(codes);
+        await pool.ready;
+        const worker = await this.acquire(pool);
+        try {
+            return await worker.recognize(image, options);
+        } finally {
+            this.release(pool, worker);
+        }
+    }
+
+    /**
+     * POOL LOOKUP: Registers the pool synchronously so concurrent jobs share one pack check
+     */
+    getPool(codes) {
+        const key = codes.join('+');
+        if (!this.pools.has(key)) {
+            const pool = { key, workers: [], idle: [], waiting: [], starting: 0, idleTimer: null };
+            pool.ready = Promise.all([this.ensureEngine(), this.ensurePacks(codes)]).catch(err => {
+                if (this.pools.get(key) === pool) this.pools.delete(key);
+                throw err;
+            });
+            this.pools.set(key, pool);
+        }
+        return this.pools.get(key);
+    }
+
+    async acquire(pool) {
+        clearTimeout(pool.idleTimer);
+        if (pool.idle.length) return pool.idle.pop();
+
+        if (pool.workers.length + pool.starting < this.poolSize) {
+            pool.starting++;
+            try {
+                const worker = await this.createWorker(pool.key);
+                pool.workers.push(worker);
+                return worker;
+            } catch (err) {
+                // No worker will ever free up for jobs queued behind a failed start
+                if (!pool.workers.length) pool.waiting.splice(0).forEach(waiter => waiter.reject(err));
+                throw err;
+            } finally {
+                pool.starting--;
+            }
+        }
+        return new Promise((resolve, reject) => pool.waiting.push({ resolve, reject }));
+    }
+
+    release(pool, worker) {
+        if (this.pools.get(pool.key) !== pool) {
+            // Pool was shut down mid-job: the worker is retired once its job is done
+            worker.terminate().catch(err => console.error(err));
+            return;
+        }
+
+        const next = pool.waiting.shift();
+        if (next) {
+            next.resolve(worker);
+            return;
+        }
+        pool.idle.push(worker);
+        if (pool.idle.length === pool.workers.length) {
+            pool.idleTimer = setTimeout(() => this.closePool(pool.key), IDLE_TIMEOUT);
+        }
+    }
+
+    /**
+     * WORKER FACTORY: Starts a Tesseract worker that loads its engine and languages from the vault
+     * errorHandler turns start-up failures (bad data, missing engine) into a rejection
+     * instead of an unhandled worker error.
+     */
+    createWorker(langs) {
+        const workerUrl = new URL('./ocr-worker.js', import.meta.url);
+        if (this.engine.workerPath) workerUrl.searchParams.set('engine', this.engine.workerPath);
+        else workerUrl.searchParams.set('engineStore', shieldStorage.engineStore);
+        workerUrl.searchParams.set('db', shieldStorage.dbName);
+        workerUrl.searchParams.set('store', shieldStorage.languageStore);
+
+        const options = {
+            workerPath: workerUrl.href,
+            workerBlobURL: false,
+            langPath: VAULT_LANG_PATH,
+            cacheMethod: 'none'
+        };
+        if (this.engine.corePath) options.corePath = this.engine.corePath;
+
+        return new Promise((resolve, reject) => {
+            options.errorHandler = (err) => reject(new Error(`OCR engine error: ${err}`));
+            Tesseract.createWorker(langs, Tesseract.OEM.LSTM_ONLY, options).then(resolve, reject);
+        });
+    }
+
+    /**
+     * POOL SHUTDOWN: Idle workers stop now, busy ones when their job finishes (see release)
+     */
+    async closePool(key) {
+        const pool = this.pools.get(key);
+        if (!pool) return;
+        this.pools.delete(key);
+        clearTimeout(pool.idleTimer);
+        pool.waiting.splice(0).forEach(waiter => waiter.reject(new Error('OCR languages changed; run the scan again.')));
+        await Promise.all(pool.idle.splice(0).map(worker => worker.terminate().catch(err => console.error(err))));
+    }
+
+    async closePoolsUsing(code) {
+        const keys = [...this.pools.keys()].filter(key => key.split('+').includes(code));
+        await Promise.all(keys.map(key => this.closePool(key)));
+    }
+
+    /**
+     * SHUTDOWN: Terminates every pooled worker
+     */
+    async terminate() {
+        await Promise.all([...this.pools.keys()].map(key => this.closePool(key)));
+    }
+}
+
+export const ocrService = new OcrService();
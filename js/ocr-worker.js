@@ -0,0 +1,89 @@
+/**
+ * OCR WEB WORKER: Vault-Backed Tesseract Loader
+ *
+ * ROLE:
+ * Wraps the stock Tesseract.js worker so traineddata, and by default the engine itself, is
+ * read from the Shield Vault (IndexedDB) instead of the CDN. This is what lets OCR run on
+ * air-gapped machines.
+ *
+ * ARCHITECTURE:
+ * - Classic worker: the Tesseract worker script is pulled in with importScripts
+ * - The OCR service sets langPath to VAULT_SCHEME; fetches under it are answered from the
+ *   vault's language pack store, every other request is untouched
+ * - Engine: With engineStore set, the worker script and the wasm core are read from that
+ *   store and imported from blob URLs; the core is loaded first, so Tesseract finds
+ *   TesseractCore defined and never fetches one. Messages that arrive meanwhile are held
+ *   and replayed once Tesseract listens
+ * - Query string: ?engine=<Tesseract worker script URL> or ?engineStore=<object store>,
+ *   plus &db=<IndexedDB name>&store=<language pack store>
+ *
+ * WORKFLOW:
+ * 1. Tesseract asks for "<langPath>/<code>.traineddata.gz"
+ * 2. The pack record { code, data } is read from the vault
+ * 3. Its bytes are returned as a Response (Tesseract gunzips when needed)
+ */
+
+const params = new URLSearchParams(self.location.search);
+const VAULT_SCHEME = 'shield-vault:';
+const nativeFetch = self.fetch.bind(self);
+
+const ENGINE_WORKER = 'worker.min.js';
+const ENGINE_CORE = 'tesseract-core-lstm.wasm.js';
+
+/**
+ * RECORD READER: Opens the vault at its current version and reads one record of a store
+ */
+function readRecord(storeName, key) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(params.get('db'));
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const db = request.result;
+            try {
+                const get = db.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+                get.onsuccess = () => resolve(get.result || null);
+                get.onerror = () => reject(get.error);
+            } catch (err) {
+                reject(err);
+            } finally {
+                db.close(); // Closes once the pending request finishes; never blocks vault upgrades
+            }
+        };
+    });
+}
+
+self.fetch = async (input, init) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith(VAULT_SCHEME)) return nativeFetch(input, init);
+
+    const match = /([\w-]+)\.traineddata(?:\.gz)?$/.exec(url);
+    const pack = match ? await readRecord(params.get('store'), match[1]) : null;
+    // Tesseract turns a non-ok response into "Network error while fetching <url>"
+    return pack ? new Response(pack.data) : new Response(null, { status: 404 });
+};
+
+async function importFromVault(name) {
+    const file = await readRecord(params.get('engineStore'), name);
+    if (!file) throw new Error(`OCR engine file missing from the vault: ${name}`);
+    const url = URL.createObjectURL(new Blob([file.data], { type: 'text/javascript' }));
+    try {
+        importScripts(url);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+if (params.get('engineStore')) {
+    const held = [];
+    const hold = (event) => held.push(event.data);
+    self.addEventListener('message', hold);
+    importFromVault(ENGINE_CORE)
+        .then(() => importFromVault(ENGINE_WORKER))
+        .then(() => {
+            self.removeEventListener('message', hold);
+            held.forEach(data => self.dispatchEvent(new MessageEvent('message', { data })));
+        })
+        .catch(err => setTimeout(() => { throw err; })); // Surfaces as a worker error event
+} else {
+    importScripts(params.get('engine'));
+}
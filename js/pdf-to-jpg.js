@@ -20,9 +20,72 @@
  * - Sequential rendering (prevents memory overflow)
  * - Progressive UI updates during multi-page processing
  * - High-quality output (scale=2.0 balances quality vs file size)
+ *
+ * HEADLESS USE:
+ * pdfToJpg() is the conversion without UI; workflows and the batch queue call it directly.
+ *
+ * BATCH:
+ * Several PDFs at once go to the batch panel (batch-queue.js); in its ZIP a multi-page PDF
+ * becomes a folder of page-N.jpg. Two PDFs render at a time, since rendering shares the
+ * main thread (pdf.js parses in its own worker).
  */
 
 import { shieldStorage } from './shield-redactor-storage.js';
+import { createBatchPanel } from './batch-queue.js';
+
+/**
+ * CONVERSION ENGINE: Performs PDF to JPEG rasterization
+ *
+ * @param {File|Blob} file - Source PDF file
+ * @param {function} [onProgress] - (percent, label) while converting
+ * @param {object} [options] - { bundle: false } returns { pages: [Blob] } instead of zipping;
+ *   { signal } (AbortSignal) stops before the next page once aborted
+ * @returns {Promise<object>} { blob, extension }: one JPEG, or a ZIP of page-N.jpg for multi-page PDFs
+ *
+ * WORKFLOW:
+ * 1. Load PDF document via PDF.js
+ * 2. Render each page to an off-screen canvas at 2.0x scale (High DPI)
+ * 3. Convert canvas to JPEG blob at 0.9 quality
+ * 4. If multi-page: Bundle all blobs into a JSZip archive
+ */
+export async function pdfToJpg(file, onProgress = () => {}, { bundle = true, signal = null } = {}) {
+    const arrayBuffer = await file.arrayBuffer();
+    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    const numPages = pdf.numPages;
+    const images = [];
+
+    try {
+        for (let i = 1; i <= numPages; i++) {
+            if (signal) signal.throwIfAborted();
+            onProgress(5 + (i / numPages) * 85, `Processing page ${i} of ${numPages}...`);
+
+            const page = await pdf.getPage(i);
+            const viewport = page.getViewport({ scale: 2.0 }); // High quality
+            const canvas = document.createElement('canvas');
+            const context = canvas.getContext('2d');
+            canvas.height = viewport.height;
+            canvas.width = viewport.width;
+
+            await page.render({ canvasContext: context, viewport: viewport }).promise;
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+            images.push(blob);
+            canvas.width = canvas.height = 0;
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    if (!bundle) return { pages: images, extension: 'jpg' };
+    if (numPages === 1) return { blob: images[0], extension: 'jpg' };
+
+    onProgress(95, 'Creating ZIP archive...');
+    const zip = new JSZip();
+    images.forEach((blob, idx) => {
+        zip.file(`page-${idx + 1}.jpg`, blob);
+    });
+    return { blob: await zip.generateAsync({ type: 'blob' }), extension: 'zip' };
+}
 
 export function init(config) {
     const dropZone = document.getElementById(config.dropZoneId);
@@ -43,6 +106,27 @@ export function init(config) {
     let currentFile = null;
     let currentId = null;
 
+    const batch = createBatchPanel(document.getElementById(config.batchPanelId), {
+        title: 'PDF → JPG',
+        zipName: 'pdf-to-jpg',
+        concurrency: 2,
+        process: async (file, options, { onProgress, signal }) => {
+            if (file.type !== 'application/pdf') throw new Error('Not a PDF file.');
+            const { pages } = await pdfToJpg(file, onProgress, { bundle: false, signal });
+            const base = file.name.replace(/\.[^/.]+$/, '');
+            if (pages.length === 1) return { name: `${base}.jpg`, blob: pages[0] };
+            return { name: base, files: pages.map((blob, idx) => ({ name: `page-${idx + 1}.jpg`, blob })) };
+        }
+    });
+
+    /**
+     * INGESTION: One file opens the converter, several go to the batch queue
+     */
+    function handleFiles(files) {
+        if (files.length > 1) batch.addFiles(files);
+        else if (files.length === 1) processPdfToJpg(files[0]);
+    }
+
     if (dropZone) {
         dropZone.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -60,35 +144,23 @@ export function init(config) {
             e.preventDefault();
             dropZone.style.borderColor = '#a600ff';
             dropZone.style.backgroundColor = 'rgba(166, 0, 255, 0.05)';
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                processPdfToJpg(files[0]);
-            }
+            handleFiles(e.dataTransfer.files);
         });
     }
 
     if (fileInput) {
         fileInput.addEventListener('change', () => {
-            if (fileInput.files.length > 0) {
-                processPdfToJpg(fileInput.files[0]);
-            }
+            const files = [...fileInput.files];
+            if (files.length > 1) fileInput.value = '';
+            handleFiles(files);
         });
     }
 
     /**
-     * CONVERSION ENGINE: Performs PDF to JPEG rasterization
+     * CONVERSION UI: Validates the upload and runs pdfToJpg() with progress
      * 
      * @param {File} file - Source PDF file
      * @param {object|null} projectData - Optional vault data
-     * 
-     * WORKFLOW:
-     * 1. Load PDF document via PDF.js
-     * 2. Iterate through all pages
-     * 3. Render each page to an off-screen canvas at 2.0x scale (High DPI)
-     * 4. Convert canvas to JPEG blob at 0.9 quality
-     * 5. If single page: Store blob directly
-     * 6. If multi-page: Bundle all blobs into a JSZip archive
-     * 7. Update UI progress and show download button
      */
     async function processPdfToJpg(file, projectData = null) {
         if (file.type !== 'application/pdf') {
@@ -105,44 +177,11 @@ export function init(config) {
         if (saveVaultBtn) saveVaultBtn.style.display = 'inline-block';
 
         try {
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-            const numPages = pdf.numPages;
-
             baseFileName = file.name.replace(/\.[^/.]+$/, "");
-            const images = [];
-
-            for (let i = 1; i <= numPages; i++) {
-                progressText.innerText = `Processing page ${i} of ${numPages}...`;
-                const progress = 5 + (i / numPages) * 85;
-                progressBar.style.width = `${progress}%`;
-
-                const page = await pdf.getPage(i);
-                const viewport = page.getViewport({ scale: 2.0 }); // High quality
-                const canvas = document.createElement('canvas');
-                const context = canvas.getContext('2d');
-                canvas.height = viewport.height;
-                canvas.width = viewport.width;
-
-                await page.render({ canvasContext: context, viewport: viewport }).promise;
-
-                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
-                images.push(blob);
-            }
-
-            if (numPages === 1) {
-                resultBlob = images[0];
-                extension = 'jpg';
-            } else {
-                progressText.innerText = 'Creating ZIP archive...';
-                progressBar.style.width = '95%';
-                const zip = new JSZip();
-                images.forEach((blob, idx) => {
-                    zip.file(`page-${idx + 1}.jpg`, blob);
-                });
-                resultBlob = await zip.generateAsync({ type: 'blob' });
-                extension = 'zip';
-            }
+            ({ blob: resultBlob, extension } = await pdfToJpg(file, (percent, label) => {
+                progressText.innerText = label;
+                progressBar.style.width = `${percent}%`;
+            }));
 
             progressBar.style.width = '100%';
             progressText.innerText = 'Extraction Complete!';
@@ -237,5 +276,8 @@ export function init(config) {
         }
     }
 
-    window.resetPdfToJpg = resetUpload;
+    window.resetPdfToJpg = () => {
+        resetUpload();
+        batch.reset();
+    };
 }
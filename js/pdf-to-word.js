@@ -34,9 +34,264 @@
  * - Requires native PDF text (not scanned images - OCR not implemented)
  * - Layout preservation is approximate (PDF→Word format differences)
  * - Complex PDF features (forms, annotations) not supported
+ *
+ * HEADLESS USE:
+ * pdfToDocx() is the conversion without UI; workflows and the batch queue call it directly.
+ *
+ * BATCH:
+ * Several PDFs at once go to the batch panel (batch-queue.js), which asks for the conversion
+ * options once (prefilled from this form) and converts two PDFs at a time.
  */
 
 import { shieldStorage } from './shield-redactor-storage.js';
+import { createBatchPanel } from './batch-queue.js';
+
+const PT_TO_TWIP = 20; // Conversion factor from Points to Twips
+
+/**
+ * LIBRARY RESOLVER: Robustly retrieves the docx.js namespace
+ * Handles global vs module exports depending on loading context.
+ * @returns {object|null} docx library instance
+ */
+function getDocx() {
+    if (window.docx) return window.docx;
+    if (typeof docx !== 'undefined') return docx;
+    return null;
+}
+
+/**
+ * UTILITY: Maps PDF font names to standard Word fonts
+ * @param {string} fontName - PDF font descriptor
+ * @returns {string} Standard font family (Arial, Times New Roman, etc.)
+ */
+function getFontFamily(fontName) {
+    if (!fontName) return 'Arial';
+    const name = fontName.toLowerCase();
+    if (name.includes('times') || name.includes('serif')) return 'Times New Roman';
+    if (name.includes('courier') || name.includes('mono')) return 'Courier New';
+    if (name.includes('helvetica') || name.includes('arial')) return 'Arial';
+    if (name.includes('calibri')) return 'Calibri';
+    return 'Arial';
+}
+
+/**
+ * CORE PIPELINE: Orchestrates PDF content extraction and Word document reconstruction.
+ * 
+ * @param {File|Blob} file - Source PDF
+ * @param {object} [options] - { conversionType: 'standard'|'text'|'images', imageQuality, preserveFormatting }
+ * @param {function} [onProgress] - (percent, label) while converting
+ * @param {AbortSignal} [signal] - Stops before the next page once aborted
+ * @returns {Promise<Blob>} The .docx document
+ * 
+ * WORKFLOW:
+ * 1. READ: Load PDF via PDF.js and extract metadata
+ * 2. PAGE LOOP: 
+ *    a. Extract TextContent (characters + coordinates)
+ *    b. Extract OperatorList (vector/raster image commands)
+ *    c. Parse Image data from OperatorList into Base64 PNGs
+ *    d. Group text into logical lines based on Y-coordinate proximity
+ * 3. RECONSTRUCTION:
+ *    a. Sort text and images by Y-coordinate (top-down)
+ *    b. Calculate required "spacing-before" in Twips for layout preservation
+ *    c. Create Paragraphs for text and ImageRuns for images
+ *    d. Group everything into Document Sections
+ * 4. FINALIZATION: Bundle via docx.js Packer into a Blob
+ */
+export async function pdfToDocx(file, options = {}, onProgress = () => {}, signal = null) {
+    const lib = getDocx();
+    if (!lib) throw new Error('The Word conversion library (docx) failed to load. Please check your connection and refresh.');
+
+    const { conversionType = 'standard', preserveFormatting = true } = options;
+    const docxRef = lib.Paragraph ? lib : (lib.default || lib);
+
+    const arrayBuffer = await file.arrayBuffer();
+    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+
+    const sections = [];
+
+    try {
+        for (let i = 1; i <= pdf.numPages; i++) {
+            if (signal) signal.throwIfAborted();
+            onProgress(5 + (i / pdf.numPages) * 80, `Extracting page ${i} of ${pdf.numPages}...`);
+
+            const page = await pdf.getPage(i);
+            const viewportRaw = page.getViewport({ scale: 1.0 });
+            const pageWidthTwips = Math.round(viewportRaw.width * PT_TO_TWIP);
+            const pageHeightTwips = Math.round(viewportRaw.height * PT_TO_TWIP);
+
+            const textContent = await page.getTextContent();
+            const operatorList = await page.getOperatorList();
+
+            const pageImages = [];
+            if (conversionType !== 'text') {
+                for (let j = 0; j < operatorList.fnArray.length; j++) {
+                    if (operatorList.fnArray[j] === pdfjsLib.OPS.paintImageXObject) {
+                        const imgName = operatorList.argsArray[j][0];
+                        let transform = [1, 0, 0, 1, 0, 0];
+                        for (let k = j - 1; k >= 0; k--) {
+                            if (operatorList.fnArray[k] === pdfjsLib.OPS.transform) {
+                                transform = operatorList.argsArray[k];
+                                break;
+                            }
+                        }
+
+                        try {
+                            const img = await page.objs.get(imgName);
+                            if (img) {
+                                const pixelCount = img.width * img.height;
+                                const dataLength = img.data.length;
+                                const channels = dataLength / pixelCount;
+
+                                const canvas = document.createElement('canvas');
+                                canvas.width = img.width;
+                                canvas.height = img.height;
+                                const ctx = canvas.getContext('2d');
+                                const imageData = ctx.createImageData(img.width, img.height);
+
+                                if (channels === 3) {
+                                    for (let p = 0; p < pixelCount; p++) {
+                                        imageData.data[p * 4] = img.data[p * 3];
+                                        imageData.data[p * 4 + 1] = img.data[p * 3 + 1];
+                                        imageData.data[p * 4 + 2] = img.data[p * 3 + 2];
+                                        imageData.data[p * 4 + 3] = 255;
+                                    }
+                                } else if (channels === 1) {
+                                    for (let p = 0; p < pixelCount; p++) {
+                                        const val = img.data[p];
+                                        imageData.data[p * 4] = val; imageData.data[p * 4 + 1] = val; imageData.data[p * 4 + 2] = val;
+                                        imageData.data[p * 4 + 3] = 255;
+                                    }
+                                } else {
+                                    imageData.data.set(img.data);
+                                }
+                                ctx.putImageData(imageData, 0, 0);
+                                const base64 = canvas.toDataURL('image/png').split(',')[1];
+
+                                const yBottom = transform[5];
+                                const imgHeightPoints = Math.abs(transform[3]);
+                                const yTop = viewportRaw.height - (yBottom + imgHeightPoints);
+
+                                pageImages.push({
+                                    base64, width: img.width, height: img.height,
+                                    y: yTop, x: transform[4],
+                                    displayHeightPoints: imgHeightPoints,
+                                    displayWidthPoints: Math.abs(transform[0])
+                                });
+                            }
+                        } catch (e) { }
+                    }
+                }
+            }
+
+            const children = [];
+            const contentItems = [];
+            let currentY = null;
+            let currentLine = [];
+            let lineStartX = null;
+
+            if (conversionType !== 'images') {
+                textContent.items.forEach(item => {
+                    const y = item.transform[5];
+                    const x = item.transform[4];
+                    if (currentY !== null && Math.abs(y - currentY) > 5) {
+                        if (currentLine.length > 0) {
+                            contentItems.push({ type: 'text', y: currentY, line: [...currentLine] });
+                        }
+                        currentLine = []; lineStartX = null;
+                    }
+                    if (currentLine.length > 0 && lineStartX !== null) {
+                        const lastItem = currentLine[currentLine.length - 1];
+                        const gap = x - (lastItem.x + lastItem.width);
+                        if (gap > 1) {
+                            currentLine.push({ str: ' ', fontName: item.fontName, height: item.height, x: x, width: 0 });
+                        }
+                    }
+                    currentLine.push({ str: item.str, fontName: item.fontName, height: item.height, x: x, width: item.width });
+                    if (lineStartX === null) lineStartX = x;
+                    currentY = y;
+                });
+            }
+            if (currentLine.length > 0) contentItems.push({ type: 'text', y: currentY, line: [...currentLine] });
+
+            pageImages.forEach(img => contentItems.push({ type: 'image', y: img.y, imageData: img }));
+            contentItems.sort((a, b) => b.y - a.y);
+
+            let lastY = viewportRaw.height;
+            contentItems.forEach(item => {
+                if (item.type === 'text') {
+                    const textRuns = item.line.map(textItem => {
+                        const fontName = textItem.fontName || 'Arial';
+                        const fontSize = textItem.height || 12;
+                        return new docxRef.TextRun({
+                            text: textItem.str,
+                            font: getFontFamily(fontName),
+                            size: Math.round(fontSize * 2),
+                            bold: fontName.toLowerCase().includes('bold'),
+                            italics: fontName.toLowerCase().includes('italic'),
+                            color: '000000'
+                        });
+                    });
+
+                    const x = item.line[0].x;
+                    const y = item.y;
+                    const fontSize = item.line[0].height || 12;
+                    const estimatedLineHeight = fontSize * 1.2;
+                    const verticalGapPoints = lastY - y - estimatedLineHeight;
+                    const spacingBeforeTwips = Math.max(0, Math.round(verticalGapPoints * PT_TO_TWIP));
+
+                    const paragraphOptions = {
+                        children: textRuns,
+                        spacing: {
+                            before: preserveFormatting ? spacingBeforeTwips : 0,
+                            after: 0,
+                            line: Math.round(estimatedLineHeight * PT_TO_TWIP),
+                            lineRule: "exact"
+                        }
+                    };
+                    if (preserveFormatting) paragraphOptions.indent = { left: Math.round(x * PT_TO_TWIP) };
+                    children.push(new docxRef.Paragraph(paragraphOptions));
+                    lastY = y;
+                } else if (item.type === 'image') {
+                    const img = item.imageData;
+                    const binaryString = window.atob(img.base64);
+                    const bytes = new Uint8Array(binaryString.length);
+                    for (let k = 0; k < binaryString.length; k++) bytes[k] = binaryString.charCodeAt(k);
+
+                    const imageRunOptions = {
+                        data: bytes,
+                        transformation: {
+                            width: Math.round(img.displayWidthPoints * (96 / 72)),
+                            height: Math.round(img.displayHeightPoints * (96 / 72))
+                        }
+                    };
+                    if (preserveFormatting) {
+                        const PT_TO_EMU = 12700;
+                        imageRunOptions.floating = {
+                            horizontalPosition: { relative: docxRef.HorizontalPositionRelativeFrom.PAGE, offset: Math.round(img.x * PT_TO_EMU) },
+                            verticalPosition: { relative: docxRef.VerticalPositionRelativeFrom.PAGE, offset: Math.round(img.y * PT_TO_EMU) },
+                            allowOverlap: true, zIndex: 0
+                        };
+                    }
+                    children.push(new docxRef.Paragraph({ children: [new docxRef.ImageRun(imageRunOptions)], spacing: { before: 0, after: 0 } }));
+                }
+            });
+
+            if (children.length === 0) children.push(new docxRef.Paragraph({ children: [new docxRef.TextRun(" ")] }));
+
+            sections.push({
+                properties: { page: { size: { width: pageWidthTwips, height: pageHeightTwips }, margin: { top: 0, right: 0, bottom: 0, left: 0 } } },
+                children: children
+            });
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    onProgress(90, 'Building Document...');
+
+    const doc = new docxRef.Document({ sections: sections });
+    return docxRef.Packer.toBlob(doc);
+}
 
 export function init(config) {
     const dropZone = document.getElementById(config.dropZoneId);
@@ -63,7 +318,6 @@ export function init(config) {
     let selectedFile = null;
     let currentId = null;
 
-    const PT_TO_TWIP = 20; // Conversion factor from Points to Twips
     let resultBlob = null;
     let baseFileName = 'converted';
 
@@ -72,20 +326,38 @@ export function init(config) {
         pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.worker.min.js';
     }
 
-    // Helper to get docx namespace robustly
+    const batch = createBatchPanel(document.getElementById(config.batchPanelId), {
+        title: 'PDF → WORD',
+        zipName: 'pdf-to-word',
+        concurrency: 2,
+        options: [
+            {
+                id: 'conversionType', label: 'Conversion Type', type: 'select', default: 'standard', choices: [
+                    { value: 'standard', label: 'Standard (Text & Images)' },
+                    { value: 'text', label: 'Text Only' }
+                ]
+            },
+            { id: 'preserveFormatting', label: 'Preserve Formatting', type: 'checkbox', default: true }
+        ],
+        defaults: () => ({
+            ...(conversionTypeEl && conversionTypeEl.value !== 'ocr' ? { conversionType: conversionTypeEl.value } : {}),
+            ...(preserveFormattingEl ? { preserveFormatting: preserveFormattingEl.checked } : {})
+        }),
+        process: async (file, options, { onProgress, signal }) => {
+            if (file.type !== 'application/pdf') throw new Error('Not a PDF file.');
+            const blob = await pdfToDocx(file, options, onProgress, signal);
+            return { name: file.name.replace(/\.[^/.]+$/, '') + '.docx', blob };
+        }
+    });
+
     /**
-     * LIBRARY RESOLVER: Robustly retrieves the docx.js namespace
-     * Handles global vs module exports depending on loading context.
-     * @returns {object|null} docx library instance
+     * INGESTION: One file opens the options form, several go to the batch queue
      */
-    function getDocx() {
-        if (window.docx) return window.docx;
-        if (typeof docx !== 'undefined') return docx;
-        return null;
+    function handleFiles(files) {
+        if (files.length > 1) batch.addFiles(files);
+        else if (files.length === 1) handleFileSelect(files[0]);
     }
 
-    const docxLib = getDocx();
-
     if (dropZone) {
         dropZone.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -103,18 +375,15 @@ export function init(config) {
             e.preventDefault();
             dropZone.style.borderColor = '#0044ff';
             dropZone.style.backgroundColor = 'rgba(0, 68, 255, 0.05)';
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                handleFileSelect(files[0]);
-            }
+            handleFiles(e.dataTransfer.files);
         });
     }
 
     if (fileInput) {
         fileInput.addEventListener('change', () => {
-            if (fileInput.files.length > 0) {
-                handleFileSelect(fileInput.files[0]);
-            }
+            const files = [...fileInput.files];
+            if (files.length > 1) fileInput.value = '';
+            handleFiles(files);
         });
     }
 
@@ -148,24 +417,8 @@ export function init(config) {
     }
 
     /**
-     * CORE PIPELINE: Orchestrates PDF content extraction and Word document reconstruction.
-     * 
+     * CONVERSION UI: Reads the options and runs pdfToDocx() with progress
      * @param {File} file - Source PDF
-     * 
-     * WORKFLOW:
-     * 1. INITIALIZE: Validate docx library and setup UI progress
-     * 2. READ: Load PDF via PDF.js and extract metadata
-     * 3. PAGE LOOP: 
-     *    a. Extract TextContent (characters + coordinates)
-     *    b. Extract OperatorList (vector/raster image commands)
-     *    c. Parse Image data from OperatorList into Base64 PNGs
-     *    d. Group text into logical lines based on Y-coordinate proximity
-     * 4. RECONSTRUCTION:
-     *    a. Sort text and images by Y-coordinate (top-down)
-     *    b. Calculate required "spacing-before" in Twips for layout preservation
-     *    c. Create Paragraphs for text and ImageRuns for images
-     *    d. Group everything into Document Sections
-     * 5. FINALIZATION: Bundle via docx.js Packer and generate downloadable Blob
      */
     async function startConversion(file) {
         const lib = getDocx();
@@ -179,215 +432,17 @@ export function init(config) {
         const imageQuality = imageQualityEl ? imageQualityEl.value : 'standard';
         const preserveFormatting = preserveFormattingEl ? preserveFormattingEl.checked : true;
 
-        const docxRef = lib.Paragraph ? lib : (lib.default || lib);
-
         if (uploadReady) uploadReady.style.display = 'none';
         if (uploadProgress) uploadProgress.style.display = 'block';
         if (progressBar) progressBar.style.width = '5%';
         progressText.innerText = 'Initializing...';
 
         try {
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
             baseFileName = file.name.replace(/\.[^/.]+$/, "");
-
-            const sections = [];
-
-            for (let i = 1; i <= pdf.numPages; i++) {
-                progressText.innerText = `Extracting page ${i} of ${pdf.numPages}...`;
-                const progress = 5 + (i / pdf.numPages) * 80;
-                progressBar.style.width = `${progress}%`;
-
-                const page = await pdf.getPage(i);
-                const viewportRaw = page.getViewport({ scale: 1.0 });
-                const pageWidthTwips = Math.round(viewportRaw.width * PT_TO_TWIP);
-                const pageHeightTwips = Math.round(viewportRaw.height * PT_TO_TWIP);
-
-                const textContent = await page.getTextContent();
-                const operatorList = await page.getOperatorList();
-
-                const pageImages = [];
-                if (conversionType !== 'text') {
-                    for (let j = 0; j < operatorList.fnArray.length; j++) {
-                        if (operatorList.fnArray[j] === pdfjsLib.OPS.paintImageXObject) {
-                            const imgName = operatorList.argsArray[j][0];
-                            let transform = [1, 0, 0, 1, 0, 0];
-                            for (let k = j - 1; k >= 0; k--) {
-                                if (operatorList.fnArray[k] === pdfjsLib.OPS.transform) {
-                                    transform = operatorList.argsArray[k];
-                                    break;
-                                }
-                            }
-
-                            try {
-                                const img = await page.objs.get(imgName);
-                                if (img) {
-                                    const pixelCount = img.width * img.height;
-                                    const dataLength = img.data.length;
-                                    const channels = dataLength / pixelCount;
-
-                                    const canvas = document.createElement('canvas');
-                                    canvas.width = img.width;
-                                    canvas.height = img.height;
-                                    const ctx = canvas.getContext('2d');
-                                    const imageData = ctx.createImageData(img.width, img.height);
-
-                                    if (channels === 3) {
-                                        for (let p = 0; p < pixelCount; p++) {
-                                            imageData.data[p * 4] = img.data[p * 3];
-                                            imageData.data[p * 4 + 1] = img.data[p * 3 + 1];
-                                            imageData.data[p * 4 + 2] = img.data[p * 3 + 2];
-                                            imageData.data[p * 4 + 3] = 255;
-                                        }
-                                    } else if (channels === 1) {
-                                        for (let p = 0; p < pixelCount; p++) {
-                                            const val = img.data[p];
-                                            imageData.data[p * 4] = val; imageData.data[p * 4 + 1] = val; imageData.data[p * 4 + 2] = val;
-                                            imageData.data[p * 4 + 3] = 255;
-                                        }
-                                    } else {
-                                        imageData.data.set(img.data);
-                                    }
-                                    ctx.putImageData(imageData, 0, 0);
-                                    const base64 = canvas.toDataURL('image/png').split(',')[1];
-
-                                    const yBottom = transform[5];
-                                    const imgHeightPoints = Math.abs(transform[3]);
-                                    const yTop = viewportRaw.height - (yBottom + imgHeightPoints);
-
-                                    pageImages.push({
-                                        base64, width: img.width, height: img.height,
-                                        y: yTop, x: transform[4],
-                                        displayHeightPoints: imgHeightPoints,
-                                        displayWidthPoints: Math.abs(transform[0])
-                                    });
-                                }
-                            } catch (e) { }
-                        }
-                    }
-                }
-
-                const children = [];
-                const contentItems = [];
-                let currentY = null;
-                let currentLine = [];
-                let lineStartX = null;
-
-                if (conversionType !== 'images') {
-                    textContent.items.forEach(item => {
-                        const y = item.transform[5];
-                        const x = item.transform[4];
-                        if (currentY !== null && Math.abs(y - currentY) > 5) {
-                            if (currentLine.length > 0) {
-                                contentItems.push({ type: 'text', y: currentY, line: [...currentLine] });
-                            }
-                            currentLine = []; lineStartX = null;
-                        }
-                        if (currentLine.length > 0 && lineStartX !== null) {
-                            const lastItem = currentLine[currentLine.length - 1];
-                            const gap = x - (lastItem.x + lastItem.width);
-                            if (gap > 1) {
-                                currentLine.push({ str: ' ', fontName: item.fontName, height: item.height, x: x, width: 0 });
-                            }
-                        }
-                        currentLine.push({ str: item.str, fontName: item.fontName, height: item.height, x: x, width: item.width });
-                        if (lineStartX === null) lineStartX = x;
-                        currentY = y;
-                    });
-                }
-                if (currentLine.length > 0) contentItems.push({ type: 'text', y: currentY, line: [...currentLine] });
-
-                pageImages.forEach(img => contentItems.push({ type: 'image', y: img.y, imageData: img }));
-                contentItems.sort((a, b) => b.y - a.y);
-
-                let lastY = viewportRaw.height;
-                contentItems.forEach(item => {
-                    if (item.type === 'text') {
-                        const textRuns = item.line.map(textItem => {
-                            const fontName = textItem.fontName || 'Arial';
-                            const fontSize = textItem.height || 12;
-                            return new docxRef.TextRun({
-                                text: textItem.str,
-                                font: getFontFamily(fontName),
-                                size: Math.round(fontSize * 2),
-                                bold: fontName.toLowerCase().includes('bold'),
-                                italics: fontName.toLowerCase().includes('italic'),
-                                color: '000000'
-                            });
-                        });
-
-                        const x = item.line[0].x;
-                        const y = item.y;
-                        const fontSize = item.line[0].height || 12;
-                        const estimatedLineHeight = fontSize * 1.2;
-                        const verticalGapPoints = lastY - y - estimatedLineHeight;
-                        const spacingBeforeTwips = Math.max(0, Math.round(verticalGapPoints * PT_TO_TWIP));
-
-                        const paragraphOptions = {
-                            children: textRuns,
-                            spacing: {
-                                before: preserveFormatting ? spacingBeforeTwips : 0,
-                                after: 0,
-                                line: Math.round(estimatedLineHeight * PT_TO_TWIP),
-                                lineRule: "exact"
-                            }
-                        };
-                        if (preserveFormatting) paragraphOptions.indent = { left: Math.round(x * PT_TO_TWIP) };
-                        children.push(new docxRef.Paragraph(paragraphOptions));
-                        lastY = y;
-                    } else if (item.type === 'image') {
-                        const img = item.imageData;
-                        const binaryString = window.atob(img.base64);
-                        const bytes = new Uint8Array(binaryString.length);
-                        for (let k = 0; k < binaryString.length; k++) bytes[k] = binaryString.charCodeAt(k);
-
-                        const imageRunOptions = {
-                            data: bytes,
-                            transformation: {
-                                width: Math.round(img.displayWidthPoints * (96 / 72)),
-                                height: Math.round(img.displayHeightPoints * (96 / 72))
-                            }
-                        };
-                        if (preserveFormatting) {
-                            const PT_TO_EMU = 12700;
-                            imageRunOptions.floating = {
-                                horizontalPosition: { relative: docxRef.HorizontalPositionRelativeFrom.PAGE, offset: Math.round(img.x * PT_TO_EMU) },
-                                verticalPosition: { relative: docxRef.VerticalPositionRelativeFrom.PAGE, offset: Math.round(img.y * PT_TO_EMU) },
-                                allowOverlap: true, zIndex: 0
-                            };
-                        }
-                        children.push(new docxRef.Paragraph({ children: [new docxRef.ImageRun(imageRunOptions)], spacing: { before: 0, after: 0 } }));
-                    }
-                });
-
-                if (children.length === 0) children.push(new docxRef.Paragraph({ children: [new docxRef.TextRun(" ")] }));
-
-                sections.push({
-                    properties: { page: { size: { width: pageWidthTwips, height: pageHeightTwips }, margin: { top: 0, right: 0, bottom: 0, left: 0 } } },
-                    children: children
-                });
-            }
-
-            /**
-             * UTILITY: Maps PDF font names to standard Word fonts
-             * @param {string} fontName - PDF font descriptor
-             * @returns {string} Standard font family (Arial, Times New Roman, etc.)
-             */
-            function getFontFamily(fontName) {
-                if (!fontName) return 'Arial';
-                const name = fontName.toLowerCase();
-                if (name.includes('times') || name.includes('serif')) return 'Times New Roman';
-                if (name.includes('courier') || name.includes('mono')) return 'Courier New';
-                if (name.includes('helvetica') || name.includes('arial')) return 'Arial';
-                if (name.includes('calibri')) return 'Calibri';
-                return 'Arial';
-            }
-
-            progressText.innerText = 'Building Document...';
-            progressBar.style.width = '90%';
-
-            const doc = new docxRef.Document({ sections: sections });
-            resultBlob = await docxRef.Packer.toBlob(doc);
+            resultBlob = await pdfToDocx(file, { conversionType, imageQuality, preserveFormatting }, (percent, label) => {
+                progressText.innerText = label;
+                progressBar.style.width = `${percent}%`;
+            });
 
             progressBar.style.width = '100%';
             progressText.innerText = 'Conversion Complete!';
@@ -480,5 +535,8 @@ export function init(config) {
         }
     }
 
-    window.resetPdfToWord = resetUpload;
+    window.resetPdfToWord = () => {
+        resetUpload();
+        batch.reset();
+    };
 }
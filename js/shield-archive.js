@@ -0,0 +1,224 @@
+/**
+ * SHIELD ARCHIVE: ZIP Container Inspection & Zip-Bomb Heuristics
+ *
+ * ROLE:
+ * Lets ShieldScanner look inside ZIP-based containers (ZIP, OOXML, JAR, APK, ODF...) so
+ * every entry can be scanned like a standalone file, without trusting the archive.
+ *
+ * ARCHITECTURE:
+ * - Directory: The central directory is read directly (ZIP64 aware) for entry counts,
+ *   declared sizes, flags and offsets before anything is inflated
+ * - Bomb Heuristics: Entry count, per-entry and overall compression ratio, declared total
+ *   size and overlapping entries (non-recursive "overlap" bombs)
+ * - Extraction: JSZip (global) streams each entry against a byte limit, so an archive that
+ *   lies about its sizes is stopped as soon as it inflates past the limit
+ *
+ * DEPENDENCIES: window.JSZip (global)
+ */
+
+export const ARCHIVE_LIMITS = {
+    maxDepth: 4,               // Nested archives inspected below the uploaded file
+    maxEntries: 5000,          // Entries per archive
+    maxRatio: 100,             // Uncompressed : compressed, per entry and overall
+    minRatioSize: 1 << 20,     // Ratios only count for entries/archives above 1 MB inflated
+    maxTotalSize: 1 << 30,     // Declared uncompressed bytes per archive (1 GB)
+    maxArchiveSize: 512 << 20, // Largest archive loaded into memory to walk its entries
+    maxEntrySize: 64 << 20,    // Largest entry inflated for scanning (64 MB)
+    extractBudget: 256 << 20   // Bytes inflated per scan across all archives and depths
+};
+
+const SIG_LOCAL = 0x04034b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_EOCD = 0x06054b50;
+const SIG_EOCD64 = 0x06064b50;
+const SIG_EOCD64_LOCATOR = 0x07064b50;
+
+export function isZip(header) {
+    return header[0] === 0x50 && header[1] === 0x4B && (header[2] === 0x03 || header[2] === 0x05) && (header[3] === 0x04 || header[3] === 0x06);
+}
+
+function readUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+/**
+ * DIRECTORY READER: Lists entries from the central directory without inflating anything
+ *
+ * @param {Uint8Array} bytes - Whole archive
+ * @param {number} [maxEntries] - Stop after this many entries (the declared count is still reported)
+ * @returns {object|null} { declaredCount, entries: [{ name, flags, method, compressedSize,
+ *   size, localOffset, encrypted, directory }], truncated } or null when no directory exists
+ */
+export function readZipDirectory(bytes, maxEntries = ARCHIVE_LIMITS.maxEntries) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // End of central directory: last 22 bytes plus an optional comment of up to 64 KB
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === SIG_EOCD) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) return null;
+
+    let declaredCount = view.getUint16(eocd + 10, true);
+    let cdOffset = view.getUint32(eocd + 16, true);
+
+    const locator = eocd - 20;
+    if (locator >= 0 && view.getUint32(locator, true) === SIG_EOCD64_LOCATOR) {
+        const eocd64 = readUint64(view, locator + 8);
+        if (eocd64 + 56 <= bytes.length && view.getUint32(eocd64, true) === SIG_EOCD64) {
+            declaredCount = readUint64(view, eocd64 + 32);
+            cdOffset = readUint64(view, eocd64 + 48);
+        }
+    }
+
+    const entries = [];
+    const decoder = new TextDecoder();
+    let pos = cdOffset;
+    while (entries.length < Math.min(declaredCount, maxEntries + 1) && pos + 46 <= bytes.length) {
+        if (view.getUint32(pos, true) !== SIG_CENTRAL) break;
+
+        const flags = view.getUint16(pos + 8, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        let compressedSize = view.getUint32(pos + 20, true);
+        let size = view.getUint32(pos + 24, true);
+        let localOffset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+        // ZIP64 extra field holds the real values of any field saturated at 0xFFFFFFFF
+        let extra = pos + 46 + nameLength;
+        const extraEnd = Math.min(extra + extraLength, bytes.length);
+        while (extra + 4 <= extraEnd) {
+            const id = view.getUint16(extra, true);
+            const length = view.getUint16(extra + 2, true);
+            if (id === 0x0001) {
+                let field = extra + 4;
+                if (size === 0xFFFFFFFF && field + 8 <= extraEnd) { size = readUint64(view, field); field += 8; }
+                if (compressedSize === 0xFFFFFFFF && field + 8 <= extraEnd) { compressedSize = readUint64(view, field); field += 8; }
+                if (localOffset === 0xFFFFFFFF && field + 8 <= extraEnd) localOffset = readUint64(view, field);
+            }
+            extra += 4 + length;
+        }
+
+        entries.push({
+            name,
+            flags,
+            method: view.getUint16(pos + 10, true),
+            compressedSize,
+            size,
+            localOffset,
+            encrypted: (flags & 1) === 1,
+            directory: name.endsWith('/')
+        });
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return { declaredCount, entries, truncated: declaredCount > maxEntries };
+}
+
+/**
+ * BOMB HEURISTICS: Judges an archive from its directory alone
+ * @returns {Array<{ type, severity, description }>} Findings; Critical ones mean "do not inflate"
+ */
+export function assessZipBomb(directory, bytes, limits = ARCHIVE_LIMITS) {
+    const findings = [];
+    const files = directory.entries.filter(e => !e.directory);
+
+    if (directory.truncated) {
+        findings.push({
+            type: 'Zip Bomb (Entry Count)',
+            severity: 'High',
+            description: `Archive declares ${directory.declaredCount} entries (limit ${limits.maxEntries}); contents were not inspected.`
+        });
+    }
+
+    const ratio = (e) => e.size / Math.max(e.compressedSize, 1);
+    const inflated = files.filter(e => e.size >= limits.minRatioSize && ratio(e) > limits.maxRatio);
+    if (inflated.length) {
+        const worst = inflated.reduce((a, b) => (ratio(b) > ratio(a) ? b : a));
+        findings.push({
+            type: 'Zip Bomb (Compression Ratio)',
+            severity: 'Critical',
+            description: `${inflated.length} entr${inflated.length === 1 ? 'y expands' : 'ies expand'} more than ${limits.maxRatio}:1. | LOG: ${worst.name} ${worst.compressedSize} → ${worst.size} bytes (${Math.round(ratio(worst))}:1)`
+        });
+    }
+
+    const total = files.reduce((sum, e) => sum + e.size, 0);
+    if (total > limits.maxTotalSize) {
+        findings.push({
+            type: 'Zip Bomb (Total Size)',
+            severity: 'Critical',
+            description: `Archive declares ${Math.round(total / 1048576)} MB of content in a ${Math.round(bytes.length / 1024)} KB file.`
+        });
+    } else if (!inflated.length && total >= limits.minRatioSize && total / bytes.length > limits.maxRatio) {
+        findings.push({
+            type: 'Zip Bomb (Compression Ratio)',
+            severity: 'Critical',
+            description: `Archive expands ${Math.round(total / bytes.length)}:1 overall (${Math.round(total / 1048576)} MB declared).`
+        });
+    }
+
+    // Overlap bombs point many directory entries at the same compressed data
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const sorted = [...files].sort((a, b) => a.localOffset - b.localOffset);
+    let overlaps = 0;
+    for (let i = 1; i < sorted.length; i++) {
+        const prev = sorted[i - 1];
+        if (prev.localOffset + 30 > bytes.length || view.getUint32(prev.localOffset, true) !== SIG_LOCAL) continue;
+        const dataStart = prev.localOffset + 30 + view.getUint16(prev.localOffset + 26, true) + view.getUint16(prev.localOffset + 28, true);
+        if (sorted[i].localOffset < dataStart + prev.compressedSize) overlaps++;
+    }
+    if (overlaps) {
+        findings.push({
+            type: 'Zip Bomb (Overlapping Entries)',
+            severity: 'Critical',
+            description: `${overlaps} entr${overlaps === 1 ? 'y shares' : 'ies share'} compressed data with another entry, a technique used by non-recursive zip bombs.`
+        });
+    }
+
+    return findings;
+}
+
+/**
+ * BOUNDED EXTRACTION: Inflates one JSZip entry, giving up past `limit` bytes
+ * @returns {Promise<Uint8Array|null>} Entry bytes, or null when the limit was exceeded
+ */
+export function extractEntry(entry, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let stopped = false;
+        const stream = entry.internalStream('uint8array');
+
+        stream
+            .on('data', (chunk) => {
+                if (stopped) return;
+                size += chunk.length;
+                if (size > limit) {
+                    stopped = true;
+                    stream.pause();
+                    resolve(null);
+                    return;
+                }
+                chunks.push(chunk);
+            })
+            .on('error', (err) => {
+                if (!stopped) reject(err);
+            })
+            .on('end', () => {
+                if (stopped) return;
+                const data = new Uint8Array(size);
+                let offset = 0;
+                chunks.forEach(chunk => {
+                    data.set(chunk, offset);
+                    offset += chunk.length;
+                });
+                resolve(data);
+            })
+            .resume();
+    });
+}
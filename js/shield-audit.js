@@ -0,0 +1,250 @@
+/**
+ * SHIELD AUDIT: Redaction Audit Log & Certificate of Redaction
+ *
+ * ROLE:
+ * Records what was withheld from a document, by whom and under which exemption, so
+ * compliance can prove the release without keeping the withheld text itself.
+ *
+ * ARCHITECTURE:
+ * - Entries: Every redaction carries { id, type, source, textHash, exemption, reviewer, style, createdAt }
+ *   alongside its normalized rect (stored in currentProject.redactions)
+ * - Hashing: SHA-256 of the matched text via Web Crypto (the text itself is never logged).
+ *   SSNs, card numbers or short names are easy to brute-force from a plain hash, so exported
+ *   logs carry HMAC-SHA-256(auditSecret, textHash) instead; the random auditSecret is kept
+ *   with the vault project and never written to the log or the certificate
+ * - Log: buildAuditLog() produces a versioned JSON document with file hashes and PDF-space boxes
+ * - Certificate: renderCertificate() writes a tabular PDF report with pdf-lib, either
+ *   appended to the redacted output or saved as a separate file
+ * - Sanitization: When present, log.sanitization lists the metadata removed on export
+ *
+ * DEPENDENCIES: window.PDFLib (global), crypto.subtle
+ */
+
+import { styleOf, resolveLabel } from './shield-redaction-styles.js';
+
+export const AUDIT_LOG_VERSION = 2;
+
+/**
+ * DEFAULT EXEMPTIONS: FOIA 5 U.S.C. § 552(b) plus common litigation codes
+ * Users can replace this list in the redactor (stored as the 'exemptionCodes' setting).
+ */
+export const DEFAULT_EXEMPTIONS = [
+    { code: '(b)(1)', description: 'Classified national security information' },
+    { code: '(b)(2)', description: 'Internal personnel rules and practices' },
+    { code: '(b)(3)', description: 'Exempted by another statute' },
+    { code: '(b)(4)', description: 'Trade secrets / confidential commercial information' },
+    { code: '(b)(5)', description: 'Privileged inter- or intra-agency communications' },
+    { code: '(b)(6)', description: 'Personal privacy' },
+    { code: '(b)(7)(C)', description: 'Law enforcement - personal privacy' },
+    { code: 'PRIVILEGED', description: 'Attorney-client privilege / work product' },
+    { code: 'PII', description: 'Personally identifiable information' },
+    { code: 'CONFIDENTIAL', description: 'Confidential under protective order' }
+];
+
+/**
+ * CODE LIST PARSER: "CODE - description" per line → [{ code, description }]
+ */
+export function parseExemptionList(text) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+        const [code, ...rest] = line.split(/\s+[-–—]\s+/);
+        return { code: code.trim(), description: rest.join(' - ').trim() };
+    });
+}
+
+export function formatExemptionList(codes) {
+    return codes.map(c => (c.description ? `${c.code} - ${c.description}` : c.code)).join('\n');
+}
+
+/**
+ * DIGEST: Hex SHA-256 of a string or binary buffer
+ */
+export async function sha256(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * AUDIT SECRET: Random 256-bit key (hex) that keys the exported text hashes
+ */
+export function createAuditSecret() {
+    return [...crypto.getRandomValues(new Uint8Array(32))].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * KEYED HASH: Hex HMAC-SHA-256 of a stored textHash; recomputing it needs the audit secret
+ */
+export async function keyedTextHash(secret, textHash) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(textHash));
+    return [...new Uint8Array(mac)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * ENTRY FACTORY: Attaches audit metadata to a normalized redaction rect
+ * @param {object} rect - { x, y, w, h } normalized to the page
+ * @param {object} meta - { type, source, text, exemption, reviewer, style }
+ */
+export async function createAuditedRedaction(rect, meta = {}) {
+    return {
+        x: rect.x,
+        y: rect.y,
+        w: rect.w,
+        h: rect.h,
+        id: 'red_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+        type: meta.type || 'Manual',
+        source: meta.source || 'manual',
+        textHash: meta.text ? await sha256(meta.text) : null,
+        exemption: meta.exemption || null,
+        reviewer: meta.reviewer || null,
+        style: meta.style || null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * LOG BUILDER: Assembles the exportable audit record for one document
+ *
+ * @param {object} params
+ * @param {object} params.file - { name, size, type, sha256 } of the source document
+ * @param {Array} params.redactions - Flat list with page indexes (allRedactions())
+ * @param {Array} params.exemptions - Code list in use ({ code, description })
+ * @param {string} params.reviewer - Person performing the export
+ * @param {function} [params.toPageBox] - (redaction) → { x0, y0, x1, y1 } in PDF points (pixels for images)
+ * @param {object} [params.output] - { name, sha256 } of the produced file, when known
+ * @param {string} [params.auditSecret] - Key for the entries' textHash; without one they are null
+ */
+export async function buildAuditLog({ file, redactions, exemptions, reviewer, toPageBox, output = null, pageCount = 1, auditSecret = null }) {
+    const entries = await Promise.all(redactions.map(async (r, i) => ({
+        index: i + 1,
+        id: r.id || null,
+        page: (r.page || 0) + 1,
+        bbox: { x: r.x, y: r.y, w: r.w, h: r.h },
+        pageBox: toPageBox ? roundBox(toPageBox(r)) : null,
+        type: r.type || 'Manual',
+        source: r.source || 'manual',
+        textHash: r.textHash && auditSecret ? await keyedTextHash(auditSecret, r.textHash) : null,
+        exemption: r.exemption || null,
+        fill: styleOf(r).fill,
+        label: resolveLabel(r) || null,
+        reviewer: r.reviewer || reviewer || null,
+        createdAt: r.createdAt || null
+    })));
+
+    const usedCodes = new Set(entries.map(e => e.exemption).filter(Boolean));
+    return {
+        version: AUDIT_LOG_VERSION,
+        generator: 'Shield Redactor',
+        generatedAt: new Date().toISOString(),
+        textHashAlgorithm: 'HMAC-SHA-256(auditSecret, SHA-256(text))',
+        reviewer: reviewer || null,
+        document: { ...file, pageCount },
+        output,
+        summary: {
+            redactions: entries.length,
+            pages: [...new Set(entries.map(e => e.page))].sort((a, b) => a - b),
+            unexempted: entries.filter(e => !e.exemption).length
+        },
+        exemptions: exemptions.filter(c => usedCodes.has(c.code)),
+        entries
+    };
+}
+
+function roundBox(box) {
+    const r = (v) => Math.round(v * 100) / 100;
+    return { x0: r(box.x0), y0: r(box.y0), x1: r(box.x1), y1: r(box.y1) };
+}
+
+/**
+ * CERTIFICATE RENDERER: Appends "Certificate of Redaction" pages to a pdf-lib document
+ * Pass a fresh PDFDocument for a standalone certificate or the redacted output to append.
+ */
+export async function renderCertificate(pdfDoc, log) {
+    const { StandardFonts, rgb } = window.PDFLib;
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const mono = await pdfDoc.embedFont(StandardFonts.Courier);
+
+    const PAGE = [612, 792];
+    const MARGIN = 50;
+    const grey = rgb(0.35, 0.35, 0.35);
+    let page = null;
+    let y = 0;
+
+    const newPage = () => {
+        page = pdfDoc.addPage(PAGE);
+        y = PAGE[1] - MARGIN;
+    };
+    const ensure = (space) => {
+        if (!page || y - space < MARGIN) newPage();
+    };
+    // Standard fonts are WinAnsi; drop anything they cannot encode
+    const safe = (text) => String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+    const line = (text, { size = 10, f = font, x = MARGIN, color = rgb(0, 0, 0), gap = 4 } = {}) => {
+        ensure(size + gap);
+        page.drawText(safe(text), { x, y: y - size, size, font: f, color });
+        y -= size + gap;
+    };
+
+    newPage();
+    line('CERTIFICATE OF REDACTION', { size: 18, f: bold, gap: 10 });
+    line(`Document: ${log.document.name}`);
+    line(`Source SHA-256: ${log.document.sha256 || 'n/a'}`, { f: mono, size: 8 });
+    if (log.output && log.output.sha256) line(`Output SHA-256: ${log.output.sha256}`, { f: mono, size: 8 });
+    line(`Pages: ${log.document.pageCount}    Redactions: ${log.summary.redactions}    Pages affected: ${log.summary.pages.join(', ') || 'none'}`);
+    line(`Reviewer: ${log.reviewer || 'not recorded'}`);
+    line(`Generated: ${log.generatedAt}`, { gap: 12 });
+
+    if (log.document.type === 'application/pdf') {
+        line('Content under each listed region was removed from the page content (text, images and', { size: 9, color: grey });
+        line('vector graphics) and the output was verified by text re-extraction. Withheld text is', { size: 9, color: grey });
+    } else {
+        line('Pixels under each listed region were overwritten and the image was re-encoded.', { size: 9, color: grey });
+        line('Regions are given in image pixels. Withheld text is', { size: 9, color: grey });
+    }
+    line('identified only by a keyed hash (HMAC-SHA-256); the key stays with the vault project.', { size: 9, color: grey, gap: 14 });
+
+    const columns = [
+        { title: '#', x: MARGIN, value: e => String(e.index) },
+        { title: 'PAGE', x: MARGIN + 28, value: e => String(e.page) },
+        { title: 'EXEMPTION', x: MARGIN + 68, value: e => e.exemption || '-' },
+        { title: 'TYPE', x: MARGIN + 150, value: e => e.type.slice(0, 20) },
+        { title: 'REGION', x: MARGIN + 265, value: e => (e.pageBox ? `${e.pageBox.x0},${e.pageBox.y0} ${e.pageBox.x1},${e.pageBox.y1}` : '-') },
+        { title: 'TEXT HMAC', x: MARGIN + 400, value: e => (e.textHash ? e.textHash.slice(0, 24) : '-') }
+    ];
+    const header = () => {
+        ensure(24);
+        columns.forEach(c => page.drawText(c.title, { x: c.x, y: y - 8, size: 8, font: bold }));
+        page.drawLine({ start: { x: MARGIN, y: y - 12 }, end: { x: PAGE[0] - MARGIN, y: y - 12 }, thickness: 0.5, color: grey });
+        y -= 18;
+    };
+
+    header();
+    log.entries.forEach(entry => {
+        if (y - 12 < MARGIN) {
+            newPage();
+            header();
+        }
+        columns.forEach(c => page.drawText(safe(c.value(entry)), {
+            x: c.x, y: y - 8, size: 8, font: c.title === 'TEXT HMAC' || c.title === 'REGION' ? mono : font
+        }));
+        y -= 12;
+    });
+
+    if (log.exemptions.length) {
+        y -= 10;
+        line('EXEMPTION CODES', { f: bold, size: 10, gap: 6 });
+        log.exemptions.forEach(c => line(`${c.code}  ${c.description}`, { size: 8 }));
+    }
+
+    // Counts only: item names such as attachment file names may themselves be sensitive
+    if (log.sanitization && log.sanitization.removed.length) {
+        const counts = {};
+        log.sanitization.removed.forEach(r => { counts[r.category] = (counts[r.category] || 0) + 1; });
+        y -= 10;
+        line('METADATA REMOVED', { f: bold, size: 10, gap: 6 });
+        line(Object.entries(counts).map(([category, count]) => `${category} (${count})`).join(', '), { size: 8 });
+    }
+    return pdfDoc;
+}
@@ -0,0 +1,301 @@
+/**
+ * SHIELD AUTO-REDACT: Unattended PII Detection and Redacted Export
+ *
+ * ROLE:
+ * The redactor's detect → box → export path without the editor, so a pipeline (see
+ * workflow-steps.js) can redact a document nobody opens. The redactor itself uses
+ * detectPii() from here for its AUTO-SCAN.
+ *
+ * ARCHITECTURE:
+ * - Recognition: pdf.js text layer for digital pages; scanned pages and JPEG/PNG images are
+ *   rendered and read by the shared OCR pool (ocr-service.js)
+ * - Detection: Labelled names and checksum-validated identifiers (detectPii), plus the
+ *   matches of compiled rule sets (findRuleMatches); hits below minConfidence are skipped
+ * - Export: As the redactor's REDACTED export: metadata scrubbed, content under each box
+ *   removed (applyPdfRedactions), boxes burned in, then verified with pdf.js; a document
+ *   with recoverable text under a box is rejected. Images are re-encoded from pixels
+ * - Audit: Every box is an audited redaction (source 'auto' or 'rule'); the audit log of the
+ *   export is returned with the output, with the auditSecret that keys its text hashes
+ *
+ * USAGE:
+ *   const { blob, auditLog } = await autoRedactFile(file, { matchers, minConfidence: 0.6 });
+ */
+
+import { extractTextLayer, isScannedPage, indexLine, spanRect } from './shield-text-layer.js';
+import { findRuleMatches } from './shield-dictionaries.js';
+import { detectIdentifiers } from './shield-pii-detectors.js';
+import { applyPdfRedactions, verifyPdfRedactions, toPdfRect } from './shield-pdf-redaction.js';
+import { createAuditedRedaction, createAuditSecret, buildAuditLog, sha256 } from './shield-audit.js';
+import { sanitizePdf } from './shield-sanitizer.js';
+import { paintRedaction, drawPdfRedaction } from './shield-redaction-styles.js';
+import { ocrService } from './ocr-service.js';
+
+// Render scale of scanned pages for OCR, and of pages that must be flattened
+const OCR_SCALE = 2;
+const FLATTEN_SCALE = 2.5;
+
+/**
+ * PII DETECTION: Maps words/lines of one page to normalized matches
+ * Accepts Tesseract results and text-layer results alike (same shape).
+ * @param {object} data - { words, lines } recognition result
+ * @param {number} page - Page index the result belongs to
+ * @param {number} width - Width of the coordinate space of the boxes
+ * @param {number} height - Height of the coordinate space of the boxes
+ */
+export function detectPii(data, page, width, height) {
+    const { lines } = data;
+    const matches = [];
+    const toRect = (bbox) => ({
+        x: bbox.x0 / width,
+        y: bbox.y0 / height,
+        w: (bbox.x1 - bbox.x0) / width,
+        h: (bbox.y1 - bbox.y0) / height
+    });
+
+    // 1. Label-Based Name Detection (Contextual)
+    const nameLabels = ['name', 'full name', 'owner', 'contact', 'attn', 'to', 'from', 'customer', 'patient', 'client', 'employee'];
+    lines.forEach(line => {
+        const text = line.text.trim();
+        const lowerText = text.toLowerCase();
+
+        for (const label of nameLabels) {
+            if (lowerText.startsWith(label)) {
+                const remaining = text.substring(label.length).replace(/^[:\s-]+/, '').trim();
+                if (remaining.length > 2 && remaining.split(/\s+/).length <= 4) {
+                    // Find precise box by skipping the label words
+                    const labelWordCount = label.split(/\s+/).length;
+                    const nameWords = line.words.slice(labelWordCount);
+                    if (nameWords.length > 0) {
+                        const bbox = {
+                            x0: Math.min(...nameWords.map(w => w.bbox.x0)),
+                            y0: Math.min(...nameWords.map(w => w.bbox.y0)),
+                            x1: Math.max(...nameWords.map(w => w.bbox.x1)),
+                            y1: Math.max(...nameWords.map(w => w.bbox.y1))
+                        };
+                        matches.push({
+                            text: remaining,
+                            type: 'Potential Name',
+                            page,
+                            confidence: 0.5,
+                            rect: toRect(bbox)
+                        });
+                    }
+                }
+            }
+        }
+    });
+
+    // 2. Validated Identifier Discovery (Line-based, so grouped digits stay together)
+    lines.forEach(line => {
+        const { text, spans } = indexLine(line);
+        detectIdentifiers(text).forEach(hit => {
+            const rect = spanRect(spans, hit.start, hit.end, width, height);
+            if (!rect || matches.some(m => m.text.includes(hit.text))) return;
+            matches.push({
+                text: hit.text,
+                type: hit.type,
+                page,
+                confidence: hit.confidence,
+                rect
+            });
+        });
+    });
+
+    return matches;
+}
+
+async function renderPdfPage(pdf, pageIndex, scale) {
+    const page = await pdf.getPage(pageIndex + 1);
+    const viewport = page.getViewport({ scale, rotation: 0 });
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas;
+}
+
+// Detector hits above the threshold plus rule matches, boxed once each
+async function collectRedactions(layer, pageIndex, options, redactions) {
+    const { detect = true, matchers = [], minConfidence = 0, meta = {} } = options;
+    const found = [];
+    if (detect) {
+        detectPii(layer, pageIndex, layer.width, layer.height)
+            .filter(match => match.confidence >= minConfidence)
+            .forEach(match => found.push({ ...match, source: 'auto' }));
+    }
+    if (matchers.length) {
+        findRuleMatches(layer, matchers, pageIndex).forEach(match => found.push({ ...match, source: 'rule' }));
+    }
+
+    const eps = 0.002;
+    for (const match of found) {
+        const r = match.rect;
+        const exists = redactions.some(e => e.page === pageIndex && Math.abs(e.x - r.x) < eps && Math.abs(e.y - r.y) < eps &&
+            Math.abs(e.w - r.w) < eps && Math.abs(e.h - r.h) < eps);
+        if (exists) continue;
+        const redaction = await createAuditedRedaction(r, { ...meta, type: match.type, source: match.source, text: match.text });
+        redactions.push({ ...redaction, page: pageIndex });
+    }
+}
+
+/**
+ * PDF AUTO-REDACT: Detects, removes and verifies; returns the redacted document
+ * @param {Uint8Array} bytes - Source PDF
+ * @param {object} options - See autoRedactFile
+ * @returns {Promise<object>} { bytes, redactions, sanitization, pageCount, toPageBox }
+ */
+export async function autoRedactPdf(bytes, options = {}, onProgress = () => {}) {
+    const { ocr = true } = options;
+    const redactions = [];
+    const pdf = await pdfjsLib.getDocument({ data: bytes.slice(), isEvalSupported: false }).promise;
+    const pageCount = pdf.numPages;
+
+    try {
+        for (let i = 0; i < pageCount; i++) {
+            onProgress(`Reading page ${i + 1} of ${pageCount}...`);
+            let layer = await extractTextLayer(await pdf.getPage(i + 1));
+            if (isScannedPage(layer)) {
+                if (!ocr) continue;
+                const canvas = await renderPdfPage(pdf, i, OCR_SCALE);
+                const { data } = await ocrService.recognize(canvas);
+                layer = { words: data.words, lines: data.lines, width: canvas.width, height: canvas.height };
+            }
+            await collectRedactions(layer, i, options, redactions);
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    onProgress(`Removing ${redactions.length} redaction(s)...`);
+    const { PDFDocument, PDFName, PDFDict, StandardFonts } = window.PDFLib;
+    const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+    const sanitization = sanitizePdf(pdfDoc, bytes);
+    if (pdfDoc.catalog) {
+        ['OpenAction', 'AA', 'JavaScript'].forEach(key => pdfDoc.catalog.delete(PDFName.of(key)));
+        // Only the script and attachment name trees go; Dests keeps links and bookmarks working
+        const names = pdfDoc.context.lookup(pdfDoc.catalog.get(PDFName.of('Names')));
+        if (names instanceof PDFDict) {
+            ['JavaScript', 'EmbeddedFiles'].forEach(key => names.delete(PDFName.of(key)));
+            if (names.keys().length === 0) pdfDoc.catalog.delete(PDFName.of('Names'));
+        }
+    }
+
+    const pages = pdfDoc.getPages();
+    const rasterizePage = async (pageIndex) => {
+        const source = await pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+        try {
+            return await renderPdfPage(source, pageIndex, FLATTEN_SCALE);
+        } finally {
+            source.destroy();
+        }
+    };
+    await applyPdfRedactions(pdfDoc, redactions, { rasterizePage });
+
+    // Verified before the boxes go on: exemption labels are real text inside the boxes
+    onProgress('Verifying redactions...');
+    const verification = await verifyPdfRedactions(await pdfDoc.save(), redactions);
+    if (!verification.clean) {
+        const pagesHit = [...new Set(verification.leaks.map(l => l.page + 1))].join(', ');
+        throw new Error(`Verification found recoverable text under redaction boxes on page(s) ${pagesHit}. Output was not saved.`);
+    }
+
+    const labelFont = redactions.some(r => r.style && r.style.label)
+        ? await pdfDoc.embedFont(StandardFonts.HelveticaBold)
+        : null;
+    redactions.forEach(r => drawPdfRedaction(pages[r.page], toPdfRect(pages[r.page], r), r, labelFont));
+
+    const output = await pdfDoc.save();
+    return { bytes: output, redactions, sanitization, pageCount, toPageBox: r => toPdfRect(pages[r.page], r) };
+}
+
+/**
+ * IMAGE AUTO-REDACT: OCR, then boxes painted into a re-encoded copy (no source metadata)
+ * @returns {Promise<object>} { blob, redactions, width, height }
+ */
+export async function autoRedactImage(file, options = {}, onProgress = () => {}) {
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+
+    const redactions = [];
+    if (options.ocr !== false) {
+        onProgress('Reading image text...');
+        const { data } = await ocrService.recognize(canvas);
+        await collectRedactions({ words: data.words, lines: data.lines, width: canvas.width, height: canvas.height }, 0, options, redactions);
+    }
+
+    const ctx = canvas.getContext('2d');
+    redactions.forEach(r => paintRedaction(ctx, r, bitmap, canvas.width, canvas.height));
+    bitmap.close();
+
+    const mimeType = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, mimeType));
+    return { blob, redactions, width: canvas.width, height: canvas.height };
+}
+
+/**
+ * PDF CHECK: Drops often arrive with an empty or non-standard type ('', application/x-pdf),
+ * so the "%PDF-" header (within the first 1 KB, as readers allow) decides, then the extension
+ */
+function looksLikePdf(file, name, bytes) {
+    if (file.type === 'application/pdf') return true;
+    const head = new TextDecoder('latin1').decode(bytes.subarray(0, 1024));
+    return head.includes('%PDF-') || (/\.pdf$/i.test(name) && !/^image\//.test(file.type));
+}
+
+/**
+ * AUTO-REDACT: Redacted, sanitized copy of a PDF or JPEG/PNG image with its audit log
+ *
+ * @param {File|Blob} file - Source document
+ * @param {object} [options]
+ * @param {boolean} [options.detect] - Run the PII detectors (default true)
+ * @param {Array} [options.matchers] - Compiled rule sets (compileRuleSet) to redact as well
+ * @param {number} [options.minConfidence] - Lowest detector confidence that is redacted (0-1)
+ * @param {boolean} [options.ocr] - OCR scanned pages and images (default true)
+ * @param {object} [options.meta] - Audit fields for every box ({ exemption, reviewer, style })
+ * @param {string} [options.name] - File name when the Blob has none
+ * @param {string} [options.auditSecret] - Key for the log's text hashes (a new one by default)
+ * @param {function} [onProgress] - (message) while working
+ * @returns {Promise<object>} { blob, redactions, auditLog, auditSecret }
+ */
+export async function autoRedactFile(file, options = {}, onProgress = () => {}) {
+    const name = options.name || file.name || 'document';
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const isPdf = looksLikePdf(file, name, bytes);
+    const source = { name, size: file.size, type: isPdf ? 'application/pdf' : file.type, sha256: await sha256(bytes) };
+    const auditSecret = options.auditSecret || createAuditSecret();
+
+    if (isPdf) {
+        const result = await autoRedactPdf(bytes, options, onProgress);
+        const auditLog = await buildAuditLog({
+            file: source,
+            redactions: result.redactions,
+            exemptions: [],
+            reviewer: options.meta && options.meta.reviewer,
+            toPageBox: result.toPageBox,
+            output: { name, sha256: await sha256(result.bytes) },
+            pageCount: result.pageCount,
+            auditSecret
+        });
+        auditLog.sanitization = { removed: result.sanitization.removed.map(r => ({ category: r.category, item: r.item })), notes: result.sanitization.notes };
+        return { blob: new Blob([result.bytes], { type: 'application/pdf' }), redactions: result.redactions, auditLog, auditSecret };
+    }
+
+    if (/^image\/(jpeg|png)$/.test(file.type)) {
+        const result = await autoRedactImage(file, options, onProgress);
+        const auditLog = await buildAuditLog({
+            file: source,
+            redactions: result.redactions,
+            exemptions: [],
+            reviewer: options.meta && options.meta.reviewer,
+            toPageBox: r => ({ x0: r.x * result.width, y0: r.y * result.height, x1: (r.x + r.w) * result.width, y1: (r.y + r.h) * result.height }),
+            output: { name, sha256: await sha256(await result.blob.arrayBuffer()) },
+            auditSecret
+        });
+        return { blob: result.blob, redactions: result.redactions, auditLog, auditSecret };
+    }
+
+    throw new Error('Only PDF, JPEG and PNG files can be redacted.');
+}
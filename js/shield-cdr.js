@@ -0,0 +1,566 @@
+/**
+ * SHIELD CDR: Content Disarm & Reconstruction
+ *
+ * ROLE:
+ * Rebuilds a safe copy of a flagged file instead of trying to prove it harmless: only
+ * content known to be passive is carried over, and every removal is listed in a report
+ * that ships with the output.
+ *
+ * ARCHITECTURE:
+ * - PDF (rebuild): pdf-lib object model; actions (/OpenAction, /AA, JavaScript, Launch, URI,
+ *   SubmitForm...), document scripts, XFA forms and multimedia annotations are removed,
+ *   then the metadata scrubber (shield-sanitizer.js) drops metadata and attachments and
+ *   garbage-collects what no longer has a reference
+ * - PDF (flatten): Every page is rendered with pdf.js and placed as an image in a new PDF;
+ *   nothing but pixels survives (also used for encrypted PDFs pdf-lib cannot rewrite)
+ * - Images: Decoded and re-encoded from pixels, so metadata, trailing payloads and
+ *   polyglot content are left behind
+ * - SVG: Parsed with DOMParser; scripts, event handlers, foreign content, external
+ *   references and stylesheet imports are removed before it is serialized again
+ * - OOXML: Repacked with JSZip without VBA projects, Excel 4.0 macro sheets (and their
+ *   Auto_Open names), ActiveX controls, OLE objects and embedded packages that are not
+ *   macro-free documents, external relationships and DDE fields; macro-enabled packages
+ *   become macro-free (.docm → .docx) so Office no longer offers to run anything
+ *
+ * REPORT SHAPE: Same as the sanitizer { format, removed: [{ category, item, detail }], notes };
+ * buildCdrReport() wraps it with source/output hashes for the sidecar JSON file.
+ *
+ * DEPENDENCIES: window.PDFLib, pdfjsLib, window.JSZip (globals), DOMParser, canvas
+ */
+
+import { createReport, record, sanitizePdf, sanitizeImage } from './shield-sanitizer.js';
+import { sha256 } from './shield-audit.js';
+import { isZip } from './shield-archive.js';
+
+export const CDR_REPORT_VERSION = 1;
+
+// Actions that run code, open programs or reach the network when triggered
+const ACTIVE_ACTIONS = ['JavaScript', 'Launch', 'URI', 'SubmitForm', 'ImportData', 'GoToR', 'GoToE', 'RichMediaExecute', 'Rendition', 'Movie', 'Sound'];
+
+// Annotations that host players or 3D engines (file attachments are left to the sanitizer)
+const ACTIVE_ANNOTATIONS = ['RichMedia', 'Screen', 'Movie', 'Sound', '3D'];
+
+// Raster formats the canvas can write back; anything else is re-encoded as PNG
+const REENCODE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// SVG elements that execute, embed other documents or rewrite attributes at run time.
+// Matched on namespace + local name, so a prefix (<s:script>) does not hide them.
+const SVG_ACTIVE_ELEMENTS = ['script', 'foreignObject', 'iframe', 'embed', 'object', 'handler', 'listener', 'audio', 'video'];
+const SVG_ACTIVE_NAMESPACES = [
+    'http://www.w3.org/2000/svg',
+    'http://www.w3.org/1999/xhtml',
+    'http://www.w3.org/2001/xml-events'
+];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SVG_SAFE_DATA_URI = /^data:image\/(png|jpe?g|gif|webp);/i;
+
+// OOXML parts that carry code: VBA projects, Excel 4.0 macro sheets, ActiveX controls and OLE objects
+const OOXML_CODE_PARTS = [
+    { pattern: /(^|\/)(vbaProject\.bin|vbaData\.xml|vbaProjectSignature\w*\.bin|attachedToolbars\.bin)$/i, category: 'Macros' },
+    { pattern: /(^|\/)(macrosheets|intlmacrosheets)\//i, category: 'Macros' },
+    { pattern: /(^|\/)activeX\//i, category: 'ActiveX Controls' },
+    { pattern: /(^|\/)embeddings\/oleObject\d*\.bin$/i, category: 'OLE Objects' }
+];
+
+// Embedded packages are kept only when their content type is a macro-free Office document
+// or an image; macro-enabled documents, OLE packages and anything unidentified are dropped
+const SAFE_EMBEDDING_TYPE = /^(image\/|application\/vnd\.openxmlformats-officedocument\.(wordprocessingml\.document|spreadsheetml\.sheet|presentationml\.presentation)$)/;
+
+// Defined names Excel runs on open/close (Auto_Open, _xlnm.Auto_Open...)
+const AUTO_RUN_NAME = /^(_xlnm\.)?auto_(open|close|activate|deactivate)/i;
+
+// Macro-enabled main part content types → their macro-free equivalents
+const MACRO_FREE_TYPES = {
+    'application/vnd.ms-word.document.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml',
+    'application/vnd.ms-word.template.macroEnabledTemplate.main+xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.template.main+xml',
+    'application/vnd.ms-excel.sheet.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml',
+    'application/vnd.ms-excel.template.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.template.main+xml',
+    'application/vnd.ms-powerpoint.presentation.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml',
+    'application/vnd.ms-powerpoint.template.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.presentationml.template.main+xml',
+    'application/vnd.ms-powerpoint.slideshow.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.presentationml.slideshow.main+xml'
+};
+
+const OOXML_EXTENSIONS = /\.(docx|docm|dotx|dotm|xlsx|xlsm|xltx|xltm|pptx|pptm|potx|potm|ppsx|ppsm)$/i;
+
+// --- PDF ---
+
+function pdfString(value) {
+    if (!value) return '';
+    try {
+        return typeof value.decodeText === 'function' ? value.decodeText() : value.toString();
+    } catch (err) {
+        return value.toString();
+    }
+}
+
+/**
+ * ACTION DETAIL: What the removed action pointed at (script, program, URL...)
+ */
+function actionDetail(context, action) {
+    const { PDFDict, PDFName, PDFStream } = window.PDFLib;
+    const js = context.lookup(action.get(PDFName.of('JS')));
+    if (js instanceof PDFStream) return 'script stream';
+    if (js) return pdfString(js);
+    const target = context.lookup(action.get(PDFName.of('URI'))) || context.lookup(action.get(PDFName.of('F')));
+    if (!target) return '';
+    return target instanceof PDFDict ? pdfString(context.lookup(target.get(PDFName.of('UF')) || target.get(PDFName.of('F')))) : pdfString(target);
+}
+
+/**
+ * ACTION STRIPPER: Removes triggers and active actions from one dictionary, recursing into
+ * direct children (actions are often inline dictionaries under /A or /Next)
+ */
+function disarmDict(context, dict, owner, report, depth = 0) {
+    const { PDFDict, PDFArray, PDFName } = window.PDFLib;
+    if (depth > 32) return;
+
+    if (dict.has(PDFName.of('OpenAction'))) {
+        const action = context.lookup(dict.get(PDFName.of('OpenAction')));
+        const type = action instanceof PDFDict ? pdfString(action.get(PDFName.of('S'))).replace(/^\//, '') : 'destination';
+        record(report, 'Active Content', 'Open action (/OpenAction)', `${type} on ${owner}`);
+        dict.delete(PDFName.of('OpenAction'));
+    }
+    if (dict.has(PDFName.of('AA'))) {
+        const triggers = context.lookup(dict.get(PDFName.of('AA')));
+        const keys = triggers instanceof PDFDict ? triggers.keys().map(k => k.decodeText()).join(', ') : '';
+        record(report, 'Active Content', 'Additional actions (/AA)', `${keys} on ${owner}`);
+        dict.delete(PDFName.of('AA'));
+    }
+
+    ['A', 'Next'].forEach(key => {
+        const value = context.lookup(dict.get(PDFName.of(key)));
+        const actions = value instanceof PDFArray ? value.asArray().map(v => context.lookup(v)) : [value];
+        const active = actions.filter(a => a instanceof PDFDict && ACTIVE_ACTIONS.includes(pdfString(a.get(PDFName.of('S'))).replace(/^\//, '')));
+        if (!active.length) return;
+        active.forEach(a => record(report, 'Active Content', `${pdfString(a.get(PDFName.of('S'))).replace(/^\//, '')} action`, `${actionDetail(context, a)} (${owner})`));
+        dict.delete(PDFName.of(key));
+    });
+
+    // Indirect children are visited by the caller's object walk
+    dict.values().forEach(value => {
+        if (value instanceof PDFDict) disarmDict(context, value, owner, report, depth + 1);
+        else if (value instanceof PDFArray) {
+            value.asArray().forEach(item => {
+                if (item instanceof PDFDict) disarmDict(context, item, owner, report, depth + 1);
+            });
+        }
+    });
+}
+
+/**
+ * PDF REBUILD: Removes active content in place, then scrubs metadata and attachments
+ * @param {PDFDocument} pdfDoc - pdf-lib document (loaded with { updateMetadata: false })
+ * @param {Uint8Array} bytes - Source bytes (revision history for the sanitizer)
+ * @returns {object} Report
+ */
+export function rebuildPdf(pdfDoc, bytes) {
+    const { PDFDict, PDFArray, PDFName, PDFStream } = window.PDFLib;
+    const context = pdfDoc.context;
+    const catalog = pdfDoc.catalog;
+    const report = createReport('pdf');
+
+    // 1. Document-level scripts and XFA forms
+    const names = context.lookup(catalog.get(PDFName.of('Names')));
+    if (names instanceof PDFDict && names.has(PDFName.of('JavaScript'))) {
+        record(report, 'Active Content', 'Document scripts (/Names /JavaScript)');
+        names.delete(PDFName.of('JavaScript'));
+        if (names.keys().length === 0) catalog.delete(PDFName.of('Names'));
+    }
+    const acroForm = context.lookup(catalog.get(PDFName.of('AcroForm')));
+    if (acroForm instanceof PDFDict && acroForm.has(PDFName.of('XFA'))) {
+        record(report, 'Active Content', 'XFA form (/XFA)', 'dynamic form with its own scripting');
+        acroForm.delete(PDFName.of('XFA'));
+    }
+
+    // 2. Multimedia and 3D annotations
+    pdfDoc.getPages().forEach((page, index) => {
+        const annots = context.lookup(page.node.get(PDFName.of('Annots')));
+        if (!(annots instanceof PDFArray)) return;
+        const kept = annots.asArray().filter(ref => {
+            const annot = context.lookup(ref);
+            const subtype = annot instanceof PDFDict ? pdfString(annot.get(PDFName.of('Subtype'))).replace(/^\//, '') : '';
+            if (!ACTIVE_ANNOTATIONS.includes(subtype)) return true;
+            record(report, 'Active Content', `${subtype} annotation`, `page ${index + 1}`);
+            return false;
+        });
+        if (kept.length !== annots.size()) page.node.set(PDFName.of('Annots'), context.obj(kept));
+    });
+
+    // 3. Triggers and actions on every object
+    const catalogRef = context.trailerInfo.Root;
+    context.enumerateIndirectObjects().forEach(([ref, object]) => {
+        const dict = object instanceof PDFDict ? object : object instanceof PDFStream ? object.dict : null;
+        if (dict) disarmDict(context, dict, ref === catalogRef ? 'document' : `object ${ref.objectNumber}`, report);
+    });
+
+    // 4. Metadata, attachments, revision history; collects the objects orphaned above
+    const scrubbed = sanitizePdf(pdfDoc, bytes);
+    report.removed.push(...scrubbed.removed);
+    report.notes.push(...scrubbed.notes);
+    return report;
+}
+
+/**
+ * PDF FLATTEN: Renders every page to an image in a brand-new PDF
+ * @returns {Promise<{ bytes: Uint8Array, report: object }>}
+ */
+export async function flattenPdf(bytes, scale = 2) {
+    const { PDFDocument } = window.PDFLib;
+    const report = createReport('pdf');
+    const source = await pdfjsLib.getDocument({ data: bytes.slice(0), isEvalSupported: false }).promise;
+    const output = await PDFDocument.create();
+
+    try {
+        for (let i = 1; i <= source.numPages; i++) {
+            const page = await source.getPage(i);
+            const size = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale });
+            const canvas = document.createElement('canvas');
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+            const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            const image = await output.embedPng(await png.arrayBuffer());
+            output.addPage([size.width, size.height]).drawImage(image, { x: 0, y: 0, width: size.width, height: size.height });
+        }
+    } finally {
+        source.destroy();
+    }
+
+    record(report, 'Flattened', `${source.numPages} page(s)`, 'rendered to images; scripts, actions, links, forms, attachments and metadata are not carried over');
+    report.notes.push('Pages are images now: text can no longer be selected or searched.');
+    return { bytes: await output.save(), report };
+}
+
+// --- IMAGES ---
+
+/**
+ * IMAGE REBUILD: Re-encodes the pixels; the sanitizer report lists what the source carried
+ * @returns {Promise<{ blob: Blob, type: string, report: object }>}
+ */
+export async function reencodeImage(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const scrubbed = await sanitizeImage(bytes, file.type).catch(() => null);
+    const report = scrubbed ? scrubbed.report : createReport('image');
+
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const type = REENCODE_TYPES.includes(file.type) ? file.type : 'image/png';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, 0.95));
+    report.notes.push('Image re-encoded from pixels; metadata, appended data and polyglot payloads are not carried over.');
+    if (type !== file.type) report.notes.push(`Converted from ${file.type || 'unknown format'} to PNG.`);
+    return { blob, type, report };
+}
+
+// --- SVG ---
+
+function isExternalReference(value) {
+    const ref = value.trim();
+    return !ref.startsWith('#') && !SVG_SAFE_DATA_URI.test(ref);
+}
+
+/**
+ * CSS CLEANER: Drops @import rules and url() references that leave the document
+ */
+function cleanCss(css, owner, report) {
+    let cleaned = css.replace(/@import[^;]*;?/gi, (rule) => {
+        record(report, 'External References', 'Stylesheet import', `${rule.trim()} (${owner})`);
+        return '';
+    });
+    cleaned = cleaned.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, target) => {
+        if (!isExternalReference(target)) return match;
+        record(report, 'External References', 'CSS url()', `${target} (${owner})`);
+        return 'none';
+    });
+    return cleaned;
+}
+
+/**
+ * SVG REBUILD: Parses the markup and keeps only passive drawing content
+ * @param {string} text - SVG source
+ * @returns {{ text: string, report: object }}
+ */
+export function disarmSvg(text) {
+    const report = createReport('svg');
+    const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+    if (doc.getElementsByTagName('parsererror').length || !doc.documentElement || doc.documentElement.nodeName.toLowerCase() !== 'svg') {
+        throw new Error('SVG markup could not be parsed.');
+    }
+
+    // Entity declarations and stylesheet processing instructions live outside the root
+    [...doc.childNodes].forEach(node => {
+        if (node.nodeType === 10) record(report, 'Document Type', 'DOCTYPE', 'entity declarations removed');
+        else if (node.nodeType === 7) record(report, 'External References', 'Processing instruction', `<?${node.nodeName} ${node.nodeValue}?>`);
+        else return;
+        node.remove();
+    });
+
+    [...doc.querySelectorAll('*')].forEach(el => {
+        if (!el.isConnected || !SVG_ACTIVE_NAMESPACES.includes(el.namespaceURI)) return;
+        if (SVG_ACTIVE_ELEMENTS.includes(el.localName)) {
+            record(report, 'Active Content', `<${el.nodeName}>`, el.textContent);
+            el.remove();
+            return;
+        }
+        // SMIL animations can rewrite href or event attributes after load ("xlink:href",
+        // "x:href" and "href" all name the same attribute)
+        if (el.namespaceURI === SVG_NS && (el.localName === 'set' || el.localName === 'animate')) {
+            const target = (el.getAttribute('attributeName') || '').toLowerCase();
+            const localTarget = target.slice(target.indexOf(':') + 1);
+            if (localTarget === 'href' || localTarget === 'src' || localTarget.startsWith('on')) {
+                record(report, 'Active Content', `<${el.nodeName}> rewriting ${target}`);
+                el.remove();
+            }
+        }
+    });
+
+    [...doc.querySelectorAll('*')].forEach(el => {
+        const owner = `<${el.nodeName}>`;
+        [...el.attributes].forEach(attr => {
+            const name = attr.localName.toLowerCase();
+            if (name.startsWith('on')) {
+                record(report, 'Event Handlers', `${attr.name} on ${owner}`, attr.value);
+                el.removeAttributeNode(attr);
+            } else if (/javascript:/i.test(attr.value.replace(/\s+/g, ''))) {
+                record(report, 'Active Content', `javascript: URL in ${attr.name} on ${owner}`, attr.value);
+                el.removeAttributeNode(attr);
+            } else if ((name === 'href' || name === 'src') && isExternalReference(attr.value)) {
+                record(report, 'External References', `${attr.name} on ${owner}`, attr.value);
+                el.removeAttributeNode(attr);
+            } else if (name === 'style') {
+                attr.value = cleanCss(attr.value, owner, report);
+            }
+        });
+        if (el.localName.toLowerCase() === 'style') el.textContent = cleanCss(el.textContent, owner, report);
+    });
+
+    return { text: new XMLSerializer().serializeToString(doc), report };
+}
+
+// --- OOXML ---
+
+function attribute(tag, name) {
+    const match = new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`).exec(tag);
+    return match ? match[2] : null;
+}
+
+/**
+ * RELATIONSHIP TARGET: Part path a relationship points at, relative to its source part
+ * ("word/_rels/document.xml.rels" + "vbaProject.bin" → "word/vbaProject.bin")
+ */
+function resolvePart(relsPath, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = relsPath.replace(/_rels\/[^/]*$/, '').split('/').filter(Boolean);
+    target.split('/').forEach(segment => {
+        if (segment === '..') parts.pop();
+        else if (segment && segment !== '.') parts.push(segment);
+    });
+    return parts.join('/');
+}
+
+/**
+ * OOXML REBUILD: Repacks the package without code, external links or DDE
+ * @param {ArrayBuffer|Uint8Array} bytes - Package
+ * @param {string} name - Original file name (macro-enabled extensions are rewritten)
+ * @returns {Promise<{ blob: Blob, name: string, report: object }>}
+ */
+export async function disarmOoxml(bytes, name) {
+    const report = createReport('ooxml');
+    const zip = await window.JSZip.loadAsync(bytes);
+    if (!zip.file('[Content_Types].xml')) throw new Error('Not an Office Open XML package ([Content_Types].xml is missing).');
+
+    // Content type of every part: Override by part name, else Default by extension
+    const typesSource = await zip.file('[Content_Types].xml').async('string');
+    const defaultTypes = {};
+    const overrideTypes = {};
+    (typesSource.match(/<Default\b[^>]*>/g) || []).forEach(tag => {
+        defaultTypes[(attribute(tag, 'Extension') || '').toLowerCase()] = attribute(tag, 'ContentType') || '';
+    });
+    (typesSource.match(/<Override\b[^>]*>/g) || []).forEach(tag => {
+        overrideTypes[(attribute(tag, 'PartName') || '').replace(/^\//, '')] = attribute(tag, 'ContentType') || '';
+    });
+    const contentType = path => overrideTypes[path] ?? defaultTypes[(path.split('.').pop() || '').toLowerCase()] ?? '';
+
+    // 1. Code-carrying parts (a removed part's own relationships go with it)
+    const removed = new Set();
+    zip.forEach((path, entry) => {
+        if (entry.dir || path.endsWith('.rels')) return;
+        const code = OOXML_CODE_PARTS.find(c => c.pattern.test(path));
+        if (code) {
+            record(report, code.category, path);
+            removed.add(path);
+        } else if (/(^|\/)embeddings\//i.test(path) && !SAFE_EMBEDDING_TYPE.test(contentType(path))) {
+            record(report, 'Embedded Packages', path, contentType(path) || 'unknown content type');
+            removed.add(path);
+        }
+    });
+    zip.forEach((path, entry) => {
+        const owner = /^(.*?)_rels\/([^/]+)\.rels$/.exec(path);
+        if (!entry.dir && owner && removed.has(owner[1] + owner[2])) removed.add(path);
+    });
+    removed.forEach(path => zip.remove(path));
+
+    // 2. Relationships: external targets, and links to the parts removed above
+    const droppedIds = {}; // source part → relationship ids that pointed at removed parts
+    const relsFiles = zip.file(/\.rels$/);
+    for (const rels of relsFiles) {
+        const xml = await rels.async('string');
+        let changed = false;
+        const cleaned = xml.replace(/<Relationship\b[^>]*?(?:\/>|>[\s\S]*?<\/Relationship>)/g, (tag) => {
+            const target = attribute(tag, 'Target') || '';
+            const type = (attribute(tag, 'Type') || '').split('/').pop();
+            if ((attribute(tag, 'TargetMode') || '').toLowerCase() === 'external') {
+                record(report, 'External Relationships', type || 'link', `${target} (${rels.name})`);
+                changed = true;
+                return '';
+            }
+            if (removed.has(resolvePart(rels.name, target))) {
+                const source = rels.name.replace(/_rels\/([^/]+)\.rels$/, '$1');
+                (droppedIds[source] = droppedIds[source] || []).push(attribute(tag, 'Id'));
+                changed = true;
+                return '';
+            }
+            return tag;
+        });
+        if (changed) zip.file(rels.name, cleaned);
+    }
+
+    // Workbooks: sheet entries of removed macro sheets, and defined names that run on open
+    // or point into those sheets
+    const workbook = zip.file('xl/workbook.xml');
+    if (workbook) {
+        const xml = await workbook.async('string');
+        const removedIds = droppedIds['xl/workbook.xml'] || [];
+        const removedSheets = [];
+        const cleaned = xml
+            .replace(/<sheet\b[^>]*?\/>/g, (tag) => {
+                if (!removedIds.includes(attribute(tag, 'r:id'))) return tag;
+                removedSheets.push(attribute(tag, 'name') || '');
+                return '';
+            })
+            .replace(/<definedName\b([^>]*)>([\s\S]*?)<\/definedName>/g, (match, attrs, formula) => {
+                const definedName = attribute(attrs, 'name') || '';
+                const intoMacroSheet = removedSheets.some(sheet => sheet && (formula.includes(`${sheet}!`) || formula.includes(`'${sheet.replace(/'/g, "''")}'!`)));
+                if (!AUTO_RUN_NAME.test(definedName) && !intoMacroSheet) return match;
+                record(report, 'Macros', `Defined name ${definedName}`, formula);
+                return '';
+            });
+        if (cleaned !== xml) zip.file(workbook.name, cleaned);
+    }
+
+    // 3. Content types: no overrides for removed parts, macro-free main document type
+    let macroEnabled = false;
+    const types = typesSource
+        .replace(/<Override\b[^>]*?\/>/g, (tag) => (removed.has((attribute(tag, 'PartName') || '').replace(/^\//, '')) ? '' : tag))
+        .replace(/ContentType\s*=\s*(["'])(.*?)\1/g, (match, quote, type) => {
+            if (!MACRO_FREE_TYPES[type]) return match;
+            macroEnabled = true;
+            return `ContentType=${quote}${MACRO_FREE_TYPES[type]}${quote}`;
+        });
+    zip.file('[Content_Types].xml', types);
+    if (macroEnabled) record(report, 'Macros', 'Macro-enabled document type', 'converted to the macro-free format');
+
+    // 4. DDE: Word field instructions and Excel DDE formulas
+    for (const part of zip.file(/^(word|xl)\/.*\.xml$/)) {
+        const xml = await part.async('string');
+        const cleaned = xml
+            .replace(/(<w:instrText\b[^>]*>)([^<]*)(<\/w:instrText>)/g, (match, open, instr, close) => {
+                if (!/^\s*DDE(AUTO)?\b/i.test(instr)) return match;
+                record(report, 'DDE', 'Field instruction', `${instr.trim()} (${part.name})`);
+                return open + close;
+            })
+            .replace(/(\sw:instr\s*=\s*)(["'])(\s*DDE(?:AUTO)?\b.*?)\2/gi, (match, prefix, quote, instr) => {
+                record(report, 'DDE', 'Field instruction', `${instr.trim()} (${part.name})`);
+                return `${prefix}${quote}${quote}`;
+            })
+            .replace(/<f\b[^>]*>([^<]*)<\/f>/g, (match, formula) => {
+                if (!/[\w.]+\|'?[^'!]*'?!/.test(formula)) return match;
+                record(report, 'DDE', 'Formula', `${formula} (${part.name})`);
+                return '';
+            });
+        if (cleaned !== xml) zip.file(part.name, cleaned);
+    }
+
+    if (report.removed.some(r => r.category === 'External Relationships')) {
+        report.notes.push('Links to external templates, images and data sources were removed and will not resolve.');
+    }
+
+    const outputName = name.replace(/\.(doc|dot|xls|xlt|ppt|pot|pps)m$/i, '.$1x');
+    const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    return { blob, name: outputName, report };
+}
+
+// --- DISPATCH ---
+
+/**
+ * FORMAT DETECTION: Which CDR engine handles a file (null when none does)
+ */
+export function cdrFormat(file, header) {
+    if (header[0] === 0x25 && header[1] === 0x50 && header[2] === 0x44 && header[3] === 0x46) return 'pdf';
+    if (file.type === 'image/svg+xml' || /\.svg$/i.test(file.name)) return 'svg';
+    if (isZip(header) && OOXML_EXTENSIONS.test(file.name)) return 'ooxml';
+    if (file.type.startsWith('image/')) return 'image';
+    return null;
+}
+
+/**
+ * SAFE COPY: Runs the matching CDR engine on a file
+ * @param {File} file - Source file
+ * @param {object} [options] - { pdfMode: 'rebuild' | 'flatten' }
+ * @returns {Promise<{ blob: Blob, name: string, report: object }>}
+ */
+export async function disarmFile(file, { pdfMode = 'rebuild' } = {}) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const format = cdrFormat(file, bytes.subarray(0, 8));
+
+    if (format === 'pdf') {
+        const { PDFDocument } = window.PDFLib;
+        let pdfDoc = null;
+        if (pdfMode !== 'flatten') {
+            pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false, ignoreEncryption: true });
+            // pdf-lib cannot rewrite encrypted streams; pdf.js can still render the pages
+            if (pdfDoc.isEncrypted) pdfDoc = null;
+        }
+        if (!pdfDoc) {
+            const { bytes: flat, report } = await flattenPdf(bytes);
+            if (pdfMode !== 'flatten') report.notes.push('Encrypted PDF: pages were flattened because the objects cannot be rebuilt.');
+            return { blob: new Blob([flat], { type: 'application/pdf' }), name: file.name, report };
+        }
+        const report = rebuildPdf(pdfDoc, bytes);
+        return { blob: new Blob([await pdfDoc.save()], { type: 'application/pdf' }), name: file.name, report };
+    }
+    if (format === 'svg') {
+        const { text, report } = disarmSvg(new TextDecoder().decode(bytes));
+        return { blob: new Blob([text], { type: 'image/svg+xml' }), name: file.name, report };
+    }
+    if (format === 'ooxml') return disarmOoxml(bytes, file.name);
+    if (format === 'image') {
+        const { blob, type, report } = await reencodeImage(file);
+        const name = type === file.type ? file.name : file.name.replace(/\.[^.]*$/, '') + '.png';
+        return { blob, name, report };
+    }
+    throw new Error(`No safe-copy rebuild is available for "${file.name}" (PDF, images, SVG and Office Open XML are supported).`);
+}
+
+/**
+ * SIDECAR REPORT: What was removed, with source and output hashes
+ */
+export async function buildCdrReport(file, output, mode = null) {
+    return {
+        version: CDR_REPORT_VERSION,
+        generator: 'Shield CDR',
+        generatedAt: new Date().toISOString(),
+        source: { name: file.name, size: file.size, sha256: await sha256(new Uint8Array(await file.arrayBuffer())) },
+        output: { name: output.name, size: output.blob.size, sha256: await sha256(new Uint8Array(await output.blob.arrayBuffer())) },
+        format: output.report.format,
+        mode,
+        removed: output.report.removed,
+        notes: output.report.notes
+    };
+}
@@ -0,0 +1,616 @@
+/**
+ * SHIELD DETECTION RULES: User-Authored Threat Signatures (YARA-Style)
+ *
+ * ROLE:
+ * Lets analysts describe new threats as rules instead of waiting for a scanner release.
+ * Rule files are kept in the vault, compiled here and evaluated by ShieldScanner next to
+ * its built-in checks, on the uploaded file and on every archive entry.
+ *
+ * RULE LANGUAGE (a YARA subset):
+ *   rule Invoice_Dropper : phishing campaign
+ *   {
+ *       meta:
+ *           severity = "High"                 // Low | Medium | High | Critical (default Medium)
+ *           description = "Invoice lure dropping a PE"
+ *           threat = "Invoice Dropper"        // Threat type shown in the report (optional)
+ *       strings:
+ *           $lure = "Payment overdue" nocase wide ascii fullword
+ *           $mz   = { 4D 5A ?? 00 [2-8] 50 45 ( 00 | 01 ) }
+ *           $url  = /https?:\/\/[a-z0-9.-]+\.top\//i
+ *       condition:
+ *           uint16(0) != 0x5A4D and $lure and ($mz in (1024..filesize) or #url > 2)
+ *   }
+ *
+ * - Strings: text (escapes \" \\ \n \t \r \xHH), hex (?? / ?A nibble wildcards, [n-m] jumps,
+ *   ( A | B ) alternatives) and /regex/ with i and s flags; text modifiers nocase, wide,
+ *   ascii, fullword
+ * - Conditions: and / or / not, parentheses, == != < <= > >=, $a, #a (count), @a[i] (offset
+ *   of the i-th hit), $a at N, $a in (lo..hi), any / all / none / N of (them | ($a, $b*)),
+ *   filesize, KB/MB suffixes, uint8/16/32 and uint16be/32be over the first HEAD_SIZE bytes,
+ *   and names of earlier rules ("private rule" hides a helper rule from the report)
+ *
+ * ARCHITECTURE:
+ * - Model: { id, name, source, enabled } rule files in the ShieldStorage 'detectionRules' store
+ * - Compilation: Strings become global RegExps over a byte-per-character view of the data,
+ *   so hex, text and regex patterns all match raw bytes; conditions become closures
+ * - Matching: RuleMatcher is fed the scanner's streamed windows; hits inside the overlap
+ *   already seen are skipped, so counts and offsets are file-absolute and exact
+ */
+
+const SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+const HEAD_SIZE = 4096;
+const MAX_OFFSETS = 1000;
+const WORD = 'A-Za-z0-9_';
+
+/**
+ * FACTORY: Returns a new rule file with a starter rule
+ */
+export function createRuleFile(name = 'Untitled Rules', source = null) {
+    return {
+        id: 'detect_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+        name,
+        enabled: true,
+        source: source ?? [
+            'rule Example_Campaign',
+            '{',
+            '    meta:',
+            '        severity = "Medium"',
+            '        description = "Describe what this rule catches"',
+            '    strings:',
+            '        $a = "example indicator" nocase',
+            '    condition:',
+            '        $a',
+            '}',
+            ''
+        ].join('\n')
+    };
+}
+
+// --- LEXER ---
+class RuleSyntaxError extends Error {
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.line = line;
+    }
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+
+    const push = (type, value, extra = {}) => tokens.push({ type, value, line, ...extra });
+    const previous = () => tokens[tokens.length - 1];
+
+    while (pos < source.length) {
+        const c = source[pos];
+
+        if (c === '\n') {
+            line++;
+            pos++;
+        } else if (/\s/.test(c)) {
+            pos++;
+        } else if (source.startsWith('//', pos)) {
+            while (pos < source.length && source[pos] !== '\n') pos++;
+        } else if (source.startsWith('/*', pos)) {
+            const end = source.indexOf('*/', pos + 2);
+            if (end < 0) throw new RuleSyntaxError('Unterminated comment', line);
+            line += (source.slice(pos, end).match(/\n/g) || []).length;
+            pos = end + 2;
+        } else if (c === '"') {
+            let value = '';
+            pos++;
+            while (pos < source.length && source[pos] !== '"') {
+                if (source[pos] === '\n') throw new RuleSyntaxError('Unterminated string', line);
+                if (source[pos] === '\\') {
+                    const e = source[pos + 1];
+                    if (e === 'x' && /^[0-9A-Fa-f]{2}$/.test(source.substr(pos + 2, 2))) {
+                        value += String.fromCharCode(parseInt(source.substr(pos + 2, 2), 16));
+                        pos += 4;
+                        continue;
+                    }
+                    const simple = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' }[e];
+                    if (simple === undefined) throw new RuleSyntaxError(`Unknown escape \\${e}`, line);
+                    value += simple;
+                    pos += 2;
+                } else {
+                    value += source[pos++];
+                }
+            }
+            if (pos >= source.length) throw new RuleSyntaxError('Unterminated string', line);
+            pos++;
+            push('string', value);
+        } else if (c === '{' && previous()?.value === '=') {
+            const end = source.indexOf('}', pos);
+            if (end < 0) throw new RuleSyntaxError('Unterminated hex string', line);
+            push('hex', source.slice(pos + 1, end));
+            line += (source.slice(pos, end).match(/\n/g) || []).length;
+            pos = end + 1;
+        } else if (c === '/' && previous()?.value === '=') {
+            let end = pos + 1;
+            let inClass = false;
+            while (end < source.length && (source[end] !== '/' || inClass)) {
+                if (source[end] === '\n') throw new RuleSyntaxError('Unterminated regular expression', line);
+                if (source[end] === '\\') end++;
+                else if (source[end] === '[') inClass = true;
+                else if (source[end] === ']') inClass = false;
+                end++;
+            }
+            const flags = /^[is]*/.exec(source.slice(end + 1))[0];
+            push('regex', source.slice(pos + 1, end), { flags });
+            pos = end + 1 + flags.length;
+        } else if (/[$#@]/.test(c)) {
+            const match = /^[$#@][A-Za-z0-9_]*\*?/.exec(source.slice(pos));
+            push(c === '$' ? 'strid' : c === '#' ? 'count' : 'offset', match[0].slice(1));
+            pos += match[0].length;
+        } else if (/[0-9]/.test(c)) {
+            const match = /^(0x[0-9A-Fa-f]+|\d+)(KB|MB)?/.exec(source.slice(pos));
+            const value = parseInt(match[1], match[1].startsWith('0x') ? 16 : 10) * (match[2] === 'MB' ? 1048576 : match[2] === 'KB' ? 1024 : 1);
+            push('number', value);
+            pos += match[0].length;
+        } else if (/[A-Za-z_]/.test(c)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(pos));
+            push('ident', match[0]);
+            pos += match[0].length;
+        } else {
+            const op = ['..', '==', '!=', '<=', '>='].find(o => source.startsWith(o, pos)) || c;
+            if (!'{}()[]:=,<>*'.includes(op) && op.length === 1) throw new RuleSyntaxError(`Unexpected character "${c}"`, line);
+            push('punct', op);
+            pos += op.length;
+        }
+    }
+    push('eof', null);
+    return tokens;
+}
+
+// --- STRING COMPILERS ---
+function escapeChar(code) {
+    return '\\x' + code.toString(16).padStart(2, '0');
+}
+
+function utf8Latin1(text) {
+    return String.fromCharCode(...new TextEncoder().encode(text));
+}
+
+function compileText(value, modifiers) {
+    const ascii = utf8Latin1(value);
+    const escape = (s) => [...s].map(ch => escapeChar(ch.charCodeAt(0))).join('');
+    const nocase = (s) => modifiers.has('nocase')
+        ? [...s].map(ch => /[A-Za-z]/.test(ch) ? `[${ch.toLowerCase()}${ch.toUpperCase()}]` : escape(ch)).join('')
+        : escape(s);
+
+    const variants = [];
+    if (modifiers.has('ascii') || !modifiers.has('wide')) variants.push(nocase(ascii));
+    if (modifiers.has('wide')) variants.push([...ascii].map(ch => nocase(ch) + '\\x00').join(''));
+
+    let source = variants.length > 1 ? `(?:${variants.join('|')})` : variants[0];
+    if (modifiers.has('fullword')) source = `(?<![${WORD}])${source}(?![${WORD}])`;
+    return source;
+}
+
+function compileHex(body, line) {
+    const tokens = body.match(/\[[^\]]*\]|[0-9A-Fa-f?]{2}|[()|]|\S/g) || [];
+    let source = '';
+    let depth = 0;
+    let bytes = 0;
+
+    for (const token of tokens) {
+        if (/^[0-9A-Fa-f]{2}$/.test(token)) {
+            source += escapeChar(parseInt(token, 16));
+            bytes++;
+        } else if (token === '??') {
+            source += '[\\s\\S]';
+            bytes++;
+        } else if (/^[0-9A-Fa-f?]{2}$/.test(token)) {
+            // Nibble wildcard: list the 16 bytes it stands for
+            const values = [];
+            for (let n = 0; n < 16; n++) values.push(parseInt(token.replace('?', n.toString(16)), 16));
+            source += `[${values.map(escapeChar).join('')}]`;
+            bytes++;
+        } else if (token.startsWith('[')) {
+            const jump = /^\[\s*(\d*)\s*(?:(-)\s*(\d*))?\s*\]$/.exec(token);
+            if (!jump || (!jump[1] && !jump[2])) throw new RuleSyntaxError(`Bad jump ${token}`, line);
+            const min = jump[1] || '0';
+            source += jump[2] ? `[\\s\\S]{${min},${jump[3]}}` : `[\\s\\S]{${min}}`;
+        } else if (token === '(') {
+            source += '(?:';
+            depth++;
+        } else if (token === ')') {
+            if (!depth--) throw new RuleSyntaxError('Unbalanced ")" in hex string', line);
+            source += ')';
+        } else if (token === '|') {
+            if (!depth) throw new RuleSyntaxError('"|" outside ( ) in hex string', line);
+            source += '|';
+        } else {
+            throw new RuleSyntaxError(`Bad hex token "${token}"`, line);
+        }
+    }
+    if (depth) throw new RuleSyntaxError('Unbalanced "(" in hex string', line);
+    if (!bytes) throw new RuleSyntaxError('Empty hex string', line);
+    return source;
+}
+
+function compileString(definition) {
+    const { id, kind, value, flags, modifiers, line } = definition;
+    let source;
+    let regexFlags = 'g';
+
+    if (kind === 'string') {
+        if (!value) throw new RuleSyntaxError(`$${id} is empty`, line);
+        source = compileText(value, modifiers);
+    } else if (kind === 'hex') {
+        source = compileHex(value, line);
+    } else {
+        source = value;
+        regexFlags += flags;
+    }
+
+    let regex;
+    try {
+        regex = new RegExp(source, regexFlags);
+    } catch (err) {
+        throw new RuleSyntaxError(`$${id}: ${err.message}`, line);
+    }
+    if (regex.test('')) throw new RuleSyntaxError(`$${id} matches empty data`, line);
+    regex.lastIndex = 0;
+    return { id, regex };
+}
+
+// --- PARSER ---
+class RuleParser {
+    constructor(source) {
+        this.tokens = tokenize(source);
+        this.pos = 0;
+        this.ruleNames = new Set();
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    accept(value) {
+        if (this.peek().value === value && this.peek().type !== 'string') {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value || token.type === 'string') throw new RuleSyntaxError(`Expected "${value}" but found "${token.value ?? 'end of file'}"`, token.line);
+        return token;
+    }
+
+    expectType(type, what) {
+        const token = this.next();
+        if (token.type !== type) throw new RuleSyntaxError(`Expected ${what} but found "${token.value ?? 'end of file'}"`, token.line);
+        return token;
+    }
+
+    parseFile() {
+        const rules = [];
+        while (this.peek().type !== 'eof') {
+            if (this.accept('import') || this.accept('include')) {
+                throw new RuleSyntaxError('import/include are not supported; paste the rules into this file', this.peek(-1).line);
+            }
+            rules.push(this.parseRule());
+        }
+        if (!rules.length) throw new RuleSyntaxError('No rules found', 1);
+        return rules;
+    }
+
+    parseRule() {
+        const isPrivate = this.accept('private');
+        if (this.peek().value === 'global') throw new RuleSyntaxError('global rules are not supported', this.peek().line);
+        this.expect('rule');
+        const nameToken = this.expectType('ident', 'a rule name');
+        const name = nameToken.value;
+        if (this.ruleNames.has(name)) throw new RuleSyntaxError(`Duplicate rule "${name}"`, nameToken.line);
+
+        const tags = [];
+        if (this.accept(':')) {
+            while (this.peek().type === 'ident' && this.peek().value !== '{') tags.push(this.next().value);
+        }
+        this.expect('{');
+
+        const meta = {};
+        const strings = [];
+        let condition = null;
+
+        while (!this.accept('}')) {
+            const section = this.expectType('ident', 'meta:, strings: or condition:');
+            this.expect(':');
+            if (section.value === 'meta') {
+                while (this.peek().type === 'ident' && this.peek(1).value === '=') {
+                    const key = this.next().value;
+                    this.next();
+                    const value = this.next();
+                    if (!['string', 'number'].includes(value.type) && !['true', 'false'].includes(value.value)) {
+                        throw new RuleSyntaxError(`meta ${key} needs a string, number or boolean`, value.line);
+                    }
+                    meta[key] = value.type === 'ident' ? value.value === 'true' : value.value;
+                }
+            } else if (section.value === 'strings') {
+                while (this.peek().type === 'strid') strings.push(this.parseStringDefinition(strings));
+            } else if (section.value === 'condition') {
+                condition = this.parseExpression({ strings, line: section.line });
+            } else {
+                throw new RuleSyntaxError(`Unknown section "${section.value}"`, section.line);
+            }
+        }
+        if (!condition) throw new RuleSyntaxError(`Rule "${name}" has no condition`, nameToken.line);
+
+        const severity = meta.severity === undefined ? 'Medium' : SEVERITIES.find(s => s.toLowerCase() === String(meta.severity).toLowerCase());
+        if (!severity) throw new RuleSyntaxError(`severity must be one of ${SEVERITIES.join(', ')}`, nameToken.line);
+
+        this.ruleNames.add(name);
+        return { name, tags, isPrivate, meta, severity, strings: strings.map(compileString), condition };
+    }
+
+    parseStringDefinition(existing) {
+        const idToken = this.next();
+        const id = idToken.value;
+        if (!id || id.endsWith('*')) throw new RuleSyntaxError('String identifiers need a name, e.g. $a', idToken.line);
+        if (existing.some(s => s.id === id)) throw new RuleSyntaxError(`Duplicate string $${id}`, idToken.line);
+        this.expect('=');
+
+        const value = this.next();
+        if (!['string', 'hex', 'regex'].includes(value.type)) throw new RuleSyntaxError(`$${id} needs "text", { hex } or /regex/`, value.line);
+
+        const modifiers = new Set();
+        while (this.peek().type === 'ident' && ['nocase', 'wide', 'ascii', 'fullword'].includes(this.peek().value)) {
+            const modifier = this.next();
+            if (value.type !== 'string') throw new RuleSyntaxError(`${modifier.value} only applies to text strings`, modifier.line);
+            modifiers.add(modifier.value);
+        }
+        return { id, kind: value.type, value: value.value, flags: value.flags || '', modifiers, line: idToken.line };
+    }
+
+    // Condition grammar: or → and → not → comparison → primary. Each node compiles to (ctx) => value.
+    parseExpression(scope) {
+        let left = this.parseAnd(scope);
+        while (this.accept('or')) {
+            const a = left;
+            const b = this.parseAnd(scope);
+            left = ctx => Boolean(a(ctx)) || Boolean(b(ctx));
+        }
+        return left;
+    }
+
+    parseAnd(scope) {
+        let left = this.parseNot(scope);
+        while (this.accept('and')) {
+            const a = left;
+            const b = this.parseNot(scope);
+            left = ctx => Boolean(a(ctx)) && Boolean(b(ctx));
+        }
+        return left;
+    }
+
+    parseNot(scope) {
+        if (this.accept('not')) {
+            const inner = this.parseNot(scope);
+            return ctx => !inner(ctx);
+        }
+        return this.parseComparison(scope);
+    }
+
+    parseComparison(scope) {
+        const left = this.parsePrimary(scope);
+        const op = this.peek();
+        if (op.type !== 'punct' || !['==', '!=', '<', '<=', '>', '>='].includes(op.value)) return left;
+        this.next();
+        const right = this.parsePrimary(scope);
+        const compare = {
+            '==': (a, b) => a === b,
+            '!=': (a, b) => a !== b,
+            '<': (a, b) => a < b,
+            '<=': (a, b) => a <= b,
+            '>': (a, b) => a > b,
+            '>=': (a, b) => a >= b
+        }[op.value];
+        // Missing values (no such hit, read past the head) make every comparison false
+        return ctx => {
+            const a = left(ctx);
+            const b = right(ctx);
+            return a !== undefined && b !== undefined && compare(a, b);
+        };
+    }
+
+    stringRef(scope, token) {
+        if (!scope.strings.some(s => s.id === token.value)) throw new RuleSyntaxError(`Undefined string $${token.value}`, token.line);
+        return token.value;
+    }
+
+    parsePrimary(scope) {
+        const token = this.next();
+
+        if (token.value === '(' && token.type === 'punct') {
+            const inner = this.parseExpression(scope);
+            this.expect(')');
+            return inner;
+        }
+        if (token.type === 'number') {
+            if (this.peek().value === 'of') return this.parseOf(scope, token.value, token.line);
+            return () => token.value;
+        }
+        if (token.type === 'strid') {
+            const id = this.stringRef(scope, token);
+            if (this.accept('at')) {
+                const at = this.parsePrimary(scope);
+                return ctx => ctx.offsets(id).includes(at(ctx));
+            }
+            if (this.accept('in')) {
+                const [low, high] = this.parseRange(scope);
+                return ctx => ctx.offsets(id).some(o => o >= low(ctx) && o <= high(ctx));
+            }
+            return ctx => ctx.count(id) > 0;
+        }
+        if (token.type === 'count') {
+            const id = this.stringRef(scope, token);
+            return ctx => ctx.count(id);
+        }
+        if (token.type === 'offset') {
+            const id = this.stringRef(scope, token);
+            let index = () => 1;
+            if (this.accept('[')) {
+                index = this.parseExpression(scope);
+                this.expect(']');
+            }
+            return ctx => ctx.offsets(id)[index(ctx) - 1];
+        }
+        if (token.type === 'ident') {
+            const word = token.value;
+            if (word === 'true') return () => true;
+            if (word === 'false') return () => false;
+            if (word === 'filesize') return ctx => ctx.filesize;
+            if (['any', 'all', 'none'].includes(word)) return this.parseOf(scope, word, token.line);
+
+            const read = /^uint(8|16|32)(be)?$/.exec(word);
+            if (read) {
+                this.expect('(');
+                const at = this.parseExpression(scope);
+                this.expect(')');
+                return ctx => ctx.uint(at(ctx), Number(read[1]) / 8, !!read[2]);
+            }
+            if (this.ruleNames.has(word)) return ctx => ctx.ruleResult(word);
+            throw new RuleSyntaxError(`Unknown identifier "${word}"`, token.line);
+        }
+        throw new RuleSyntaxError(`Unexpected "${token.value ?? 'end of file'}" in condition`, token.line);
+    }
+
+    parseRange(scope) {
+        this.expect('(');
+        const low = this.parseExpression(scope);
+        this.expect('..');
+        const high = this.parseExpression(scope);
+        this.expect(')');
+        return [low, high];
+    }
+
+    /**
+     * QUANTIFIERS: any / all / none / N of (them | ($a, $b*))
+     */
+    parseOf(scope, quantifier, line) {
+        this.expect('of');
+        let ids;
+        if (this.accept('them')) {
+            ids = scope.strings.map(s => s.id);
+        } else {
+            this.expect('(');
+            ids = [];
+            do {
+                const token = this.expectType('strid', 'a string identifier');
+                const matched = token.value.endsWith('*')
+                    ? scope.strings.filter(s => s.id.startsWith(token.value.slice(0, -1))).map(s => s.id)
+                    : [this.stringRef(scope, token)];
+                if (!matched.length) throw new RuleSyntaxError(`$${token.value} matches no strings`, token.line);
+                ids.push(...matched);
+            } while (this.accept(','));
+            this.expect(')');
+        }
+        if (!ids.length) throw new RuleSyntaxError('"of them" used in a rule without strings', line);
+
+        return ctx => {
+            const hits = ids.filter(id => ctx.count(id) > 0).length;
+            if (quantifier === 'any') return hits > 0;
+            if (quantifier === 'all') return hits === ids.length;
+            if (quantifier === 'none') return hits === 0;
+            return hits >= quantifier;
+        };
+    }
+}
+
+/**
+ * FILE COMPILER: Parses one rule file
+ * @returns {Array<object>} Compiled rules tagged with the file name
+ * @throws {Error} With the offending line number on syntax or pattern errors
+ */
+export function compileRuleFile(ruleFile) {
+    try {
+        return new RuleParser(ruleFile.source || '').parseFile().map(rule => ({ ...rule, file: ruleFile.name }));
+    } catch (err) {
+        throw new Error(`${ruleFile.name}: ${err.message}`);
+    }
+}
+
+// --- MATCHING ---
+function latin1(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return out;
+}
+
+/**
+ * MATCH ENGINE: Accumulates string hits over a streamed object, then evaluates conditions
+ * One matcher per scanned object; feed it every window in order, then call evaluate().
+ */
+export class RuleMatcher {
+    constructor(rules) {
+        this.rules = rules;
+        this.hits = rules.map(rule => new Map(rule.strings.map(s => [s.id, { count: 0, offsets: [], samples: [] }])));
+        this.head = new Uint8Array(0);
+        this.scannedEnd = 0;
+    }
+
+    /**
+     * WINDOW FEED: Records hits in one window (offset = file position of bytes[0])
+     * Hits that fit entirely inside the previous window's range were already counted.
+     */
+    feed(bytes, offset) {
+        if (offset < HEAD_SIZE && this.head.length < HEAD_SIZE) this.head = bytes.slice(0, HEAD_SIZE - offset);
+        const text = latin1(bytes);
+
+        this.rules.forEach((rule, r) => {
+            rule.strings.forEach(({ id, regex }) => {
+                const hit = this.hits[r].get(id);
+                regex.lastIndex = 0;
+                let match;
+                while ((match = regex.exec(text)) !== null) {
+                    const at = offset + match.index;
+                    if (match[0].length === 0) regex.lastIndex++;
+                    if (at + match[0].length <= this.scannedEnd) continue;
+                    hit.count++;
+                    if (hit.offsets.length < MAX_OFFSETS) hit.offsets.push(at);
+                    if (hit.samples.length < 3) hit.samples.push(match[0].slice(0, 60));
+                }
+            });
+        });
+        this.scannedEnd = offset + bytes.length;
+    }
+
+    /**
+     * EVALUATION: Runs every condition in file order
+     * @returns {Array<{ rule, hits }>} Matching public rules with their string hits
+     */
+    evaluate(filesize) {
+        const results = new Map();
+        const matched = [];
+        const head = this.head;
+
+        this.rules.forEach((rule, r) => {
+            const hits = this.hits[r];
+            const ctx = {
+                filesize,
+                count: id => hits.get(id).count,
+                offsets: id => hits.get(id).offsets,
+                ruleResult: name => results.get(name) === true,
+                uint: (at, size, bigEndian) => {
+                    if (typeof at !== 'number' || at < 0 || at + size > head.length) return undefined;
+                    let value = 0;
+                    for (let i = 0; i < size; i++) value += head[at + i] * 2 ** (8 * (bigEndian ? size - 1 - i : i));
+                    return value;
+                }
+            };
+            const result = Boolean(rule.condition(ctx));
+            results.set(rule.name, result);
+            if (result && !rule.isPrivate) matched.push({ rule, hits });
+        });
+        return matched;
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * SHIELD DICTIONARIES: User-Defined Redaction Rule Sets
+ *
+ * ROLE:
+ * Turns named rule sets (client names, project codenames, matter numbers...) into
+ * matchers and runs them over recognized page text. Used by the redactor's
+ * "Find & Redact" pass so per-matter terms are always removed in one sweep.
+ *
+ * ARCHITECTURE:
+ * - Model: { id, name, rules: [{ pattern, type: 'term' | 'regex', caseSensitive, wholeWord }] }
+ * - Compilation: Terms are escaped (whitespace matches any run of spaces), regexes are
+ *   used as written; whole-word wraps either in letter/digit lookarounds
+ * - Matching: Each line is rebuilt from its words (indexLine) so a hit spanning several
+ *   words maps back to their boxes (spanRect). Boxes always cover whole words.
+ * - Persistence: ShieldStorage 'rulesets' store (see shield-redactor-storage.js)
+ *
+ * INPUT SHAPE: Tesseract-compatible { words, lines, width, height } (see shield-text-layer.js)
+ */
+
+import { indexLine, spanRect } from './shield-text-layer.js';
+
+// Letters/digits in Latin, Greek and Cyrillic scripts count as part of a word
+const WORD_CHAR = '0-9A-Za-z_\\u00C0-\\u024F\\u0370-\\u03FF\\u0400-\\u04FF';
+
+/**
+ * FACTORY: Returns an empty rule set ready for editing
+ */
+export function createRuleSet(name = 'Untitled Rule Set') {
+    return {
+        id: 'rules_' + Date.now(),
+        name,
+        rules: []
+    };
+}
+
+/**
+ * FACTORY: Returns a rule with default options (literal, case-insensitive, whole word)
+ */
+export function createRule(pattern = '', type = 'term') {
+    return { pattern, type, caseSensitive: false, wholeWord: true };
+}
+
+/**
+ * RULE COMPILER: Builds the global RegExp for a single rule
+ * @throws {Error} When a regex rule is invalid or can match an empty string
+ */
+export function compileRule(rule) {
+    const pattern = (rule.pattern || '').trim();
+    if (!pattern) return null;
+
+    let source = rule.type === 'regex'
+        ? pattern
+        : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    if (rule.wholeWord) source = `(?<![${WORD_CHAR}])(?:${source})(?![${WORD_CHAR}])`;
+
+    let regex;
+    try {
+        regex = new RegExp(source, rule.caseSensitive ? 'g' : 'gi');
+    } catch (err) {
+        throw new Error(`Invalid pattern "${pattern}": ${err.message}`);
+    }
+    if (regex.test('')) throw new Error(`Pattern "${pattern}" matches empty text`);
+    return regex;
+}
+
+/**
+ * SET COMPILER: Compiles every rule of a set, tagging matchers with the set name
+ * @returns {Array<{ regex, label, pattern }>}
+ */
+export function compileRuleSet(ruleSet) {
+    return (ruleSet.rules || []).map(rule => {
+        const regex = compileRule(rule);
+        return regex ? { regex, label: ruleSet.name, pattern: rule.pattern } : null;
+    }).filter(Boolean);
+}
+
+/**
+ * MATCH ENGINE: Runs compiled matchers over one recognized page
+ *
+ * @param {object} layer - { lines, width, height } recognition result
+ * @param {Array} matchers - Output of compileRuleSet (may mix several sets)
+ * @param {number} page - Page index the layer belongs to
+ * @returns {Array<{ text, type, page, rect }>} Matches with normalized rects
+ */
+export function findRuleMatches(layer, matchers, page) {
+    const { lines, width, height } = layer;
+    const matches = [];
+
+    lines.forEach(line => {
+        const { text, spans } = indexLine(line);
+        if (!text) return;
+
+        matchers.forEach(({ regex, label }) => {
+            regex.lastIndex = 0;
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                const rect = spanRect(spans, match.index, match.index + match[0].length, width, height);
+                if (rect) matches.push({ text: match[0], type: label, page, rect });
+                if (match[0].length === 0) regex.lastIndex++;
+            }
+        });
+    });
+
+    return matches;
+}
@@ -0,0 +1,444 @@
+/**
+ * SHIELD EMAIL: Internet Message (.eml) and Outlook (.msg) Parser
+ *
+ * ROLE:
+ * Opens saved and forwarded emails so the scanner sees what the recipient sees: decoded
+ * bodies, every attachment as a file, the sender headers and the links in the message.
+ *
+ * ARCHITECTURE:
+ * - MIME (.eml): Headers are unfolded and RFC 2047 encoded words decoded; multipart bodies
+ *   are split on their boundaries (nested multiparts included) and each leaf part is
+ *   decoded from base64 or quoted-printable, then from its charset when it is text
+ * - Outlook (.msg): The OLE2 container is read with shield-ole.js; properties live in
+ *   "__substg1.0_<tag><type>" streams and attachments in "__attach_version1.0_#n" storages.
+ *   Embedded messages (attached .msg) are parsed in place.
+ * - Both formats produce the same message record:
+ *   { format, headers, subject, from, replyTo, returnPath, date, textBodies, htmlBodies,
+ *     attachments: [{ name, contentType, data } | { name, contentType, message }], errors }
+ * - Headers: headerMismatches() compares the organisational domains of From, Reply-To and
+ *   Return-Path; extractUrls() lists every link of the HTML and text bodies
+ *
+ * DEPENDENCIES:
+ * - shield-ole.js (compound file reader)
+ */
+
+import { readCompoundFile } from './shield-ole.js';
+
+// Nesting of multiparts / embedded messages, and parts kept per message
+const MAX_MIME_DEPTH = 16;
+const MAX_PARTS = 1000;
+const MAX_URLS = 1000;
+
+// Second-level labels under which organisations register (example.co.uk, example.com.au)
+const PUBLIC_SECOND_LEVEL = new Set(['ac', 'co', 'com', 'edu', 'gov', 'net', 'org', 'ne', 'or', 'go']);
+
+const TEXT_TYPES = { 'text/plain': 'textBodies', 'text/html': 'htmlBodies' };
+
+// MAPI property tags (without the type suffix)
+const MSG_PROPS = {
+    subject: '0037',
+    transportHeaders: '007D',
+    body: '1000',
+    html: '1013',
+    senderName: '0C1A',
+    senderAddress: '0C1F',
+    senderSmtp: '5D01',
+    attachData: '3701',
+    attachFilename: '3704',
+    attachLongFilename: '3707',
+    attachMime: '370E',
+    attachDisplayName: '3001'
+};
+
+// Bytes → one char per byte (TextDecoder('latin1') maps 0x80-0x9F through windows-1252)
+function toBinary(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return out;
+}
+
+function fromBinary(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+    return bytes;
+}
+
+// Header blocks are read as binary strings; raw 8-bit header text is UTF-8 in practice (RFC 6532)
+function headerText(binary) {
+    return /[\x80-\xFF]/.test(binary) ? new TextDecoder().decode(fromBinary(binary)) : binary;
+}
+
+function decodeCharset(bytes, charset) {
+    try {
+        return new TextDecoder((charset || 'utf-8').trim().toLowerCase()).decode(bytes);
+    } catch {
+        return new TextDecoder().decode(bytes);
+    }
+}
+
+/**
+ * TRANSFER DECODING: base64 and quoted-printable bodies back to bytes
+ */
+export function decodeTransfer(body, encoding) {
+    const kind = (encoding || '').trim().toLowerCase();
+    if (kind === 'base64') {
+        const clean = body.replace(/[^A-Za-z0-9+/]/g, '');
+        const usable = clean.slice(0, clean.length - (clean.length % 4 === 1 ? 1 : 0));
+        return fromBinary(atob(usable + '='.repeat((4 - (usable.length % 4)) % 4)));
+    }
+    if (kind === 'quoted-printable') {
+        return fromBinary(body
+            .replace(/[ \t]+(?=\r?\n)/g, '')
+            .replace(/=\r?\n/g, '')
+            .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+    }
+    return fromBinary(body);
+}
+
+/**
+ * ENCODED WORDS: "=?utf-8?B?...?=" / "=?iso-8859-1?Q?...?=" in header values (RFC 2047)
+ */
+export function decodeWords(value) {
+    return value
+        .replace(/(=\?[^?\s]+\?[BbQq]\?[^?\s]*\?=)\s+(?==\?[^?\s]+\?[BbQq]\?)/g, '$1')
+        .replace(/=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g, (word, charset, kind, text) => {
+            try {
+                const bytes = kind.toUpperCase() === 'B'
+                    ? decodeTransfer(text, 'base64')
+                    : decodeTransfer(text.replace(/_/g, ' '), 'quoted-printable');
+                return decodeCharset(bytes, charset.split('*')[0]);
+            } catch {
+                return word;
+            }
+        });
+}
+
+/**
+ * HEADER BLOCK: Unfolds continuation lines into [{ name, value }] (values undecoded)
+ */
+function parseHeaderBlock(block) {
+    const headers = [];
+    block.replace(/\r?\n(?=[ \t])/g, '').split(/\r?\n/).forEach(line => {
+        const match = /^([!-9;-~]+)[ \t]*:[ \t]*(.*)$/.exec(line);
+        if (match) headers.push({ name: match[1], value: match[2].trim() });
+    });
+    return headers;
+}
+
+function splitHeaderBody(text) {
+    const blank = /\r?\n\r?\n/.exec(text);
+    if (/^\r?\n/.test(text)) return { head: '', body: text.replace(/^\r?\n/, '') };
+    if (!blank) return { head: text, body: '' };
+    return { head: text.slice(0, blank.index), body: text.slice(blank.index + blank[0].length) };
+}
+
+/**
+ * PARAMETERS: 'text/html; charset="utf-8"' → { value: 'text/html', params: { charset } }
+ * RFC 2231 continuations and charset-tagged values (filename*=utf-8''%E2...) are joined.
+ */
+function parseParams(header) {
+    const [value, ...rest] = (header || '').split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    const extended = {};
+    rest.forEach(part => {
+        const eq = part.indexOf('=');
+        if (eq === -1) return;
+        const key = part.slice(0, eq).trim().toLowerCase();
+        let val = part.slice(eq + 1).trim();
+        if (val.startsWith('"') && val.endsWith('"')) val = val.slice(1, -1).replace(/\\(.)/g, '$1');
+
+        const ext = /^([^*]+)\*(?:(\d+)\*?)?$/.exec(key);
+        if (!ext) {
+            params[key] = val;
+            return;
+        }
+        const encoded = key.endsWith('*');
+        (extended[ext[1]] = extended[ext[1]] || []).push({ index: parseInt(ext[2] || '0', 10), val, encoded });
+    });
+
+    Object.entries(extended).forEach(([key, pieces]) => {
+        pieces.sort((a, b) => a.index - b.index);
+        let charset = 'utf-8';
+        const text = pieces.map((piece, i) => {
+            let val = piece.val;
+            if (!piece.encoded) return val;
+            if (i === 0) {
+                const tagged = /^([^']*)'[^']*'(.*)$/.exec(val);
+                if (tagged) {
+                    charset = tagged[1] || charset;
+                    val = tagged[2];
+                }
+            }
+            return decodeCharset(fromBinary(val.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))), charset);
+        }).join('');
+        params[key] = text;
+    });
+
+    return { value: value.trim().toLowerCase(), params };
+}
+
+function headerValue(headers, name) {
+    const found = headers.find(h => h.name.toLowerCase() === name);
+    return found ? decodeWords(found.value) : null;
+}
+
+function emptyMessage(format, headers) {
+    return {
+        format,
+        headers: headers.map(h => ({ name: h.name, value: decodeWords(h.value) })),
+        subject: headerValue(headers, 'subject'),
+        from: headerValue(headers, 'from'),
+        replyTo: headerValue(headers, 'reply-to'),
+        returnPath: headerValue(headers, 'return-path'),
+        date: headerValue(headers, 'date'),
+        textBodies: [],
+        htmlBodies: [],
+        attachments: [],
+        errors: []
+    };
+}
+
+/**
+ * MIME WALKER: Adds the bodies and attachments of one part (recursing into multiparts)
+ * @param {string} text - The part as a binary string (one char per byte)
+ */
+function walkPart(text, message, depth) {
+    const { head, body } = splitHeaderBody(text);
+    const headers = parseHeaderBlock(headerText(head));
+    const raw = (name) => (headers.find(h => h.name.toLowerCase() === name) || {}).value;
+    const type = parseParams(raw('content-type') || 'text/plain');
+    const disposition = parseParams(raw('content-disposition') || '');
+    const encoding = raw('content-transfer-encoding');
+
+    if (message.parts++ >= MAX_PARTS) {
+        if (message.parts === MAX_PARTS + 1) message.errors.push(`More than ${MAX_PARTS} MIME parts; the rest were not read`);
+        return;
+    }
+
+    if (type.value.startsWith('multipart/') && type.params.boundary) {
+        if (depth >= MAX_MIME_DEPTH) {
+            message.errors.push(`Multipart nested more than ${MAX_MIME_DEPTH} levels deep was not opened`);
+            return;
+        }
+        const delimiter = `--${type.params.boundary}`;
+        const segments = ('\r\n' + body).split(new RegExp(`\\r?\\n${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`));
+        let closed = false;
+        for (const segment of segments.slice(1)) {
+            if (segment.startsWith('--')) {
+                closed = true;
+                break;
+            }
+            walkPart(segment.replace(/^[ \t]*\r?\n/, ''), message, depth + 1);
+        }
+        if (!closed) message.errors.push(`Multipart boundary "${type.params.boundary}" is never closed`);
+        return;
+    }
+
+    let data;
+    try {
+        data = decodeTransfer(body, encoding);
+    } catch (err) {
+        message.errors.push(`Part ${type.value} could not be decoded: ${err.message}`);
+        data = fromBinary(body);
+    }
+
+    const filename = disposition.params.filename || type.params.name;
+    const bodyList = TEXT_TYPES[type.value];
+    if (bodyList && disposition.value !== 'attachment' && !filename) {
+        message[bodyList].push(decodeCharset(data, type.params.charset));
+        return;
+    }
+
+    const fallback = type.value === 'message/rfc822' ? 'attached-message.eml' : `part${message.attachments.length + 1}.bin`;
+    message.attachments.push({
+        name: (filename ? decodeWords(filename) : fallback).replace(/[\\/]/g, '_'),
+        contentType: type.value,
+        data
+    });
+}
+
+/**
+ * EML PARSER: Decodes an Internet message (RFC 5322 / MIME)
+ * @param {Uint8Array} bytes - Whole message
+ * @returns {object} Message record (see ARCHITECTURE)
+ */
+export function parseEml(bytes) {
+    const text = toBinary(bytes);
+    const { head } = splitHeaderBody(text);
+    const message = emptyMessage('eml', parseHeaderBlock(headerText(head)));
+    message.parts = 0;
+    walkPart(text, message, 0);
+    delete message.parts;
+    return message;
+}
+
+/**
+ * EML SNIFFING: True when the text starts with an RFC 5322 header block
+ * Catches forwarded messages saved without the .eml extension.
+ * @param {string} text - The first few KB of the file
+ */
+export function looksLikeEml(text) {
+    const { head } = splitHeaderBody(text);
+    const lines = head.replace(/\r?\n(?=[ \t])/g, '').split(/\r?\n/).filter(Boolean);
+    if (lines.length < 2 || !lines.every(line => /^[!-9;-~]+[ \t]*:/.test(line))) return false;
+    const names = new Set(lines.map(line => line.split(':')[0].trim().toLowerCase()));
+    return names.has('from') && ['date', 'message-id', 'received', 'mime-version', 'subject'].some(n => names.has(n));
+}
+
+/**
+ * MSG PROPERTY: Reads a "__substg1.0_" stream as a string (PT_UNICODE / PT_STRING8) or bytes
+ */
+function msgProperty(cfb, prefix, tag, binary = false) {
+    const stream = (type) => cfb.find(`${prefix}__substg1.0_${tag}${type}`);
+    if (binary) {
+        const entry = stream('0102');
+        return entry ? cfb.readStream(entry) : null;
+    }
+    const unicode = stream('001F');
+    if (unicode) return new TextDecoder('utf-16le').decode(cfb.readStream(unicode)).replace(/\0+$/, '');
+    const ansi = stream('001E');
+    if (ansi) return decodeCharset(cfb.readStream(ansi), 'windows-1252').replace(/\0+$/, '');
+    return null;
+}
+
+function readMsgMessage(cfb, prefix, depth) {
+    const transport = msgProperty(cfb, prefix, MSG_PROPS.transportHeaders);
+    const message = emptyMessage('msg', transport ? parseHeaderBlock(splitHeaderBody(transport).head) : []);
+
+    // Messages that never crossed a mail server (drafts, saved copies) have no transport headers
+    if (!message.subject) message.subject = msgProperty(cfb, prefix, MSG_PROPS.subject);
+    if (!message.from) {
+        const address = msgProperty(cfb, prefix, MSG_PROPS.senderSmtp) || msgProperty(cfb, prefix, MSG_PROPS.senderAddress);
+        const name = msgProperty(cfb, prefix, MSG_PROPS.senderName);
+        if (address) message.from = name && name !== address ? `${name} <${address}>` : address;
+    }
+
+    const text = msgProperty(cfb, prefix, MSG_PROPS.body);
+    if (text) message.textBodies.push(text);
+    const html = msgProperty(cfb, prefix, MSG_PROPS.html, true) || msgProperty(cfb, prefix, MSG_PROPS.html);
+    if (html) message.htmlBodies.push(typeof html === 'string' ? html : decodeCharset(html, 'utf-8'));
+
+    // Direct children of this message only (prefix is "" or ends with "/")
+    const level = prefix.split('/').length;
+    const attachmentStorages = cfb.entries.filter(e =>
+        e.type === 1 && /^__attach_version1\.0_#/i.test(e.name) &&
+        e.path.toLowerCase().startsWith(prefix.toLowerCase()) && e.path.split('/').length === level
+    );
+
+    attachmentStorages.forEach((storage, i) => {
+        const at = `${storage.path}/`;
+        const name = msgProperty(cfb, at, MSG_PROPS.attachLongFilename) || msgProperty(cfb, at, MSG_PROPS.attachFilename) ||
+            msgProperty(cfb, at, MSG_PROPS.attachDisplayName) || `attachment${i + 1}.bin`;
+        const contentType = (msgProperty(cfb, at, MSG_PROPS.attachMime) || 'application/octet-stream').toLowerCase();
+        const data = msgProperty(cfb, at, MSG_PROPS.attachData, true);
+        const embedded = cfb.find(`${at}__substg1.0_${MSG_PROPS.attachData}000D`);
+
+        if (data) {
+            message.attachments.push({ name: name.replace(/[\\/]/g, '_'), contentType, data });
+        } else if (embedded && depth < MAX_MIME_DEPTH) {
+            message.attachments.push({ name: name.replace(/[\\/]/g, '_'), contentType: 'application/vnd.ms-outlook', message: readMsgMessage(cfb, `${embedded.path}/`, depth + 1) });
+        } else if (embedded) {
+            message.errors.push(`Embedded message ${name} nested more than ${MAX_MIME_DEPTH} levels deep was not opened`);
+        } else {
+            message.errors.push(`Attachment ${name} has no data stream (linked or OLE attachment)`);
+        }
+    });
+
+    return message;
+}
+
+/**
+ * MSG PARSER: Decodes an Outlook item (MS-OXMSG)
+ * @param {Uint8Array} bytes - Whole file
+ * @returns {object} Message record (see ARCHITECTURE)
+ * @throws {Error} When the file is not a readable compound file
+ */
+export function parseMsg(bytes) {
+    return readMsgMessage(readCompoundFile(bytes), '', 0);
+}
+
+/**
+ * ADDRESS: First mailbox of a header value → { address, domain } (null when there is none)
+ */
+export function parseAddress(value) {
+    if (!value) return null;
+    const angle = /<\s*([^<>\s]+@[^<>\s]+?)\s*>/.exec(value);
+    const bare = angle ? null : /([^\s<>"',;:()]+@[^\s<>"',;:()]+)/.exec(value);
+    const address = (angle || bare || [])[1];
+    if (!address) return null;
+    return { address: address.toLowerCase(), domain: address.split('@').pop().toLowerCase().replace(/\.$/, '') };
+}
+
+/**
+ * ORGANISATIONAL DOMAIN: "mail.eu.example.co.uk" → "example.co.uk"
+ * A heuristic (no public suffix list): the last two labels, or three below common
+ * second-level labels of two-letter country domains.
+ */
+export function organizationalDomain(domain) {
+    const labels = domain.toLowerCase().split('.').filter(Boolean);
+    if (labels.length <= 2) return labels.join('.');
+    const [sld, tld] = labels.slice(-2);
+    const keep = tld.length === 2 && PUBLIC_SECOND_LEVEL.has(sld) ? 3 : 2;
+    return labels.slice(-keep).join('.');
+}
+
+/**
+ * SENDER CONSISTENCY: Reply-To and Return-Path domains that differ from the From domain
+ * A different Reply-To sends the victim's answer to someone else (Medium); a different
+ * Return-Path is common for mailing services, so it is only Low.
+ * @returns {object[]} [{ header, severity, from, address }]
+ */
+export function headerMismatches(message) {
+    const from = parseAddress(message.from);
+    if (!from) return [];
+
+    const checks = [['Reply-To', message.replyTo, 'Medium'], ['Return-Path', message.returnPath, 'Low']];
+    return checks.flatMap(([header, value, severity]) => {
+        const other = parseAddress(value);
+        if (!other || organizationalDomain(other.domain) === organizationalDomain(from.domain)) return [];
+        return [{ header, severity, from: from.address, address: other.address }];
+    });
+}
+
+function decodeEntities(html) {
+    return html.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);?/gi, (_, ent) => {
+        const lower = ent.toLowerCase();
+        if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16) || 0xFFFD);
+        if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10) || 0xFFFD);
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[lower];
+    });
+}
+
+/**
+ * LINK INVENTORY: Every URL in the message bodies, once each
+ * HTML: href/src/action attributes (entities decoded) and URLs in the text; plain text: URLs.
+ * Inline image references (cid:) are not links and are left out.
+ * @returns {object[]} [{ url, domain, source: 'html' | 'text' }]
+ */
+export function extractUrls(message) {
+    const urls = new Map();
+    const add = (raw, source) => {
+        const url = raw.trim().replace(/[).,;\]]+$/, '');
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(url) || /^cid:/i.test(url) || urls.has(url) || urls.size >= MAX_URLS) return;
+        let domain = null;
+        try {
+            domain = new URL(url).hostname.toLowerCase() || null;
+        } catch {
+            // Kept in the inventory; a URL the browser cannot parse is worth a look
+        }
+        urls.set(url, { url, domain, source });
+    };
+    const bare = /\b(?:https?|ftp):\/\/[^\s"'<>]+/gi;
+
+    message.htmlBodies.forEach(html => {
+        const attr = /\b(?:href|src|action|background)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+        for (let m = attr.exec(html); m; m = attr.exec(html)) add(decodeEntities(m[1] ?? m[2] ?? m[3]), 'html');
+        const text = decodeEntities(html.replace(/<[^>]*>/g, ' '));
+        (text.match(bare) || []).forEach(url => add(url, 'html'));
+    });
+    message.textBodies.forEach(text => (text.match(bare) || []).forEach(url => add(url, 'text')));
+
+    return [...urls.values()];
+}
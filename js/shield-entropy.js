@@ -0,0 +1,246 @@
+/**
+ * SHIELD ENTROPY: Block-Entropy Map and Structure Annotations
+ *
+ * ROLE:
+ * Shows *where* in a file the packed, encrypted or appended data sits. Shannon entropy is
+ * computed per block, and known structures (PE headers and sections, ZIP entries, PDF
+ * streams) are located so the map can label the regions around them.
+ *
+ * ARCHITECTURE:
+ * - Streaming: EntropyMap is fed by the scanner's stream windows. Entropy uses each byte
+ *   once (update); structure search sees the overlapping windows (scan) and only looks at
+ *   positions it has not seen, leaving a short lookahead for the next window or finish()
+ * - Map: { blockSize, size, overall, blocks: [bits per byte], structures: [{ kind, label,
+ *   offset, length }] }, entropy values are 0 (constant) to 8 (random)
+ * - Analysis: highEntropyRegions() merges adjacent high blocks into ranges; hexdump()
+ *   formats bytes for the viewer
+ *
+ * USAGE:
+ *   const map = new EntropyMap();
+ *   map.update(bytes); map.scan(windowBytes, windowOffset); ...
+ *   const { blocks, structures } = map.finish();
+ */
+
+export const ENTROPY_BLOCK_SIZE = 4096;
+
+// Bits per byte above which a block is treated as compressed / encrypted
+export const HIGH_ENTROPY = 7.2;
+
+// Bytes a structure header may need past its marker; later markers wait for the next window
+const LOOKAHEAD = 1024;
+const MAX_STRUCTURES = 2000;
+const MAX_PE_SECTIONS = 96;
+
+const ascii = (text) => Array.from(text, c => c.charCodeAt(0));
+const MARKERS = {
+    mz: ascii('MZ'),
+    zipLocal: [0x50, 0x4B, 0x03, 0x04],
+    zipEnd: [0x50, 0x4B, 0x05, 0x06],
+    stream: ascii('stream'),
+    endstream: ascii('endstream'),
+    eof: ascii('%%EOF'),
+    pdf: ascii('%PDF-')
+};
+
+function startsWith(bytes, at, marker) {
+    if (at + marker.length > bytes.length) return false;
+    for (let i = 0; i < marker.length; i++) if (bytes[at + i] !== marker[i]) return false;
+    return true;
+}
+
+/**
+ * SHANNON ENTROPY: Bits per byte of a byte histogram
+ */
+export function shannonEntropy(counts, total) {
+    if (!total) return 0;
+    let bits = 0;
+    for (let i = 0; i < 256; i++) {
+        if (!counts[i]) continue;
+        const p = counts[i] / total;
+        bits -= p * Math.log2(p);
+    }
+    return bits;
+}
+
+export class EntropyMap {
+    constructor(blockSize = ENTROPY_BLOCK_SIZE) {
+        this.blockSize = blockSize;
+        this.blocks = [];
+        this.counts = new Uint32Array(256);
+        this.totals = new Float64Array(256);
+        this.filled = 0;
+        this.size = 0;
+        this.structures = [];
+        this.scannedTo = 0;
+        this.last = null;
+        this.pdfSeen = false;
+        this.openStream = null;
+        this.peEnd = null;
+    }
+
+    /**
+     * ENTROPY FEED: Contiguous, non-overlapping bytes in file order
+     */
+    update(bytes) {
+        let at = 0;
+        while (at < bytes.length) {
+            const take = Math.min(bytes.length - at, this.blockSize - this.filled);
+            for (let i = at; i < at + take; i++) this.counts[bytes[i]]++;
+            this.filled += take;
+            at += take;
+            if (this.filled === this.blockSize) this.closeBlock();
+        }
+        this.size += bytes.length;
+    }
+
+    closeBlock() {
+        this.blocks.push(Math.round(shannonEntropy(this.counts, this.filled) * 100) / 100);
+        for (let i = 0; i < 256; i++) this.totals[i] += this.counts[i];
+        this.counts.fill(0);
+        this.filled = 0;
+    }
+
+    /**
+     * STRUCTURE FEED: A stream window (may overlap the previous one)
+     * @param {Uint8Array} bytes - Window bytes
+     * @param {number} offset - File position of bytes[0]
+     */
+    scan(bytes, offset) {
+        this.last = { bytes, offset };
+        this.findStructures(bytes, offset, Math.max(0, bytes.length - LOOKAHEAD));
+    }
+
+    findStructures(bytes, offset, end) {
+        for (let i = Math.max(0, this.scannedTo - offset); i < end; i++) {
+            const byte = bytes[i];
+            if (byte === 0x4D) this.matchPe(bytes, i, offset);
+            else if (byte === 0x50) this.matchZip(bytes, i, offset);
+            else if (byte === 0x73 && this.pdfSeen) this.matchStream(bytes, i, offset);
+            else if (byte === 0x65 && this.openStream && startsWith(bytes, i, MARKERS.endstream)) {
+                this.add('pdf-stream', this.openStream.label, this.openStream.offset, offset + i - this.openStream.offset);
+                this.openStream = null;
+            } else if (byte === 0x25 && startsWith(bytes, i, MARKERS.pdf)) {
+                this.add('pdf', 'PDF header', offset + i, 8);
+                this.pdfSeen = true;
+            } else if (byte === 0x25 && this.pdfSeen && startsWith(bytes, i, MARKERS.eof)) {
+                this.add('pdf-eof', 'PDF end of file (%%EOF)', offset + i, 5);
+            }
+        }
+        this.scannedTo = Math.max(this.scannedTo, offset + end);
+    }
+
+    add(kind, label, offset, length) {
+        if (this.structures.length < MAX_STRUCTURES) this.structures.push({ kind, label, offset, length });
+    }
+
+    // MZ stub → PE signature → section table (sections and any overlay after the last one)
+    matchPe(bytes, i, offset) {
+        if (!startsWith(bytes, i, MARKERS.mz) || i + 0x40 > bytes.length) return;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const lfanew = view.getUint32(i + 0x3C, true);
+        const pe = i + lfanew;
+        if (lfanew < 0x40 || lfanew > LOOKAHEAD - 24 || pe + 24 > bytes.length) return;
+        if (view.getUint32(pe, true) !== 0x00004550) return; // "PE\0\0"
+
+        const sectionCount = Math.min(view.getUint16(pe + 6, true), MAX_PE_SECTIONS);
+        const table = pe + 24 + view.getUint16(pe + 20, true);
+        this.add('pe', 'PE header (MZ/PE)', offset + i, table - i + sectionCount * 40);
+
+        let end = 0;
+        for (let s = 0; s < sectionCount && table + (s + 1) * 40 <= bytes.length; s++) {
+            const at = table + s * 40;
+            const name = String.fromCharCode(...bytes.subarray(at, at + 8)).replace(/\0.*$/s, '') || '(unnamed)';
+            const rawSize = view.getUint32(at + 16, true);
+            const rawOffset = view.getUint32(at + 20, true);
+            if (!rawSize) continue;
+            this.add('pe-section', `PE section ${name}`, offset + i + rawOffset, rawSize);
+            end = Math.max(end, rawOffset + rawSize);
+        }
+        if (end) this.peEnd = { start: offset + i, end: offset + i + end };
+    }
+
+    matchZip(bytes, i, offset) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (startsWith(bytes, i, MARKERS.zipLocal) && i + 30 <= bytes.length) {
+            const nameLength = view.getUint16(i + 26, true);
+            const extraLength = view.getUint16(i + 28, true);
+            const name = new TextDecoder().decode(bytes.subarray(i + 30, Math.min(bytes.length, i + 30 + Math.min(nameLength, 120))));
+            const header = 30 + nameLength + extraLength;
+            this.add('zip', `ZIP entry ${name}`, offset + i, header + view.getUint32(i + 18, true));
+        } else if (startsWith(bytes, i, MARKERS.zipEnd) && i + 22 <= bytes.length) {
+            this.add('zip-end', 'ZIP central directory end', offset + i, 22 + view.getUint16(i + 20, true));
+        }
+    }
+
+    // PDF only (after "%PDF-"): "stream" + EOL, not the tail of "endstream";
+    // the object number is read back from the last "N G obj" before it
+    matchStream(bytes, i, offset) {
+        if (this.openStream || !startsWith(bytes, i, MARKERS.stream) || bytes[i - 1] === 0x64) return;
+        const eol = bytes[i + 6];
+        if (eol !== 0x0A && eol !== 0x0D) return;
+        const before = String.fromCharCode(...bytes.subarray(Math.max(0, i - 256), i));
+        const obj = /(\d+)\s+(\d+)\s+obj\b(?![\s\S]*\bobj\b)/.exec(before);
+        this.openStream = { offset: offset + i, label: obj ? `PDF stream (obj ${obj[1]} ${obj[2]})` : 'PDF stream' };
+    }
+
+    /**
+     * MAP: Closes the last partial block and the lookahead of the last window
+     * @returns {object} { blockSize, size, overall, blocks, structures }
+     */
+    finish() {
+        if (this.last) this.findStructures(this.last.bytes, this.last.offset, this.last.bytes.length);
+        if (this.openStream) {
+            this.add('pdf-stream', `${this.openStream.label}, no endstream`, this.openStream.offset, this.size - this.openStream.offset);
+            this.openStream = null;
+        }
+        if (this.peEnd && this.peEnd.end < this.size) {
+            this.add('pe-overlay', 'PE overlay (data appended after the last section)', this.peEnd.end, this.size - this.peEnd.end);
+        }
+        if (this.filled) this.closeBlock();
+
+        return {
+            blockSize: this.blockSize,
+            size: this.size,
+            overall: Math.round(shannonEntropy(this.totals, this.size) * 100) / 100,
+            blocks: this.blocks,
+            structures: this.structures.sort((a, b) => a.offset - b.offset)
+        };
+    }
+}
+
+/**
+ * HIGH-ENTROPY REGIONS: Runs of adjacent blocks at or above the threshold
+ * @returns {object[]} [{ start, end, entropy }] byte ranges with their peak entropy
+ */
+export function highEntropyRegions(map, threshold = HIGH_ENTROPY) {
+    const regions = [];
+    map.blocks.forEach((bits, i) => {
+        if (bits < threshold) return;
+        const start = i * map.blockSize;
+        const end = Math.min(map.size, start + map.blockSize);
+        const last = regions[regions.length - 1];
+        if (last && last.end === start) {
+            last.end = end;
+            last.entropy = Math.max(last.entropy, bits);
+        } else {
+            regions.push({ start, end, entropy: bits });
+        }
+    });
+    return regions;
+}
+
+/**
+ * HEXDUMP: Classic offset / hex / ASCII lines (16 bytes per line)
+ * @param {Uint8Array} bytes - Bytes to show
+ * @param {number} offset - File position of bytes[0]
+ */
+export function hexdump(bytes, offset = 0) {
+    const lines = [];
+    for (let at = 0; at < bytes.length; at += 16) {
+        const row = bytes.subarray(at, at + 16);
+        const hex = Array.from(row, b => b.toString(16).padStart(2, '0'));
+        const text = Array.from(row, b => (b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.')).join('');
+        lines.push(`${(offset + at).toString(16).padStart(8, '0')}  ${hex.slice(0, 8).join(' ').padEnd(23)}  ${hex.slice(8).join(' ').padEnd(23)}  |${text}|`);
+    }
+    return lines.join('\n');
+}
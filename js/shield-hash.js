@@ -0,0 +1,311 @@
+/**
+ * SHIELD HASH: File Hash Inventory & Local Known-Bad / Known-Good Hash Lists
+ *
+ * ROLE:
+ * Gives every scanned object (the upload and each archive entry) an MD5, SHA-1 and SHA-256
+ * fingerprint, and lets analysts act on IOC feeds by importing hash lists into the vault.
+ * Nothing leaves the browser: lists are matched locally, with no reputation lookups.
+ *
+ * ARCHITECTURE:
+ * - Hashing: Incremental MD5 / SHA-1 / SHA-256 (SubtleCrypto cannot hash a stream), fed
+ *   the scanner's streamed windows so large files are fingerprinted in bounded memory
+ * - Lists: { id, name, kind: 'block' | 'allow', enabled, entries: [{ hash, algorithm, label }] }
+ *   records in the ShieldStorage 'hashLists' store
+ * - Import: CSV (any column holding a 32/40/64-digit hex value) or plain text, one hash per
+ *   line with an optional label ("sha256sum" output works as-is); header and comment lines
+ *   are ignored
+ * - Matching: HashIndex maps every listed hash to its list; a blocklist entry wins over an
+ *   allowlist entry for the same hash
+ */
+
+export const HASH_ALGORITHMS = { 32: 'md5', 40: 'sha1', 64: 'sha256' };
+
+const HEX = /^[0-9a-f]+$/i;
+
+function toHex(words, littleEndian) {
+    const view = new DataView(new ArrayBuffer(words.length * 4));
+    words.forEach((word, i) => view.setUint32(i * 4, word, littleEndian));
+    return [...new Uint8Array(view.buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * BLOCK HASH: 64-byte block buffering and Merkle–Damgård padding shared by all three digests
+ * Subclasses provide `state` (Uint32Array) and compress(view, offset).
+ */
+class BlockHash {
+    constructor(littleEndian) {
+        this.littleEndian = littleEndian;
+        this.block = new Uint8Array(64);
+        this.blockView = new DataView(this.block.buffer);
+        this.used = 0;
+        this.length = 0;
+    }
+
+    update(bytes) {
+        this.length += bytes.length;
+        let i = 0;
+        if (this.used) {
+            i = Math.min(64 - this.used, bytes.length);
+            this.block.set(bytes.subarray(0, i), this.used);
+            this.used += i;
+            if (this.used < 64) return;
+            this.compress(this.blockView, 0);
+            this.used = 0;
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (; i + 64 <= bytes.length; i += 64) this.compress(view, i);
+        if (i < bytes.length) {
+            this.block.set(bytes.subarray(i));
+            this.used = bytes.length - i;
+        }
+    }
+
+    digest() {
+        const bits = this.length * 8;
+        this.block.fill(0, this.used);
+        this.block[this.used] = 0x80;
+        if (this.used >= 56) {
+            this.compress(this.blockView, 0);
+            this.block.fill(0);
+        }
+        const high = Math.floor(bits / 0x100000000);
+        const low = bits >>> 0;
+        this.blockView.setUint32(56, this.littleEndian ? low : high, this.littleEndian);
+        this.blockView.setUint32(60, this.littleEndian ? high : low, this.littleEndian);
+        this.compress(this.blockView, 0);
+        return toHex(this.state, this.littleEndian);
+    }
+}
+
+// MD5 per-round shift amounts and sine-derived constants (RFC 1321)
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+
+class Md5 extends BlockHash {
+    constructor() {
+        super(true);
+        this.state = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+        this.words = new Uint32Array(16);
+    }
+
+    compress(view, offset) {
+        const m = this.words;
+        for (let j = 0; j < 16; j++) m[j] = view.getUint32(offset + j * 4, true);
+
+        let [a, b, c, d] = this.state;
+        for (let i = 0; i < 64; i++) {
+            const round = i >> 4;
+            let f, g;
+            if (round === 0) { f = (b & c) | (~b & d); g = i; }
+            else if (round === 1) { f = (d & b) | (~d & c); g = (5 * i + 1) & 15; }
+            else if (round === 2) { f = b ^ c ^ d; g = (3 * i + 5) & 15; }
+            else { f = c ^ (b | ~d); g = (7 * i) & 15; }
+
+            const sum = (a + f + MD5_K[i] + m[g]) | 0;
+            const shift = MD5_SHIFTS[(round << 2) | (i & 3)];
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+        }
+        this.state[0] += a;
+        this.state[1] += b;
+        this.state[2] += c;
+        this.state[3] += d;
+    }
+}
+
+class Sha1 extends BlockHash {
+    constructor() {
+        super(false);
+        this.state = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+        this.words = new Int32Array(80);
+    }
+
+    compress(view, offset) {
+        const w = this.words;
+        for (let j = 0; j < 16; j++) w[j] = view.getInt32(offset + j * 4);
+        for (let j = 16; j < 80; j++) {
+            const x = w[j - 3] ^ w[j - 8] ^ w[j - 14] ^ w[j - 16];
+            w[j] = (x << 1) | (x >>> 31);
+        }
+
+        let [a, b, c, d, e] = this.state;
+        for (let j = 0; j < 80; j++) {
+            let f, k;
+            if (j < 20) { f = (b & c) | (~b & d); k = 0x5a827999; }
+            else if (j < 40) { f = b ^ c ^ d; k = 0x6ed9eba1; }
+            else if (j < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8f1bbcdc; }
+            else { f = b ^ c ^ d; k = 0xca62c1d6; }
+
+            const t = (((a << 5) | (a >>> 27)) + f + e + k + w[j]) | 0;
+            e = d;
+            d = c;
+            c = (b << 30) | (b >>> 2);
+            b = a;
+            a = t;
+        }
+        this.state[0] += a;
+        this.state[1] += b;
+        this.state[2] += c;
+        this.state[3] += d;
+        this.state[4] += e;
+    }
+}
+
+// SHA-256 round constants (FIPS 180-4)
+const SHA256_K = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+class Sha256 extends BlockHash {
+    constructor() {
+        super(false);
+        this.state = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+        this.words = new Int32Array(64);
+    }
+
+    compress(view, offset) {
+        const w = this.words;
+        for (let j = 0; j < 16; j++) w[j] = view.getInt32(offset + j * 4);
+        for (let j = 16; j < 64; j++) {
+            const x = w[j - 15];
+            const y = w[j - 2];
+            const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+            w[j] = (w[j - 16] + s0 + w[j - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = this.state;
+        for (let j = 0; j < 64; j++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (h + S1 + ((e & f) ^ (~e & g)) + SHA256_K[j] + w[j]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        this.state[0] += a;
+        this.state[1] += b;
+        this.state[2] += c;
+        this.state[3] += d;
+        this.state[4] += e;
+        this.state[5] += f;
+        this.state[6] += g;
+        this.state[7] += h;
+    }
+}
+
+/**
+ * FILE HASHER: Runs the three digests side by side over the same byte stream
+ * @example
+ *   const hasher = new FileHasher();
+ *   hasher.update(chunk);            // as often as needed, in file order
+ *   hasher.digest();                 // { md5, sha1, sha256 } lowercase hex
+ */
+export class FileHasher {
+    constructor() {
+        this.md5 = new Md5();
+        this.sha1 = new Sha1();
+        this.sha256 = new Sha256();
+    }
+
+    update(bytes) {
+        this.md5.update(bytes);
+        this.sha1.update(bytes);
+        this.sha256.update(bytes);
+    }
+
+    digest() {
+        return { md5: this.md5.digest(), sha1: this.sha1.digest(), sha256: this.sha256.digest() };
+    }
+}
+
+/**
+ * FACTORY: Returns a new, empty hash list
+ * @param {string} kind - 'block' (known bad) or 'allow' (known good)
+ */
+export function createHashList(name = 'Untitled Hashes', kind = 'block', entries = []) {
+    return {
+        id: 'hashes_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+        name,
+        kind,
+        enabled: true,
+        entries
+    };
+}
+
+/**
+ * LIST PARSER: Pulls hashes out of a CSV export or a plain-text list
+ * CSV lines are split on , ; or tab (quotes stripped) and every hash-shaped cell is taken;
+ * the first other non-empty cell becomes the label (malware family, file name...). Plain
+ * lines are "<hash> [label]". Blank lines and lines starting with # or // are comments.
+ *
+ * @param {string} text - File contents
+ * @returns {object} { entries: [{ hash, algorithm, label }], skipped } with skipped = lines
+ *   without any hash (e.g. a CSV header)
+ */
+export function parseHashList(text) {
+    const entries = new Map();
+    let skipped = 0;
+
+    text.split(/\r?\n/).forEach(raw => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#') || line.startsWith('//')) return;
+
+        const cells = /[,;\t]/.test(line)
+            ? line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim())
+            : [line.split(/\s+/)[0], line.replace(/^\S+\s*/, '').replace(/^\*/, '')];
+
+        const hashes = cells.filter(cell => HASH_ALGORITHMS[cell.length] && HEX.test(cell));
+        if (!hashes.length) {
+            skipped++;
+            return;
+        }
+        const label = cells.find(cell => cell && !hashes.includes(cell)) || '';
+        hashes.forEach(cell => {
+            const hash = cell.toLowerCase();
+            if (!entries.has(hash)) entries.set(hash, { hash, algorithm: HASH_ALGORITHMS[hash.length], label });
+        });
+    });
+
+    return { entries: [...entries.values()], skipped };
+}
+
+/**
+ * HASH INDEX: Lookup table over the enabled lists
+ * match() returns { kind, list, label, algorithm, hash } for the first listed digest, with
+ * blocklist entries taking precedence over allowlist entries.
+ */
+export class HashIndex {
+    constructor(lists = []) {
+        this.entries = new Map();
+        this.size = 0;
+        lists.filter(list => list.enabled).forEach(list => {
+            list.entries.forEach(entry => {
+                const known = this.entries.get(entry.hash);
+                if (known && (known.kind === 'block' || list.kind === 'allow')) return;
+                if (!known) this.size++;
+                this.entries.set(entry.hash, { kind: list.kind, list: list.name, label: entry.label, algorithm: entry.algorithm, hash: entry.hash });
+            });
+        });
+    }
+
+    match(digests) {
+        const found = ['sha256', 'sha1', 'md5'].map(alg => this.entries.get(digests[alg])).filter(Boolean);
+        return found.find(m => m.kind === 'block') || found[0] || null;
+    }
+}
@@ -0,0 +1,353 @@
+/**
+ * SHIELD OLE: Compound File (CFB) Reader & VBA Macro Extraction
+ *
+ * ROLE:
+ * Opens legacy Office files (.doc/.xls/.ppt) and the vbaProject.bin inside OOXML so the
+ * scanner can read the actual macro source instead of guessing from file names.
+ *
+ * ARCHITECTURE:
+ * - CFB: Header → DIFAT → FAT → directory tree (red-black sibling trees flattened into
+ *   paths like "Macros/VBA/dir"); small streams live in the mini stream (MS-CFB)
+ * - VBA: Every "VBA" storage with a "dir" stream is a project; the dir stream lists the
+ *   modules, their stream names and where the compressed source starts (MS-OVBA 2.3.4.2)
+ * - Decompression: MS-OVBA run-length/copy-token chunks (2.4.1)
+ * - Analysis: Auto-exec entry points (AutoOpen, Document_Open...) and calls used by
+ *   droppers (Shell, CreateObject, URLDownloadToFile...), comments ignored
+ * - Safety: Sector chains are loop-checked and every stream is bounded by the file size
+ *
+ * DEPENDENCIES: None
+ */
+
+const SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+const NO_STREAM = 0xFFFFFFFF;
+const MAX_REGULAR_SECTOR = 0xFFFFFFFA;
+
+const TYPE_STORAGE = 1;
+const TYPE_STREAM = 2;
+const TYPE_ROOT = 5;
+
+// Procedures Office runs by itself when a document opens, closes or is created
+const AUTO_EXEC = /^[ \t]*(?:(?:Public|Private)[ \t]+)?(?:Sub|Function)[ \t]+(Auto_?(?:Open|Close|Exec|Exit|New)|Document_?(?:Open|Close|New|BeforeClose|ContentControlOnEnter)|Workbook_(?:Open|Activate|BeforeClose|WindowActivate)|\w+_(?:Painted|Layout|GotFocus))\b/gim;
+
+const SUSPICIOUS_CALLS = [
+    { label: 'Shell', pattern: /(?<![.\w])Shell(?:Execute)?\b/i },
+    { label: 'CreateObject', pattern: /\bCreateObject\b/i },
+    { label: 'GetObject', pattern: /\bGetObject\b/i },
+    { label: 'URLDownloadToFile', pattern: /\bURLDownloadToFile[AW]?\b/i },
+    { label: 'WScript.Shell', pattern: /WScript\.Shell/i },
+    { label: 'HTTP Request', pattern: /XMLHTTP|WinHttp\.WinHttpRequest/i },
+    { label: 'ADODB.Stream', pattern: /ADODB\.Stream/i },
+    { label: 'PowerShell', pattern: /powershell/i },
+    { label: 'Win32 API Declare', pattern: /\bDeclare[ \t]+(?:PtrSafe[ \t]+)?(?:Function|Sub)\b/i },
+    { label: 'Memory Injection', pattern: /\b(?:VirtualAlloc(?:Ex)?|RtlMoveMemory|CreateThread|WriteProcessMemory)\b/i },
+    { label: 'CallByName', pattern: /\bCallByName\b/i },
+    { label: 'ExecuteExcel4Macro', pattern: /\bExecuteExcel4Macro\b/i },
+    { label: 'Environ', pattern: /\bEnviron\$?\b/i },
+    { label: 'File Write', pattern: /\bOpen\b.+\bFor[ \t]+(?:Binary|Output|Append)\b|\.SaveToFile\b/i },
+    { label: 'StrReverse', pattern: /\bStrReverse\b/i }
+];
+
+export function isOle(header) {
+    return SIGNATURE.every((byte, i) => header[i] === byte);
+}
+
+/**
+ * CFB READER: Parses the compound file structure
+ *
+ * @param {Uint8Array} bytes - Whole file
+ * @returns {object} { entries: [{ id, name, type, path, size }], find(path), readStream(entry) }
+ * @throws {Error} When the header or directory is unusable
+ */
+export function readCompoundFile(bytes) {
+    if (bytes.length < 512 || !isOle(bytes)) throw new Error('Not an OLE compound file');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const u32 = (offset) => view.getUint32(offset, true);
+
+    const sectorShift = view.getUint16(0x1E, true);
+    const miniShift = view.getUint16(0x20, true);
+    if (sectorShift !== 9 && sectorShift !== 12) throw new Error(`Bad sector size 2^${sectorShift}`);
+    const sectorSize = 1 << sectorShift;
+    const miniSize = 1 << miniShift;
+    const cutoff = u32(0x38);
+    const sectorCount = Math.floor((bytes.length - sectorSize) / sectorSize) + 1;
+    const sectorOffset = (n) => (n + 1) * sectorSize;
+
+    // DIFAT: 109 FAT sector numbers in the header, the rest in a chain of DIFAT sectors
+    const fatSectors = [];
+    for (let i = 0; i < 109; i++) fatSectors.push(u32(0x4C + i * 4));
+    let difat = u32(0x44);
+    const seenDifat = new Set();
+    while (difat <= MAX_REGULAR_SECTOR && !seenDifat.has(difat) && sectorOffset(difat) + sectorSize <= bytes.length) {
+        seenDifat.add(difat);
+        const base = sectorOffset(difat);
+        for (let i = 0; i < sectorSize / 4 - 1; i++) fatSectors.push(u32(base + i * 4));
+        difat = u32(base + sectorSize - 4);
+    }
+
+    const fatList = fatSectors.filter(n => n <= MAX_REGULAR_SECTOR && sectorOffset(n) + sectorSize <= bytes.length);
+    const fat = new Uint32Array(fatList.length * (sectorSize / 4));
+    fatList.forEach((n, i) => {
+        for (let j = 0; j < sectorSize / 4; j++) fat[i * (sectorSize / 4) + j] = u32(sectorOffset(n) + j * 4);
+    });
+
+    const chain = (start, table, limit) => {
+        const sectors = [];
+        const seen = new Set();
+        for (let n = start; n <= MAX_REGULAR_SECTOR && n < table.length && !seen.has(n) && sectors.length < limit; n = table[n]) {
+            seen.add(n);
+            sectors.push(n);
+        }
+        return sectors;
+    };
+
+    const readChain = (start, size) => {
+        const sectors = chain(start, fat, sectorCount);
+        const out = new Uint8Array(Math.min(size, sectors.length * sectorSize));
+        sectors.forEach((n, i) => {
+            const at = i * sectorSize;
+            if (at >= out.length) return;
+            out.set(bytes.subarray(sectorOffset(n), Math.min(sectorOffset(n) + sectorSize, sectorOffset(n) + out.length - at)), at);
+        });
+        return out;
+    };
+
+    // Directory: 128-byte entries
+    const directory = readChain(u32(0x30), sectorCount * sectorSize);
+    const dirView = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+    const raw = [];
+    for (let at = 0; at + 128 <= directory.length; at += 128) {
+        const nameLength = Math.min(dirView.getUint16(at + 0x40, true), 64);
+        const name = new TextDecoder('utf-16le').decode(directory.subarray(at, at + Math.max(0, nameLength - 2)));
+        raw.push({
+            id: raw.length,
+            name,
+            type: directory[at + 0x42],
+            left: dirView.getUint32(at + 0x44, true),
+            right: dirView.getUint32(at + 0x48, true),
+            child: dirView.getUint32(at + 0x4C, true),
+            start: dirView.getUint32(at + 0x74, true),
+            size: dirView.getUint32(at + 0x78, true),
+            path: ''
+        });
+    }
+    const root = raw[0];
+    if (!root || root.type !== TYPE_ROOT) throw new Error('Missing root directory entry');
+
+    // Flatten the sibling trees below each storage into paths
+    const entries = [];
+    const visited = new Set();
+    const walk = (id, parentPath) => {
+        const stack = [id];
+        while (stack.length) {
+            const current = stack.pop();
+            if (current === NO_STREAM || current >= raw.length || visited.has(current)) continue;
+            visited.add(current);
+            const entry = raw[current];
+            entry.path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+            entries.push(entry);
+            stack.push(entry.left, entry.right);
+            if (entry.type === TYPE_STORAGE) walk(entry.child, entry.path);
+        }
+    };
+    visited.add(0);
+    walk(root.child, '');
+
+    // Mini stream (held by the root entry) and its allocation table
+    const miniStream = readChain(root.start, Math.min(root.size, bytes.length));
+    const miniFatBytes = readChain(u32(0x3C), u32(0x40) * sectorSize);
+    const miniFat = new Uint32Array(miniFatBytes.length / 4);
+    const miniView = new DataView(miniFatBytes.buffer, miniFatBytes.byteOffset, miniFatBytes.byteLength);
+    for (let i = 0; i < miniFat.length; i++) miniFat[i] = miniView.getUint32(i * 4, true);
+
+    const readStream = (entry) => {
+        if (entry.type !== TYPE_STREAM) throw new Error(`${entry.path} is not a stream`);
+        if (entry.size >= cutoff) return readChain(entry.start, Math.min(entry.size, bytes.length));
+
+        const sectors = chain(entry.start, miniFat, Math.ceil(miniStream.length / miniSize));
+        const out = new Uint8Array(Math.min(entry.size, sectors.length * miniSize));
+        sectors.forEach((n, i) => {
+            const at = i * miniSize;
+            if (at >= out.length) return;
+            out.set(miniStream.subarray(n * miniSize, n * miniSize + Math.min(miniSize, out.length - at)), at);
+        });
+        return out;
+    };
+
+    return {
+        entries: entries.map(({ id, name, type, path, size }) => ({ id, name, type, path, size })),
+        find: (path) => entries.find(e => e.path.toLowerCase() === path.toLowerCase()) || null,
+        readStream: (entry) => readStream(raw[entry.id])
+    };
+}
+
+/**
+ * MS-OVBA DECOMPRESSION: Expands a CompressedContainer (signature byte 0x01)
+ */
+export function decompressVba(data) {
+    if (data[0] !== 0x01) throw new Error('Missing VBA compression signature');
+    const out = [];
+    let pos = 1;
+
+    while (pos + 2 <= data.length) {
+        const header = data[pos] | (data[pos + 1] << 8);
+        const chunkEnd = Math.min(data.length, pos + (header & 0x0FFF) + 3);
+        const compressed = (header & 0x8000) !== 0;
+        pos += 2;
+        const chunkStart = out.length;
+
+        if (!compressed) {
+            for (let i = 0; i < 4096 && pos < data.length; i++) out.push(data[pos++]);
+            continue;
+        }
+
+        while (pos < chunkEnd) {
+            const flags = data[pos++];
+            for (let bit = 0; bit < 8 && pos < chunkEnd; bit++) {
+                if ((flags & (1 << bit)) === 0) {
+                    out.push(data[pos++]);
+                    continue;
+                }
+                if (pos + 2 > chunkEnd) {
+                    pos = chunkEnd;
+                    break;
+                }
+                const token = data[pos] | (data[pos + 1] << 8);
+                pos += 2;
+                const bitCount = Math.max(4, Math.ceil(Math.log2(out.length - chunkStart)));
+                const lengthMask = 0xFFFF >> bitCount;
+                const length = (token & lengthMask) + 3;
+                const offset = (token >> (16 - bitCount)) + 1;
+                const from = out.length - offset;
+                if (from < chunkStart) throw new Error('Corrupt VBA copy token');
+                for (let i = 0; i < length; i++) out.push(out[from + i]);
+            }
+        }
+        pos = chunkEnd;
+    }
+    return Uint8Array.from(out);
+}
+
+function codepageDecoder(codepage) {
+    const labels = { 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 65001: 'utf-8', 10000: 'macintosh' };
+    const label = labels[codepage] || (codepage === 874 || (codepage >= 1250 && codepage <= 1258) ? `windows-${codepage}` : 'windows-1252');
+    try {
+        return new TextDecoder(label);
+    } catch (err) {
+        return new TextDecoder('windows-1252');
+    }
+}
+
+/**
+ * DIR STREAM: Reads module records (name, stream name, source offset) and the code page
+ */
+function parseDirStream(dir) {
+    const view = new DataView(dir.buffer, dir.byteOffset, dir.byteLength);
+    const modules = [];
+    let codepage = 1252;
+    let current = null;
+    let pos = 0;
+
+    while (pos + 6 <= dir.length) {
+        const id = view.getUint16(pos, true);
+        const size = view.getUint32(pos + 2, true);
+        pos += 6;
+        // PROJECTVERSION declares 4 bytes but carries 6 (MS-OVBA 2.3.4.2.1.11)
+        const length = id === 0x0009 ? 6 : size;
+        const data = dir.subarray(pos, pos + length);
+        pos += length;
+
+        if (id === 0x0003 && data.length >= 2) codepage = data[0] | (data[1] << 8);
+        else if (id === 0x0019) current = { name: data, streamName: null, unicodeStreamName: null, offset: 0 };
+        else if (current && id === 0x001A) current.streamName = data;
+        else if (current && id === 0x0032) current.unicodeStreamName = data;
+        else if (current && id === 0x0031 && data.length >= 4) current.offset = (data[0] | (data[1] << 8) | (data[2] << 16) | (data[3] << 24)) >>> 0;
+        else if (current && id === 0x002B) {
+            modules.push(current);
+            current = null;
+        }
+    }
+
+    const decoder = codepageDecoder(codepage);
+    return {
+        codepage,
+        decoder,
+        modules: modules.map(m => ({
+            name: decoder.decode(m.name),
+            streamName: m.unicodeStreamName && m.unicodeStreamName.length
+                ? new TextDecoder('utf-16le').decode(m.unicodeStreamName)
+                : decoder.decode(m.streamName || m.name),
+            offset: m.offset
+        }))
+    };
+}
+
+/**
+ * VBA EXTRACTOR: Finds every VBA project in a compound file and decompresses its modules
+ * @returns {Array<{ path, modules: [{ name, stream, source }], errors }>}
+ */
+export function extractVbaProjects(cfb) {
+    const projects = [];
+    cfb.entries
+        .filter(e => e.type === TYPE_STORAGE && e.name.toUpperCase() === 'VBA')
+        .forEach(storage => {
+            const dirEntry = cfb.find(`${storage.path}/dir`);
+            if (!dirEntry) return;
+            const project = { path: storage.path, modules: [], errors: [] };
+            projects.push(project);
+
+            let dir;
+            try {
+                dir = parseDirStream(decompressVba(cfb.readStream(dirEntry)));
+            } catch (err) {
+                project.errors.push(`dir stream: ${err.message}`);
+                return;
+            }
+
+            dir.modules.forEach(module => {
+                const stream = cfb.find(`${storage.path}/${module.streamName}`);
+                if (!stream) {
+                    project.errors.push(`Module ${module.name}: stream "${module.streamName}" not found`);
+                    return;
+                }
+                try {
+                    const data = cfb.readStream(stream);
+                    const source = dir.decoder.decode(decompressVba(data.subarray(module.offset)));
+                    project.modules.push({ name: module.name, stream: stream.path, source: source.replace(/\r\n?/g, '\n') });
+                } catch (err) {
+                    project.errors.push(`Module ${module.name}: ${err.message}`);
+                }
+            });
+        });
+    return projects;
+}
+
+/**
+ * MACRO ANALYSIS: Auto-exec entry points and suspicious calls, with module and line
+ * @returns {{ autoExec: Array<{ name, module, line }>, suspicious: Array<{ label, module, line, text }> }}
+ */
+export function analyzeMacros(modules) {
+    const autoExec = [];
+    const suspicious = [];
+
+    modules.forEach(module => {
+        const lines = module.source.split('\n');
+
+        AUTO_EXEC.lastIndex = 0;
+        let match;
+        while ((match = AUTO_EXEC.exec(module.source)) !== null) {
+            autoExec.push({ name: match[1], module: module.name, line: module.source.slice(0, match.index).split('\n').length });
+        }
+
+        const seen = new Set();
+        lines.forEach((text, i) => {
+            const code = text.trim();
+            if (!code || code.startsWith("'") || /^Rem\b/i.test(code) || /^Attribute\s+VB_/i.test(code)) return;
+            SUSPICIOUS_CALLS.forEach(({ label, pattern }) => {
+                if (seen.has(label) || !pattern.test(code)) return;
+                seen.add(label);
+                suspicious.push({ label, module: module.name, line: i + 1, text: code.slice(0, 120) });
+            });
+        });
+    });
+    return { autoExec, suspicious };
+}
@@ -0,0 +1,912 @@
+/**
+ * SHIELD PDF PARSER: Object-Level PDF Inspection for the Threat Scanner
+ *
+ * ROLE:
+ * Reads a PDF the way a viewer would (objects, xref, object streams, filters) so active
+ * content hidden from byte-level regexes is still found: JavaScript inside compressed
+ * object streams, "/J#61vaScript"-style escaped names, encoded script streams.
+ *
+ * ARCHITECTURE:
+ * - Lexer: PDF tokens → values; names are normalized from #xx escapes (the raw spelling is
+ *   kept so obfuscation can be reported), strings are unescaped
+ * - Objects: The xref chain (tables and xref streams, following /Prev and /XRefStm) plus a
+ *   raw "N G obj" sweep, so objects the xref hides or omits are still parsed
+ * - Streams: Filter chains (Flate, ASCIIHex, ASCII85, LZW, RunLength) with PNG/TIFF
+ *   predictors; only streams the analysis needs are decoded, each capped at MAX_DECODED
+ * - Object Streams: /Type /ObjStm containers are unpacked and their objects parsed
+ * - Analysis: Action dictionaries (/S) and /JS keys, embedded files, and which actions run
+ *   automatically (reachable from /OpenAction or /AA, including /Next chains)
+ *
+ * PARSER OUTPUT:
+ * { objects, objectStreams, revisions, encrypted, findings: [{ kind, obj, triggered, detail }],
+ *   obfuscatedNames: [{ obj, raw, name }], errors }
+ *
+ * DEPENDENCIES: DecompressionStream (Web Streams)
+ */
+
+const MAX_OBJECTS = 100000;
+const MAX_DECODED = 32 << 20;
+const MAX_DEPTH = 256;
+
+const WHITE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3C, 0x3E, 0x5B, 0x5D, 0x7B, 0x7D, 0x2F, 0x25]);
+
+export class PdfName {
+    constructor(name, raw) {
+        this.name = name;
+        this.raw = raw;
+    }
+}
+
+export class PdfRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+
+    get key() {
+        return `${this.num} ${this.gen}`;
+    }
+}
+
+export class PdfString {
+    constructor(bytes) {
+        this.bytes = bytes;
+    }
+
+    /**
+     * TEXT: UTF-16BE when the string carries a BOM, otherwise byte-per-character
+     */
+    get text() {
+        const b = this.bytes;
+        if (b.length >= 2 && b[0] === 0xFE && b[1] === 0xFF) return new TextDecoder('utf-16be').decode(b.subarray(2));
+        return latin1(b);
+    }
+}
+
+class PdfKeyword {
+    constructor(word) {
+        this.word = word;
+    }
+}
+
+function latin1(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return out;
+}
+
+function isRegular(c) {
+    return !WHITE.has(c) && !DELIMITERS.has(c);
+}
+
+function hexValue(c) {
+    if (c >= 0x30 && c <= 0x39) return c - 0x30;
+    if (c >= 0x41 && c <= 0x46) return c - 0x37;
+    if (c >= 0x61 && c <= 0x66) return c - 0x57;
+    return -1;
+}
+
+function nameOf(value) {
+    return value instanceof PdfName ? value.name : null;
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * LEXER: Parses PDF values from a byte array, starting at `pos`
+ */
+class Lexer {
+    constructor(bytes, pos = 0) {
+        this.bytes = bytes;
+        this.pos = pos;
+    }
+
+    skipWhite() {
+        const b = this.bytes;
+        while (this.pos < b.length) {
+            const c = b[this.pos];
+            if (WHITE.has(c)) {
+                this.pos++;
+            } else if (c === 0x25) { // % comment runs to end of line
+                while (this.pos < b.length && b[this.pos] !== 0x0A && b[this.pos] !== 0x0D) this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    startsWith(word) {
+        for (let i = 0; i < word.length; i++) {
+            if (this.bytes[this.pos + i] !== word.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
+    readWord() {
+        const start = this.pos;
+        while (this.pos < this.bytes.length && isRegular(this.bytes[this.pos])) this.pos++;
+        return latin1(this.bytes.subarray(start, this.pos));
+    }
+
+    readInt() {
+        this.skipWhite();
+        const start = this.pos;
+        const word = this.readWord();
+        if (!/^\d+$/.test(word)) {
+            this.pos = start;
+            return null;
+        }
+        return parseInt(word, 10);
+    }
+
+    parseValue(depth = 0) {
+        if (depth > MAX_DEPTH) throw new Error('Nesting too deep');
+        this.skipWhite();
+        const b = this.bytes;
+        if (this.pos >= b.length) return undefined;
+        const c = b[this.pos];
+
+        if (c === 0x2F) return this.parseName();
+        if (c === 0x28) return this.parseLiteralString();
+        if (c === 0x3C) return b[this.pos + 1] === 0x3C ? this.parseDict(depth) : this.parseHexString();
+        if (c === 0x5B) return this.parseArray(depth);
+
+        if ((c >= 0x30 && c <= 0x39) || c === 0x2B || c === 0x2D || c === 0x2E) {
+            const word = this.readWord();
+            const number = Number(word);
+            if (/^\d+$/.test(word)) {
+                // "num gen R" is a reference; look ahead without consuming otherwise
+                const save = this.pos;
+                const gen = this.readInt();
+                if (gen !== null) {
+                    this.skipWhite();
+                    if (b[this.pos] === 0x52 && (this.pos + 1 >= b.length || !isRegular(b[this.pos + 1]))) {
+                        this.pos++;
+                        return new PdfRef(number, gen);
+                    }
+                }
+                this.pos = save;
+            }
+            return Number.isNaN(number) ? 0 : number;
+        }
+
+        if (isRegular(c)) {
+            const word = this.readWord();
+            if (word === 'true') return true;
+            if (word === 'false') return false;
+            if (word === 'null') return null;
+            return new PdfKeyword(word);
+        }
+
+        this.pos++; // Stray delimiter (")", ">", "{"...): skip it
+        return new PdfKeyword(String.fromCharCode(c));
+    }
+
+    parseName() {
+        const b = this.bytes;
+        this.pos++;
+        const start = this.pos;
+        const out = [];
+        while (this.pos < b.length && isRegular(b[this.pos])) {
+            const c = b[this.pos];
+            if (c === 0x23 && hexValue(b[this.pos + 1]) >= 0 && hexValue(b[this.pos + 2]) >= 0) {
+                out.push(hexValue(b[this.pos + 1]) * 16 + hexValue(b[this.pos + 2]));
+                this.pos += 3;
+            } else {
+                out.push(c);
+                this.pos++;
+            }
+        }
+        return new PdfName(latin1(Uint8Array.from(out)), latin1(b.subarray(start, this.pos)));
+    }
+
+    parseLiteralString() {
+        const b = this.bytes;
+        const out = [];
+        let depth = 1;
+        this.pos++;
+        while (this.pos < b.length) {
+            const c = b[this.pos++];
+            if (c === 0x5C) {
+                const e = b[this.pos++];
+                const simple = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C, 0x28: 0x28, 0x29: 0x29, 0x5C: 0x5C }[e];
+                if (simple !== undefined) {
+                    out.push(simple);
+                } else if (e >= 0x30 && e <= 0x37) {
+                    let code = e - 0x30;
+                    for (let i = 0; i < 2 && b[this.pos] >= 0x30 && b[this.pos] <= 0x37; i++) code = code * 8 + (b[this.pos++] - 0x30);
+                    out.push(code & 0xFF);
+                } else if (e === 0x0D) {
+                    if (b[this.pos] === 0x0A) this.pos++; // Line continuation
+                } else if (e !== 0x0A && e !== undefined) {
+                    out.push(e);
+                }
+            } else if (c === 0x28) {
+                depth++;
+                out.push(c);
+            } else if (c === 0x29) {
+                if (--depth === 0) break;
+                out.push(c);
+            } else {
+                out.push(c);
+            }
+        }
+        return new PdfString(Uint8Array.from(out));
+    }
+
+    parseHexString() {
+        const b = this.bytes;
+        const out = [];
+        let high = -1;
+        this.pos++;
+        while (this.pos < b.length && b[this.pos] !== 0x3E) {
+            const v = hexValue(b[this.pos++]);
+            if (v < 0) continue;
+            if (high < 0) {
+                high = v;
+            } else {
+                out.push(high * 16 + v);
+                high = -1;
+            }
+        }
+        if (high >= 0) out.push(high * 16);
+        this.pos++;
+        return new PdfString(Uint8Array.from(out));
+    }
+
+    parseArray(depth) {
+        const b = this.bytes;
+        const items = [];
+        this.pos++;
+        while (true) {
+            this.skipWhite();
+            if (this.pos >= b.length) break;
+            if (b[this.pos] === 0x5D) {
+                this.pos++;
+                break;
+            }
+            const start = this.pos;
+            const value = this.parseValue(depth + 1);
+            if (value instanceof PdfKeyword && (value.word === 'endobj' || value.word === 'obj')) {
+                this.pos = start; // Unterminated array: stop at the object boundary
+                break;
+            }
+            items.push(value);
+        }
+        return items;
+    }
+
+    parseDict(depth) {
+        const b = this.bytes;
+        const dict = new Map();
+        this.pos += 2;
+        while (true) {
+            this.skipWhite();
+            if (this.pos >= b.length) break;
+            if (b[this.pos] === 0x3E && b[this.pos + 1] === 0x3E) {
+                this.pos += 2;
+                break;
+            }
+            const start = this.pos;
+            const key = this.parseValue(depth + 1);
+            if (key instanceof PdfKeyword && (key.word === 'endobj' || key.word === 'stream')) {
+                this.pos = start; // Unterminated dictionary
+                break;
+            }
+            if (!(key instanceof PdfName)) continue;
+            const value = this.parseValue(depth + 1);
+            dict.set(key.name, value);
+            if (key.raw !== key.name) (dict.escapedKeys || (dict.escapedKeys = [])).push(key);
+        }
+        return dict;
+    }
+}
+
+// --- FILTERS ---
+async function inflate(data) {
+    const run = async (format, input) => {
+        const reader = new Blob([input]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+        const chunks = [];
+        let size = 0;
+        try {
+            while (size <= MAX_DECODED) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                size += value.length;
+            }
+            if (size > MAX_DECODED) reader.cancel().catch(() => {});
+        } catch (err) {
+            if (!size) throw err; // Keep what inflated before a late error (truncated streams are common)
+        }
+        return concatBytes(chunks, Math.min(size, MAX_DECODED));
+    };
+
+    try {
+        return await run('deflate', data);
+    } catch (err) {
+        return run('deflate-raw', data.subarray(2)); // Broken zlib header: try the raw deflate body
+    }
+}
+
+function concatBytes(chunks, size) {
+    const out = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        if (offset >= size) break;
+        out.set(chunk.subarray(0, size - offset), offset);
+        offset += chunk.length;
+    }
+    return out;
+}
+
+function asciiHexDecode(data) {
+    const out = [];
+    let high = -1;
+    for (const c of data) {
+        if (c === 0x3E) break;
+        const v = hexValue(c);
+        if (v < 0) continue;
+        if (high < 0) {
+            high = v;
+        } else {
+            out.push(high * 16 + v);
+            high = -1;
+        }
+    }
+    if (high >= 0) out.push(high * 16);
+    return Uint8Array.from(out);
+}
+
+function ascii85Decode(data) {
+    const out = [];
+    const group = [];
+    const flush = (count) => {
+        while (group.length < 5) group.push(84);
+        let value = 0;
+        for (const v of group) value = value * 85 + v;
+        const bytes = [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+        out.push(...bytes.slice(0, count));
+        group.length = 0;
+    };
+    let start = data[0] === 0x3C && data[1] === 0x7E ? 2 : 0; // Optional "<~" prefix
+    for (let i = start; i < data.length; i++) {
+        const c = data[i];
+        if (c === 0x7E) break; // "~>"
+        if (WHITE.has(c)) continue;
+        if (c === 0x7A && group.length === 0) {
+            out.push(0, 0, 0, 0);
+            continue;
+        }
+        if (c < 0x21 || c > 0x75) continue;
+        group.push(c - 0x21);
+        if (group.length === 5) flush(4);
+    }
+    if (group.length > 1) flush(group.length - 1);
+    return Uint8Array.from(out);
+}
+
+function lzwDecode(data, earlyChange = 1) {
+    const out = [];
+    let table = [];
+    const reset = () => {
+        table = [];
+        for (let i = 0; i < 256; i++) table.push([i]);
+        table.push(null, null); // 256 = clear, 257 = EOD
+    };
+    reset();
+    let codeLength = 9;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let previous = null;
+
+    for (let i = 0; i < data.length && out.length <= MAX_DECODED; i++) {
+        bitBuffer = (bitBuffer << 8) | data[i];
+        bitCount += 8;
+        while (bitCount >= codeLength) {
+            const code = (bitBuffer >>> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+            bitCount -= codeLength;
+            bitBuffer &= (1 << bitCount) - 1;
+
+            if (code === 256) {
+                reset();
+                codeLength = 9;
+                previous = null;
+                continue;
+            }
+            if (code === 257) return Uint8Array.from(out);
+
+            let entry;
+            if (code < table.length && table[code]) {
+                entry = table[code];
+                if (previous) table.push([...previous, entry[0]]);
+            } else if (previous) {
+                entry = [...previous, previous[0]];
+                table.push(entry);
+            } else {
+                continue;
+            }
+            for (const byte of entry) out.push(byte);
+            previous = entry;
+
+            if (table.length + earlyChange >= (1 << codeLength) && codeLength < 12) codeLength++;
+        }
+    }
+    return Uint8Array.from(out);
+}
+
+function runLengthDecode(data) {
+    const out = [];
+    for (let i = 0; i < data.length;) {
+        const length = data[i++];
+        if (length === 128) break;
+        if (length < 128) {
+            for (let j = 0; j <= length && i < data.length; j++) out.push(data[i++]);
+        } else {
+            const byte = data[i++];
+            for (let j = 0; j < 257 - length; j++) out.push(byte);
+        }
+    }
+    return Uint8Array.from(out);
+}
+
+/**
+ * PREDICTORS: Undo PNG (10-15) and TIFF (2) row prediction after Flate/LZW
+ */
+function applyPredictor(data, parms) {
+    if (!(parms instanceof Map)) return data;
+    const predictor = parms.get('Predictor') || 1;
+    if (predictor < 2) return data;
+
+    const colors = parms.get('Colors') || 1;
+    const bpc = parms.get('BitsPerComponent') || 8;
+    const columns = parms.get('Columns') || 1;
+    const bpp = Math.max(1, Math.ceil((colors * bpc) / 8));
+    const rowLength = Math.ceil((colors * bpc * columns) / 8);
+
+    if (predictor === 2) {
+        if (bpc !== 8) return data;
+        const out = data.slice();
+        for (let row = 0; row < out.length; row += rowLength) {
+            for (let i = row + bpp; i < Math.min(row + rowLength, out.length); i++) out[i] = (out[i] + out[i - bpp]) & 0xFF;
+        }
+        return out;
+    }
+
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const out = new Uint8Array(rows * rowLength);
+    for (let r = 0; r < rows; r++) {
+        const filter = data[r * (rowLength + 1)];
+        const src = r * (rowLength + 1) + 1;
+        const dst = r * rowLength;
+        for (let i = 0; i < rowLength; i++) {
+            const raw = data[src + i];
+            const left = i >= bpp ? out[dst + i - bpp] : 0;
+            const up = r > 0 ? out[dst + i - rowLength] : 0;
+            const upLeft = r > 0 && i >= bpp ? out[dst + i - rowLength - bpp] : 0;
+            let value;
+            switch (filter) {
+                case 1: value = raw + left; break;
+                case 2: value = raw + up; break;
+                case 3: value = raw + ((left + up) >> 1); break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    value = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+                    break;
+                }
+                default: value = raw;
+            }
+            out[dst + i] = value & 0xFF;
+        }
+    }
+    return out;
+}
+
+/**
+ * FILTER CHAIN: Decodes stream data through every filter listed on its dictionary
+ * @throws {Error} For filters that cannot carry script or object data (DCT, JBIG2, Crypt...)
+ */
+export async function decodeStream(data, dict) {
+    const filters = toArray(dict.get('Filter')).map(nameOf);
+    const parms = toArray(dict.get('DecodeParms') ?? dict.get('DP'));
+    let out = data;
+
+    for (let i = 0; i < filters.length; i++) {
+        const parm = parms[i] instanceof Map ? parms[i] : null;
+        switch (filters[i]) {
+            case 'FlateDecode':
+            case 'Fl':
+                out = applyPredictor(await inflate(out), parm);
+                break;
+            case 'ASCIIHexDecode':
+            case 'AHx':
+                out = asciiHexDecode(out);
+                break;
+            case 'ASCII85Decode':
+            case 'A85':
+                out = ascii85Decode(out);
+                break;
+            case 'LZWDecode':
+            case 'LZW':
+                out = applyPredictor(lzwDecode(out, parm && parm.has('EarlyChange') ? parm.get('EarlyChange') : 1), parm);
+                break;
+            case 'RunLengthDecode':
+            case 'RL':
+                out = runLengthDecode(out);
+                break;
+            default:
+                throw new Error(`Unsupported filter /${filters[i]}`);
+        }
+    }
+    return out;
+}
+
+// --- DOCUMENT ---
+/**
+ * DOCUMENT MODEL: Parsed objects keyed "num gen" (later definitions win, as in a viewer)
+ */
+class PdfDocumentModel {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.text = latin1(bytes);
+        this.objects = new Map();
+        this.all = [];
+        this.trailers = [];
+        this.revisions = 0;
+        this.objectStreams = 0;
+        this.errors = [];
+    }
+
+    /**
+     * INDIRECT OBJECT: Parses "num gen obj <value> [stream ... endstream]" at a byte offset
+     */
+    parseObjectAt(offset) {
+        const lexer = new Lexer(this.bytes, offset);
+        const num = lexer.readInt();
+        const gen = lexer.readInt();
+        lexer.skipWhite();
+        if (num === null || gen === null || !lexer.startsWith('obj')) return null;
+        lexer.pos += 3;
+
+        const value = lexer.parseValue();
+        const object = { num, gen, key: `${num} ${gen}`, offset, value, stream: null, end: lexer.pos };
+
+        lexer.skipWhite();
+        if (value instanceof Map && lexer.startsWith('stream')) {
+            let start = lexer.pos + 6;
+            if (this.bytes[start] === 0x0D) start++;
+            if (this.bytes[start] === 0x0A) start++;
+            object.stream = { start, end: this.findStreamEnd(start, value.get('Length')) };
+            object.end = object.stream.end;
+        }
+        return object;
+    }
+
+    findStreamEnd(start, length) {
+        if (typeof length === 'number' && length >= 0 && start + length <= this.bytes.length) {
+            const check = new Lexer(this.bytes, start + length);
+            check.skipWhite();
+            if (check.startsWith('endstream')) return start + length;
+        }
+        // Missing or indirect /Length (or a lying one): fall back to the endstream keyword
+        let end = this.text.indexOf('endstream', start);
+        if (end < 0) return this.bytes.length;
+        if (this.bytes[end - 1] === 0x0A) end--;
+        if (this.bytes[end - 1] === 0x0D) end--;
+        return Math.max(start, end);
+    }
+
+    register(object) {
+        if (this.all.length >= MAX_OBJECTS) throw new Error(`More than ${MAX_OBJECTS} objects`);
+        this.all.push(object);
+        this.objects.set(object.key, object);
+    }
+
+    resolve(value) {
+        return value instanceof PdfRef ? this.objects.get(value.key)?.value : value;
+    }
+
+    streamBytes(object) {
+        return this.bytes.subarray(object.stream.start, object.stream.end);
+    }
+
+    /**
+     * XREF WALK: Follows startxref → /Prev (and hybrid /XRefStm) collecting trailers and
+     * parsing every object the tables point at
+     */
+    async walkXref() {
+        const start = this.text.lastIndexOf('startxref');
+        if (start < 0) return;
+        const lexer = new Lexer(this.bytes, start + 9);
+        let offset = lexer.readInt();
+        const seen = new Set();
+        const queue = offset === null ? [] : [offset];
+
+        while (queue.length) {
+            offset = queue.shift();
+            if (seen.has(offset) || offset >= this.bytes.length) continue;
+            seen.add(offset);
+
+            const section = await this.readXrefSection(offset);
+            if (!section) {
+                this.errors.push(`Broken xref section at offset ${offset}`);
+                continue;
+            }
+            this.revisions++;
+            this.trailers.push(section.trailer);
+            const known = new Set(this.all.map(o => o.offset));
+            section.offsets.forEach(at => {
+                if (!known.has(at)) {
+                    const object = this.parseObjectAt(at);
+                    if (object) this.register(object);
+                }
+            });
+            for (const key of ['XRefStm', 'Prev']) {
+                const next = section.trailer.get(key);
+                if (typeof next === 'number') queue.push(next);
+            }
+        }
+    }
+
+    async readXrefSection(offset) {
+        const lexer = new Lexer(this.bytes, offset);
+        lexer.skipWhite();
+
+        if (lexer.startsWith('xref')) {
+            lexer.pos += 4;
+            const offsets = [];
+            while (true) {
+                lexer.skipWhite();
+                if (lexer.startsWith('trailer')) {
+                    lexer.pos += 7;
+                    const trailer = lexer.parseValue();
+                    return trailer instanceof Map ? { trailer, offsets } : null;
+                }
+                const first = lexer.readInt();
+                const count = lexer.readInt();
+                if (first === null || count === null) return null;
+                for (let i = 0; i < count; i++) {
+                    const at = lexer.readInt();
+                    lexer.readInt();
+                    lexer.skipWhite();
+                    const type = lexer.readWord();
+                    if (at === null) return null;
+                    if (type === 'n' && at > 0) offsets.push(at);
+                }
+            }
+        }
+
+        // Cross-reference stream
+        const object = this.parseObjectAt(offset);
+        if (!object || !object.stream || nameOf(object.value.get('Type')) !== 'XRef') return null;
+        this.register(object);
+
+        const dict = object.value;
+        const widths = toArray(dict.get('W'));
+        const index = toArray(dict.get('Index'));
+        const ranges = index.length ? index : [0, dict.get('Size') || 0];
+        const data = await decodeStream(this.streamBytes(object), dict);
+        const rowSize = widths.reduce((a, b) => a + b, 0);
+        const read = (pos, width) => {
+            let value = 0;
+            for (let i = 0; i < width; i++) value = value * 256 + data[pos + i];
+            return value;
+        };
+
+        const offsets = [];
+        let pos = 0;
+        for (let r = 0; r + 1 < ranges.length; r += 2) {
+            for (let i = 0; i < ranges[r + 1] && pos + rowSize <= data.length; i++, pos += rowSize) {
+                const type = widths[0] ? read(pos, widths[0]) : 1;
+                if (type === 1) {
+                    const at = read(pos + widths[0], widths[1]);
+                    if (at > 0) offsets.push(at);
+                }
+            }
+        }
+        return { trailer: dict, offsets };
+    }
+
+    /**
+     * SWEEP: Finds every "N G obj" header in the raw bytes, skipping over stream data
+     */
+    sweep() {
+        const pattern = /(\d{1,10})[\x00\t\n\f\r ]+(\d{1,5})[\x00\t\n\f\r ]+obj(?![A-Za-z])/g;
+        const known = new Set(this.all.map(o => o.offset));
+        let match;
+        while ((match = pattern.exec(this.text)) !== null) {
+            if (!known.has(match.index)) {
+                const object = this.parseObjectAt(match.index);
+                if (object) this.register(object);
+                if (object && object.stream) pattern.lastIndex = Math.max(pattern.lastIndex, object.stream.end);
+            }
+        }
+        // Definitions later in the file win, as in an incrementally updated document
+        this.all.sort((a, b) => (a.container ?? -1) - (b.container ?? -1) || a.offset - b.offset);
+        this.objects = new Map(this.all.map(o => [o.key, o]));
+    }
+
+    /**
+     * OBJECT STREAMS: Unpacks /Type /ObjStm containers into regular objects
+     */
+    async unpackObjectStreams() {
+        const containers = this.all.filter(o => o.stream && o.value instanceof Map && nameOf(o.value.get('Type')) === 'ObjStm');
+        for (const container of containers) {
+            this.objectStreams++;
+            try {
+                const dict = container.value;
+                const data = await decodeStream(this.streamBytes(container), dict);
+                const count = Math.min(dict.get('N') || 0, MAX_OBJECTS);
+                const first = dict.get('First') || 0;
+                const lexer = new Lexer(data);
+                const entries = [];
+                for (let i = 0; i < count; i++) {
+                    const num = lexer.readInt();
+                    const at = lexer.readInt();
+                    if (num === null || at === null) break;
+                    entries.push([num, at]);
+                }
+                entries.forEach(([num, at]) => {
+                    const value = new Lexer(data, first + at).parseValue();
+                    this.register({ num, gen: 0, key: `${num} 0`, offset: container.offset, container: container.num, value, stream: null });
+                });
+            } catch (err) {
+                this.errors.push(`Object stream ${container.key}: ${err.message}`);
+            }
+        }
+        this.all.sort((a, b) => a.offset - b.offset);
+        this.objects = new Map(this.all.map(o => [o.key, o]));
+    }
+}
+
+// --- ANALYSIS ---
+function describeTarget(value, doc) {
+    const resolved = doc.resolve(value);
+    if (resolved instanceof PdfString) return resolved.text;
+    if (resolved instanceof Map) {
+        for (const key of ['UF', 'F', 'DOS', 'Unix', 'Mac']) {
+            const inner = doc.resolve(resolved.get(key));
+            if (inner instanceof PdfString) return inner.text;
+        }
+    }
+    return '';
+}
+
+function snippet(text) {
+    return text.replace(/[\x00-\x1F\x7F]+/g, ' ').trim().slice(0, 100);
+}
+
+/**
+ * ACTION ANALYSIS: Walks every object for action dictionaries and embedded files
+ */
+async function analyze(doc) {
+    const findings = [];
+    const obfuscatedNames = [];
+
+    // Pass 1: objects reachable from /OpenAction or /AA run without user interaction
+    const triggered = new Set();
+    const markRefs = (value, depth = 0) => {
+        if (depth > MAX_DEPTH) return;
+        if (value instanceof PdfRef) {
+            if (!triggered.has(value.key)) {
+                triggered.add(value.key);
+                const target = doc.objects.get(value.key)?.value;
+                if (target instanceof Map && target.has('Next')) markRefs(target.get('Next'), depth + 1);
+                if (target instanceof Map && nameOf(target.get('S')) === null && !target.has('JS')) markRefs([...target.values()], depth + 1); // /AA dictionaries
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach(v => markRefs(v, depth + 1));
+        } else if (value instanceof Map) {
+            value.forEach(v => markRefs(v, depth + 1));
+        }
+    };
+    const collectTriggers = (value, depth = 0) => {
+        if (depth > MAX_DEPTH) return;
+        if (Array.isArray(value)) value.forEach(v => collectTriggers(v, depth + 1));
+        if (!(value instanceof Map)) return;
+        value.forEach((v, key) => {
+            if (key === 'OpenAction' || key === 'AA') markRefs(v);
+            collectTriggers(v, depth + 1);
+        });
+    };
+    doc.all.forEach(o => collectTriggers(o.value));
+
+    // Pass 2: classify action dictionaries
+    const inspect = async (dict, object, auto) => {
+        const action = nameOf(dict.get('S'));
+        const obj = object.key;
+
+        if (action === 'JavaScript' || dict.has('JS')) {
+            let script = '';
+            const js = dict.get('JS');
+            const target = js instanceof PdfRef ? doc.objects.get(js.key) : null;
+            try {
+                if (target && target.stream) script = latin1(await decodeStream(doc.streamBytes(target), target.value));
+                else if (doc.resolve(js) instanceof PdfString) script = doc.resolve(js).text;
+            } catch (err) {
+                script = `[undecodable: ${err.message}]`;
+            }
+            findings.push({ kind: 'JavaScript', obj, triggered: auto, detail: snippet(script) });
+        }
+        if (action === 'Launch') {
+            const win = doc.resolve(dict.get('Win'));
+            const target = describeTarget(dict.get('F'), doc) || (win instanceof Map ? describeTarget(win.get('F'), doc) : '');
+            findings.push({ kind: 'Launch', obj, triggered: auto, detail: snippet(target) });
+        }
+        if (action === 'URI') {
+            findings.push({ kind: 'URI', obj, triggered: auto, detail: snippet(describeTarget(dict.get('URI'), doc)) });
+        }
+        if (action === 'SubmitForm') {
+            findings.push({ kind: 'SubmitForm', obj, triggered: auto, detail: snippet(describeTarget(dict.get('F'), doc)) });
+        }
+        if (nameOf(dict.get('Type')) === 'EmbeddedFile' && object.stream && object.value === dict) {
+            findings.push({ kind: 'EmbeddedFile', obj, triggered: false, detail: `${object.stream.end - object.stream.start} bytes` });
+        }
+        if (dict.has('EF')) {
+            findings.push({ kind: 'EmbeddedFile', obj, triggered: false, detail: snippet(describeTarget(dict, doc)) });
+        }
+
+        (dict.escapedKeys || []).forEach(key => obfuscatedNames.push({ obj, raw: key.raw, name: key.name }));
+    };
+
+    const walk = async (value, object, auto, depth = 0) => {
+        if (depth > MAX_DEPTH) return;
+        if (value instanceof PdfName && value.raw !== value.name) obfuscatedNames.push({ obj: object.key, raw: value.raw, name: value.name });
+        if (Array.isArray(value)) {
+            for (const v of value) await walk(v, object, auto, depth + 1);
+        } else if (value instanceof Map) {
+            await inspect(value, object, auto);
+            for (const [key, v] of value) await walk(v, object, auto || key === 'OpenAction' || key === 'AA', depth + 1);
+        }
+    };
+    for (const object of doc.all) await walk(object.value, object, triggered.has(object.key));
+
+    // Escapes standing in for plain letters/digits have no legitimate use ("#20" in font names does)
+    const suspicious = obfuscatedNames.filter(n => /#(?:[46][1-9A-Fa-f]|[57][0-9Aa]|3[0-9])/.test(n.raw));
+    return { findings: dedupe(findings), obfuscatedNames: suspicious };
+}
+
+function dedupe(findings) {
+    const seen = new Set();
+    return findings.filter(f => {
+        const key = `${f.kind}|${f.obj}|${f.detail}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * ENTRY POINT: Parses a PDF and reports its active content
+ * @param {Uint8Array} bytes - Whole file
+ * @returns {Promise<object>} See PARSER OUTPUT above
+ */
+export async function parsePdf(bytes) {
+    const doc = new PdfDocumentModel(bytes);
+
+    try {
+        await doc.walkXref();
+    } catch (err) {
+        doc.errors.push(`Xref: ${err.message}`);
+    }
+    doc.sweep();
+    await doc.unpackObjectStreams();
+
+    const { findings, obfuscatedNames } = await analyze(doc);
+    return {
+        objects: doc.all.length,
+        objectStreams: doc.objectStreams,
+        revisions: doc.revisions,
+        encrypted: doc.trailers.some(t => t.has('Encrypt')) || doc.all.some(o => o.value instanceof Map && o.value.has('Encrypt') && nameOf(o.value.get('Type')) === 'XRef'),
+        findings,
+        obfuscatedNames,
+        errors: doc.errors
+    };
+}
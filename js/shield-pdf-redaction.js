@@ -0,0 +1,1182 @@
+/**
+ * SHIELD PDF REDACTION: Content-Removing Redaction Engine
+ *
+ * ROLE:
+ * Performs true redaction on PDF documents. Instead of painting a box over sensitive
+ * content, the engine rewrites each page's content stream so that the text, image
+ * pixels and vector artwork inside every redaction box no longer exist in the file.
+ *
+ * ARCHITECTURE:
+ * - Lexer: Tokenizes raw content streams (operands + operators, inline images)
+ * - Interpreter: Tracks the graphics/text state (CTM, Tm, font metrics) per operator
+ * - Rewriter: Emits untouched operators verbatim and rebuilds the affected ones
+ *     a. Text: Glyphs inside a box are replaced by TJ spacing (layout is preserved)
+ *     b. Images: Pixels inside a box are zeroed and the image is re-encoded
+ *     c. Vectors: Sub-paths inside a box are dropped, partial overlaps are clipped
+ *     d. Forms: Form XObjects are rewritten recursively as page-local copies
+ * - Fallback: Pages holding images in encodings we cannot decode are flattened
+ * - Garbage Collection: Orphaned originals are purged before save
+ * - Verification: Output is re-extracted with pdf.js to prove nothing remains
+ *
+ * COORDINATES:
+ * Redactions are stored normalized (0-1) against the rendered pdf.js viewport,
+ * i.e. CropBox with the page /Rotate applied and a top-left origin.
+ *
+ * DEPENDENCIES:
+ * - PDF-Lib (global): Object model and stream encoding
+ * - PDF.js (global): Verification pass
+ */
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const MAX_FORM_DEPTH = 12;
+const GLYPH_OVERLAP_RATIO = 0.25;
+
+// Used when a font resource cannot be resolved; glyphs are still positioned and removed
+const FALLBACK_FONT = { bytesPerCode: 1, ascent: 0.85, descent: -0.25, widthOf: () => 0.55 };
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3C, 0x3E, 0x5B, 0x5D, 0x7B, 0x7D, 0x2F, 0x25]);
+
+const PATH_BUILD_OPS = new Set(['m', 'l', 'c', 'v', 'y', 'h', 're']);
+const PATH_PAINT_OPS = new Set(['S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'n']);
+const STROKE_OPS = new Set(['S', 's', 'B', 'B*', 'b', 'b*']);
+
+// --- GEOMETRY ---
+
+function multiply(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[1] * m2[2],
+        m1[0] * m2[1] + m1[1] * m2[3],
+        m1[2] * m2[0] + m1[3] * m2[2],
+        m1[2] * m2[1] + m1[3] * m2[3],
+        m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+        m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+    ];
+}
+
+function invert(m) {
+    const det = m[0] * m[3] - m[1] * m[2];
+    if (Math.abs(det) < 1e-12) return null;
+    return [
+        m[3] / det,
+        -m[1] / det,
+        -m[2] / det,
+        m[0] / det,
+        (m[2] * m[5] - m[3] * m[4]) / det,
+        (m[1] * m[4] - m[0] * m[5]) / det
+    ];
+}
+
+function applyPoint(m, x, y) {
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+function transformBox(m, x0, y0, x1, y1) {
+    const pts = [applyPoint(m, x0, y0), applyPoint(m, x1, y0), applyPoint(m, x0, y1), applyPoint(m, x1, y1)];
+    const xs = pts.map(p => p[0]);
+    const ys = pts.map(p => p[1]);
+    return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+function intersects(a, b) {
+    return a.x0 < b.x1 && a.x1 > b.x0 && a.y0 < b.y1 && a.y1 > b.y0;
+}
+
+function contains(outer, inner) {
+    return inner.x0 >= outer.x0 && inner.x1 <= outer.x1 && inner.y0 >= outer.y0 && inner.y1 <= outer.y1;
+}
+
+function overlapArea(a, b) {
+    const w = Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0);
+    const h = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0);
+    return w > 0 && h > 0 ? w * h : 0;
+}
+
+/**
+ * COORDINATE BRIDGE: Converts a normalized viewport rect to PDF user space
+ * Accounts for the CropBox origin and the page /Rotate entry.
+ * @param {PDFPage} page - pdf-lib page
+ * @param {object} rect - { x, y, w, h } normalized against the rendered viewport
+ * @returns {object} { x0, y0, x1, y1 } in default user space
+ */
+export function toPdfRect(page, rect) {
+    const box = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+    const toUser = (nx, ny) => {
+        let ux = nx;
+        let uy = ny;
+        if (rotation === 90) { ux = ny; uy = 1 - nx; }
+        else if (rotation === 180) { ux = 1 - nx; uy = 1 - ny; }
+        else if (rotation === 270) { ux = 1 - ny; uy = nx; }
+        return [box.x + ux * box.width, box.y + (1 - uy) * box.height];
+    };
+
+    const [ax, ay] = toUser(rect.x, rect.y);
+    const [bx, by] = toUser(rect.x + rect.w, rect.y + rect.h);
+    return { x0: Math.min(ax, bx), y0: Math.min(ay, by), x1: Math.max(ax, bx), y1: Math.max(ay, by) };
+}
+
+// --- CONTENT STREAM LEXER ---
+
+function isRegular(byte) {
+    return !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+}
+
+/**
+ * LEXER: Splits a content stream into operations with their byte ranges
+ * @param {Uint8Array} bytes - Decoded content stream
+ * @returns {Array} [{ op, operands, start, end }]
+ */
+function parseContent(bytes) {
+    const ops = [];
+    let pos = 0;
+    let operands = [];
+    let opStart = -1;
+
+    const skipSpace = () => {
+        while (pos < bytes.length) {
+            const b = bytes[pos];
+            if (WHITESPACE.has(b)) pos++;
+            else if (b === 0x25) { // % comment
+                while (pos < bytes.length && bytes[pos] !== 0x0A && bytes[pos] !== 0x0D) pos++;
+            } else break;
+        }
+    };
+
+    const readLiteralString = () => {
+        const out = [];
+        let depth = 1;
+        pos++;
+        while (pos < bytes.length) {
+            const b = bytes[pos++];
+            if (b === 0x5C) { // backslash escape
+                const n = bytes[pos++];
+                const map = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C };
+                if (map[n] !== undefined) out.push(map[n]);
+                else if (n >= 0x30 && n <= 0x37) {
+                    let oct = n - 0x30;
+                    for (let k = 0; k < 2 && bytes[pos] >= 0x30 && bytes[pos] <= 0x37; k++) oct = oct * 8 + (bytes[pos++] - 0x30);
+                    out.push(oct & 0xFF);
+                } else if (n === 0x0D) {
+                    if (bytes[pos] === 0x0A) pos++;
+                } else if (n !== 0x0A) out.push(n);
+            } else if (b === 0x28) { depth++; out.push(b); }
+            else if (b === 0x29) {
+                if (--depth === 0) break;
+                out.push(b);
+            } else out.push(b);
+        }
+        return { str: new Uint8Array(out) };
+    };
+
+    const readHexString = () => {
+        pos++;
+        let hex = '';
+        while (pos < bytes.length && bytes[pos] !== 0x3E) {
+            const c = String.fromCharCode(bytes[pos++]);
+            if (/[0-9a-fA-F]/.test(c)) hex += c;
+        }
+        pos++;
+        if (hex.length % 2) hex += '0';
+        const out = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+        return { str: out, hex: true };
+    };
+
+    const readName = () => {
+        pos++;
+        let name = '';
+        while (pos < bytes.length && isRegular(bytes[pos])) {
+            if (bytes[pos] === 0x23 && pos + 2 < bytes.length) { // #xx escape
+                name += String.fromCharCode(parseInt(String.fromCharCode(bytes[pos + 1], bytes[pos + 2]), 16));
+                pos += 3;
+            } else name += String.fromCharCode(bytes[pos++]);
+        }
+        return { name };
+    };
+
+    const readKeyword = () => {
+        const start = pos;
+        while (pos < bytes.length && isRegular(bytes[pos])) pos++;
+        return String.fromCharCode(...bytes.subarray(start, pos));
+    };
+
+    // Reads one operand value; returns { op } for bare keywords
+    const readValue = () => {
+        skipSpace();
+        const b = bytes[pos];
+        if (b === 0x28) return readLiteralString();
+        if (b === 0x2F) return readName();
+        if (b === 0x3C && bytes[pos + 1] === 0x3C) {
+            pos += 2;
+            const dict = {};
+            for (;;) {
+                skipSpace();
+                if (pos >= bytes.length) break;
+                if (bytes[pos] === 0x3E && bytes[pos + 1] === 0x3E) { pos += 2; break; }
+                const key = readValue();
+                const value = readValue();
+                if (key && key.name !== undefined) dict[key.name] = value;
+            }
+            return { dict };
+        }
+        if (b === 0x3C) return readHexString();
+        if (b === 0x5B) {
+            pos++;
+            const arr = [];
+            for (;;) {
+                skipSpace();
+                if (pos >= bytes.length) break;
+                if (bytes[pos] === 0x5D) { pos++; break; }
+                const v = readValue();
+                if (v && v.op !== undefined) continue;
+                arr.push(v);
+            }
+            return arr;
+        }
+        if (b === 0x5D || b === 0x3E || b === 0x29 || b === 0x7B || b === 0x7D) { pos++; return { op: '' }; }
+        const word = readKeyword();
+        if (word === '') { pos++; return { op: '' }; }
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        return { op: word };
+    };
+
+    while (pos < bytes.length) {
+        skipSpace();
+        if (pos >= bytes.length) break;
+        const tokenStart = pos;
+        const value = readValue();
+        if (opStart < 0) opStart = tokenStart;
+
+        if (value && typeof value === 'object' && value.op !== undefined) {
+            if (value.op === '') { opStart = -1; operands = []; continue; }
+
+            if (value.op === 'BI') {
+                // Inline image: dictionary up to ID, binary data up to EI
+                const dict = {};
+                for (;;) {
+                    skipSpace();
+                    if (pos >= bytes.length) break;
+                    const key = readValue();
+                    if (key && key.op === 'ID') break;
+                    const v = readValue();
+                    if (key && key.name !== undefined) dict[key.name] = v;
+                }
+                pos++; // single whitespace after ID
+                let end = pos;
+                while (end < bytes.length - 1) {
+                    if (bytes[end] === 0x45 && bytes[end + 1] === 0x49 && WHITESPACE.has(bytes[end - 1]) &&
+                        (end + 2 >= bytes.length || !isRegular(bytes[end + 2]))) break;
+                    end++;
+                }
+                pos = Math.min(bytes.length, end + 2);
+                ops.push({ op: 'BI', operands: [dict], start: opStart, end: pos });
+            } else {
+                ops.push({ op: value.op, operands, start: opStart, end: pos });
+            }
+            operands = [];
+            opStart = -1;
+        } else {
+            operands.push(value);
+        }
+    }
+    return ops;
+}
+
+// --- SERIALIZATION ---
+
+function formatNumber(n) {
+    if (Number.isInteger(n)) return String(n);
+    const s = n.toFixed(4).replace(/0+$/, '').replace(/\.$/, '');
+    return s === '-0' ? '0' : s;
+}
+
+function serializeValue(v) {
+    if (typeof v === 'number') return formatNumber(v);
+    if (typeof v === 'boolean') return String(v);
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return '[' + v.map(serializeValue).join(' ') + ']';
+    if (v.name !== undefined) {
+        return '/' + v.name.replace(/[^\x21-\x7E]|[#()<>[\]{}/%]/g, c => '#' + c.charCodeAt(0).toString(16).padStart(2, '0'));
+    }
+    if (v.str !== undefined) return '<' + Array.from(v.str, b => b.toString(16).padStart(2, '0')).join('') + '>';
+    if (v.dict !== undefined) {
+        return '<<' + Object.entries(v.dict).map(([k, val]) => serializeValue({ name: k }) + ' ' + serializeValue(val)).join(' ') + '>>';
+    }
+    return '';
+}
+
+function serializeOp(op, operands) {
+    return operands.map(serializeValue).concat(op).join(' ');
+}
+
+function matrixOp(m) {
+    return m.map(formatNumber).join(' ') + ' cm';
+}
+
+// --- FONT METRICS ---
+
+function num(obj, fallback = 0) {
+    const { PDFNumber } = window.PDFLib;
+    return obj instanceof PDFNumber ? obj.asNumber() : fallback;
+}
+
+function lookupName(dict, key) {
+    const { PDFName } = window.PDFLib;
+    const v = dict.lookup(PDFName.of(key));
+    return v instanceof PDFName ? v.decodeText() : null;
+}
+
+function arrayValues(dict, key) {
+    const { PDFName, PDFArray } = window.PDFLib;
+    const arr = dict.lookup(PDFName.of(key));
+    if (!(arr instanceof PDFArray)) return null;
+    const out = [];
+    for (let i = 0; i < arr.size(); i++) out.push(arr.lookup(i));
+    return out;
+}
+
+/**
+ * FONT LOADER: Extracts the minimal metrics needed to position glyphs
+ * Widths are returned in text space units per 1pt of font size.
+ */
+function loadFontMetrics(fontDict) {
+    const { PDFName, PDFDict, PDFArray } = window.PDFLib;
+    const subtype = lookupName(fontDict, 'Subtype');
+    const metrics = { bytesPerCode: 1, widths: new Map(), defaultWidth: 0.5, ascent: 0.85, descent: -0.25 };
+
+    let descriptor = fontDict.lookup(PDFName.of('FontDescriptor'));
+
+    if (subtype === 'Type0') {
+        metrics.bytesPerCode = 2;
+        const descendants = fontDict.lookup(PDFName.of('DescendantFonts'));
+        const cid = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+        if (cid instanceof PDFDict) {
+            descriptor = cid.lookup(PDFName.of('FontDescriptor'));
+            metrics.defaultWidth = num(cid.lookup(PDFName.of('DW')), 1000) / 1000;
+            const w = arrayValues(cid, 'W') || [];
+            for (let i = 0; i < w.length;) {
+                const first = num(w[i]);
+                if (w[i + 1] instanceof PDFArray) {
+                    const list = w[i + 1];
+                    for (let k = 0; k < list.size(); k++) metrics.widths.set(first + k, num(list.lookup(k)) / 1000);
+                    i += 2;
+                } else {
+                    const last = num(w[i + 1]);
+                    const width = num(w[i + 2]) / 1000;
+                    for (let c = first; c <= last && c - first < 65536; c++) metrics.widths.set(c, width);
+                    i += 3;
+                }
+            }
+        }
+    } else {
+        const scale = subtype === 'Type3' ? num((arrayValues(fontDict, 'FontMatrix') || [])[0], 0.001) : 0.001;
+        const firstChar = num(fontDict.lookup(PDFName.of('FirstChar')));
+        const widths = arrayValues(fontDict, 'Widths');
+        if (widths) {
+            widths.forEach((w, i) => metrics.widths.set(firstChar + i, num(w) * scale));
+        } else {
+            // Standard 14 fonts may omit /Widths; use the AFM metrics bundled with pdf-lib
+            const { StandardFontEmbedder, StandardFontValues } = window.PDFLib;
+            const base = (lookupName(fontDict, 'BaseFont') || '').replace(/^[A-Z]{6}\+/, '');
+            if (StandardFontValues.includes(base)) {
+                const embedder = StandardFontEmbedder.for(base);
+                for (let code = 32; code < 256; code++) {
+                    try {
+                        metrics.widths.set(code, embedder.widthOfTextAtSize(String.fromCharCode(code), 1000) / 1000);
+                    } catch (err) { /* glyph not in the font encoding */ }
+                }
+            }
+            metrics.defaultWidth = /courier/i.test(base) ? 0.6 : 0.55;
+        }
+        if (descriptor instanceof PDFDict) {
+            const missing = num(descriptor.lookup(PDFName.of('MissingWidth')), -1);
+            if (missing >= 0 && widths) metrics.defaultWidth = missing * scale;
+        }
+    }
+
+    if (descriptor instanceof PDFDict) {
+        const ascent = num(descriptor.lookup(PDFName.of('Ascent'))) / 1000;
+        const descent = num(descriptor.lookup(PDFName.of('Descent'))) / 1000;
+        if (ascent > 0.3 && ascent < 2) metrics.ascent = ascent;
+        if (descent < 0 && descent > -1) metrics.descent = descent;
+    }
+
+    metrics.widthOf = (code) => metrics.widths.has(code) ? metrics.widths.get(code) : metrics.defaultWidth;
+    return metrics;
+}
+
+// --- IMAGE PIXEL REDACTION ---
+
+function colorComponents(context, colorSpace) {
+    const { PDFName, PDFArray, PDFDict } = window.PDFLib;
+    const cs = colorSpace instanceof PDFArray ? colorSpace : context.lookup(colorSpace);
+    if (cs instanceof PDFName) {
+        return { DeviceGray: 1, CalGray: 1, DeviceRGB: 3, CalRGB: 3, DeviceCMYK: 4 }[cs.decodeText()] || 0;
+    }
+    if (cs instanceof PDFArray) {
+        const family = cs.lookup(0);
+        const name = family instanceof PDFName ? family.decodeText() : '';
+        if (name === 'Indexed' || name === 'Separation') return 1;
+        if (name === 'CalRGB' || name === 'Lab') return 3;
+        if (name === 'CalGray') return 1;
+        if (name === 'ICCBased') {
+            const profile = cs.lookup(1);
+            const dict = profile && profile.dict instanceof PDFDict ? profile.dict : null;
+            return dict ? num(dict.lookup(PDFName.of('N'))) : 0;
+        }
+        if (name === 'DeviceN') {
+            const names = cs.lookup(1);
+            return names instanceof PDFArray ? names.size() : 0;
+        }
+    }
+    return 0;
+}
+
+function filterNames(dict) {
+    const { PDFName, PDFArray } = window.PDFLib;
+    const filter = dict.lookup(PDFName.of('Filter'));
+    if (filter instanceof PDFName) return [filter.decodeText()];
+    if (filter instanceof PDFArray) return filter.asArray().map(f => f instanceof PDFName ? f.decodeText() : '');
+    return [];
+}
+
+/**
+ * PIXEL MAPPING: Projects user-space boxes into image pixel rectangles
+ * The image occupies the unit square under the CTM active at its Do operator.
+ */
+function pixelRects(ctm, boxes, width, height) {
+    const inv = invert(ctm);
+    if (!inv) return [];
+    return boxes.map(box => {
+        const b = transformBox(inv, box.x0, box.y0, box.x1, box.y1);
+        const x0 = Math.max(0, Math.floor(Math.min(b.x0, b.x1) * width));
+        const x1 = Math.min(width, Math.ceil(Math.max(b.x0, b.x1) * width));
+        const y0 = Math.max(0, Math.floor((1 - b.y1) * height));
+        const y1 = Math.min(height, Math.ceil((1 - b.y0) * height));
+        return { x0, y0, x1, y1 };
+    }).filter(r => r.x1 > r.x0 && r.y1 > r.y0);
+}
+
+function copyDictEntries(source, target, skip) {
+    for (const [key, value] of source.entries()) {
+        if (!skip.includes(key.decodeText())) target.set(key, value);
+    }
+}
+
+async function redactJpeg(context, stream, rects) {
+    const { PDFName, PDFRawStream } = window.PDFLib;
+    const bitmap = await createImageBitmap(new Blob([stream.contents], { type: 'image/jpeg' }));
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    ctx.fillStyle = 'black';
+    const sx = bitmap.width / num(stream.dict.lookup(PDFName.of('Width')), bitmap.width);
+    const sy = bitmap.height / num(stream.dict.lookup(PDFName.of('Height')), bitmap.height);
+    rects.forEach(r => ctx.fillRect(r.x0 * sx, r.y0 * sy, (r.x1 - r.x0) * sx, (r.y1 - r.y0) * sy));
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    const dict = context.obj({});
+    copyDictEntries(stream.dict, dict, ['Length', 'Filter', 'DecodeParms', 'ColorSpace', 'Decode', 'BitsPerComponent', 'Width', 'Height']);
+    dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+    dict.set(PDFName.of('ColorSpace'), PDFName.of('DeviceRGB'));
+    dict.set(PDFName.of('BitsPerComponent'), context.obj(8));
+    dict.set(PDFName.of('Width'), context.obj(bitmap.width));
+    dict.set(PDFName.of('Height'), context.obj(bitmap.height));
+    return PDFRawStream.of(dict, bytes);
+}
+
+function redactRawSamples(context, stream, rects) {
+    const { PDFName, PDFDict, PDFArray, decodePDFRawStream } = window.PDFLib;
+    const dict = stream.dict;
+    const params = dict.lookup(PDFName.of('DecodeParms'));
+    const paramDict = params instanceof PDFArray ? params.lookup(0) : params;
+    if (paramDict instanceof PDFDict && num(paramDict.lookup(PDFName.of('Predictor')), 1) > 1) return null;
+
+    const width = num(dict.lookup(PDFName.of('Width')));
+    const height = num(dict.lookup(PDFName.of('Height')));
+    const isMask = dict.lookup(PDFName.of('ImageMask')) === context.obj(true);
+    const bpc = isMask ? 1 : num(dict.lookup(PDFName.of('BitsPerComponent')), 8);
+    const comps = isMask ? 1 : colorComponents(context, dict.get(PDFName.of('ColorSpace')));
+    if (!width || !height || !comps || ![1, 2, 4, 8, 16].includes(bpc)) return null;
+
+    let samples;
+    try {
+        samples = filterNames(dict).length ? decodePDFRawStream(stream).decode() : stream.contents.slice();
+    } catch (err) {
+        return null;
+    }
+
+    const rowBytes = Math.ceil(width * comps * bpc / 8);
+    if (samples.length < rowBytes * height) return null;
+
+    // Image masks paint where the sample is 0 (default /Decode), so "off" is 1
+    const decode = arrayValues(dict, 'Decode');
+    const inverted = decode && num(decode[0]) === 1;
+    const fill = isMask && !inverted ? 1 : 0;
+
+    rects.forEach(r => {
+        for (let y = r.y0; y < r.y1; y++) {
+            const row = y * rowBytes;
+            if (bpc >= 8) {
+                const bytesPerPixel = comps * bpc / 8;
+                samples.fill(fill ? 0xFF : 0, row + r.x0 * bytesPerPixel, row + r.x1 * bytesPerPixel);
+            } else {
+                for (let x = r.x0 * comps; x < r.x1 * comps; x++) {
+                    const bit = x * bpc;
+                    const shift = 8 - bpc - (bit % 8);
+                    const mask = ((1 << bpc) - 1) << shift;
+                    const idx = row + (bit >> 3);
+                    samples[idx] = fill ? (samples[idx] | mask) : (samples[idx] & ~mask);
+                }
+            }
+        }
+    });
+
+    const redacted = context.flateStream(samples);
+    copyDictEntries(dict, redacted.dict, ['Length', 'Filter', 'DecodeParms']);
+    return redacted;
+}
+
+// --- CONTENT REWRITER ---
+
+class UnsupportedImageError extends Error { }
+
+/**
+ * RESOURCE SCOPE: Lazily creates page-local copies of resource dictionaries
+ * so that shared XObjects on other pages are never modified.
+ */
+function createResourceScope(context, resources) {
+    const { PDFName, PDFDict } = window.PDFLib;
+    let local = null;
+    let localXObjects = null;
+    let counter = 0;
+
+    return {
+        original: resources,
+        get changed() { return local !== null; },
+        get dict() { return local || resources; },
+        lookup(category, name) {
+            const cat = resources && resources.lookup(PDFName.of(category));
+            return cat instanceof PDFDict ? cat.lookup(PDFName.of(name)) : undefined;
+        },
+        addXObject(stream) {
+            ensureLocal();
+            let name;
+            do { name = `RdX${++counter}`; } while (localXObjects.has(PDFName.of(name)));
+            localXObjects.set(PDFName.of(name), context.register(stream));
+            return name;
+        },
+        removeXObjects(names) {
+            // Replaced originals must not stay reachable from the page-local copy
+            if (!names.length) return;
+            ensureLocal();
+            names.forEach(name => localXObjects.delete(PDFName.of(name)));
+        }
+    };
+
+    function ensureLocal() {
+        if (!local) {
+            local = resources ? resources.clone(context) : context.obj({});
+            const xobjects = local.lookup(PDFName.of('XObject'));
+            localXObjects = xobjects instanceof PDFDict ? xobjects.clone(context) : context.obj({});
+            local.set(PDFName.of('XObject'), localXObjects);
+        }
+    }
+}
+
+/**
+ * INTERPRETER: Rewrites one content stream against a set of user-space boxes
+ * @returns {Promise<Uint8Array|null>} New stream bytes, or null if nothing changed
+ */
+async function rewriteContent(job, bytes, scope, baseCtm, depth) {
+    const { PDFName, PDFDict, PDFRawStream, decodePDFRawStream } = window.PDFLib;
+    const { context, boxes, report, fontCache } = job;
+    const ops = parseContent(bytes);
+    const out = [];
+    let changed = false;
+
+    let gs = { ctm: baseCtm, font: null, fontSize: 0, tc: 0, tw: 0, th: 1, tl: 0, ts: 0, lineWidth: 1 };
+    const stack = [];
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+    let path = null;
+    const markedContent = [];
+    const replacedXObjects = new Set();
+    const usedXObjects = new Set();
+
+    const raw = (op) => out.push(bytes.subarray(op.start, op.end), '\n');
+    const emit = (text) => { out.push(text); changed = true; };
+    const hits = (bbox) => boxes.filter(b => intersects(b, bbox));
+
+    const exclusionClip = (targets) => {
+        const inv = invert(gs.ctm);
+        if (!inv) return null;
+        const rects = ['-100000 -100000 200000 200000 re']
+            .concat(targets.map(b => `${formatNumber(b.x0)} ${formatNumber(b.y0)} ${formatNumber(b.x1 - b.x0)} ${formatNumber(b.y1 - b.y0)} re`));
+        return `q\n${matrixOp(inv)}\n${rects.join('\n')}\nW* n\n${matrixOp(gs.ctm)}\n`;
+    };
+
+    const fontFor = (name) => {
+        const fontDict = scope.lookup('Font', name);
+        if (!(fontDict instanceof PDFDict)) return null;
+        if (!fontCache.has(fontDict)) fontCache.set(fontDict, loadFontMetrics(fontDict));
+        return fontCache.get(fontDict);
+    };
+
+    const addPathPoints = (points) => {
+        if (!path.current) return;
+        for (let i = 0; i < points.length; i += 2) {
+            const [x, y] = applyPoint(gs.ctm, points[i], points[i + 1]);
+            const bb = path.current.bbox;
+            bb.x0 = Math.min(bb.x0, x); bb.y0 = Math.min(bb.y0, y);
+            bb.x1 = Math.max(bb.x1, x); bb.y1 = Math.max(bb.y1, y);
+        }
+    };
+
+    const startSubpath = () => {
+        path.current = { ops: [], bbox: { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity } };
+        path.subpaths.push(path.current);
+    };
+
+    /**
+     * TEXT SHOW: Walks each glyph, advances Tm and rebuilds the string
+     * Removed glyphs become negative TJ adjustments so kept glyphs stay in place.
+     */
+    const showText = (op, items) => {
+        const font = gs.font || FALLBACK_FONT;
+        const fs = gs.fontSize;
+        if (!fs || !gs.th) return null;
+
+        const rebuilt = [];
+        let pending = [];
+        let removed = 0;
+        const flush = () => { if (pending.length) { rebuilt.push({ str: new Uint8Array(pending) }); pending = []; } };
+        const pushAdjust = (n) => {
+            flush();
+            const last = rebuilt[rebuilt.length - 1];
+            if (typeof last === 'number') rebuilt[rebuilt.length - 1] = last + n;
+            else rebuilt.push(n);
+        };
+
+        for (const item of items) {
+            if (typeof item === 'number') {
+                tm = multiply([1, 0, 0, 1, -item / 1000 * fs * gs.th, 0], tm);
+                pushAdjust(item);
+                continue;
+            }
+            if (!item || !item.str) continue;
+            const str = item.str;
+            for (let i = 0; i < str.length; i += font.bytesPerCode) {
+                const code = font.bytesPerCode === 2 ? (str[i] << 8) | (str[i + 1] || 0) : str[i];
+                const w = font.widthOf(code);
+                const trm = multiply([fs * gs.th, 0, 0, fs, 0, gs.ts], multiply(tm, gs.ctm));
+                const glyph = transformBox(trm, 0, font.descent, w || 0.001, font.ascent);
+                const area = Math.max(1e-9, (glyph.x1 - glyph.x0) * (glyph.y1 - glyph.y0));
+                const redact = boxes.some(b => overlapArea(b, glyph) / area >= GLYPH_OVERLAP_RATIO);
+
+                const spacing = gs.tc + (font.bytesPerCode === 1 && code === 32 ? gs.tw : 0);
+                const tx = (w * fs + spacing) * gs.th;
+                tm = multiply([1, 0, 0, 1, tx, 0], tm);
+
+                if (redact) {
+                    removed++;
+                    pushAdjust(-tx * 1000 / (fs * gs.th));
+                } else {
+                    for (let k = 0; k < font.bytesPerCode; k++) pending.push(str[i + k] || 0);
+                }
+            }
+        }
+        flush();
+
+        if (!removed) return null;
+        report.glyphs += removed;
+        markedContent.forEach(mc => { mc.touched = true; });
+        return `[${rebuilt.map(serializeValue).join(' ')}] TJ`;
+    };
+
+    for (let idx = 0; idx < ops.length; idx++) {
+        const { op, operands } = ops[idx];
+        const o = operands;
+
+        // --- Path construction is buffered until the painting operator ---
+        if (PATH_BUILD_OPS.has(op)) {
+            if (!path) path = { subpaths: [], current: null, clip: null, start: idx };
+            if (op === 'm' || op === 're' || !path.current) startSubpath();
+            path.current.ops.push(ops[idx]);
+            if (op === 're') {
+                const [x, y, w, h] = o;
+                addPathPoints([x, y, x + w, y, x, y + h, x + w, y + h]);
+            } else if (op !== 'h') {
+                addPathPoints(o.filter(v => typeof v === 'number'));
+            }
+            continue;
+        }
+        if (path && (op === 'W' || op === 'W*')) { path.clip = ops[idx]; continue; }
+        if (path && PATH_PAINT_OPS.has(op)) {
+            const painted = op !== 'n';
+            const pad = STROKE_OPS.has(op) ? gs.lineWidth * Math.sqrt(Math.abs(gs.ctm[0] * gs.ctm[3] - gs.ctm[1] * gs.ctm[2])) / 2 : 0;
+            const subpaths = path.subpaths.map(sp => ({
+                ...sp,
+                bbox: { x0: sp.bbox.x0 - pad, y0: sp.bbox.y0 - pad, x1: sp.bbox.x1 + pad, y1: sp.bbox.y1 + pad }
+            }));
+            const kept = painted ? subpaths.filter(sp => !boxes.some(b => contains(b, sp.bbox))) : subpaths;
+            const touching = boxes.filter(b => kept.some(sp => intersects(b, sp.bbox)));
+            const allOps = (list) => list.flatMap(sp => sp.ops);
+
+            if (!painted || (kept.length === subpaths.length && !touching.length)) {
+                path.subpaths.forEach(sp => sp.ops.forEach(raw));
+                if (path.clip) raw(path.clip);
+                raw(ops[idx]);
+            } else {
+                report.paths += subpaths.length - kept.length;
+                if (path.clip) {
+                    path.subpaths.forEach(sp => sp.ops.forEach(raw));
+                    emit(`${path.clip.op} n\n`);
+                }
+                if (kept.length) {
+                    const clip = touching.length ? exclusionClip(touching) : '';
+                    if (touching.length) report.clippedPaths++;
+                    emit(clip || '');
+                    allOps(kept).forEach(raw);
+                    emit(`\n${op}\n${clip ? 'Q\n' : ''}`);
+                } else {
+                    emit('\n');
+                }
+            }
+            path = null;
+            continue;
+        }
+        if (path) {
+            // Malformed stream: flush the pending path untouched
+            path.subpaths.forEach(sp => sp.ops.forEach(raw));
+            path = null;
+        }
+
+        switch (op) {
+            case 'q':
+                stack.push({ ...gs });
+                raw(ops[idx]);
+                break;
+            case 'Q':
+                if (stack.length) gs = stack.pop();
+                raw(ops[idx]);
+                break;
+            case 'cm':
+                gs.ctm = multiply(o.slice(0, 6), gs.ctm);
+                raw(ops[idx]);
+                break;
+            case 'w':
+                gs.lineWidth = o[0];
+                raw(ops[idx]);
+                break;
+            case 'BT':
+                tm = IDENTITY;
+                tlm = IDENTITY;
+                raw(ops[idx]);
+                break;
+            case 'Tf':
+                gs.font = fontFor(o[0] && o[0].name);
+                gs.fontSize = o[1] || 0;
+                raw(ops[idx]);
+                break;
+            case 'Tc': gs.tc = o[0]; raw(ops[idx]); break;
+            case 'Tw': gs.tw = o[0]; raw(ops[idx]); break;
+            case 'Tz': gs.th = o[0] / 100; raw(ops[idx]); break;
+            case 'TL': gs.tl = o[0]; raw(ops[idx]); break;
+            case 'Ts': gs.ts = o[0]; raw(ops[idx]); break;
+            case 'Td':
+            case 'TD':
+                if (op === 'TD') gs.tl = -o[1];
+                tlm = multiply([1, 0, 0, 1, o[0], o[1]], tlm);
+                tm = tlm;
+                raw(ops[idx]);
+                break;
+            case 'Tm':
+                tlm = o.slice(0, 6);
+                tm = tlm;
+                raw(ops[idx]);
+                break;
+            case 'T*':
+                tlm = multiply([1, 0, 0, 1, 0, -gs.tl], tlm);
+                tm = tlm;
+                raw(ops[idx]);
+                break;
+            case 'Tj':
+            case 'TJ':
+            case "'":
+            case '"': {
+                let prefix = '';
+                if (op === '"') {
+                    gs.tw = o[0];
+                    gs.tc = o[1];
+                    prefix = `${formatNumber(o[0])} Tw ${formatNumber(o[1])} Tc `;
+                }
+                if (op === "'" || op === '"') {
+                    tlm = multiply([1, 0, 0, 1, 0, -gs.tl], tlm);
+                    tm = tlm;
+                    prefix += 'T* ';
+                }
+                const items = op === 'TJ' ? (o[0] || []) : [o[o.length - 1]];
+                const rebuilt = showText(op, items);
+                if (rebuilt) emit(`${prefix}${rebuilt}\n`);
+                else raw(ops[idx]);
+                break;
+            }
+            case 'BDC':
+            case 'BMC': {
+                const mc = { index: out.length, op: ops[idx], touched: false };
+                markedContent.push(mc);
+                raw(ops[idx]);
+                break;
+            }
+            case 'EMC': {
+                const mc = markedContent.pop();
+                if (mc && mc.touched && mc.op.op === 'BDC') {
+                    // Replacement text (ActualText/Alt/E) would leak the removed glyphs
+                    const props = mc.op.operands[1];
+                    if (props && props.dict && (props.dict.ActualText || props.dict.Alt || props.dict.E)) {
+                        out[mc.index] = `${serializeValue(mc.op.operands[0])} BMC\n`;
+                        changed = true;
+                    }
+                }
+                raw(ops[idx]);
+                break;
+            }
+            case 'sh': {
+                const clip = exclusionClip(boxes);
+                if (clip) {
+                    emit(clip);
+                    raw(ops[idx]);
+                    emit('\nQ\n');
+                } else raw(ops[idx]);
+                break;
+            }
+            case 'BI': {
+                const bbox = transformBox(gs.ctm, 0, 0, 1, 1);
+                if (hits(bbox).length) {
+                    report.images++;
+                    emit('\n');
+                } else raw(ops[idx]);
+                break;
+            }
+            case 'Do': {
+                const name = o[0] && o[0].name;
+                const xobject = scope.lookup('XObject', name);
+                const keep = () => { usedXObjects.add(name); raw(ops[idx]); };
+                if (!(xobject instanceof PDFRawStream)) { keep(); break; }
+                const subtype = lookupName(xobject.dict, 'Subtype');
+
+                if (subtype === 'Image') {
+                    const targets = hits(transformBox(gs.ctm, 0, 0, 1, 1));
+                    if (!targets.length) { keep(); break; }
+                    const width = num(xobject.dict.lookup(PDFName.of('Width')));
+                    const height = num(xobject.dict.lookup(PDFName.of('Height')));
+                    const rects = pixelRects(gs.ctm, targets, width, height);
+                    if (!rects.length) { keep(); break; }
+
+                    const filters = filterNames(xobject.dict);
+                    let redacted = null;
+                    if (filters.length === 1 && filters[0] === 'DCTDecode') {
+                        redacted = await redactJpeg(context, xobject, rects);
+                    } else if (!filters.some(f => ['DCTDecode', 'JPXDecode', 'JBIG2Decode', 'CCITTFaxDecode'].includes(f))) {
+                        redacted = redactRawSamples(context, xobject, rects);
+                    }
+                    if (!redacted) throw new UnsupportedImageError(`Image /${name} uses ${filters.join('+') || 'unknown'} encoding`);
+
+                    // Soft masks carry the same silhouette and are redacted alongside
+                    const smask = xobject.dict.lookup(PDFName.of('SMask'));
+                    if (smask instanceof PDFRawStream) {
+                        const maskRects = pixelRects(gs.ctm, targets, num(smask.dict.lookup(PDFName.of('Width'))), num(smask.dict.lookup(PDFName.of('Height'))));
+                        const redactedMask = redactRawSamples(context, smask, maskRects);
+                        if (redactedMask) redacted.dict.set(PDFName.of('SMask'), context.register(redactedMask));
+                    }
+
+                    const newName = scope.addXObject(redacted);
+                    replacedXObjects.add(name);
+                    report.images++;
+                    emit(`/${newName} Do\n`);
+                } else if (subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+                    const matrix = (arrayValues(xobject.dict, 'Matrix') || []).map(v => num(v));
+                    const formMatrix = matrix.length === 6 ? matrix : IDENTITY;
+                    const formCtm = multiply(formMatrix, gs.ctm);
+                    const bboxValues = (arrayValues(xobject.dict, 'BBox') || []).map(v => num(v));
+                    const formBox = bboxValues.length === 4
+                        ? transformBox(formCtm, bboxValues[0], bboxValues[1], bboxValues[2], bboxValues[3])
+                        : { x0: -Infinity, y0: -Infinity, x1: Infinity, y1: Infinity };
+                    if (!hits(formBox).length) { keep(); break; }
+
+                    const formResources = xobject.dict.lookup(PDFName.of('Resources'));
+                    const formScope = createResourceScope(context, formResources instanceof PDFDict ? formResources : scope.dict);
+                    const formBytes = filterNames(xobject.dict).length ? decodePDFRawStream(xobject).decode() : xobject.contents;
+                    const rewritten = await rewriteContent(job, formBytes, formScope, formCtm, depth + 1);
+                    if (!rewritten && !formScope.changed) { keep(); break; }
+
+                    const form = context.flateStream(rewritten || formBytes);
+                    copyDictEntries(xobject.dict, form.dict, ['Length', 'Filter', 'DecodeParms', 'Resources']);
+                    form.dict.set(PDFName.of('Resources'), formScope.dict);
+                    report.forms++;
+                    replacedXObjects.add(name);
+                    emit(`/${scope.addXObject(form)} Do\n`);
+                } else {
+                    keep();
+                }
+                break;
+            }
+            default:
+                raw(ops[idx]);
+        }
+    }
+
+    if (!changed && !scope.changed) return null;
+    scope.removeXObjects([...replacedXObjects].filter(name => !usedXObjects.has(name)));
+
+    const encoder = new TextEncoder();
+    const chunks = out.map(piece => typeof piece === 'string' ? encoder.encode(piece) : piece);
+    const total = chunks.reduce((sum, c) => sum + c.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(c => { result.set(c, offset); offset += c.length; });
+    return result;
+}
+
+// --- PAGE LEVEL ---
+
+function pageContentBytes(page) {
+    const { PDFArray, PDFRawStream, decodePDFRawStream } = window.PDFLib;
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+        ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+        : [contents];
+    const parts = streams
+        .filter(s => s instanceof PDFRawStream)
+        .map(s => filterNames(s.dict).length ? decodePDFRawStream(s).decode() : s.contents);
+    const total = parts.reduce((sum, p) => sum + p.length + 1, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(p => { bytes.set(p, offset); offset += p.length; bytes[offset++] = 0x0A; });
+    return bytes;
+}
+
+/**
+ * ANNOTATION PURGE: Removes annotations (widgets, notes, links) overlapping a box
+ */
+function removeAnnotations(pdfDoc, page, boxes) {
+    const { PDFName, PDFArray, PDFDict } = window.PDFLib;
+    const annots = page.node.Annots();
+    if (!(annots instanceof PDFArray)) return [];
+
+    const removed = [];
+    const kept = [];
+    annots.asArray().forEach(ref => {
+        const annot = pdfDoc.context.lookup(ref);
+        const rect = annot instanceof PDFDict ? (arrayValues(annot, 'Rect') || []).map(v => num(v)) : [];
+        const box = rect.length === 4
+            ? { x0: Math.min(rect[0], rect[2]), y0: Math.min(rect[1], rect[3]), x1: Math.max(rect[0], rect[2]), y1: Math.max(rect[1], rect[3]) }
+            : null;
+        if (box && boxes.some(b => intersects(b, box))) removed.push(ref);
+        else kept.push(ref);
+    });
+
+    if (removed.length) page.node.set(PDFName.of('Annots'), pdfDoc.context.obj(kept));
+    return removed;
+}
+
+function pruneFormFields(pdfDoc, removedRefs) {
+    const { PDFName, PDFArray, PDFDict } = window.PDFLib;
+    if (!removedRefs.length) return;
+    const acroForm = pdfDoc.catalog.lookup(PDFName.of('AcroForm'));
+    if (!(acroForm instanceof PDFDict)) return;
+    const fields = acroForm.lookup(PDFName.of('Fields'));
+    if (!(fields instanceof PDFArray)) return;
+    const removed = new Set(removedRefs.map(r => r.toString()));
+    acroForm.set(PDFName.of('Fields'), pdfDoc.context.obj(fields.asArray().filter(ref => !removed.has(ref.toString()))));
+}
+
+/**
+ * FLATTEN FALLBACK: Replaces a page with a burned-in raster of itself
+ * Used when an intersecting image cannot be decoded (JBIG2, CCITT, JPX...).
+ * @param {HTMLCanvasElement} canvas - Unrotated render of the page CropBox
+ */
+export async function flattenPage(pdfDoc, page, canvas, boxes = []) {
+    const { PDFName } = window.PDFLib;
+    const crop = page.getCropBox();
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'black';
+    boxes.forEach(b => {
+        ctx.fillRect(
+            (b.x0 - crop.x) / crop.width * canvas.width,
+            (1 - (b.y1 - crop.y) / crop.height) * canvas.height,
+            (b.x1 - b.x0) / crop.width * canvas.width,
+            (b.y1 - b.y0) / crop.height * canvas.height
+        );
+    });
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+    const image = await pdfDoc.embedJpg(await blob.arrayBuffer());
+    const content = `q ${formatNumber(crop.width)} 0 0 ${formatNumber(crop.height)} ${formatNumber(crop.x)} ${formatNumber(crop.y)} cm /RdPage Do Q`;
+
+    page.node.set(PDFName.of('Resources'), pdfDoc.context.obj({ XObject: { RdPage: image.ref } }));
+    page.node.set(PDFName.of('Contents'), pdfDoc.context.register(pdfDoc.context.flateStream(content)));
+    page.node.delete(PDFName.of('Annots'));
+}
+
+/**
+ * GARBAGE COLLECTOR: Deletes every indirect object unreachable from the trailer
+ * pdf-lib writes all registered objects on save, so replaced content streams and
+ * images would otherwise survive as orphans that a raw parser could still read.
+ * @returns {number} Count of purged objects
+ */
+export function collectGarbage(pdfDoc) {
+    const { PDFRef, PDFDict, PDFArray, PDFStream } = window.PDFLib;
+    const context = pdfDoc.context;
+    const reachable = new Set();
+    const queue = [context.trailerInfo.Root, context.trailerInfo.Info, context.trailerInfo.Encrypt].filter(Boolean);
+
+    while (queue.length) {
+        const item = queue.pop();
+        if (item instanceof PDFRef) {
+            const key = item.toString();
+            if (reachable.has(key)) continue;
+            reachable.add(key);
+            const target = context.lookup(item);
+            if (target) queue.push(target);
+        } else if (item instanceof PDFDict) {
+            item.values().forEach(v => queue.push(v));
+        } else if (item instanceof PDFArray) {
+            item.asArray().forEach(v => queue.push(v));
+        } else if (item instanceof PDFStream) {
+            queue.push(item.dict);
+        }
+    }
+
+    let purged = 0;
+    context.enumerateIndirectObjects().forEach(([ref]) => {
+        if (!reachable.has(ref.toString())) {
+            context.delete(ref);
+            purged++;
+        }
+    });
+    return purged;
+}
+
+/**
+ * MASTER REDACTION: Removes all content inside the given boxes, page by page
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document (modified in place)
+ * @param {Array} redactions - [{ page, x, y, w, h }] normalized viewport rects
+ * @param {object} options - { rasterizePage: async (pageIndex) => HTMLCanvasElement }
+ * @returns {Promise<object>} Per-page removal report
+ */
+export async function applyPdfRedactions(pdfDoc, redactions, options = {}) {
+    const { PDFName } = window.PDFLib;
+    const pages = pdfDoc.getPages();
+    const report = { pages: [], purgedObjects: 0 };
+    const fontCache = new Map();
+    const removedAnnots = [];
+
+    for (let i = 0; i < pages.length; i++) {
+        const rects = redactions.filter(r => (r.page || 0) === i);
+        if (!rects.length) continue;
+
+        const page = pages[i];
+        const boxes = rects.map(r => toPdfRect(page, r));
+        const pageReport = { page: i, glyphs: 0, images: 0, paths: 0, clippedPaths: 0, forms: 0, annotations: 0, flattened: false };
+        const job = { context: pdfDoc.context, boxes, report: pageReport, fontCache };
+
+        try {
+            const scope = createResourceScope(pdfDoc.context, page.node.Resources());
+            const original = pageContentBytes(page);
+            const rewritten = await rewriteContent(job, original, scope, IDENTITY, 0);
+
+            // Wrapped in q/Q so overlays drawn afterwards start from a clean graphics state
+            const body = rewritten || original;
+            const wrapped = new Uint8Array(body.length + 4);
+            wrapped.set([0x71, 0x0A], 0);
+            wrapped.set(body, 2);
+            wrapped.set([0x0A, 0x51], body.length + 2);
+            page.node.set(PDFName.of('Contents'), pdfDoc.context.register(pdfDoc.context.flateStream(wrapped)));
+            if (scope.changed) page.node.set(PDFName.of('Resources'), scope.dict);
+        } catch (err) {
+            if (!(err instanceof UnsupportedImageError) || !options.rasterizePage) throw err;
+            await flattenPage(pdfDoc, page, await options.rasterizePage(i), boxes);
+            pageReport.flattened = true;
+        }
+
+        const annots = removeAnnotations(pdfDoc, page, boxes);
+        pageReport.annotations = annots.length;
+        removedAnnots.push(...annots);
+
+        // Thumbnails are pre-rendered previews of the unredacted page
+        page.node.delete(PDFName.of('Thumb'));
+        report.pages.push(pageReport);
+    }
+
+    pruneFormFields(pdfDoc, removedAnnots);
+    report.purgedObjects = collectGarbage(pdfDoc);
+    return report;
+}
+
+/**
+ * VERIFICATION: Re-extracts text with pdf.js and checks every redaction box
+ * Character positions are interpolated along each text item's baseline.
+ * Run it on a save taken before drawPdfRedaction(): exemption labels are real text
+ * stamped inside the boxes and would be reported as leaks.
+ *
+ * @param {Uint8Array} pdfBytes - Saved, redacted document (boxes and labels not yet drawn)
+ * @param {Array} redactions - Same normalized rects passed to applyPdfRedactions
+ * @returns {Promise<object>} { clean, leaks: [{ page, text }] }
+ */
+export async function verifyPdfRedactions(pdfBytes, redactions) {
+    const pdf = await pdfjsLib.getDocument({ data: pdfBytes.slice() }).promise;
+    const leaks = [];
+
+    try {
+        for (let i = 0; i < pdf.numPages; i++) {
+            const rects = redactions.filter(r => (r.page || 0) === i);
+            if (!rects.length) continue;
+
+            const page = await pdf.getPage(i + 1);
+            const viewport = page.getViewport({ scale: 1 });
+            const boxes = rects.map(r => {
+                const [ax, ay] = viewport.convertToPdfPoint(r.x * viewport.width, r.y * viewport.height);
+                const [bx, by] = viewport.convertToPdfPoint((r.x + r.w) * viewport.width, (r.y + r.h) * viewport.height);
+                return { x0: Math.min(ax, bx), y0: Math.min(ay, by), x1: Math.max(ax, bx), y1: Math.max(ay, by) };
+            });
+
+            const content = await page.getTextContent();
+            content.items.forEach(item => {
+                const str = item.str || '';
+                if (!str.trim()) return;
+                const [a, b, , , e, f] = item.transform;
+                const scale = Math.hypot(a, b) || 1;
+                const dir = [a / scale, b / scale];
+                const normal = [-dir[1], dir[0]];
+                const height = item.height || scale;
+                const step = (item.width || 0) / str.length;
+
+                let leaked = '';
+                for (let c = 0; c < str.length; c++) {
+                    if (!str[c].trim()) continue;
+                    const along = (c + 0.5) * step;
+                    const x = e + dir[0] * along + normal[0] * height * 0.35;
+                    const y = f + dir[1] * along + normal[1] * height * 0.35;
+                    if (boxes.some(box => x > box.x0 && x < box.x1 && y > box.y0 && y < box.y1)) leaked += str[c];
+                }
+                if (leaked) leaks.push({ page: i, text: leaked });
+            });
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    return { clean: leaks.length === 0, leaks };
+}
@@ -0,0 +1,303 @@
+/**
+ * SHIELD PII DETECTORS: Checksum-Validated Identifier Discovery
+ *
+ * ROLE:
+ * Finds personal identifiers in recognized text and scores how likely each hit is real.
+ * Candidates are located by loose patterns, then confirmed by the identifier's own
+ * check digits or structure rules, so invoice numbers and dates no longer pass as PII.
+ *
+ * ARCHITECTURE:
+ * - Detectors: { type, pattern, keywords, trim?(candidate), validate(candidate) → base confidence | 0 }
+ * - Validation: Luhn (cards, SIN), ISO 7064 mod-97 (IBAN), ICAO 9303 7-3-1 (passport MRZ),
+ *   Verhoeff (Aadhaar), HMRC prefix rules (NINO), IRS campus prefixes (EIN)
+ * - Context: A detector keyword shortly before the hit ("IBAN:", "SIN", "EIN") raises
+ *   the confidence by CONTEXT_BOOST
+ * - Overlaps: When several detectors claim the same characters, the most confident wins
+ *
+ * OUTPUT: [{ type, text, start, end, confidence }] with confidence in 0-1
+ */
+
+const CONTEXT_WINDOW = 40;
+const CONTEXT_BOOST = 0.2;
+
+/**
+ * LUHN (MOD 10): Used by payment cards and Canadian SINs
+ */
+export function luhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return digits.length > 1 && sum % 10 === 0;
+}
+
+/**
+ * ISO 7064 MOD 97-10: IBAN check (country + check digits moved to the end)
+ */
+export function ibanValid(iban) {
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const ch of rearranged) {
+        const value = ch >= 'A' ? String(ch.charCodeAt(0) - 55) : ch;
+        for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+// Verhoeff dihedral group tables (multiplication, permutation)
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * VERHOEFF: Aadhaar check digit (catches all single-digit and adjacent-swap errors)
+ */
+export function verhoeffValid(digits) {
+    let c = 0;
+    const reversed = [...digits].reverse();
+    reversed.forEach((d, i) => {
+        c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(d)]];
+    });
+    return c === 0;
+}
+
+/**
+ * ICAO 9303 CHECK DIGIT: Weights 7-3-1 over MRZ characters (< = 0, A-Z = 10-35)
+ */
+export function mrzCheckDigit(field) {
+    const weights = [7, 3, 1];
+    let sum = 0;
+    for (let i = 0; i < field.length; i++) {
+        const ch = field[i];
+        const value = ch === '<' ? 0 : ch >= 'A' ? ch.charCodeAt(0) - 55 : Number(ch);
+        sum += value * weights[i % 3];
+    }
+    return String(sum % 10);
+}
+
+// IBAN lengths per country (ISO 13616 registry, SEPA + common correspondents)
+const IBAN_LENGTHS = {
+    AD: 24, AE: 23, AT: 20, BE: 16, BG: 22, BH: 22, BR: 29, CH: 21, CY: 28, CZ: 24, DE: 22,
+    DK: 18, EE: 20, ES: 24, FI: 18, FR: 27, GB: 22, GI: 23, GR: 27, HR: 21, HU: 28, IE: 22,
+    IL: 23, IS: 26, IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MT: 31, NL: 18, NO: 15,
+    PL: 28, PT: 25, QA: 29, RO: 24, SA: 24, SE: 24, SI: 19, SK: 24, SM: 27, TR: 26, UA: 29
+};
+
+// Two-digit prefixes the IRS assigns to EINs
+const EIN_PREFIXES = new Set([
+    '01', '02', '03', '04', '05', '06', '10', '11', '12', '13', '14', '15', '16', '20', '21', '22',
+    '23', '24', '25', '26', '27', '30', '31', '32', '33', '34', '35', '36', '37', '38', '39', '40',
+    '41', '42', '43', '44', '45', '46', '47', '48', '50', '51', '52', '53', '54', '55', '56', '57',
+    '58', '59', '60', '61', '62', '63', '64', '65', '66', '67', '68', '71', '72', '73', '74', '75',
+    '76', '77', '80', '81', '82', '83', '84', '85', '86', '87', '88', '90', '91', '92', '93', '94',
+    '95', '98', '99'
+]);
+
+const NINO_INVALID_PREFIXES = new Set(['BG', 'GB', 'KN', 'NK', 'NT', 'TN', 'ZZ']);
+
+/**
+ * CARD NETWORK: Returns true when the number's IIN and length belong to a known scheme
+ */
+function cardNetworkMatches(digits) {
+    const len = digits.length;
+    const p2 = Number(digits.slice(0, 2));
+    const p3 = Number(digits.slice(0, 3));
+    const p4 = Number(digits.slice(0, 4));
+
+    if (digits[0] === '4') return len === 13 || len === 16 || len === 19;                 // Visa
+    if ((p2 >= 51 && p2 <= 55) || (p4 >= 2221 && p4 <= 2720)) return len === 16;          // Mastercard
+    if (p2 === 34 || p2 === 37) return len === 15;                                         // Amex
+    if (p4 === 6011 || p2 === 65 || (p3 >= 644 && p3 <= 649)) return len >= 16;           // Discover
+    if (p4 >= 3528 && p4 <= 3589) return len >= 16;                                        // JCB
+    if (p2 === 36 || p2 === 38 || (p3 >= 300 && p3 <= 305)) return len >= 14;             // Diners
+    return false;
+}
+
+const digitsOf = (text) => text.replace(/\D/g, '');
+const isRepeated = (digits) => /^(\d)\1+$/.test(digits);
+
+/**
+ * DETECTOR REGISTRY: Ordered list; patterns are global and run per line of text
+ */
+export const DETECTORS = [
+    {
+        type: 'Email',
+        pattern: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
+        keywords: [],
+        validate: () => 0.95
+    },
+    {
+        type: 'Credit Card',
+        pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+        keywords: ['card', 'visa', 'mastercard', 'amex', 'cc', 'pan'],
+        validate: (text) => {
+            const digits = digitsOf(text);
+            if (isRepeated(digits) || !luhnValid(digits)) return 0;
+            return cardNetworkMatches(digits) ? 0.9 : 0.5;
+        }
+    },
+    {
+        type: 'IBAN',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+        keywords: ['iban', 'account', 'bank'],
+        // Greedy grouping can swallow following words; cut at the country's registered length
+        trim: (text) => {
+            const expected = IBAN_LENGTHS[text.slice(0, 2)];
+            if (!expected) return text;
+            let count = 0;
+            for (let i = 0; i < text.length; i++) {
+                if (text[i] !== ' ' && ++count === expected) return text.slice(0, i + 1);
+            }
+            return text;
+        },
+        validate: (text) => {
+            const iban = text.replace(/ /g, '');
+            if (!ibanValid(iban)) return 0;
+            const expected = IBAN_LENGTHS[iban.slice(0, 2)];
+            if (expected && expected !== iban.length) return 0;
+            return expected ? 0.98 : 0.8;
+        }
+    },
+    {
+        type: 'Passport MRZ',
+        // TD3 line 2: number, nationality, birth date, sex, expiry, personal number, checks
+        pattern: /(?<![A-Z0-9<])[A-Z0-9<]{9}\d[A-Z<]{3}\d{6}\d[MFX<]\d{6}\d[A-Z0-9<]{14}[\d<]\d(?![A-Z0-9<])/g,
+        keywords: [],
+        validate: (text) => {
+            const checks = [
+                [text.slice(0, 9), text[9]],
+                [text.slice(13, 19), text[19]],
+                [text.slice(21, 27), text[27]],
+                [text.slice(0, 10) + text.slice(13, 20) + text.slice(21, 43), text[43]]
+            ];
+            const passed = checks.filter(([field, digit]) => mrzCheckDigit(field) === digit).length;
+            if (passed === checks.length) return 0.99;
+            return passed >= 2 ? 0.6 : 0; // OCR often misreads a single character
+        }
+    },
+    {
+        type: 'Passport MRZ',
+        // TD3 line 1: P<ISSUER SURNAME<<GIVEN<NAMES<<<<
+        pattern: /(?<![A-Z0-9<])P[A-Z<][A-Z]{3}[A-Z<]{39}(?![A-Z0-9<])/g,
+        keywords: [],
+        validate: (text) => (text.includes('<<') ? 0.9 : 0)
+    },
+    {
+        type: 'UK NINO',
+        pattern: /\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+        keywords: ['nino', 'ni number', 'national insurance'],
+        validate: (text) => (NINO_INVALID_PREFIXES.has(text.slice(0, 2)) ? 0 : 0.75)
+    },
+    {
+        type: 'Canadian SIN',
+        pattern: /(?<![\d-])\d{3}[ -]?\d{3}[ -]?\d{3}(?![\d-])/g,
+        keywords: ['sin', 'social insurance', 'nas'],
+        validate: (text) => {
+            const digits = digitsOf(text);
+            if (digits[0] === '0' || digits[0] === '8' || isRepeated(digits)) return 0;
+            // One in ten random 9-digit numbers passes Luhn, so context matters most here
+            return luhnValid(digits) ? 0.45 : 0;
+        }
+    },
+    {
+        type: 'Aadhaar',
+        pattern: /(?<![\d-])[2-9]\d{3} ?\d{4} ?\d{4}(?![\d-])/g,
+        keywords: ['aadhaar', 'aadhar', 'uidai', 'uid'],
+        validate: (text) => {
+            const digits = digitsOf(text);
+            if (isRepeated(digits)) return 0;
+            return verhoeffValid(digits) ? 0.75 : 0;
+        }
+    },
+    {
+        type: 'US EIN',
+        pattern: /(?<![\d-])\d{2}-\d{7}(?![\d-])/g,
+        keywords: ['ein', 'employer identification', 'tax id', 'tin', 'fein'],
+        validate: (text) => (EIN_PREFIXES.has(text.slice(0, 2)) ? 0.6 : 0)
+    },
+    {
+        type: 'SSN',
+        pattern: /(?<![\d-])\d{3}-\d{2}-\d{4}(?![\d-])/g,
+        keywords: ['ssn', 'social security', 'ss#'],
+        validate: (text) => {
+            const [area, group, serial] = text.split('-');
+            if (area === '000' || area === '666' || area[0] === '9') return 0;
+            if (group === '00' || serial === '0000') return 0;
+            return 0.7;
+        }
+    },
+    {
+        type: 'Phone',
+        pattern: /(?<![\d-])(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\d{3}[-.\s])\d{3}[-.\s]\d{4}(?![\d-])/g,
+        keywords: ['phone', 'tel', 'mobile', 'cell', 'fax'],
+        validate: (text) => {
+            // NANP: area code and exchange cannot start with 0 or 1
+            const digits = digitsOf(text).replace(/^1(?=\d{10}$)/, '');
+            if (digits.length !== 10 || /[01]/.test(digits[0]) || /[01]/.test(digits[3])) return 0;
+            return 0.6;
+        }
+    },
+    {
+        type: 'IP Address',
+        pattern: /(?<![\d.])\d{1,3}(?:\.\d{1,3}){3}(?![\d.])/g,
+        keywords: ['ip', 'host', 'server'],
+        validate: (text) => (text.split('.').every(octet => Number(octet) <= 255) ? 0.7 : 0)
+    }
+];
+
+/**
+ * CONTEXT CHECK: Looks for a detector keyword just before the candidate
+ */
+function hasContext(text, start, keywords) {
+    if (!keywords.length) return false;
+    const before = text.slice(Math.max(0, start - CONTEXT_WINDOW), start).toLowerCase();
+    return keywords.some(k => new RegExp(`(^|[^a-z])${k}([^a-z]|$)`).test(before));
+}
+
+/**
+ * MASTER DETECTION: Runs every detector over one line of text
+ * @param {string} text - A single line (matches never span lines)
+ * @returns {Array<{ type, text, start, end, confidence }>} Non-overlapping matches
+ */
+export function detectIdentifiers(text) {
+    const candidates = [];
+
+    DETECTORS.forEach(detector => {
+        detector.pattern.lastIndex = 0;
+        let match;
+        while ((match = detector.pattern.exec(text)) !== null) {
+            const value = detector.trim ? detector.trim(match[0]) : match[0];
+            const base = detector.validate(value);
+            if (base <= 0) continue;
+            const boost = hasContext(text, match.index, detector.keywords) ? CONTEXT_BOOST : 0;
+            candidates.push({
+                type: detector.type,
+                text: value,
+                start: match.index,
+                end: match.index + value.length,
+                confidence: Math.min(1, Math.round((base + boost) * 100) / 100)
+            });
+        }
+    });
+
+    // Keep the most confident claim on any run of characters
+    candidates.sort((a, b) => b.confidence - a.confidence || (b.end - b.start) - (a.end - a.start));
+    const accepted = [];
+    candidates.forEach(c => {
+        if (!accepted.some(a => a.start < c.end && c.start < a.end)) accepted.push(c);
+    });
+    return accepted.sort((a, b) => a.start - b.start);
+}
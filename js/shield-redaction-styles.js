@@ -0,0 +1,172 @@
+/**
+ * SHIELD REDACTION STYLES: Fill Modes and Exemption Labels
+ *
+ * ROLE:
+ * Paints a redaction box according to its per-redaction style, both on the editor
+ * canvas (preview), in exported images and inside PDF redaction boxes.
+ *
+ * ARCHITECTURE:
+ * - Style: redaction.style = { fill: 'solid' | 'pixelate' | 'blur', color: '#rrggbb', label }
+ *   (missing style = solid black, no label, for projects saved before styles existed)
+ * - Labels: Free text; "{exemption}" is replaced with the redaction's exemption code,
+ *   so "(b)(6)" or "WITHHELD {exemption}" stays in sync with the audit log
+ * - Images: Pixelate/blur resample the box down to a few cells so no glyph detail
+ *   survives (cells are at least a third of the box's short side)
+ * - PDFs: Content under the box is already removed, so every fill is drawn as a solid
+ *   rectangle in the chosen color; labels are drawn upright for any /Rotate
+ *
+ * DEPENDENCIES: window.PDFLib (global) for PDF drawing
+ */
+
+export const REDACTION_FILLS = [
+    { id: 'solid', label: 'Solid' },
+    { id: 'pixelate', label: 'Pixelate' },
+    { id: 'blur', label: 'Blur' }
+];
+
+export const DEFAULT_STYLE = { fill: 'solid', color: '#000000', label: '' };
+
+const MIN_CELL = 8;
+
+export function styleOf(redaction) {
+    return { ...DEFAULT_STYLE, ...(redaction.style || {}) };
+}
+
+/**
+ * LABEL RESOLVER: Expands "{exemption}" and trims; returns '' when nothing is left
+ */
+export function resolveLabel(redaction) {
+    const { label } = styleOf(redaction);
+    if (!label) return '';
+    return label.replace(/\{exemption\}/g, redaction.exemption || '').replace(/\s+/g, ' ').trim();
+}
+
+function hexToRgb(hex) {
+    const value = /^#?([0-9a-f]{6})$/i.exec(hex || '') ? parseInt(hex.replace('#', ''), 16) : 0;
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * CONTRAST: White text on dark fills, black text on light fills
+ */
+function isDark(hex) {
+    const [r, g, b] = hexToRgb(hex);
+    return 0.299 * r + 0.587 * g + 0.114 * b < 140;
+}
+
+/**
+ * CANVAS PAINTER: Draws one styled redaction onto a canvas
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context (already holding the page image)
+ * @param {object} redaction - Normalized { x, y, w, h } with optional style/exemption
+ * @param {CanvasImageSource} source - Unredacted page image (any resolution)
+ * @param {number} width - Target canvas width
+ * @param {number} height - Target canvas height
+ */
+export function paintRedaction(ctx, redaction, source, width, height) {
+    const style = styleOf(redaction);
+    const x = redaction.x * width;
+    const y = redaction.y * height;
+    const w = redaction.w * width;
+    const h = redaction.h * height;
+    if (w < 1 || h < 1) return;
+
+    if (style.fill === 'pixelate' || style.fill === 'blur') {
+        // Resample the box through a tiny canvas: nearest-neighbour = pixelate, smooth = blur
+        const cell = Math.max(MIN_CELL, Math.min(w, h) / 3);
+        const cols = Math.max(1, Math.round(w / cell));
+        const rows = Math.max(1, Math.round(h / cell));
+        const sw = source.width / width;
+        const sh = source.height / height;
+
+        const small = document.createElement('canvas');
+        small.width = cols;
+        small.height = rows;
+        const smallCtx = small.getContext('2d');
+        smallCtx.imageSmoothingEnabled = true;
+        smallCtx.drawImage(source, x * sw, y * sh, w * sw, h * sh, 0, 0, cols, rows);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, w, h);
+        ctx.clip();
+        ctx.imageSmoothingEnabled = style.fill === 'blur';
+        if (style.fill === 'blur' && 'filter' in ctx) ctx.filter = `blur(${Math.max(2, cell / 4)}px)`;
+        ctx.drawImage(small, 0, 0, cols, rows, x, y, w, h);
+        ctx.restore();
+    } else {
+        ctx.fillStyle = style.color;
+        ctx.fillRect(x, y, w, h);
+    }
+
+    const label = resolveLabel(redaction);
+    if (!label) return;
+
+    ctx.save();
+    ctx.font = 'bold 100px sans-serif';
+    const size = Math.max(6, Math.min(h * 0.6, (w * 0.9 * 100) / ctx.measureText(label).width));
+    ctx.font = `bold ${size}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    if (style.fill === 'solid') {
+        ctx.fillStyle = isDark(style.color) ? '#ffffff' : '#000000';
+    } else {
+        // Textured fills get an outlined label so it reads on any background
+        ctx.lineWidth = Math.max(1, size / 8);
+        ctx.strokeStyle = '#000000';
+        ctx.strokeText(label, x + w / 2, y + h / 2);
+        ctx.fillStyle = '#ffffff';
+    }
+    ctx.fillText(label, x + w / 2, y + h / 2);
+    ctx.restore();
+}
+
+/**
+ * PDF PAINTER: Fills a redaction box and draws its label on a pdf-lib page
+ *
+ * @param {PDFPage} page - pdf-lib page
+ * @param {object} box - { x0, y0, x1, y1 } in user space (see toPdfRect)
+ * @param {object} redaction - Redaction with optional style/exemption
+ * @param {PDFFont} font - Embedded font for labels (e.g. Helvetica-Bold)
+ */
+export function drawPdfRedaction(page, box, redaction, font) {
+    const { rgb, degrees } = window.PDFLib;
+    const style = styleOf(redaction);
+    const color = style.fill === 'solid' ? style.color : DEFAULT_STYLE.color;
+    const [r, g, b] = hexToRgb(color);
+
+    page.drawRectangle({
+        x: box.x0,
+        y: box.y0,
+        width: box.x1 - box.x0,
+        height: box.y1 - box.y0,
+        color: rgb(r / 255, g / 255, b / 255)
+    });
+
+    const label = resolveLabel(redaction);
+    if (!label || !font) return;
+
+    // Text must be counter-rotated against /Rotate to read upright in the viewer
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const sideways = rotation === 90 || rotation === 270;
+    const boxW = sideways ? box.y1 - box.y0 : box.x1 - box.x0;
+    const boxH = sideways ? box.x1 - box.x0 : box.y1 - box.y0;
+    const text = label.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+    const size = Math.max(4, Math.min(boxH * 0.6, (boxW * 0.9) / Math.max(font.widthOfTextAtSize(text, 1), 0.01)));
+    const textWidth = font.widthOfTextAtSize(text, size);
+    const angle = (rotation * Math.PI) / 180;
+    const cx = (box.x0 + box.x1) / 2;
+    const cy = (box.y0 + box.y1) / 2;
+    const ox = -textWidth / 2;
+    const oy = -size * 0.35;
+
+    page.drawText(text, {
+        x: cx + ox * Math.cos(angle) - oy * Math.sin(angle),
+        y: cy + ox * Math.sin(angle) + oy * Math.cos(angle),
+        size,
+        font,
+        rotate: degrees(rotation),
+        color: isDark(color) ? rgb(1, 1, 1) : rgb(0, 0, 0)
+    });
+}
@@ -4,13 +4,77 @@
  * ROLE:
  * Provides client-side encrypted storage for redactor projects and vaults.
  * Ensures data remains in the user's browser (Zero-Knowledge Architecture).
+ *
+ * ENCRYPTION AT REST (optional master passphrase):
+ * - Key: Krypt's PBKDF2 derivation (SHA-256, 100,000 iterations, 16-byte salt) → AES-256-GCM;
+ *   the key is non-extractable and only held in memory while the vault is unlocked
+ * - Records: A sealed project keeps only its id in clear; { meta, payload } hold the
+ *   AES-GCM encrypted metadata (name, tool, redactions, dates) and file bytes, each with a
+ *   fresh 12-byte IV and the id as additional data (records cannot be swapped)
+ * - Config: { salt, iterations, check, autoLockMinutes } in the settings store; `check`
+ *   is a sealed constant that verifies the passphrase
+ * - Locking: The key is dropped after autoLockMinutes without vault use or touch(); a
+ *   locked vault asks the registered unlock handler (the redactor's passphrase dialog)
+ * - Re-keying: Enabling, changing the passphrase and removing encryption rewrite every
+ *   project, version, catalog entry and rule set in one transaction, so a failure leaves the
+ *   vault on the old key
+ * - Projects (with their versions and catalog entries) and rule sets, which name the
+ *   clients and terms being redacted, are encrypted; settings, detection rules, hash lists,
+ *   workflows and OCR packs stay in clear
+ *
+ * VERSION HISTORY:
+ * - The projects store holds the latest save of each project; saving moves the record it
+ *   replaces (sealed or not, byte for byte) into projectVersions as
+ *   { versionId, projectId, archivedAt, record }, in the same transaction
+ * - Versions are never edited: restoring or forking saves a copy as a new head
+ * - Backup imports (importProject) write a project's versions with their original times
+ * - Retention: per-project limit on kept earlier versions (settings 'versionRetention',
+ *   null = unlimited); the oldest are pruned on save
+ *
+ * CATALOG:
+ * - projectCatalog holds { id, folder, tags, text, indexedAt } per project, apart from the
+ *   project so organizing does not create versions; `text` is the extracted search text of
+ *   the save stamped `indexedAt` (its updatedAt). Sealed like a project without a file
  */
+
+// Settings record holding the encryption config
+const VAULT_CONFIG = 'vaultEncryption';
+const VAULT_CHECK = 'ShieldVault';
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+// Earlier versions kept per project unless the project sets its own limit
+const VERSION_RETENTION = 'versionRetention';
+export const DEFAULT_VERSION_RETENTION = 20;
+
+// Vault internals are never exported nor restored; user settings a backup may carry are listed
+const INTERNAL_SETTINGS = [VAULT_CONFIG, VERSION_RETENTION];
+const PORTABLE_SETTINGS = ['reviewerName', 'exemptionCodes', 'ocrLanguageSelection'];
+
+// Krypt registers window.KRYPT when its module runs; the same module the KRYPT tool loads
+function loadKrypt() {
+    return import('./krypt.js').then(() => window.KRYPT);
+}
+
 class ShieldStorage {
     constructor() {
         this.dbName = 'ShieldVault';
-        this.dbVersion = 1;
+        this.dbVersion = 10;
         this.storeName = 'projects';
+        this.ruleSetStore = 'rulesets';
+        this.settingsStore = 'settings';
+        this.languageStore = 'ocrLanguages';
+        this.engineStore = 'ocrEngine';
+        this.detectionRuleStore = 'detectionRules';
+        this.hashListStore = 'hashLists';
+        this.versionStore = 'projectVersions';
+        this.catalogStore = 'projectCatalog';
+        this.workflowStore = 'workflows';
         this.db = null;
+        this.vaultKey = null;
+        this.encryption = undefined; // Cached config: undefined = not read yet, null = not encrypted
+        this.lockTimer = null;
+        this.unlockHandler = null;
+        this.lockListeners = [];
     }
 
     /**
@@ -27,6 +91,34 @@ class ShieldStorage {
                 if (!db.objectStoreNames.contains(this.storeName)) {
                     db.createObjectStore(this.storeName, { keyPath: 'id' });
                 }
+                if (!db.objectStoreNames.contains(this.ruleSetStore)) {
+                    db.createObjectStore(this.ruleSetStore, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.settingsStore)) {
+                    db.createObjectStore(this.settingsStore, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.languageStore)) {
+                    db.createObjectStore(this.languageStore, { keyPath: 'code' });
+                }
+                if (!db.objectStoreNames.contains(this.engineStore)) {
+                    db.createObjectStore(this.engineStore, { keyPath: 'name' });
+                }
+                if (!db.objectStoreNames.contains(this.detectionRuleStore)) {
+                    db.createObjectStore(this.detectionRuleStore, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.hashListStore)) {
+                    db.createObjectStore(this.hashListStore, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.versionStore)) {
+                    const versions = db.createObjectStore(this.versionStore, { keyPath: 'versionId' });
+                    versions.createIndex('projectId', 'projectId');
+                }
+                if (!db.objectStoreNames.contains(this.catalogStore)) {
+                    db.createObjectStore(this.catalogStore, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.workflowStore)) {
+                    db.createObjectStore(this.workflowStore, { keyPath: 'id' });
+                }
             };
 
             request.onsuccess = (e) => {
@@ -40,46 +132,276 @@ class ShieldStorage {
 
     /**
      * PERSISTENCE: Commits or updates a project record in the store
+     * Sealed with the vault key when encryption is on (unlocking first if needed). The
+     * record it replaces becomes a version (see VERSION HISTORY).
      */
     async saveProject(project) {
-        await this.init();
-        return new Promise((resolve, reject) => {
-            const tx = this.db.transaction(this.storeName, 'readwrite');
-            const store = tx.objectStore(this.storeName);
-            const request = store.put({
-                ...project,
-                updatedAt: new Date().toISOString()
-            });
-
-            request.onsuccess = () => resolve(true);
-            request.onerror = (e) => reject(e.target.error);
+        const record = {
+            ...project,
+            updatedAt: new Date().toISOString()
+        };
+        const key = await this.requireKey();
+        const stored = key ? await this.sealProject(record, key) : record;
+        const limit = await this.getVersionRetention(project.id);
+
+        await new Promise((resolve, reject) => {
+            const tx = this.db.transaction([this.storeName, this.versionStore], 'readwrite');
+            const projects = tx.objectStore(this.storeName);
+            const versions = tx.objectStore(this.versionStore);
+            const previous = projects.get(project.id);
+            previous.onsuccess = () => {
+                if (previous.result) {
+                    versions.put(this.createVersion(previous.result));
+                    this.pruneVersions(versions, project.id, limit);
+                }
+                projects.put(stored);
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e.target.error);
         });
+        return true;
     }
 
     /**
      * RETRIEVAL: Fetches a single project by unique ID
      */
     async getProject(id) {
+        const record = await this.runRequest(this.storeName, 'readonly', store => store.get(id));
+        if (!record || !record.sealed) return record;
+        return this.openProject(record, await this.requireKey());
+    }
+
+    /**
+     * RETRIEVAL: Streams all projects stored in the vault
+     */
+    async getAllProjects() {
+        const records = await this.runRequest(this.storeName, 'readonly', store => store.getAll());
+        const key = records.some(r => r.sealed) ? await this.requireKey() : null;
+        return Promise.all(records.map(r => this.openProject(r, key)));
+    }
+
+    /**
+     * PROJECT INDEX: Lists projects with their size but without file data
+     * Sealed projects only have their metadata decrypted.
+     */
+    async getProjectIndex() {
+        const records = await this.runRequest(this.storeName, 'readonly', store => store.getAll());
+        const key = records.some(r => r.sealed) ? await this.requireKey() : null;
+        return Promise.all(records.map(r => this.describeRecord(r, key)));
+    }
+
+    /**
+     * DESTRUCTION: Permanently removes a project, its version history and catalog entry
+     */
+    async deleteProject(id) {
         await this.init();
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction(this.storeName, 'readonly');
-            const store = tx.objectStore(this.storeName);
-            const request = store.get(id);
+            const tx = this.db.transaction([this.storeName, this.versionStore, this.catalogStore], 'readwrite');
+            tx.objectStore(this.storeName).delete(id);
+            tx.objectStore(this.catalogStore).delete(id);
+            this.pruneVersions(tx.objectStore(this.versionStore), id, 0);
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = (e) => reject(e.target.error);
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = (e) => reject(e.target.error);
         });
     }
 
+    // --- VERSION HISTORY ---
+
+    createVersion(record, archivedAt = new Date().toISOString()) {
+        const stamp = String(Date.parse(archivedAt) || Date.now()).padStart(15, '0'); // versionIds sort by archive time
+        return {
+            versionId: `ver_${stamp}_${Math.random().toString(36).slice(2, 8)}`,
+            projectId: record.id,
+            archivedAt,
+            record
+        };
+    }
+
     /**
-     * RETRIEVAL: Streams all projects stored in the vault
+     * IMPORT: Writes a project and its history with their original timestamps (backups)
+     * A project already stored under the id is kept as a version, as a save would.
+     * @param {object} project - Current save, including updatedAt
+     * @param {object[]} versions - Earlier saves [{ archivedAt, project }], oldest first
      */
-    async getAllProjects() {
+    async importProject(project, versions = []) {
+        const key = await this.requireKey();
+        const seal = (snapshot) => (key ? this.sealProject({ ...snapshot, id: project.id }, key) : { ...snapshot, id: project.id });
+        const head = await seal(project);
+        const archived = [];
+        for (const version of versions) archived.push(this.createVersion(await seal(version.project), version.archivedAt));
+        const limit = await this.getVersionRetention(project.id);
+
+        await new Promise((resolve, reject) => {
+            const tx = this.db.transaction([this.storeName, this.versionStore], 'readwrite');
+            const projects = tx.objectStore(this.storeName);
+            const versionStore = tx.objectStore(this.versionStore);
+            const previous = projects.get(project.id);
+            previous.onsuccess = () => {
+                archived.forEach(version => versionStore.put(version));
+                if (previous.result) versionStore.put(this.createVersion(previous.result));
+                this.pruneVersions(versionStore, project.id, limit);
+                projects.put(head);
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e.target.error);
+        });
+        return project.id;
+    }
+
+    /**
+     * PRUNE: Deletes the oldest versions of a project beyond `limit` (inside a transaction)
+     * @param {IDBObjectStore} versions - projectVersions store of a readwrite transaction
+     * @param {number|null} limit - Versions to keep; null keeps all
+     */
+    pruneVersions(versions, projectId, limit) {
+        if (limit === null) return;
+        const keys = versions.index('projectId').getAllKeys(projectId);
+        keys.onsuccess = () => {
+            const sorted = keys.result.slice().sort();
+            sorted.slice(0, Math.max(0, sorted.length - limit)).forEach(versionId => versions.delete(versionId));
+        };
+    }
+
+    /**
+     * RETENTION: Earlier versions kept for a project (null = unlimited)
+     */
+    async getVersionRetention(projectId) {
+        const limits = await this.getSetting(VERSION_RETENTION, {});
+        return projectId in limits ? limits[projectId] : DEFAULT_VERSION_RETENTION;
+    }
+
+    async setVersionRetention(projectId, limit) {
+        const limits = await this.getSetting(VERSION_RETENTION, {});
+        await this.saveSetting(VERSION_RETENTION, { ...limits, [projectId]: limit });
+
+        await new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.versionStore, 'readwrite');
+            this.pruneVersions(tx.objectStore(this.versionStore), projectId, limit);
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e.target.error);
+        });
+        return true;
+    }
+
+    /**
+     * HISTORY: The current save and every kept version of a project, newest first
+     * @returns {Promise<object[]>} [{ versionId (null for the current save), current,
+     *   archivedAt, meta: { name, tool, size, fileType, updatedAt, redactions, ... } }]
+     */
+    async getProjectVersions(projectId) {
+        const head = await this.runRequest(this.storeName, 'readonly', store => store.get(projectId));
+        const versions = await this.runRequest(this.versionStore, 'readonly', store => store.index('projectId').getAll(projectId));
+        versions.sort((a, b) => (a.versionId < b.versionId ? 1 : -1));
+
+        const entries = [...(head ? [{ versionId: null, archivedAt: null, record: head }] : []), ...versions];
+        const key = entries.some(e => e.record.sealed) ? await this.requireKey() : null;
+        return Promise.all(entries.map(async (entry) => ({
+            versionId: entry.versionId,
+            current: entry.versionId === null,
+            archivedAt: entry.archivedAt,
+            meta: await this.describeRecord(entry.record, key)
+        })));
+    }
+
+    // Listing metadata of a stored record (sealed records: metadata only is decrypted)
+    async describeRecord(record, key) {
+        if (record.sealed) return this.openProject(record, key, false);
+        const { file, ...info } = record;
+        return { ...info, size: file ? file.size : 0, fileType: file ? file.type || null : null };
+    }
+
+    /**
+     * VERSION: The full project (with its file) as it was saved in that version
+     */
+    async getProjectVersion(versionId) {
+        const version = await this.runRequest(this.versionStore, 'readonly', store => store.get(versionId));
+        if (!version) return null;
+        return this.openProject(version.record, version.record.sealed ? await this.requireKey() : null);
+    }
+
+    /**
+     * RESTORE: Saves a version as the project's current state (the replaced state is kept)
+     */
+    async restoreVersion(versionId) {
+        const snapshot = await this.getProjectVersion(versionId);
+        if (!snapshot) throw new Error('Version not found.');
+        const { updatedAt, ...project } = snapshot;
+        await this.saveProject(project);
+        return project.id;
+    }
+
+    /**
+     * FORK: Saves a version as a new project
+     * @returns {Promise<string>} id of the new project
+     */
+    async forkVersion(versionId, name) {
+        const snapshot = await this.getProjectVersion(versionId);
+        if (!snapshot) throw new Error('Version not found.');
+        const { updatedAt, ...project } = snapshot;
+        const id = 'proj_' + Date.now();
+        await this.saveProject({ ...project, id, name: name || project.name, forkedFrom: { projectId: project.id, versionId } });
+        const entry = await this.getCatalogEntry(project.id);
+        if (entry) await this.updateCatalogEntry(id, { folder: entry.folder, tags: entry.tags });
+        return id;
+    }
+
+    // --- CATALOG ---
+
+    /**
+     * CATALOG: Folder, tags and search text of every project
+     * @returns {Promise<Map<string, object>>} id → { id, folder, tags, text, indexedAt }
+     */
+    async getCatalog() {
+        const records = await this.runRequest(this.catalogStore, 'readonly', store => store.getAll());
+        const key = records.some(r => r.sealed) ? await this.requireKey() : null;
+        const entries = await Promise.all(records.map(r => this.openCatalogEntry(r, key)));
+        return new Map(entries.map(entry => [entry.id, entry]));
+    }
+
+    async getCatalogEntry(id) {
+        const record = await this.runRequest(this.catalogStore, 'readonly', store => store.get(id));
+        if (!record) return null;
+        return this.openCatalogEntry(record, record.sealed ? await this.requireKey() : null);
+    }
+
+    async openCatalogEntry(record, key) {
+        const { file, ...entry } = await this.openProject(record, key);
+        return { folder: '', tags: [], text: null, indexedAt: null, ...entry };
+    }
+
+    /**
+     * CATALOG UPDATE: Merges changes into a project's entry (created on first use)
+     * @param {object} changes - Any of { folder, tags, text, indexedAt }
+     */
+    async updateCatalogEntry(id, changes) {
+        const entry = { ...(await this.getCatalogEntry(id) || { id }), ...changes, id };
+        const key = await this.requireKey();
+        const stored = key ? await this.sealProject(entry, key) : entry;
+        await this.runRequest(this.catalogStore, 'readwrite', store => store.put(stored));
+        return entry;
+    }
+
+    /**
+     * QUOTA: Browser storage usage for this origin ({ usage, quota } in bytes, or null)
+     */
+    async getStorageEstimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+
+    /**
+     * TRANSACTION HELPER: Runs a single request against any store in the vault
+     * @param {string} storeName - Target object store
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {function} action - Receives the store, returns an IDBRequest
+     */
+    async runRequest(storeName, mode, action) {
         await this.init();
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction(this.storeName, 'readonly');
-            const store = tx.objectStore(this.storeName);
-            const request = store.getAll();
+            const tx = this.db.transaction(storeName, mode);
+            const request = action(tx.objectStore(storeName));
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = (e) => reject(e.target.error);
@@ -87,18 +409,427 @@ class ShieldStorage {
     }
 
     /**
-     * DESTRUCTION: Permanently removes a project from the local vault
+     * RULE SETS: Named redaction dictionaries (terms + regexes) shared across matters
+     * Sealed like a catalog entry when the vault is encrypted.
      */
-    async deleteProject(id) {
-        await this.init();
-        return new Promise((resolve, reject) => {
-            const tx = this.db.transaction(this.storeName, 'readwrite');
-            const store = tx.objectStore(this.storeName);
-            const request = store.delete(id);
+    async saveRuleSet(ruleSet) {
+        const record = { ...ruleSet, updatedAt: new Date().toISOString() };
+        const key = await this.requireKey();
+        const stored = key ? await this.sealProject(record, key) : record;
+        await this.runRequest(this.ruleSetStore, 'readwrite', store => store.put(stored));
+        return true;
+    }
 
-            request.onsuccess = () => resolve(true);
-            request.onerror = (e) => reject(e.target.error);
+    async getAllRuleSets() {
+        const records = await this.runRequest(this.ruleSetStore, 'readonly', store => store.getAll());
+        const key = records.some(r => r.sealed) ? await this.requireKey() : null;
+        return Promise.all(records.map(async (record) => {
+            const { file, ...ruleSet } = await this.openProject(record, key);
+            return ruleSet;
+        }));
+    }
+
+    async deleteRuleSet(id) {
+        await this.runRequest(this.ruleSetStore, 'readwrite', store => store.delete(id));
+        return true;
+    }
+
+    /**
+     * SETTINGS: Small key/value preferences (reviewer name, exemption codes...)
+     */
+    async getSetting(key, fallback = null) {
+        const record = await this.runRequest(this.settingsStore, 'readonly', store => store.get(key));
+        return record ? record.value : fallback;
+    }
+
+    /**
+     * SETTINGS EXPORT: Every user setting record ({ id, value }); the encryption config and
+     * the per-project retention map are vault internals and left out
+     */
+    async getAllSettings() {
+        const records = await this.runRequest(this.settingsStore, 'readonly', store => store.getAll());
+        return records.filter(r => !INTERNAL_SETTINGS.includes(r.id));
+    }
+
+    /**
+     * SETTINGS IMPORT CHECK: Whether a backup may write this setting id
+     */
+    isPortableSetting(id) {
+        return !INTERNAL_SETTINGS.includes(id) && PORTABLE_SETTINGS.includes(id);
+    }
+
+    async saveSetting(key, value) {
+        await this.runRequest(this.settingsStore, 'readwrite', store => store.put({ id: key, value }));
+        return true;
+    }
+
+    /**
+     * OCR LANGUAGE PACKS: Tesseract traineddata kept in the vault for offline OCR
+     * Records are { code, name, size, source, data: Uint8Array, updatedAt }.
+     * The OCR worker reads packs straight from this store (see ocr-worker.js).
+     */
+    async saveLanguagePack(pack) {
+        await this.runRequest(this.languageStore, 'readwrite', store => store.put({
+            ...pack,
+            updatedAt: new Date().toISOString()
+        }));
+        return true;
+    }
+
+    async getLanguagePack(code) {
+        return this.runRequest(this.languageStore, 'readonly', store => store.get(code));
+    }
+
+    async getLanguagePackCodes() {
+        return this.runRequest(this.languageStore, 'readonly', store => store.getAllKeys());
+    }
+
+    /**
+     * PACK INDEX: Lists stored packs without their (multi-megabyte) data
+     */
+    async getLanguagePackList() {
+        const packs = await this.runRequest(this.languageStore, 'readonly', store => store.getAll());
+        return packs.map(({ data, ...info }) => info);
+    }
+
+    async deleteLanguagePack(code) {
+        await this.runRequest(this.languageStore, 'readwrite', store => store.delete(code));
+        return true;
+    }
+
+    /**
+     * OCR ENGINE: Tesseract.js library, worker script and wasm core kept beside the packs
+     * Records are { name, size, source, data: Uint8Array, updatedAt }; the OCR worker reads
+     * its files straight from this store as well.
+     */
+    async saveEngineFile(file) {
+        await this.runRequest(this.engineStore, 'readwrite', store => store.put({
+            ...file,
+            updatedAt: new Date().toISOString()
+        }));
+        return true;
+    }
+
+    async getEngineFile(name) {
+        return this.runRequest(this.engineStore, 'readonly', store => store.get(name));
+    }
+
+    async getEngineFileList() {
+        const files = await this.runRequest(this.engineStore, 'readonly', store => store.getAll());
+        return files.map(({ data, ...info }) => info);
+    }
+
+    /**
+     * DETECTION RULES: User-authored scanner rule files { id, name, source, enabled }
+     * (see shield-detection-rules.js)
+     */
+    async saveRuleFile(ruleFile) {
+        await this.runRequest(this.detectionRuleStore, 'readwrite', store => store.put({
+            ...ruleFile,
+            updatedAt: new Date().toISOString()
+        }));
+        return true;
+    }
+
+    async getAllRuleFiles() {
+        return this.runRequest(this.detectionRuleStore, 'readonly', store => store.getAll());
+    }
+
+    async deleteRuleFile(id) {
+        await this.runRequest(this.detectionRuleStore, 'readwrite', store => store.delete(id));
+        return true;
+    }
+
+    /**
+     * HASH LISTS: Imported known-bad / known-good hashes { id, name, kind, enabled, entries }
+     * (see shield-hash.js)
+     */
+    async saveHashList(hashList) {
+        await this.runRequest(this.hashListStore, 'readwrite', store => store.put({
+            ...hashList,
+            updatedAt: new Date().toISOString()
+        }));
+        return true;
+    }
+
+    async getAllHashLists() {
+        return this.runRequest(this.hashListStore, 'readonly', store => store.getAll());
+    }
+
+    async deleteHashList(id) {
+        await this.runRequest(this.hashListStore, 'readwrite', store => store.delete(id));
+        return true;
+    }
+
+    /**
+     * WORKFLOWS: Saved tool pipelines { id, name, steps: [{ tool, options }], saveIntermediates }
+     * (see workflow-builder.js); passphrases are never part of a step's options
+     */
+    async saveWorkflow(workflow) {
+        await this.runRequest(this.workflowStore, 'readwrite', store => store.put({
+            ...workflow,
+            updatedAt: new Date().toISOString()
+        }));
+        return true;
+    }
+
+    async getAllWorkflows() {
+        return this.runRequest(this.workflowStore, 'readonly', store => store.getAll());
+    }
+
+    async deleteWorkflow(id) {
+        await this.runRequest(this.workflowStore, 'readwrite', store => store.delete(id));
+        return true;
+    }
+
+    // --- ENCRYPTION AT REST ---
+
+    /**
+     * ENCRYPTION CONFIG: { salt, iterations, check, autoLockMinutes } or null when off
+     */
+    async getEncryptionConfig() {
+        if (this.encryption === undefined) this.encryption = await this.getSetting(VAULT_CONFIG, null);
+        return this.encryption;
+    }
+
+    async isEncrypted() {
+        return !!(await this.getEncryptionConfig());
+    }
+
+    isUnlocked() {
+        return !!this.vaultKey;
+    }
+
+    /**
+     * UNLOCK HANDLER: Called when a locked vault is used; resolves once unlock() ran (or was
+     * cancelled). Lets saves from any tool ask for the passphrase instead of failing.
+     */
+    setUnlockHandler(handler) {
+        this.unlockHandler = handler;
+    }
+
+    /**
+     * LOCK EVENTS: listener(unlocked) after every lock, unlock and encryption change
+     */
+    onLockChange(listener) {
+        this.lockListeners.push(listener);
+    }
+
+    notifyLockChange() {
+        this.lockListeners.forEach(listener => listener(this.isUnlocked()));
+    }
+
+    /**
+     * KEY DERIVATION: Passphrase → AES-256-GCM key through Krypt (loaded on first use)
+     */
+    async deriveVaultKey(passphrase, salt, iterations) {
+        const krypt = await loadKrypt();
+        return krypt.deriveKey(passphrase, salt, iterations || krypt.KDF_ITERATIONS);
+    }
+
+    async seal(key, bytes, id) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(id) }, key, bytes);
+        return { iv, data: new Uint8Array(data) };
+    }
+
+    async unseal(key, sealed, id) {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv, additionalData: new TextEncoder().encode(id) }, key, sealed.data);
+        return new Uint8Array(data);
+    }
+
+    /**
+     * KEY CHECK: Derives the key for a config and proves it against the sealed check value
+     * @throws {Error} 'Incorrect vault passphrase.'
+     */
+    async keyFromConfig(passphrase, config) {
+        const key = await this.deriveVaultKey(passphrase, config.salt, config.iterations);
+        try {
+            await this.unseal(key, config.check, VAULT_CONFIG);
+        } catch {
+            throw new Error('Incorrect vault passphrase.');
+        }
+        return key;
+    }
+
+    async createConfig(passphrase, autoLockMinutes) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const { KDF_ITERATIONS } = await loadKrypt();
+        const key = await this.deriveVaultKey(passphrase, salt, KDF_ITERATIONS);
+        const check = await this.seal(key, new TextEncoder().encode(VAULT_CHECK), VAULT_CONFIG);
+        return { key, config: { salt, iterations: KDF_ITERATIONS, check, autoLockMinutes } };
+    }
+
+    /**
+     * SEAL: Project → { id, sealed, meta, payload } (see ENCRYPTION AT REST)
+     */
+    async sealProject(project, key) {
+        const { file, ...meta } = project;
+        const body = file ? new Uint8Array(await file.arrayBuffer()) : new Uint8Array(0);
+        const fileInfo = file ? { name: file.name ?? null, type: file.type || '', lastModified: file.lastModified ?? null } : null;
+        const metaBytes = new TextEncoder().encode(JSON.stringify({ ...meta, size: body.length, file: fileInfo }));
+        return {
+            id: project.id,
+            sealed: 1,
+            meta: await this.seal(key, metaBytes, project.id),
+            payload: await this.seal(key, body, project.id)
+        };
+    }
+
+    /**
+     * OPEN: Sealed record → project (File when it had a name, else Blob); clear records pass through
+     * @param {boolean} [withFile] - false skips the payload (index listings)
+     */
+    async openProject(record, key, withFile = true) {
+        if (!record || !record.sealed) return record;
+        const { file: info, ...meta } = JSON.parse(new TextDecoder().decode(await this.unseal(key, record.meta, record.id)));
+        if (!withFile) return { ...meta, fileType: info ? info.type || null : null };
+
+        const bytes = await this.unseal(key, record.payload, record.id);
+        let file = null;
+        if (info && info.name !== null) {
+            file = new File([bytes], info.name, { type: info.type, lastModified: info.lastModified ?? Date.now() });
+        } else if (info) {
+            file = new Blob([bytes], { type: info.type });
+        }
+        const { size, ...project } = meta;
+        return { ...project, file };
+    }
+
+    /**
+     * ACCESS: The vault key when encryption is on (null when off); asks to unlock if needed
+     * @throws {Error} When the vault stays locked
+     */
+    async requireKey() {
+        const config = await this.getEncryptionConfig();
+        if (!config) return null;
+        if (!this.vaultKey && this.unlockHandler) await this.unlockHandler();
+        if (!this.vaultKey) throw new Error('Vault is locked. Enter the vault passphrase to continue.');
+        this.touch();
+        return this.vaultKey;
+    }
+
+    async unlock(passphrase) {
+        const config = await this.getEncryptionConfig();
+        if (!config) return true;
+        this.vaultKey = await this.keyFromConfig(passphrase, config);
+        this.touch();
+        this.notifyLockChange();
+        return true;
+    }
+
+    lock() {
+        clearTimeout(this.lockTimer);
+        this.lockTimer = null;
+        if (!this.vaultKey) return;
+        this.vaultKey = null;
+        this.notifyLockChange();
+    }
+
+    /**
+     * ACTIVITY: Restarts the auto-lock countdown (vault use and UI activity call this)
+     */
+    touch() {
+        if (!this.vaultKey || !this.encryption) return;
+        clearTimeout(this.lockTimer);
+        this.lockTimer = setTimeout(() => this.lock(), this.encryption.autoLockMinutes * 60000);
+    }
+
+    /**
+     * RE-KEY: Rewrites every project, version, catalog entry, rule set and the config record
+     * in one transaction
+     * @param {function} transform - async (rawRecord) → record to store
+     * @param {object|null} config - New config, or null to remove encryption
+     */
+    async rewriteVault(transform, config) {
+        const records = await this.runRequest(this.storeName, 'readonly', store => store.getAll());
+        const rewritten = [];
+        for (const record of records) rewritten.push(await transform(record));
+        const versions = await this.runRequest(this.versionStore, 'readonly', store => store.getAll());
+        const rewrittenVersions = [];
+        for (const version of versions) rewrittenVersions.push({ ...version, record: await transform(version.record) });
+        const entries = await this.runRequest(this.catalogStore, 'readonly', store => store.getAll());
+        const rewrittenEntries = [];
+        for (const entry of entries) {
+            const { file, ...record } = await transform(entry); // Opened catalog entries carry file: null
+            rewrittenEntries.push(record);
+        }
+        const ruleSets = await this.runRequest(this.ruleSetStore, 'readonly', store => store.getAll());
+        const rewrittenRuleSets = [];
+        for (const ruleSet of ruleSets) {
+            const { file, ...record } = await transform(ruleSet);
+            rewrittenRuleSets.push(record);
+        }
+
+        await new Promise((resolve, reject) => {
+            const tx = this.db.transaction([this.storeName, this.versionStore, this.catalogStore, this.ruleSetStore, this.settingsStore], 'readwrite');
+            const projects = tx.objectStore(this.storeName);
+            rewritten.forEach(record => projects.put(record));
+            const versionStore = tx.objectStore(this.versionStore);
+            rewrittenVersions.forEach(version => versionStore.put(version));
+            const catalog = tx.objectStore(this.catalogStore);
+            rewrittenEntries.forEach(entry => catalog.put(entry));
+            const ruleSetStore = tx.objectStore(this.ruleSetStore);
+            rewrittenRuleSets.forEach(ruleSet => ruleSetStore.put(ruleSet));
+            const settings = tx.objectStore(this.settingsStore);
+            if (config) settings.put({ id: VAULT_CONFIG, value: config });
+            else settings.delete(VAULT_CONFIG);
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e.target.error);
+            tx.onabort = (e) => reject(e.target.error || new Error('Vault rewrite aborted'));
         });
+        this.encryption = config;
+    }
+
+    /**
+     * ENABLE: Turns on encryption and seals every existing project
+     */
+    async enableEncryption(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES) {
+        if (await this.getEncryptionConfig()) throw new Error('Vault is already encrypted.');
+        const { key, config } = await this.createConfig(passphrase, autoLockMinutes);
+        await this.rewriteVault(record => record.sealed ? record : this.sealProject(record, key), config);
+        this.vaultKey = key;
+        this.touch();
+        this.notifyLockChange();
+        return true;
+    }
+
+    /**
+     * CHANGE PASSPHRASE: New salt and key; every project is decrypted and sealed again
+     */
+    async changePassphrase(current, next) {
+        const config = await this.getEncryptionConfig();
+        if (!config) throw new Error('Vault is not encrypted.');
+        const oldKey = await this.keyFromConfig(current, config);
+        const { key, config: nextConfig } = await this.createConfig(next, config.autoLockMinutes);
+        await this.rewriteVault(async (record) => this.sealProject(await this.openProject(record, oldKey), key), nextConfig);
+        this.vaultKey = key;
+        this.touch();
+        this.notifyLockChange();
+        return true;
+    }
+
+    /**
+     * DISABLE: Decrypts every project back to clear records and forgets the key
+     */
+    async disableEncryption(passphrase) {
+        const config = await this.getEncryptionConfig();
+        if (!config) return true;
+        const key = await this.keyFromConfig(passphrase, config);
+        await this.rewriteVault(record => this.openProject(record, key), null);
+        clearTimeout(this.lockTimer);
+        this.vaultKey = null;
+        this.notifyLockChange();
+        return true;
+    }
+
+    async setAutoLockMinutes(minutes) {
+        const config = await this.getEncryptionConfig();
+        if (!config) return false;
+        this.encryption = { ...config, autoLockMinutes: minutes };
+        await this.saveSetting(VAULT_CONFIG, this.encryption);
+        this.touch();
+        return true;
     }
 }
 
@@ -7,24 +7,63 @@
  * 
  * ARCHITECTURE:
  * - Scanning: ShieldScanner for threat detection (malicious scripts/metadata)
- * - OCR: Tesseract.js for automatic PII discovery
- * - Redaction: HTML5 Canvas for persistent visual blacking
- * - Storage: ShieldStorage (IndexedDB) for project persistence
+ * - PII Discovery: pdf.js text layer for digital pages, pooled Tesseract.js OCR with vault-stored
+ *   language packs for scanned pages (ocr-service.js), checksum-validated detectors with
+ *   confidence scores (shield-pii-detectors.js, detectPii in shield-auto-redact.js)
+ * - Dictionaries: Named rule sets (terms/regexes) for per-matter search-and-redact
+ * - Redaction: HTML5 Canvas for images, content-stream removal for PDFs (shield-pdf-redaction.js)
+ * - Audit: Per-redaction metadata (type, text hash, exemption, reviewer) → JSON log +
+ *   PDF certificate of redaction (shield-audit.js)
+ * - Metadata: Info/XMP/attachments/thumbnails (PDF) and EXIF/GPS/IPTC/XMP (JPEG, PNG) are
+ *   scrubbed on every export with a report of what was removed (shield-sanitizer.js)
+ * - Storage: ShieldStorage (IndexedDB) for project persistence, optionally encrypted at rest
+ *   with a master passphrase (vault security panel, shared unlock dialog, auto-lock); every
+ *   save keeps the previous one as a version (history view: compare, restore, fork, retention);
+ *   folders, tags, full-text search, sorting, a storage meter and bulk actions organize the
+ *   list (shield-vault-catalog.js); backup/restore of the whole vault or a selection as one
+ *   optionally encrypted archive (shield-vault-backup.js)
  * 
  * KEY WORKFLOWS:
  * 1. INGESTION: Load PDF or Image → Create ImageBitmap for manipulation
  * 2. SCANNING: 
- *    a. Threat Scan: Identifies active content (JS) or suspicious metadata
- *    b. PII Scan: Uses OCR to find emails, SSNs, credit cards, etc.
- * 3. REDACTION: User draws black rectangles over sensitive text
+ *    a. Threat Scan: Identifies active content (JS) or suspicious metadata; emails (.eml/.msg)
+ *       open preview-only and list their sender headers and links next to the findings
+ *    b. PII Scan: Uses the text layer (or OCR for scans) to find emails, cards, IBANs, national IDs, etc.
+ * 3. REDACTION: User draws rectangles over sensitive text
+ *    - Style per box: solid color, pixelate or blur (images) plus an optional label such as
+ *      the exemption code (shield-redaction-styles.js)
+ *    - Find & Redact: Selected rule sets are matched on every page and boxed in one pass
+ *    - PDF: Text, image pixels and vectors under each box are removed, then verified via pdf.js
  * 4. SANITIZATION:
- *    - PDF: Strips OpenAction, AA, and JavaScript catalog entries
- *    - Image: Re-encodes bitmap to strip hidden steganographic data
+ *    - PDF: Strips OpenAction, AA, and JavaScript catalog entries plus all document metadata
+ *    - Image: JPEG/PNG metadata segments are dropped byte-for-byte (pixels untouched);
+ *      redacted or other formats are re-encoded from the bitmap
  * 5. EXPORT: Download sanitized version or Save to Shield Vault
+ *    - Redacted exports produce an audit log and a certificate (appended or separate)
+ *    - Safe Copy (CDR): Flagged files are rebuilt without active content, with a removal
+ *      report (shield-cdr.js); SVG and Office files open preview-only for this
  */
 
-import { shieldStorage } from './shield-redactor-storage.js';
+import { shieldStorage, DEFAULT_AUTO_LOCK_MINUTES, DEFAULT_VERSION_RETENTION } from './shield-redactor-storage.js';
 import { ShieldScanner } from './shield-scanner.js';
+import { applyPdfRedactions, verifyPdfRedactions, toPdfRect, collectGarbage } from './shield-pdf-redaction.js';
+import { extractTextLayer, isScannedPage } from './shield-text-layer.js';
+import { createRuleSet, createRule, compileRule, compileRuleSet, findRuleMatches } from './shield-dictionaries.js';
+import { detectPii } from './shield-auto-redact.js';
+import {
+    DEFAULT_EXEMPTIONS, parseExemptionList, formatExemptionList, sha256,
+    createAuditedRedaction, createAuditSecret, buildAuditLog, renderCertificate
+} from './shield-audit.js';
+import { sanitizePdf, sanitizeImage } from './shield-sanitizer.js';
+import { REDACTION_FILLS, DEFAULT_STYLE, paintRedaction, drawPdfRedaction } from './shield-redaction-styles.js';
+import { ocrService, languageName } from './ocr-service.js';
+import { createRuleFile, compileRuleFile } from './shield-detection-rules.js';
+import { createHashList, parseHashList } from './shield-hash.js';
+import { buildScanReport, toSarif, toHtmlReport } from './shield-scan-report.js';
+import { disarmFile, buildCdrReport } from './shield-cdr.js';
+import { HIGH_ENTROPY, hexdump } from './shield-entropy.js';
+import { extractSearchText, matchesQuery, parseTags, sortProjects, formatBytes, SORT_ORDERS } from './shield-vault-catalog.js';
+import { createVaultBackup, restoreVaultBackup, CONFLICT_POLICIES } from './shield-vault-backup.js';
 
 /**
  * INITIALIZATION: Establishes the redactor environment and scanner
@@ -36,16 +75,40 @@ export function init(config) {
         elements[key] = document.getElementById(id);
     }
 
-    let currentProject = {
-        id: null,
-        file: null,
-        fileBytes: null,
-        redactions: [],
-        originalBitmap: null
-    };
+    let currentProject = createEmptyProject();
 
     let currentPiiMatches = [];
     let lastThreatsHTML = '';
+    let pageRenderToken = 0;
+    let ruleSets = [];
+    let editingRuleSet = null;
+    let exemptionCodes = DEFAULT_EXEMPTIONS;
+    let lastAuditLog = null;
+    let ruleFiles = [];
+    let editingRuleFile = null;
+    let detectionRulesChanged = false;
+    const detectionRulesReady = loadDetectionRules();
+    let hashLists = [];
+    const hashListsReady = loadHashLists();
+    let lastScan = null;
+
+    /**
+     * PROJECT STATE: Redactions are kept per page as { [pageIndex]: [normalized rects] }
+     */
+    function createEmptyProject() {
+        return {
+            id: null,
+            file: null,
+            fileBytes: null,
+            pdf: null,
+            pageCount: 1,
+            currentPage: 0,
+            redactions: {},
+            originalBitmap: null,
+            previewOnly: false,
+            auditSecret: null
+        };
+    }
 
     // --- INITIAL VIEW HANDLERS ---
     elements.newProjectBtnId.onclick = () => elements.fileInputId.click();
@@ -61,30 +124,166 @@ export function init(config) {
      * Converts PDFs to high-res bitmaps for visual manipulation.
      */
     async function handleFile(file, projectData = null) {
+        await openDocument(file, projectData);
+        setupEditor();
+        runScan(file);
+    }
+
+    /**
+     * DOCUMENT LOADER: Opens the file, restores per-page redactions and renders page 1
+     * Legacy vault projects stored a flat list of rects, which always belonged to page 1.
+     */
+    async function openDocument(file, projectData = null) {
+        if (currentProject.pdf) currentProject.pdf.destroy();
+        pageRenderToken++;
+        currentProject = createEmptyProject();
         currentProject.file = file;
         currentProject.fileBytes = await file.arrayBuffer();
         currentProject.id = projectData?.id || 'proj_' + Date.now();
-        currentProject.redactions = projectData?.redactions || [];
+        currentProject.redactions = normalizeRedactions(projectData?.redactions);
+        currentProject.auditSecret = projectData?.auditSecret || createAuditSecret();
 
         if (file.type === 'application/pdf') {
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-            const page = await pdf.getPage(1); // Handle page 1 for now
-            const viewport = page.getViewport({ scale: 2 });
-
-            const tempCanvas = document.createElement('canvas');
-            const context = tempCanvas.getContext('2d');
-            tempCanvas.width = viewport.width;
-            tempCanvas.height = viewport.height;
-
-            await page.render({ canvasContext: context, viewport }).promise;
-            currentProject.originalBitmap = await createImageBitmap(tempCanvas);
+            currentProject.pdf = await pdfjsLib.getDocument({ data: currentProject.fileBytes.slice(0) }).promise;
+            currentProject.pageCount = currentProject.pdf.numPages;
         } else {
-            currentProject.originalBitmap = await createImageBitmap(file);
+            // SVG and Office files are opened for the threat scan and safe copy only
+            currentProject.previewOnly = !file.type.startsWith('image/') || file.type === 'image/svg+xml';
         }
 
-        setupEditor();
-        runScan(file);
+        currentProject.originalBitmap = await renderPageBitmap(0);
+        buildPageStrip();
+    }
+
+    function normalizeRedactions(stored) {
+        if (Array.isArray(stored)) return stored.length ? { 0: stored } : {};
+        const byPage = {};
+        Object.entries(stored || {}).forEach(([page, rects]) => {
+            if (rects && rects.length) byPage[page] = [...rects];
+        });
+        return byPage;
+    }
+
+    function pageRedactions(pageIndex = currentProject.currentPage) {
+        if (!currentProject.redactions[pageIndex]) currentProject.redactions[pageIndex] = [];
+        return currentProject.redactions[pageIndex];
+    }
+
+    /**
+     * FLATTENER: Lists every redaction with its page index (export engine format)
+     */
+    function allRedactions() {
+        return Object.entries(currentProject.redactions)
+            .flatMap(([page, rects]) => rects.map(rect => ({ ...rect, page: Number(page) })));
+    }
+
+    /**
+     * PAGE RENDERER: Rasterizes a single page for display or OCR
+     */
+    async function renderPageBitmap(pageIndex, scale = 2) {
+        if (currentProject.previewOnly) return renderPlaceholderBitmap();
+        if (!currentProject.pdf) return createImageBitmap(currentProject.file);
+
+        const page = await currentProject.pdf.getPage(pageIndex + 1);
+        const viewport = page.getViewport({ scale });
+        const tempCanvas = document.createElement('canvas');
+        const context = tempCanvas.getContext('2d');
+        tempCanvas.width = viewport.width;
+        tempCanvas.height = viewport.height;
+
+        await page.render({ canvasContext: context, viewport }).promise;
+        return createImageBitmap(tempCanvas);
+    }
+
+    /**
+     * PLACEHOLDER: Stands in for files the redactor cannot draw (the file is never rendered)
+     */
+    function renderPlaceholderBitmap() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 800;
+        canvas.height = 300;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#00ff80';
+        ctx.font = 'bold 20px monospace';
+        ctx.fillText(currentProject.file.name.slice(0, 60), 30, 120);
+        ctx.fillStyle = '#aaa';
+        ctx.font = '14px monospace';
+        ctx.fillText('No preview for this file type. Threat scan and EXPORT SAFE COPY are available.', 30, 160);
+        return createImageBitmap(canvas);
+    }
+
+    /**
+     * PAGE NAVIGATION: Swaps the editor canvas to another page
+     */
+    async function showPage(pageIndex) {
+        if (pageIndex < 0 || pageIndex >= currentProject.pageCount) return;
+        const token = ++pageRenderToken;
+        const bitmap = await renderPageBitmap(pageIndex);
+        if (token !== pageRenderToken) return;
+
+        currentProject.currentPage = pageIndex;
+        currentProject.originalBitmap = bitmap;
+        renderCanvas();
+        updatePageStrip();
+    }
+
+    /**
+     * PAGE STRIP: Builds one thumbnail per page, rendered progressively in the background
+     */
+    function buildPageStrip() {
+        const strip = elements.pageStripId;
+        if (!strip) return;
+
+        strip.innerHTML = '';
+        strip.style.display = currentProject.pageCount > 1 ? 'flex' : 'none';
+        if (currentProject.pageCount < 2) return;
+
+        for (let i = 0; i < currentProject.pageCount; i++) {
+            const thumb = document.createElement('div');
+            thumb.className = 'shield-page-thumb';
+            thumb.dataset.page = i;
+            thumb.innerHTML = `
+                <canvas></canvas>
+                <span class="shield-page-num">${i + 1}</span>
+                <span class="shield-page-badge"></span>
+            `;
+            thumb.onclick = () => showPage(i);
+            strip.appendChild(thumb);
+        }
+
+        updatePageStrip();
+        renderThumbnails(currentProject);
+    }
+
+    async function renderThumbnails(project) {
+        try {
+            for (let i = 0; i < project.pageCount; i++) {
+                if (currentProject !== project) return; // Project switched mid-render
+                const canvas = elements.pageStripId.querySelector(`.shield-page-thumb[data-page="${i}"] canvas`);
+                if (!canvas) return;
+                const page = await project.pdf.getPage(i + 1);
+                const viewport = page.getViewport({ scale: 0.2 });
+                canvas.width = viewport.width;
+                canvas.height = viewport.height;
+                await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            }
+        } catch (err) {
+            if (currentProject === project) console.error('Thumbnail Error:', err);
+        }
+    }
+
+    function updatePageStrip() {
+        if (!elements.pageStripId) return;
+        elements.pageStripId.querySelectorAll('.shield-page-thumb').forEach(thumb => {
+            const page = Number(thumb.dataset.page);
+            const count = (currentProject.redactions[page] || []).length;
+            thumb.classList.toggle('active', page === currentProject.currentPage);
+            thumb.querySelector('.shield-page-badge').innerText = count ? count : '';
+        });
+        const active = elements.pageStripId.querySelector('.shield-page-thumb.active');
+        if (active) active.scrollIntoView({ block: 'nearest' });
     }
 
     window.shieldRedactorLoadFile = (file, projectData) => {
@@ -98,10 +297,15 @@ export function init(config) {
     function setupEditor() {
         elements.initialViewId.style.display = 'none';
         elements.vaultViewId.style.display = 'none';
+        if (elements.rulesViewId) elements.rulesViewId.style.display = 'none';
+        if (elements.detectionRulesViewId) elements.detectionRulesViewId.style.display = 'none';
         elements.editorViewId.style.display = 'block';
 
         renderCanvas();
         updateProjectStatus();
+        loadRuleSets();
+        loadAuditSettings();
+        loadOcrLanguages();
     }
 
     /**
@@ -115,9 +319,16 @@ export function init(config) {
         elements.threatShieldId.className = 'threat-status-badge scanning';
         elements.scanResultsId.innerHTML = ''; // Clear previous results
         lastThreatsHTML = '';
+        lastScan = null;
+        if (elements.exportScanReportBtnId) elements.exportScanReportBtnId.disabled = true;
 
         try {
+            await Promise.all([detectionRulesReady, hashListsReady]);
             const results = await scanner.scan(file);
+            const inventoryHTML = renderEntropyMap(results.entropy) + renderEmailInventory(results.emails) + renderHashInventory(results.hashes);
+            lastScan = { file, results };
+            if (elements.exportScanReportBtnId) elements.exportScanReportBtnId.disabled = false;
+            if (elements.exportCdrBtnId) elements.exportCdrBtnId.classList.toggle('shield-cdr-recommended', !results.safe);
             if (results.safe) {
                 elements.threatShieldId.innerText = '🛡️ SECURE';
                 elements.threatShieldId.className = 'threat-status-badge safe';
@@ -132,18 +343,26 @@ export function init(config) {
                     elements.threatShieldId.title = 'Click to view threat details';
 
                     // Prepare threat container as an element to avoid duplication
+                    // (descriptions quote file content and archive entry names, so everything is escaped)
                     const threatItems = results.threats.map(t => {
                         const [description, log] = t.description.split(' | LOG: ');
                         return `
                             <div class="pii-match threat-item" style="border:1px solid #ff4d4d; background:rgba(255,0,0,0.1); padding:8px; margin-bottom:5px; border-radius:4px;">
-                                <div style="color:#ff4d4d; font-weight:bold; font-size:11px; margin-bottom:4px;">${t.type.toUpperCase()}</div>
-                                <div style="font-size:10px; color:#fff; margin-bottom:6px;">${description}</div>
-                                ${log ? `<div style="font-family:monospace; font-size:9px; background:rgba(0,0,0,0.5); padding:4px; border-radius:3px; color:#00ff80; word-break:break-all; border-left:2px solid #ff4d4d;">DISCOVERY_LOG: ${log}</div>` : ''}
+                                <div style="color:#ff4d4d; font-weight:bold; font-size:11px; margin-bottom:4px;">${escapeHtml(t.type.toUpperCase())}</div>
+                                ${t.path ? `<div style="font-family:monospace; font-size:9px; color:#ffb3b3; margin-bottom:4px; word-break:break-all;">IN: ${escapeHtml(t.path)}</div>` : ''}
+                                <div style="font-size:10px; color:#fff; margin-bottom:6px;">${escapeHtml(description)}</div>
+                                ${log ? `<div style="font-family:monospace; font-size:9px; background:rgba(0,0,0,0.5); padding:4px; border-radius:3px; color:#00ff80; word-break:break-all; border-left:2px solid #ff4d4d;">DISCOVERY_LOG: ${escapeHtml(log)}</div>` : ''}
+                                ${(t.macros || []).map(m => `
+                                    <details class="shield-macro-source">
+                                        <summary>MACRO SOURCE: ${escapeHtml(m.name)} (${m.source.split('\n').length} lines)</summary>
+                                        <pre>${escapeHtml(m.source)}</pre>
+                                    </details>
+                                `).join('')}
                             </div>
                         `;
                     }).join('');
 
-                    lastThreatsHTML = `<div id="shield-threat-container">${threatItems}</div>`;
+                    lastThreatsHTML = `<div id="shield-threat-container">${threatItems}${inventoryHTML}</div>`;
 
                     // Clear any existing threat container and prepend new one
                     const existing = elements.scanResultsId.querySelector('#shield-threat-container');
@@ -165,12 +384,153 @@ export function init(config) {
                     elements.threatShieldId.className = 'threat-status-badge suspicious';
                 }
             }
+
+            // Clean and low-severity results still show the entropy map, email links and file hashes
+            if (!lastThreatsHTML && inventoryHTML) {
+                lastThreatsHTML = `<div id="shield-threat-container">${inventoryHTML}</div>`;
+                elements.scanResultsId.insertAdjacentHTML('afterbegin', lastThreatsHTML);
+            }
         } catch (err) {
             console.error('Scan Error:', err);
             elements.threatShieldId.innerText = 'SCAN FAILED';
         }
     }
 
+    /**
+     * SCAN REPORT EXPORT: Saves the last scan as JSON, SARIF 2.1.0 or standalone HTML
+     */
+    function exportScanReport() {
+        if (!lastScan) return;
+        const report = buildScanReport(lastScan.file, lastScan.results);
+        const base = lastScan.file.name.replace(/[^\w.-]+/g, '_');
+        const format = elements.scanReportFormatId ? elements.scanReportFormatId.value : 'json';
+
+        if (format === 'sarif') {
+            downloadBlob(new Blob([JSON.stringify(toSarif(report), null, 2)], { type: 'application/sarif+json' }), `${base}.sarif`);
+        } else if (format === 'html') {
+            downloadBlob(new Blob([toHtmlReport(report)], { type: 'text/html' }), `${base}.scan.html`);
+        } else {
+            downloadBlob(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), `${base}.scan.json`);
+        }
+    }
+
+    if (elements.exportScanReportBtnId) elements.exportScanReportBtnId.onclick = () => exportScanReport();
+
+    /**
+     * ENTROPY MAP: Strip chart of per-block entropy with the located structures below it
+     * Drawn as inline SVG so the threat container can be re-inserted as HTML; large files
+     * are folded into at most ENTROPY_COLUMNS columns (each shows its highest block).
+     */
+    const ENTROPY_COLUMNS = 512;
+    const HEXDUMP_BYTES = 512;
+    const STRUCTURE_COLORS = {
+        pe: '#ff4d4d', 'pe-section': '#ff8c1a', 'pe-overlay': '#ff00ff',
+        zip: '#8ab4f8', 'zip-end': '#4d79ff',
+        pdf: '#00ff80', 'pdf-stream': '#ffd11a', 'pdf-eof': '#00c06a'
+    };
+
+    function renderEntropyMap(map) {
+        if (!map || !map.blocks.length) return '';
+        const perColumn = Math.ceil(map.blocks.length / ENTROPY_COLUMNS);
+        const columns = Math.ceil(map.blocks.length / perColumn);
+        const span = perColumn * map.blockSize;
+
+        const bars = [];
+        for (let c = 0; c < columns; c++) {
+            const bits = Math.max(...map.blocks.slice(c * perColumn, (c + 1) * perColumn));
+            const height = Math.max(1, (bits / 8) * 40);
+            const hue = Math.round(120 - Math.min(1, bits / 8) * 120);
+            const start = c * span;
+            bars.push(`<rect x="${c}" y="${40 - height}" width="1" height="${height}" fill="hsl(${hue},100%,${bits >= HIGH_ENTROPY ? 55 : 40}%)" data-offset="${start}"><title>0x${start.toString(16)}-0x${Math.min(map.size, start + span).toString(16)}: ${bits.toFixed(2)} bits/byte</title></rect>`);
+        }
+
+        const scale = columns / map.size;
+        const marks = map.structures.map(st => `<rect class="shield-entropy-mark" x="${(st.offset * scale).toFixed(2)}" y="${st.kind === 'pe-section' || st.kind === 'pdf-stream' ? 46 : 42}" width="${Math.max(0.6, st.length * scale).toFixed(2)}" height="4" fill="${STRUCTURE_COLORS[st.kind] || '#fff'}" data-offset="${st.offset}"><title>${escapeHtml(st.label)} @ 0x${st.offset.toString(16)} (${st.length} bytes)</title></rect>`).join('');
+
+        const kinds = [...new Set(map.structures.map(st => st.kind))];
+        const legend = kinds.map(kind => `<span><i style="background:${STRUCTURE_COLORS[kind] || '#fff'}"></i>${escapeHtml(kind.toUpperCase())}</span>`).join('');
+
+        return `
+            <details class="shield-hash-inventory shield-entropy" open>
+                <summary>ENTROPY MAP (${map.blocks.length} × ${map.blockSize / 1024} KB BLOCKS, ${map.overall.toFixed(2)} BITS/BYTE)</summary>
+                <svg class="shield-entropy-map" viewBox="0 0 ${columns} 50" preserveAspectRatio="none" data-size="${map.size}" data-block="${map.blockSize}">${bars.join('')}${marks}</svg>
+                ${legend ? `<div class="shield-entropy-legend">${legend}</div>` : ''}
+                <pre class="shield-hexdump">Click the map to view the bytes of a region.</pre>
+            </details>
+        `;
+    }
+
+    /**
+     * HEXDUMP VIEWER: Shows the bytes under a click on the entropy map
+     * Structure marks open at their own offset; bars at the start of the clicked block.
+     */
+    async function showHexdump(event) {
+        const svg = event.target.closest('.shield-entropy-map');
+        if (!svg || !lastScan) return;
+        const size = Number(svg.dataset.size);
+        const blockSize = Number(svg.dataset.block);
+        let offset;
+        if (event.target.classList.contains('shield-entropy-mark')) {
+            offset = Number(event.target.dataset.offset);
+        } else {
+            const box = svg.getBoundingClientRect();
+            const fraction = Math.min(Math.max((event.clientX - box.left) / box.width, 0), 1);
+            offset = Math.min(Math.floor((fraction * size) / blockSize) * blockSize, Math.max(0, size - 1));
+        }
+
+        const map = lastScan.results.entropy;
+        const block = map.blocks[Math.floor(offset / blockSize)] ?? 0;
+        const here = map.structures.filter(st => offset >= st.offset && offset < st.offset + Math.max(st.length, 1)).map(st => st.label);
+        const bytes = new Uint8Array(await lastScan.file.slice(offset, offset + HEXDUMP_BYTES).arrayBuffer());
+        const pre = svg.parentElement.querySelector('.shield-hexdump');
+        pre.textContent = `OFFSET 0x${offset.toString(16)} · BLOCK ENTROPY ${block.toFixed(2)} BITS/BYTE${here.length ? ` · ${here.join(', ')}` : ''}\n\n${hexdump(bytes, offset)}`;
+    }
+
+    elements.scanResultsId.addEventListener('click', (event) => {
+        showHexdump(event).catch(err => console.error('Hexdump Error:', err));
+    });
+
+    /**
+     * HASH INVENTORY: Collapsible MD5 / SHA-1 / SHA-256 table for every scanned object
+     */
+    function renderHashInventory(hashes = []) {
+        if (!hashes.length) return '';
+        const rows = hashes.map(h => `
+            <div class="shield-hash-row">
+                <div class="shield-hash-name">${escapeHtml(h.path || h.name)} <span>${h.size} bytes${h.allowlisted ? ` · ALLOWLISTED: ${escapeHtml(h.allowlisted)}` : ''}</span></div>
+                <div>MD5&nbsp;&nbsp;&nbsp; ${h.md5}</div>
+                <div>SHA-1&nbsp; ${h.sha1}</div>
+                <div>SHA-256 ${h.sha256}</div>
+            </div>
+        `).join('');
+        return `<details class="shield-hash-inventory"><summary>FILE HASHES (${hashes.length})</summary>${rows}</details>`;
+    }
+
+    /**
+     * EMAIL INVENTORY: Sender headers, attachments and every link of each scanned message
+     * Links on shortener / tunnelling domains are highlighted.
+     */
+    function renderEmailInventory(emails = []) {
+        return emails.map(e => {
+            const links = e.urls.map(u => `
+                <div class="shield-email-link${u.suspicious ? ' suspicious' : ''}">${escapeHtml(u.url)}${u.suspicious ? ` · ${escapeHtml(u.suspicious.toUpperCase())}` : ''}</div>
+            `).join('');
+            return `
+                <details class="shield-hash-inventory">
+                    <summary>EMAIL: ${escapeHtml(e.path || e.name)} (${e.urls.length} LINKS)</summary>
+                    <div class="shield-hash-row">
+                        <div class="shield-hash-name">${escapeHtml(e.subject || '(no subject)')}</div>
+                        <div>From&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp; ${escapeHtml(e.from || '-')}</div>
+                        <div>Reply-To&nbsp;&nbsp; ${escapeHtml(e.replyTo || '-')}</div>
+                        <div>Return-Path ${escapeHtml(e.returnPath || '-')}</div>
+                        <div>Attachments ${escapeHtml(e.attachments.join(', ') || '-')}</div>
+                        ${links}
+                    </div>
+                </details>
+            `;
+        }).join('');
+    }
+
     /**
      * RENDERING ENGINE: Draws base image and all active redaction layers to canvas
      */
@@ -188,11 +548,8 @@ export function init(config) {
 
         ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
 
-        // Draw current redactions
-        ctx.fillStyle = 'black';
-        currentProject.redactions.forEach(rect => {
-            ctx.fillRect(rect.x * canvas.width, rect.y * canvas.height, rect.w * canvas.width, rect.h * canvas.height);
-        });
+        // Draw current page redactions in their own styles
+        pageRedactions().forEach(rect => paintRedaction(ctx, rect, bitmap, canvas.width, canvas.height));
     }
 
     // --- MANUAL REDACTION ---
@@ -225,77 +582,117 @@ export function init(config) {
         );
     };
 
-    elements.canvasId.onmouseup = (e) => {
+    elements.canvasId.onmouseup = async (e) => {
         if (!isDrawing) return;
         isDrawing = false;
         const rect = elements.canvasId.getBoundingClientRect();
         const endX = (e.clientX - rect.left) / elements.canvasId.width;
         const endY = (e.clientY - rect.top) / elements.canvasId.height;
+        const pageIndex = currentProject.currentPage;
 
-        currentProject.redactions.push({
+        pageRedactions(pageIndex).push(await createAuditedRedaction({
             x: Math.min(startX, endX),
             y: Math.min(startY, endY),
             w: Math.abs(endX - startX),
             h: Math.abs(endY - startY)
-        });
+        }, auditMeta({ type: 'Manual', source: 'manual' })));
 
         renderCanvas();
         updateProjectStatus();
     };
 
     function updateProjectStatus() {
+        updatePageStrip();
+        renderRedactionList();
         if (elements.exportRedactedBtnId) {
-            const hasRedactions = currentProject.redactions.length > 0;
-            elements.exportRedactedBtnId.disabled = !hasRedactions;
+            const hasRedactions = allRedactions().length > 0;
+            elements.exportRedactedBtnId.disabled = !hasRedactions || currentProject.previewOnly;
             elements.exportRedactedBtnId.title = hasRedactions ? 'Export file with visual redactions' : 'Requires active redactions';
         }
+        elements.exportBtnId.disabled = currentProject.previewOnly;
     }
 
     // --- EXPORT LOGIC (SANITIZATION) ---
     /**
      * EXPORT ENGINE: Handles two distinct output modes
      * 1. CLEAN: Strips active content/metadata but keeps original visuals
-     * 2. REDACTED: Strips active content AND burns black redaction boxes permanently
+     * 2. REDACTED: Strips active content AND removes everything under the redaction boxes
      */
     const runExport = async (mode = 'clean') => {
         const btn = mode === 'clean' ? elements.exportBtnId : elements.exportRedactedBtnId;
         const originalText = btn.innerText;
         btn.disabled = true;
         btn.innerText = 'PROCESSING...';
+        let sanitizationReport = null;
 
         try {
-            if (currentProject.file.type === 'application/pdf') {
-                const { PDFDocument, PDFName, rgb } = window.PDFLib;
-                const pdfDoc = await PDFDocument.load(currentProject.fileBytes);
+            const isPdf = currentProject.file.type === 'application/pdf';
+            // JPEG/PNG source with metadata segments dropped (null for other formats)
+            const source = isPdf ? null : await sanitizeImage(currentProject.fileBytes, currentProject.file.type).catch(err => {
+                console.error('Image Sanitizer Error:', err);
+                return null;
+            });
+
+            if (isPdf) {
+                const { PDFDocument, PDFName, StandardFonts } = window.PDFLib;
+                const pdfDoc = await PDFDocument.load(currentProject.fileBytes, { updateMetadata: false });
                 const catalog = pdfDoc.catalog;
 
                 // 1. Sanitization (Always done)
+                // Metadata first, so embedded files are reported before the Names tree goes
+                sanitizationReport = sanitizePdf(pdfDoc, currentProject.fileBytes);
                 if (catalog) {
                     ['OpenAction', 'AA', 'Names', 'JavaScript'].forEach(key => catalog.delete(PDFName.of(key)));
                 }
 
-                // 2. Burning Redactions (Only if in redacted mode)
+                // 2. True Redaction (Only if in redacted mode)
+                // Content under each box is removed from the page streams, then boxes are burned in
+                let auditLog = null;
                 if (mode === 'redacted') {
-                    const pages = pdfDoc.getPages();
-                    if (pages.length > 0) {
-                        const firstPage = pages[0];
-                        const { width, height } = firstPage.getSize();
-                        currentProject.redactions.forEach(rect => {
-                            firstPage.drawRectangle({
-                                x: rect.x * width,
-                                y: (1 - rect.y - rect.h) * height,
-                                width: rect.w * width,
-                                height: rect.h * height,
-                                color: rgb(0, 0, 0)
-                            });
-                        });
+                    auditLog = await buildProjectAuditLog(pdfDoc);
+                    await applyPdfRedactions(pdfDoc, allRedactions(), { rasterizePage });
+
+                    // 3. Verification: Re-extract text and refuse to ship if anything survived.
+                    // Runs before the boxes are burned in: exemption labels are real text inside them
+                    const verification = await verifyPdfRedactions(await pdfDoc.save(), allRedactions());
+                    if (!verification.clean) {
+                        const pagesHit = [...new Set(verification.leaks.map(l => l.page + 1))].join(', ');
+                        throw new Error(`Verification found recoverable text under redaction boxes on page(s) ${pagesHit}. Output was not saved.`);
                     }
+
+                    const pages = pdfDoc.getPages();
+                    const labelFont = allRedactions().some(r => r.style && r.style.label)
+                        ? await pdfDoc.embedFont(StandardFonts.HelveticaBold)
+                        : null;
+                    allRedactions().forEach(rect => {
+                        const page = pages[rect.page || 0];
+                        if (!page) return;
+                        drawPdfRedaction(page, toPdfRect(page, rect), rect, labelFont);
+                    });
                 }
 
+                // Certificate pages follow the document, outside every redaction page index
+                const certificateMode = elements.certificateModeId ? elements.certificateModeId.value : 'none';
+                if (auditLog) auditLog.sanitization = summarizeSanitization(sanitizationReport);
+                if (auditLog && certificateMode === 'append') await renderCertificate(pdfDoc, auditLog);
+
+                // Objects orphaned by the catalog cleanup (redacted mode already collected them)
+                if (mode === 'clean') collectGarbage(pdfDoc);
+
                 const pdfBytes = await pdfDoc.save();
-                downloadBlob(new Blob([pdfBytes], { type: 'application/pdf' }), `${mode}_${currentProject.file.name}`);
+
+                const outputName = `${mode}_${currentProject.file.name}`;
+                downloadBlob(new Blob([pdfBytes], { type: 'application/pdf' }), outputName);
+                if (auditLog) await finishAudit(auditLog, { name: outputName, sha256: await sha256(pdfBytes) }, certificateMode);
+            } else if (mode === 'clean' && source) {
+                // Clean JPEG/PNG: Image data is copied verbatim, pixels untouched
+                sanitizationReport = source.report;
+                downloadBlob(new Blob([source.bytes], { type: currentProject.file.type }), `${mode}_${currentProject.file.name}`);
             } else {
-                // For images: Re-encoding bitmap
+                // For images: Re-encoding bitmap (drops every metadata block of the source)
+                sanitizationReport = source ? source.report : { format: 'image', removed: [], notes: [] };
+                sanitizationReport.notes.push('Image re-encoded from pixels; no source metadata is carried over.');
+
                 const canvas = document.createElement('canvas');
                 const ctx = canvas.getContext('2d');
                 const bitmap = currentProject.originalBitmap;
@@ -303,18 +700,25 @@ export function init(config) {
                 canvas.height = bitmap.height;
                 ctx.drawImage(bitmap, 0, 0);
 
+                let auditLog = null;
                 if (mode === 'redacted') {
-                    ctx.fillStyle = 'black';
-                    currentProject.redactions.forEach(rect => {
-                        ctx.fillRect(rect.x * canvas.width, rect.y * canvas.height, rect.w * canvas.width, rect.h * canvas.height);
-                    });
+                    pageRedactions(0).forEach(rect => paintRedaction(ctx, rect, bitmap, canvas.width, canvas.height));
+                    auditLog = await buildProjectAuditLog(null, canvas);
+                    auditLog.sanitization = summarizeSanitization(sanitizationReport);
                 }
 
                 const mimeType = currentProject.file.type || 'image/png';
-                canvas.toBlob((blob) => {
-                    downloadBlob(blob, `${mode}_${currentProject.file.name}`);
-                }, mimeType);
+                const outputName = `${mode}_${currentProject.file.name}`;
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, mimeType));
+                downloadBlob(blob, outputName);
+
+                // Images cannot carry extra pages, so the certificate always ships alongside
+                if (auditLog) {
+                    const certificateMode = elements.certificateModeId && elements.certificateModeId.value === 'none' ? 'none' : 'separate';
+                    await finishAudit(auditLog, { name: outputName, sha256: await sha256(await blob.arrayBuffer()) }, certificateMode);
+                }
             }
+            renderSanitizationReport(sanitizationReport);
         } catch (err) {
             console.error('Export Error:', err);
             alert(`Export Failed: ${err.message}`);
@@ -325,181 +729,1237 @@ export function init(config) {
         }
     };
 
-    elements.exportBtnId.onclick = () => runExport('clean');
-    if (elements.exportRedactedBtnId) elements.exportRedactedBtnId.onclick = () => runExport('redacted');
+    /**
+     * SANITIZATION REPORT: Lists removed metadata (with values) at the top of the results panel
+     */
+    function renderSanitizationReport(report, title = 'METADATA REMOVED') {
+        if (!report) return;
+        const existing = elements.scanResultsId.querySelector('#shield-sanitize-report');
+        if (existing) existing.remove();
+
+        const rows = report.removed.map(r => `
+            <div style="font-size:10px; margin-bottom:3px;">
+                <span style="color:#00ff80;">${escapeHtml(r.category)}</span> · ${escapeHtml(r.item)}
+                ${r.detail ? `<div style="font-family:monospace; font-size:9px; color:#aaa; word-break:break-all;">${escapeHtml(r.detail)}</div>` : ''}
+            </div>
+        `).join('') || '<div style="font-size:10px; color:#888;">No metadata found.</div>';
+        const notes = report.notes.map(n => `<div style="font-size:9px; color:#ffcc00; margin-top:4px;">${escapeHtml(n)}</div>`).join('');
+
+        elements.scanResultsId.insertAdjacentHTML('afterbegin', `
+            <div id="shield-sanitize-report" class="pii-match" style="border:1px solid rgba(0,255,128,0.3); padding:8px; margin-bottom:5px; border-radius:4px; background:rgba(0,0,0,0.3);">
+                <div style="color:#00ff80; font-weight:bold; font-size:11px; margin-bottom:6px;">${title} (${report.removed.length})</div>
+                ${rows}${notes}
+            </div>
+        `);
+    }
 
     /**
-     * UTILITY: Triggers native browser download for a Blob
+     * AUDIT SUMMARY: Category/item pairs only, the certificate ships with the release
+     * and must not repeat the removed values (author names, coordinates...)
      */
-    function downloadBlob(blob, name) {
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = name;
-        link.click();
-        URL.revokeObjectURL(link.href);
+    function summarizeSanitization(report) {
+        if (!report) return null;
+        return { removed: report.removed.map(r => ({ category: r.category, item: r.item })), notes: report.notes };
+    }
+
+    // --- AUDIT LOG ---
+    /**
+     * AUDIT SETTINGS: Loads the reviewer name and exemption code list from the vault
+     */
+    async function loadAuditSettings() {
+        try {
+            const [reviewer, codes] = await Promise.all([
+                shieldStorage.getSetting('reviewerName', ''),
+                shieldStorage.getSetting('exemptionCodes', null)
+            ]);
+            if (elements.reviewerInputId) elements.reviewerInputId.value = reviewer;
+            exemptionCodes = codes && codes.length ? codes : DEFAULT_EXEMPTIONS;
+        } catch (err) {
+            console.error('Audit Settings Error:', err);
+        }
+        renderExemptionSelect();
+        renderRedactionList();
     }
 
+    function renderExemptionSelect() {
+        if (!elements.exemptionSelectId) return;
+        const previous = elements.exemptionSelectId.value;
+        elements.exemptionSelectId.innerHTML = '<option value="">No exemption</option>' +
+            exemptionCodes.map(c => `<option value="${escapeHtml(c.code)}" title="${escapeHtml(c.description)}">${escapeHtml(c.code)}</option>`).join('');
+        if (exemptionCodes.some(c => c.code === previous)) elements.exemptionSelectId.value = previous;
+    }
+
+    /**
+     * AUDIT METADATA: Reviewer and default exemption applied to newly created redactions
+     */
+    function auditMeta(meta) {
+        return {
+            ...meta,
+            exemption: elements.exemptionSelectId ? elements.exemptionSelectId.value || null : null,
+            reviewer: elements.reviewerInputId ? elements.reviewerInputId.value.trim() || null : null,
+            style: currentStyle()
+        };
+    }
 
+    /**
+     * STYLE TOOLBAR: Fill, color and label applied to newly created redactions
+     */
+    function currentStyle() {
+        return {
+            fill: elements.redactionFillId ? elements.redactionFillId.value : DEFAULT_STYLE.fill,
+            color: elements.redactionColorId ? elements.redactionColorId.value : DEFAULT_STYLE.color,
+            label: elements.redactionLabelId ? elements.redactionLabelId.value.trim() : DEFAULT_STYLE.label
+        };
+    }
 
+    if (elements.redactionFillId) {
+        elements.redactionFillId.innerHTML = REDACTION_FILLS.map(f => `<option value="${f.id}">${f.label}</option>`).join('');
+    }
 
-    // --- VAULT LOGIC ---
     /**
-     * VAULT MANAGER: Displays all stored projects from IndexedDB
+     * REDACTION LIST: Current page's boxes with their type, exemption and a remove action
      */
-    async function showVault() {
-        elements.initialViewId.style.display = 'none';
-        elements.vaultViewId.style.display = 'block';
+    function renderRedactionList() {
+        if (!elements.redactionListId) return;
+        const list = currentProject.file ? pageRedactions() : [];
+        if (!list.length) {
+            elements.redactionListId.innerHTML = '';
+            return;
+        }
 
-        const projects = await shieldStorage.getAllProjects();
-        elements.vaultListId.innerHTML = projects.map(p => {
-            const toolLabel = p.tool === 'Shield Redactor' ? 'Shield Redactor Storage' : (p.tool || 'Shield Redactor Storage');
-            const isStorage = toolLabel.toLowerCase().includes('storage');
-            return `
-                <div class="vault-item" data-id="${p.id}" style="border: 1px solid #444; padding: 10px; border-radius: 8px; cursor: pointer; transition: 0.3s; position: relative;">
-                    <div style="position: absolute; top: 10px; right: 10px; display: flex; gap: 6px;">
-                        ${isStorage ? `
-                            <button class="vault-item-download" data-id="${p.id}" title="Download File" style="background: rgba(0, 255, 128, 0.1); color: #00ff80; border: 1px solid rgba(0, 255, 128, 0.3); border-radius: 4px; width: 26px; height: 26px; display: flex; align-items: center; justify-content: center; cursor: pointer; font-size: 14px;">↓</button>
-                        ` : ''}
-                        <button class="vault-item-delete" data-id="${p.id}" title="Remove from Vault" style="background: rgba(255, 77, 77, 0.1); color: #ff4d4d; border: 1px solid rgba(255, 77, 77, 0.3); border-radius: 4px; width: 26px; height: 26px; display: flex; align-items: center; justify-content: center; cursor: pointer; font-size: 14px;">×</button>
+        const options = (selected) => '<option value="">No exemption</option>' + exemptionCodes
+            .map(c => `<option value="${escapeHtml(c.code)}" ${c.code === selected ? 'selected' : ''}>${escapeHtml(c.code)}</option>`).join('');
+        const fills = (selected) => REDACTION_FILLS
+            .map(f => `<option value="${f.id}" ${f.id === selected ? 'selected' : ''}>${f.label}</option>`).join('');
+        elements.redactionListId.innerHTML = `<div class="shield-redaction-list-title">PAGE ${currentProject.currentPage + 1} REDACTIONS</div>` +
+            list.map((r, i) => {
+                const style = { ...DEFAULT_STYLE, ...(r.style || {}) };
+                return `
+                    <div class="shield-redaction-row" data-index="${i}">
+                        <div class="shield-redaction-line">
+                            <span class="shield-redaction-type" title="${r.textHash ? 'SHA-256 ' + r.textHash : 'No matched text'}">${i + 1}. ${escapeHtml(r.type || 'Manual')}</span>
+                            <select class="shield-redaction-exemption">${options(r.exemption)}</select>
+                            <button class="shield-redaction-remove" title="Remove redaction">×</button>
+                        </div>
+                        <div class="shield-redaction-line">
+                            <select class="shield-redaction-fill">${fills(style.fill)}</select>
+                            <input type="color" class="shield-redaction-color" value="${style.color}" title="Fill color">
+                            <input type="text" class="shield-redaction-label" value="${escapeHtml(style.label)}" placeholder="Label">
+                        </div>
                     </div>
-                    <div class="vault-item-tool-label">${toolLabel}</div>
-                    <div style="color: #00ff80; font-weight: bold; margin-bottom: 5px; padding-right: 50px;">${p.name}</div>
-                    <div style="font-size: 10px; color: #888;">${new Date(p.updatedAt || Date.now()).toLocaleDateString()}</div>
-                </div>
-            `;
-        }).join('') || '<div style="color:#666; grid-column: 1/-1; text-align:center;">No projects found in vault.</div>';
-
-        document.querySelectorAll('.vault-item').forEach(el => {
-            el.onclick = (e) => {
-                if (e.target.closest('.vault-item-delete') || e.target.closest('.vault-item-download')) return;
-                loadProject(el.dataset.id);
+                `;
+            }).join('');
+
+        elements.redactionListId.querySelectorAll('.shield-redaction-row').forEach(row => {
+            const redaction = list[Number(row.dataset.index)];
+            const updateStyle = (change) => {
+                redaction.style = { ...DEFAULT_STYLE, ...(redaction.style || {}), ...change };
+                renderCanvas();
             };
-        });
-
-        document.querySelectorAll('.vault-item-delete').forEach(btn => {
-            btn.onclick = async (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                const id = btn.dataset.id;
-                if (window.confirm('Are you sure you want to remove this project from the vault? This cannot be undone.')) {
-                    await shieldStorage.deleteProject(id);
-                    showVault(); // Refresh
-                }
+            row.querySelector('.shield-redaction-exemption').onchange = (e) => {
+                redaction.exemption = e.target.value || null;
+                renderCanvas(); // Labels may show the exemption code
             };
-        });
-
-        document.querySelectorAll('.vault-item-download').forEach(btn => {
-            btn.onclick = async (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                const id = btn.dataset.id;
-                const p = await shieldStorage.getProject(id);
-                if (p && p.file) {
-                    const link = document.createElement('a');
-                    link.href = URL.createObjectURL(p.file);
-                    link.download = p.name || 'download';
-                    link.click();
-                    URL.revokeObjectURL(link.href);
-                }
+            row.querySelector('.shield-redaction-fill').onchange = (e) => updateStyle({ fill: e.target.value });
+            row.querySelector('.shield-redaction-color').oninput = (e) => updateStyle({ color: e.target.value });
+            row.querySelector('.shield-redaction-label').oninput = (e) => updateStyle({ label: e.target.value });
+            row.querySelector('.shield-redaction-remove').onclick = () => {
+                list.splice(list.indexOf(redaction), 1);
+                renderCanvas();
+                updateProjectStatus();
             };
         });
     }
 
     /**
-     * PROJECT LOADER: Reconstructs an editor session from Vault storage
-     * Includes intelligent routing to specialized tools if needed.
+     * LOG ASSEMBLY: Builds the audit log for the current project
+     * Boxes are expressed in PDF points when a pdf-lib document is given, else in image pixels.
      */
-    async function loadProject(id) {
-        const p = await shieldStorage.getProject(id);
-        if (!p) return;
-
-        // Route to the correct tool
-        if (p.tool === 'Image Compressor' && window.imageCompressorLoadFile) {
-            closeSpecificModal(config.modalId);
-            window.imageCompressorLoadFile(p.file, p);
-            return;
-        }
-        if (p.tool === 'JPG to PDF' && window.jpgToPdfLoadFile) {
-            closeSpecificModal(config.modalId);
-            window.jpgToPdfLoadFile(p.file, p);
-            return;
-        }
-        if (p.tool === 'PDF to JPG' && window.pdfToJpgLoadFile) {
-            closeSpecificModal(config.modalId);
-            window.pdfToJpgLoadFile(p.file, p);
-            return;
-        }
-        if (p.tool === 'PDF to Word' && window.pdfToWordLoadFile) {
-            closeSpecificModal(config.modalId);
-            window.pdfToWordLoadFile(p.file, p);
-            return;
-        }
-        if ((p.tool === 'Edit PDF' || p.tool === 'PDF Editor Project' || p.tool === 'PDF Merger Project' || p.tool === 'PDF Compressor Project') && window.pdfEditorLoadFile) {
-            closeSpecificModal(config.modalId);
-            window.pdfEditorLoadFile(p.file, p);
-            return;
-        }
+    async function buildProjectAuditLog(pdfDoc = null, imageCanvas = null) {
+        const pages = pdfDoc ? pdfDoc.getPages() : null;
+        const toPageBox = pages
+            ? (r) => toPdfRect(pages[r.page || 0], r)
+            : imageCanvas
+                ? (r) => ({ x0: r.x * imageCanvas.width, y0: r.y * imageCanvas.height, x1: (r.x + r.w) * imageCanvas.width, y1: (r.y + r.h) * imageCanvas.height })
+                : null;
+
+        return buildAuditLog({
+            file: {
+                name: currentProject.file.name,
+                size: currentProject.file.size,
+                type: currentProject.file.type,
+                sha256: await sha256(currentProject.fileBytes)
+            },
+            redactions: allRedactions(),
+            exemptions: exemptionCodes,
+            reviewer: elements.reviewerInputId ? elements.reviewerInputId.value.trim() : null,
+            toPageBox,
+            pageCount: currentProject.pageCount,
+            auditSecret: currentProject.auditSecret
+        });
+    }
 
-        // Default to Shield Redactor (handles 'Shield Redactor' and 'Shield Redactor Storage')
-        currentProject.id = p.id;
-        currentProject.file = p.file;
-        currentProject.fileBytes = await p.file.arrayBuffer();
-        currentProject.redactions = p.redactions || [];
-
-        if (p.file.type === 'application/pdf') {
-            const arrayBuffer = await p.file.arrayBuffer();
-            const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-            const page = await pdf.getPage(1);
-            const viewport = page.getViewport({ scale: 2 });
-            const tempCanvas = document.createElement('canvas');
-            const context = tempCanvas.getContext('2d');
-            tempCanvas.width = viewport.width;
-            tempCanvas.height = viewport.height;
-            await page.render({ canvasContext: context, viewport }).promise;
-            currentProject.originalBitmap = await createImageBitmap(tempCanvas);
-        } else {
-            currentProject.originalBitmap = await createImageBitmap(p.file);
+    /**
+     * AUDIT FINALIZER: Records the output hash and ships the separate certificate if requested
+     */
+    async function finishAudit(auditLog, output, certificateMode) {
+        auditLog.output = output;
+        lastAuditLog = auditLog;
+
+        if (certificateMode === 'separate') {
+            const certificate = await window.PDFLib.PDFDocument.create({ updateMetadata: false });
+            await renderCertificate(certificate, auditLog);
+            const bytes = await certificate.save();
+            downloadBlob(new Blob([bytes], { type: 'application/pdf' }), `certificate_${currentProject.file.name.replace(/\.[^.]+$/, '')}.pdf`);
         }
+    }
 
-        setupEditor();
+    if (elements.reviewerInputId) {
+        elements.reviewerInputId.onchange = () => {
+            shieldStorage.saveSetting('reviewerName', elements.reviewerInputId.value.trim()).catch(err => console.error(err));
+        };
     }
 
-    elements.saveBtnId.onclick = async () => {
-        const originalText = elements.saveBtnId.innerText;
-        elements.saveBtnId.disabled = true;
-        elements.saveBtnId.innerText = 'SAVING...';
+    /**
+     * EXEMPTION CODES EDITOR: One "CODE - description" per line, saved as a vault setting
+     */
+    if (elements.editExemptionsBtnId) {
+        elements.editExemptionsBtnId.onclick = () => {
+            const panel = elements.exemptionEditorId;
+            if (panel.style.display === 'block') {
+                panel.style.display = 'none';
+                return;
+            }
+            panel.style.display = 'block';
+            panel.innerHTML = `
+                <textarea class="shield-exemption-text" rows="8">${escapeHtml(formatExemptionList(exemptionCodes))}</textarea>
+                <div style="display:flex; gap:5px;">
+                    <button class="vault-tool-btn shield-exemption-save" style="flex:1;">SAVE CODES</button>
+                    <button class="vault-tool-btn shield-exemption-reset" style="flex:1;">DEFAULTS</button>
+                </div>
+            `;
+            panel.querySelector('.shield-exemption-reset').onclick = () => {
+                panel.querySelector('.shield-exemption-text').value = formatExemptionList(DEFAULT_EXEMPTIONS);
+            };
+            panel.querySelector('.shield-exemption-save').onclick = async () => {
+                const codes = parseExemptionList(panel.querySelector('.shield-exemption-text').value);
+                if (!codes.length) {
+                    alert('Enter at least one exemption code.');
+                    return;
+                }
+                try {
+                    await shieldStorage.saveSetting('exemptionCodes', codes);
+                    exemptionCodes = codes;
+                    renderExemptionSelect();
+                    renderRedactionList();
+                    panel.style.display = 'none';
+                } catch (err) {
+                    console.error(err);
+                    alert('Save failed: ' + err.message);
+                }
+            };
+        };
+    }
 
+    // --- OCR LANGUAGES ---
+    /**
+     * OCR LANGUAGE BUTTON: Shows the saved selection (e.g. "OCR: ENG+DEU")
+     */
+    async function loadOcrLanguages() {
+        if (!elements.ocrLanguagesBtnId) return;
         try {
-            await shieldStorage.saveProject({
-                id: currentProject.id,
-                name: currentProject.file.name,
-                file: currentProject.file,
-                redactions: currentProject.redactions,
-                tool: 'Shield Redactor Storage'
-            });
-            alert('Vault Secured. Project Saved.');
+            const codes = await ocrService.getLanguages();
+            elements.ocrLanguagesBtnId.innerText = `OCR: ${codes.join('+').toUpperCase()}`;
+            elements.ocrLanguagesBtnId.title = `OCR languages: ${codes.map(languageName).join(', ')}`;
         } catch (err) {
-            console.error(err);
-            alert('Save failed: ' + err.message);
-        } finally {
-            elements.saveBtnId.disabled = false;
-            elements.saveBtnId.innerText = originalText;
+            console.error('OCR Settings Error:', err);
         }
-    };
+    }
 
-    // --- REDACT ALL HANDLER ---
-    if (elements.redactAllBtnId) {
-        elements.redactAllBtnId.onclick = () => {
-            if (!currentPiiMatches.length) return;
-            const canvas = elements.canvasId;
-            currentPiiMatches.forEach(match => {
-                currentProject.redactions.push({
-                    x: match.bbox.x0 / canvas.width,
-                    y: match.bbox.y0 / canvas.height,
-                    w: (match.bbox.x1 - match.bbox.x0) / canvas.width,
-                    h: (match.bbox.y1 - match.bbox.y0) / canvas.height
+    /**
+     * LANGUAGE PACK MANAGER: Picks the OCR languages and keeps their traineddata, and the
+     * Tesseract engine itself, in the vault
+     * Air-gapped machines import the files from disk; connected ones can fetch them once.
+     */
+    async function renderOcrPanel() {
+        const panel = elements.ocrLanguagePanelId;
+        const [packs, selected, engineFiles] = await Promise.all([ocrService.listPacks(), ocrService.getLanguages(), ocrService.listEngineFiles()]);
+        const engineMissing = engineFiles.filter(f => !f.installed);
+        const engineSize = engineFiles.reduce((sum, f) => sum + f.size, 0);
+
+        panel.innerHTML = `
+                <div class="shield-ocr-row" title="${escapeHtml(engineFiles.map(f => f.name).join(', '))}">
+                    <label>OCR engine</label>
+                    <span class="shield-ocr-status">${engineMissing.length ? `${engineMissing.length} file(s) missing` : `${(engineSize / 1048576).toFixed(1)} MB`}</span>
+                    ${engineMissing.length ? '<button class="vault-tool-btn shield-ocr-engine-download" title="Download once into the vault">GET</button>' : ''}
+                </div>
+            ` + packs.map(pack => `
+                <div class="shield-ocr-row" data-code="${escapeHtml(pack.code)}">
+                    <label><input type="checkbox" class="shield-ocr-use" ${selected.includes(pack.code) ? 'checked' : ''}> ${escapeHtml(pack.name)}</label>
+                    <span class="shield-ocr-status">${pack.installed ? `${(pack.size / 1048576).toFixed(1)} MB` : 'not installed'}</span>
+                    ${pack.installed
+                        ? '<button class="vault-tool-btn shield-ocr-remove" title="Remove from vault">✕</button>'
+                        : '<button class="vault-tool-btn shield-ocr-download" title="Download once into the vault">GET</button>'}
+                </div>
+            `).join('') + `
+            <input type="file" class="shield-ocr-file" accept=".traineddata,.gz,.js" multiple hidden>
+            <div style="display:flex; gap:5px;">
+                <button class="vault-tool-btn shield-ocr-import" style="flex:1;" title="e.g. deu.traineddata or deu.traineddata.gz, and the engine files ${escapeHtml(engineFiles.map(f => f.name).join(', '))}">IMPORT FILES</button>
+                <button class="vault-tool-btn shield-ocr-save" style="flex:1;">USE SELECTED</button>
+            </div>
+        `;
+
+        const engineBtn = panel.querySelector('.shield-ocr-engine-download');
+        if (engineBtn) {
+            engineBtn.onclick = async () => {
+                engineBtn.disabled = true;
+                engineBtn.innerText = '...';
+                try {
+                    await ocrService.downloadEngine();
+                } catch (err) {
+                    console.error(err);
+                    alert(`${err.message} On an offline machine, import the engine files instead.`);
+                }
+                renderOcrPanel();
+            };
+        }
+
+        panel.querySelectorAll('.shield-ocr-download').forEach(btn => {
+            btn.onclick = async () => {
+                btn.disabled = true;
+                btn.innerText = '...';
+                try {
+                    await ocrService.downloadPack(btn.closest('.shield-ocr-row').dataset.code);
+                } catch (err) {
+                    console.error(err);
+                    alert(`${err.message} On an offline machine, import the .traineddata file instead.`);
+                }
+                renderOcrPanel();
+            };
+        });
+        panel.querySelectorAll('.shield-ocr-remove').forEach(btn => {
+            btn.onclick = async () => {
+                const code = btn.closest('.shield-ocr-row').dataset.code;
+                if (!window.confirm(`Remove the ${languageName(code)} language pack from the vault?`)) return;
+                try {
+                    await ocrService.removePack(code);
+                } catch (err) {
+                    console.error(err);
+                    alert('Remove failed: ' + err.message);
+                }
+                renderOcrPanel();
+            };
+        });
+
+        const fileInput = panel.querySelector('.shield-ocr-file');
+        panel.querySelector('.shield-ocr-import').onclick = () => fileInput.click();
+        fileInput.onchange = async () => {
+            for (const file of fileInput.files) {
+                try {
+                    await ocrService.importPack(file);
+                } catch (err) {
+                    console.error(err);
+                    alert('Import failed: ' + err.message);
+                }
+            }
+            renderOcrPanel();
+        };
+
+        panel.querySelector('.shield-ocr-save').onclick = async () => {
+            const codes = [...panel.querySelectorAll('.shield-ocr-use:checked')].map(box => box.closest('.shield-ocr-row').dataset.code);
+            try {
+                await ocrService.setLanguages(codes);
+                await loadOcrLanguages();
+                panel.style.display = 'none';
+            } catch (err) {
+                alert(err.message);
+            }
+        };
+    }
+
+    if (elements.ocrLanguagesBtnId) {
+        elements.ocrLanguagesBtnId.onclick = async () => {
+            const panel = elements.ocrLanguagePanelId;
+            if (panel.style.display === 'block') {
+                panel.style.display = 'none';
+                return;
+            }
+            panel.style.display = 'block';
+            panel.innerHTML = '<div style="color:#00ff80; padding:5px;">Loading language packs...</div>';
+            try {
+                await renderOcrPanel();
+            } catch (err) {
+                console.error('Language Pack Error:', err);
+                panel.innerHTML = '<div style="color:red; padding:5px;">Could not read language packs.</div>';
+            }
+        };
+    }
+
+    /**
+     * AUDIT EXPORT: Downloads the log of the last redacted export, or of the current state
+     */
+    if (elements.exportAuditBtnId) {
+        elements.exportAuditBtnId.onclick = async () => {
+            try {
+                let log = lastAuditLog;
+                if (!log || log.document.name !== currentProject.file.name || log.entries.length !== allRedactions().length) {
+                    const pdfDoc = currentProject.pdf ? await window.PDFLib.PDFDocument.load(currentProject.fileBytes) : null;
+                    const imageCanvas = pdfDoc ? null : currentProject.originalBitmap;
+                    log = await buildProjectAuditLog(pdfDoc, imageCanvas);
+                }
+                const json = JSON.stringify(log, null, 2);
+                downloadBlob(new Blob([json], { type: 'application/json' }), `audit_${currentProject.file.name.replace(/\.[^.]+$/, '')}.json`);
+            } catch (err) {
+                console.error('Audit Export Error:', err);
+                alert(`Audit export failed: ${err.message}`);
+            }
+        };
+    }
+
+    /**
+     * RASTER FALLBACK: Renders an unrotated page for the redaction engine
+     * Only used when a page holds images the engine cannot decode (JBIG2, CCITT...).
+     */
+    async function rasterizePage(pageIndex) {
+        const pdf = await pdfjsLib.getDocument({ data: currentProject.fileBytes.slice(0) }).promise;
+        try {
+            const page = await pdf.getPage(pageIndex + 1);
+            const viewport = page.getViewport({ scale: 2.5, rotation: 0 });
+            const canvas = document.createElement('canvas');
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            return canvas;
+        } finally {
+            pdf.destroy();
+        }
+    }
+
+    /**
+     * SAFE COPY EXPORT (CDR): Rebuilds a disarmed copy and ships the removal report beside it
+     * Works for every format the CDR engine knows, including files the editor cannot draw.
+     */
+    async function runCdrExport() {
+        const btn = elements.exportCdrBtnId;
+        const originalText = btn.innerText;
+        btn.disabled = true;
+        btn.innerText = 'REBUILDING...';
+
+        try {
+            const mode = elements.cdrModeId ? elements.cdrModeId.value : 'rebuild';
+            const output = await disarmFile(currentProject.file, { pdfMode: mode });
+            const outputName = `cdr_${output.name}`;
+            downloadBlob(output.blob, outputName);
+
+            const report = await buildCdrReport(currentProject.file, { ...output, name: outputName }, mode);
+            downloadBlob(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), `${outputName}.cdr.json`);
+            renderSanitizationReport(output.report, 'CONTENT REMOVED (CDR)');
+        } catch (err) {
+            console.error('CDR Error:', err);
+            alert(`Safe Copy Failed: ${err.message}`);
+        } finally {
+            btn.disabled = false;
+            btn.innerText = originalText;
+        }
+    }
+
+    elements.exportBtnId.onclick = () => runExport('clean');
+    if (elements.exportCdrBtnId) elements.exportCdrBtnId.onclick = () => runCdrExport();
+    if (elements.exportRedactedBtnId) elements.exportRedactedBtnId.onclick = () => runExport('redacted');
+
+    /**
+     * UTILITY: Triggers native browser download for a Blob
+     */
+    function downloadBlob(blob, name) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+
+
+
+    // --- VAULT LOGIC ---
+    /**
+     * VAULT MANAGER: Displays all stored projects from IndexedDB
+     */
+    async function showVault() {
+        elements.initialViewId.style.display = 'none';
+        elements.vaultViewId.style.display = 'block';
+
+        await renderVaultSecurity();
+        if (await shieldStorage.isEncrypted() && !shieldStorage.isUnlocked()) {
+            if (elements.vaultToolbarId) elements.vaultToolbarId.style.display = 'none';
+            elements.vaultListId.innerHTML = '<div style="color:#666; grid-column: 1/-1; text-align:center;">Vault is locked. Enter the master passphrase to view projects.</div>';
+            return;
+        }
+
+        const [projects, catalog] = await Promise.all([shieldStorage.getProjectIndex(), shieldStorage.getCatalog()]);
+        vaultState.projects = projects;
+        vaultState.catalog = catalog;
+        const ids = new Set(projects.map(p => p.id));
+        vaultState.selected.forEach(id => { if (!ids.has(id)) vaultState.selected.delete(id); });
+        await renderVaultToolbar();
+        renderVaultList();
+    }
+
+    /**
+     * VAULT ORGANIZATION: Search, folder/tag filters, sorting and bulk actions over the list
+     * Filters and selection live in vaultState so refreshes keep them; search text is
+     * extracted the first time a query needs it (see shield-vault-catalog.js).
+     */
+    const vaultState = { projects: [], catalog: new Map(), query: '', folder: '*', tag: '*', sort: 'date-desc', selected: new Set(), indexing: null };
+    const NO_FOLDER = '';
+
+    function visibleProjects() {
+        const { catalog, folder, tag, query } = vaultState;
+        const listed = vaultState.projects.filter(p => {
+            const entry = catalog.get(p.id);
+            if (folder !== '*' && (entry ? entry.folder : NO_FOLDER) !== folder) return false;
+            if (tag !== '*' && !(entry && entry.tags.includes(tag))) return false;
+            return matchesQuery(p, entry, query);
+        });
+        return sortProjects(listed, vaultState.sort);
+    }
+
+    async function renderVaultToolbar() {
+        const bar = elements.vaultToolbarId;
+        if (!bar) return;
+        bar.style.display = 'block';
+        const entries = [...vaultState.catalog.values()];
+        const folders = [...new Set(entries.map(e => e.folder).filter(Boolean))].sort();
+        const tags = [...new Set(entries.flatMap(e => e.tags))].sort((a, b) => a.localeCompare(b));
+        if (vaultState.folder !== '*' && vaultState.folder !== NO_FOLDER && !folders.includes(vaultState.folder)) vaultState.folder = '*';
+        if (vaultState.tag !== '*' && !tags.includes(vaultState.tag)) vaultState.tag = '*';
+
+        const estimate = await shieldStorage.getStorageEstimate().catch(() => null);
+        const vaultBytes = vaultState.projects.reduce((sum, p) => sum + (p.size || 0), 0);
+        const percent = estimate && estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0;
+        const option = (value, label, current) => `<option value="${escapeHtml(value)}" ${value === current ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+
+        bar.innerHTML = `
+            <div class="shield-vault-meter">
+                <div class="shield-vault-meter-label">
+                    ${vaultState.projects.length} project(s) · ${formatBytes(vaultBytes)} of files
+                    ${estimate ? ` · ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} browser storage used (${percent.toFixed(1)}%)` : ''}
+                </div>
+                ${estimate ? `<div class="shield-vault-meter-bar${percent > 80 ? ' full' : ''}"><i style="width:${percent.toFixed(1)}%"></i></div>` : ''}
+            </div>
+            <div class="shield-rule-actions">
+                <input type="search" class="shield-vault-search" placeholder="Search names, tags and file text" value="${escapeHtml(vaultState.query)}">
+                <select class="shield-rules-select shield-vault-folder">
+                    ${option('*', 'All folders', vaultState.folder)}
+                    ${option(NO_FOLDER, 'No folder', vaultState.folder)}
+                    ${folders.map(f => option(f, `📁 ${f}`, vaultState.folder)).join('')}
+                </select>
+                <select class="shield-rules-select shield-vault-tag">
+                    ${option('*', 'All tags', vaultState.tag)}
+                    ${tags.map(t => option(t, `# ${t}`, vaultState.tag)).join('')}
+                </select>
+                <select class="shield-rules-select shield-vault-sort">
+                    ${SORT_ORDERS.map(o => option(o.id, o.label, vaultState.sort)).join('')}
+                </select>
+            </div>
+            <div class="shield-rule-actions shield-vault-bulk">
+                <label><input type="checkbox" class="shield-vault-select-all"> <span class="shield-vault-selected-count"></span></label>
+                <button class="vault-tool-btn shield-vault-move" disabled>FOLDER</button>
+                <button class="vault-tool-btn shield-vault-tags" disabled>TAGS</button>
+                <button class="vault-tool-btn shield-vault-export" disabled>EXPORT ZIP</button>
+                <button class="vault-tool-btn shield-vault-delete" disabled>DELETE</button>
+            </div>
+            <div class="shield-ruleset-meta shield-vault-index-status"></div>
+            <details class="shield-vault-form shield-vault-backup">
+                <summary>BACKUP &amp; RESTORE</summary>
+                <input type="password" class="shield-vault-backup-pass" placeholder="Backup passphrase (optional, needed to restore encrypted backups)" autocomplete="new-password">
+                <div class="shield-rule-actions">
+                    <label><input type="checkbox" class="shield-vault-backup-selection"> Only the selected projects</label>
+                    <button class="vault-tool-btn shield-vault-backup-create">CREATE BACKUP</button>
+                </div>
+                <div class="shield-rule-actions">
+                    <select class="shield-rules-select shield-vault-backup-conflict">
+                        ${CONFLICT_POLICIES.map(c => `<option value="${c.id}">${escapeHtml(c.label)}</option>`).join('')}
+                    </select>
+                    <label><input type="checkbox" class="shield-vault-backup-editor"> Restore the PDF editor file</label>
+                    <button class="vault-tool-btn shield-vault-backup-restore">RESTORE…</button>
+                    <input type="file" class="shield-vault-backup-file" accept=".zip,.krypt" style="display:none;">
+                </div>
+                <div class="shield-ruleset-meta">Full backups include every project with its versions, folders and tags, settings, rule sets, hash lists, workflows and the PDF editor's file. OCR language packs are not included.</div>
+            </details>`;
+
+        let searchTimer = null;
+        bar.querySelector('.shield-vault-search').oninput = (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                vaultState.query = e.target.value.trim();
+                refreshVaultSearch();
+            }, 250);
+        };
+        bar.querySelector('.shield-vault-folder').onchange = (e) => { vaultState.folder = e.target.value; renderVaultList(); };
+        bar.querySelector('.shield-vault-tag').onchange = (e) => { vaultState.tag = e.target.value; renderVaultList(); };
+        bar.querySelector('.shield-vault-sort').onchange = (e) => { vaultState.sort = e.target.value; renderVaultList(); };
+        bar.querySelector('.shield-vault-select-all').onchange = (e) => {
+            visibleProjects().forEach(p => (e.target.checked ? vaultState.selected.add(p.id) : vaultState.selected.delete(p.id)));
+            renderVaultList();
+        };
+
+        const bindBulk = (cls, action) => {
+            const btn = bar.querySelector(cls);
+            btn.onclick = async () => {
+                const ids = [...vaultState.selected];
+                if (!ids.length) return;
+                btn.disabled = true;
+                try {
+                    if (await action(ids) !== false) await showVault();
+                } catch (err) {
+                    console.error('Vault Bulk Action Error:', err);
+                    alert(`Vault: ${err.message}`);
+                } finally {
+                    updateBulkBar();
+                }
+            };
+        };
+
+        bindBulk('.shield-vault-move', async (ids) => {
+            const folder = window.prompt(`Move ${ids.length} project(s) to folder (leave empty for no folder):`, vaultState.folder === '*' ? '' : vaultState.folder);
+            if (folder === null) return false;
+            for (const id of ids) await shieldStorage.updateCatalogEntry(id, { folder: folder.trim() });
+        });
+        bindBulk('.shield-vault-tags', async (ids) => {
+            const input = window.prompt(`Tags for ${ids.length} project(s), comma separated. Prefix a tag with "-" to remove it:`, '');
+            if (input === null) return false;
+            const changes = parseTags(input);
+            const add = changes.filter(t => !t.startsWith('-'));
+            const remove = changes.filter(t => t.startsWith('-')).map(t => t.slice(1).trim().toLowerCase());
+            for (const id of ids) {
+                const entry = vaultState.catalog.get(id);
+                const kept = (entry ? entry.tags : []).filter(t => !remove.includes(t.toLowerCase()));
+                await shieldStorage.updateCatalogEntry(id, { tags: parseTags([...kept, ...add].join(',')) });
+            }
+        });
+        bindBulk('.shield-vault-export', async (ids) => {
+            await exportVaultProjects(ids);
+            return false;
+        });
+        bindVaultBackup(bar);
+        bindBulk('.shield-vault-delete', async (ids) => {
+            if (!window.confirm(`Permanently remove ${ids.length} project(s) and their version history from the vault?`)) return false;
+            for (const id of ids) {
+                await shieldStorage.deleteProject(id);
+                vaultState.selected.delete(id);
+            }
+        });
+    }
+
+    /**
+     * VAULT BACKUP: Creates and restores backup archives from the toolbar panel
+     */
+    function bindVaultBackup(bar) {
+        const status = bar.querySelector('.shield-vault-index-status');
+        const passField = bar.querySelector('.shield-vault-backup-pass');
+        const fileInput = bar.querySelector('.shield-vault-backup-file');
+        const progress = (message) => { status.textContent = message; };
+
+        const createBtn = bar.querySelector('.shield-vault-backup-create');
+        createBtn.onclick = async () => {
+            const selectionOnly = bar.querySelector('.shield-vault-backup-selection').checked;
+            if (selectionOnly && !vaultState.selected.size) {
+                alert('Select the projects to back up first.');
+                return;
+            }
+            if (!passField.value && await shieldStorage.isEncrypted() &&
+                !window.confirm('The vault is encrypted, but this backup has no passphrase and will hold the projects and rule sets unencrypted. Continue?')) return;
+
+            createBtn.disabled = true;
+            try {
+                const { blob, fileName, manifest } = await createVaultBackup({
+                    projectIds: selectionOnly ? [...vaultState.selected] : null,
+                    passphrase: passField.value,
+                    onProgress: progress
+                });
+                downloadBlob(blob, fileName);
+                progress(`Backup created: ${manifest.projects.length} project(s).`);
+            } catch (err) {
+                console.error('Vault Backup Error:', err);
+                alert(`Backup failed: ${err.message}`);
+                progress('');
+            } finally {
+                createBtn.disabled = false;
+            }
+        };
+
+        bar.querySelector('.shield-vault-backup-restore').onclick = () => fileInput.click();
+        fileInput.onchange = async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            const restoreEditor = bar.querySelector('.shield-vault-backup-editor').checked;
+            if (restoreEditor && !window.confirm('Replace the file currently open in the PDF editor with the one from the backup?')) return;
+
+            try {
+                const summary = await restoreVaultBackup(file, {
+                    passphrase: passField.value,
+                    conflict: bar.querySelector('.shield-vault-backup-conflict').value,
+                    restoreEditor,
+                    onProgress: progress
+                });
+                alert([
+                    `Restored ${summary.projects} project(s) with ${summary.versions} earlier version(s).`,
+                    summary.renamed ? `${summary.renamed} kept under a new id (id already in use).` : '',
+                    summary.replaced ? `${summary.replaced} replaced (previous state kept in history).` : '',
+                    summary.skipped ? `${summary.skipped} skipped (already in the vault).` : '',
+                    summary.settings ? `${summary.settings} setting(s), rule set(s) or list(s) added.` : '',
+                    summary.editor ? 'PDF editor file restored.' : ''
+                ].filter(Boolean).join('\n'));
+                await showVault();
+            } catch (err) {
+                console.error('Vault Restore Error:', err);
+                alert(`Restore failed: ${err.message}`);
+                progress('');
+            }
+        };
+    }
+
+    function updateBulkBar() {
+        const bar = elements.vaultToolbarId;
+        if (!bar) return;
+        const count = vaultState.selected.size;
+        const visible = visibleProjects();
+        bar.querySelector('.shield-vault-selected-count').textContent = count ? `${count} selected` : 'Select all';
+        bar.querySelector('.shield-vault-select-all').checked = visible.length > 0 && visible.every(p => vaultState.selected.has(p.id));
+        bar.querySelectorAll('.shield-vault-bulk button').forEach(btn => { btn.disabled = !count; });
+    }
+
+    /**
+     * SEARCH INDEX: Extracts the text of projects saved since they were last indexed, then
+     * filters. Runs once at a time; a newer query simply re-filters when it finishes.
+     */
+    async function refreshVaultSearch() {
+        if (!vaultState.query || vaultState.indexing) {
+            renderVaultList();
+            return;
+        }
+        const stale = vaultState.projects.filter(p => {
+            const entry = vaultState.catalog.get(p.id);
+            return !entry || entry.indexedAt !== p.updatedAt;
+        });
+        const status = elements.vaultToolbarId && elements.vaultToolbarId.querySelector('.shield-vault-index-status');
+
+        vaultState.indexing = (async () => {
+            for (const [i, meta] of stale.entries()) {
+                if (status) status.textContent = `Indexing file text ${i + 1} / ${stale.length}...`;
+                let text = '';
+                try {
+                    const p = await shieldStorage.getProject(meta.id);
+                    text = await extractSearchText(p && p.file, p && p.name);
+                } catch (err) {
+                    console.error(`Vault Index Error (${meta.name}):`, err);
+                }
+                vaultState.catalog.set(meta.id, await shieldStorage.updateCatalogEntry(meta.id, { text, indexedAt: meta.updatedAt }));
+            }
+        })();
+
+        try {
+            await vaultState.indexing;
+        } finally {
+            vaultState.indexing = null;
+            if (status) status.textContent = '';
+        }
+        renderVaultList();
+    }
+
+    /**
+     * BULK EXPORT: Selected project files in one ZIP, with folders as directories
+     */
+    async function exportVaultProjects(ids) {
+        const zip = new window.JSZip();
+        const used = new Set();
+        for (const id of ids) {
+            const p = await shieldStorage.getProject(id);
+            if (!p || !p.file) continue;
+            const entry = vaultState.catalog.get(id);
+            const folder = entry && entry.folder ? `${entry.folder.replace(/[\\/:*?"<>|]+/g, '_')}/` : '';
+            const name = (p.name || p.file.name || id).replace(/[\\/:*?"<>|]+/g, '_');
+            let path = folder + name;
+            for (let n = 2; used.has(path.toLowerCase()); n++) path = folder + name.replace(/(\.[^.]*)?$/, ` (${n})$1`);
+            used.add(path.toLowerCase());
+            zip.file(path, p.file);
+        }
+        const blob = await zip.generateAsync({ type: 'blob' });
+        downloadBlob(blob, `vault-export-${new Date().toISOString().slice(0, 10)}.zip`);
+    }
+
+    /**
+     * VAULT LIST: Cards of the filtered, sorted projects
+     */
+    function renderVaultList() {
+        const projects = visibleProjects();
+        const filtered = projects.length !== vaultState.projects.length;
+        elements.vaultListId.innerHTML = projects.map(p => {
+            const toolLabel = p.tool === 'Shield Redactor' ? 'Shield Redactor Storage' : (p.tool || 'Shield Redactor Storage');
+            const isStorage = toolLabel.toLowerCase().includes('storage');
+            const entry = vaultState.catalog.get(p.id);
+            return `
+                <div class="vault-item${vaultState.selected.has(p.id) ? ' selected' : ''}" data-id="${p.id}" style="border: 1px solid #444; padding: 10px; border-radius: 8px; cursor: pointer; transition: 0.3s; position: relative;">
+                    <div style="position: absolute; top: 10px; right: 10px; display: flex; gap: 6px;">
+                        ${isStorage || p.workflow ? `
+                            <button class="vault-item-download" data-id="${p.id}" title="Download File" style="background: rgba(0, 255, 128, 0.1); color: #00ff80; border: 1px solid rgba(0, 255, 128, 0.3); border-radius: 4px; width: 26px; height: 26px; display: flex; align-items: center; justify-content: center; cursor: pointer; font-size: 14px;">↓</button>
+                        ` : ''}
+                        <button class="vault-item-history" data-id="${p.id}" title="Version History" style="background: rgba(138, 180, 248, 0.1); color: #8ab4f8; border: 1px solid rgba(138, 180, 248, 0.3); border-radius: 4px; width: 26px; height: 26px; display: flex; align-items: center; justify-content: center; cursor: pointer; font-size: 14px;">⟲</button>
+                        <button class="vault-item-delete" data-id="${p.id}" title="Remove from Vault" style="background: rgba(255, 77, 77, 0.1); color: #ff4d4d; border: 1px solid rgba(255, 77, 77, 0.3); border-radius: 4px; width: 26px; height: 26px; display: flex; align-items: center; justify-content: center; cursor: pointer; font-size: 14px;">×</button>
+                    </div>
+                    <input type="checkbox" class="vault-item-select" data-id="${p.id}" title="Select" ${vaultState.selected.has(p.id) ? 'checked' : ''}>
+                    <div class="vault-item-tool-label">${p.workflow ? `Workflow: ${escapeHtml(p.workflow.name)} · step ${p.workflow.step} (${escapeHtml(p.workflow.stepLabel)})` : toolLabel}</div>
+                    <div style="color: #00ff80; font-weight: bold; margin-bottom: 5px; padding-right: 84px;">${escapeHtml(p.name)}</div>
+                    <div style="font-size: 10px; color: #888;">${new Date(p.updatedAt || Date.now()).toLocaleDateString()} · ${formatBytes(p.size)}</div>
+                    ${entry && (entry.folder || entry.tags.length) ? `
+                        <div class="vault-item-labels">
+                            ${entry.folder ? `<span class="vault-item-folder">📁 ${escapeHtml(entry.folder)}</span>` : ''}
+                            ${entry.tags.map(t => `<span class="vault-item-tag" data-tag="${escapeHtml(t)}">#${escapeHtml(t)}</span>`).join('')}
+                        </div>` : ''}
+                </div>
+            `;
+        }).join('') || `<div style="color:#666; grid-column: 1/-1; text-align:center;">${filtered ? 'No projects match the current search and filters.' : 'No projects found in vault.'}</div>`;
+
+        document.querySelectorAll('.vault-item').forEach(el => {
+            el.onclick = (e) => {
+                if (e.target.closest('.vault-item-delete') || e.target.closest('.vault-item-download') || e.target.closest('.vault-item-history') || e.target.closest('.vault-item-select')) return;
+                const tag = e.target.closest('.vault-item-tag');
+                if (tag) {
+                    vaultState.tag = tag.dataset.tag;
+                    renderVaultToolbar().then(renderVaultList);
+                    return;
+                }
+                loadProject(el.dataset.id);
+            };
+        });
+
+        document.querySelectorAll('.vault-item-select').forEach(box => {
+            box.onchange = () => {
+                if (box.checked) vaultState.selected.add(box.dataset.id);
+                else vaultState.selected.delete(box.dataset.id);
+                box.closest('.vault-item').classList.toggle('selected', box.checked);
+                updateBulkBar();
+            };
+        });
+
+        document.querySelectorAll('.vault-item-history').forEach(btn => {
+            btn.onclick = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                showProjectVersions(btn.dataset.id).catch(err => {
+                    console.error('Version History Error:', err);
+                    alert(`Version history: ${err.message}`);
                 });
+            };
+        });
+
+        document.querySelectorAll('.vault-item-delete').forEach(btn => {
+            btn.onclick = async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const id = btn.dataset.id;
+                if (window.confirm('Are you sure you want to remove this project from the vault? This cannot be undone.')) {
+                    await shieldStorage.deleteProject(id);
+                    showVault(); // Refresh
+                }
+            };
+        });
+
+        document.querySelectorAll('.vault-item-download').forEach(btn => {
+            btn.onclick = async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const id = btn.dataset.id;
+                const p = await shieldStorage.getProject(id);
+                if (p && p.file) {
+                    const link = document.createElement('a');
+                    link.href = URL.createObjectURL(p.file);
+                    link.download = p.name || 'download';
+                    link.click();
+                    URL.revokeObjectURL(link.href);
+                }
+            };
+        });
+
+        if (elements.vaultToolbarId) updateBulkBar();
+    }
+
+    /**
+     * VERSION HISTORY: Every kept save of one project, newest first, in place of the list
+     * Two ticked versions are compared field by field; restore saves a version as the
+     * current state (the replaced state becomes a version too), fork saves it as a new project.
+     */
+    const RETENTION_CHOICES = [5, 10, 20, 50, null];
+
+    // Comparable metadata of a version (label → display value)
+    function versionSummary(meta) {
+        const pages = Object.values(meta.redactions || {}).filter(rects => rects && rects.length);
+        return {
+            Name: meta.name || '',
+            Tool: meta.tool || 'Shield Redactor Storage',
+            Saved: meta.updatedAt ? new Date(meta.updatedAt).toLocaleString() : 'unknown',
+            Size: `${meta.size || 0} bytes`,
+            'File type': meta.fileType || 'unknown',
+            Redactions: meta.redactions ? `${pages.reduce((n, rects) => n + rects.length, 0)} on ${pages.length} page(s)` : '—',
+            'Forked from': meta.forkedFrom ? meta.forkedFrom.projectId : '—'
+        };
+    }
+
+    async function showProjectVersions(projectId) {
+        const versions = await shieldStorage.getProjectVersions(projectId);
+        if (!versions.length) return showVault();
+        const retention = await shieldStorage.getVersionRetention(projectId);
+        const name = versions[0].meta.name || projectId;
+        if (elements.vaultToolbarId) elements.vaultToolbarId.style.display = 'none';
+
+        const rows = versions.map((v, i) => {
+            const summary = versionSummary(v.meta);
+            return `
+                <tr>
+                    <td><input type="checkbox" class="shield-version-pick" value="${i}"></td>
+                    <td>${v.current ? '<b>CURRENT</b>' : `#${versions.length - i}`}</td>
+                    <td>${escapeHtml(summary.Saved)}</td>
+                    <td>${escapeHtml(summary.Tool)}</td>
+                    <td>${escapeHtml(summary.Size)}</td>
+                    <td class="shield-version-actions">
+                        ${v.current ? '' : `
+                            <button class="vault-tool-btn shield-version-restore" data-version="${v.versionId}">RESTORE</button>
+                            <button class="vault-tool-btn shield-version-fork" data-version="${v.versionId}">FORK</button>
+                            <button class="vault-tool-btn shield-version-download" data-version="${v.versionId}" title="Download this version">↓</button>`}
+                    </td>
+                </tr>`;
+        }).join('');
+
+        elements.vaultListId.innerHTML = `
+            <div class="shield-version-view">
+                <div class="shield-rule-actions">
+                    <button class="vault-tool-btn shield-version-back">← ALL PROJECTS</button>
+                    <div class="shield-vault-status">HISTORY: ${escapeHtml(name)} (${versions.length - 1} earlier version(s))</div>
+                    <select class="shield-rules-select shield-version-retention">
+                        ${RETENTION_CHOICES.map(n => `<option value="${n ?? ''}" ${n === retention ? 'selected' : ''}>${n === null ? 'Keep all versions' : `Keep last ${n} versions${n === DEFAULT_VERSION_RETENTION ? ' (default)' : ''}`}</option>`).join('')}
+                    </select>
+                </div>
+                <table class="shield-version-table">
+                    <tr><th></th><th>Version</th><th>Saved</th><th>Tool</th><th>Size</th><th></th></tr>${rows}
+                </table>
+                <div class="shield-ruleset-meta">Tick two versions to compare their metadata.</div>
+                <div class="shield-version-diff"></div>
+            </div>`;
+
+        const view = elements.vaultListId.querySelector('.shield-version-view');
+        view.querySelector('.shield-version-back').onclick = () => showVault();
+
+        view.querySelector('.shield-version-retention').onchange = async (e) => {
+            const limit = e.target.value === '' ? null : Number(e.target.value);
+            const pruned = limit !== null && versions.length - 1 > limit;
+            if (pruned && !window.confirm(`Delete all but the last ${limit} earlier versions of this project?`)) {
+                e.target.value = retention ?? '';
+                return;
+            }
+            await shieldStorage.setVersionRetention(projectId, limit);
+            await showProjectVersions(projectId);
+        };
+
+        view.querySelectorAll('.shield-version-pick').forEach(box => {
+            box.onchange = () => {
+                const picked = [...view.querySelectorAll('.shield-version-pick:checked')].map(b => versions[Number(b.value)]);
+                const diff = view.querySelector('.shield-version-diff');
+                if (picked.length !== 2) {
+                    diff.innerHTML = '';
+                    return;
+                }
+                // Older on the left
+                const [newer, older] = picked.map(v => versionSummary(v.meta));
+                diff.innerHTML = `
+                    <table class="shield-version-table">
+                        <tr><th>Field</th><th>Older</th><th>Newer</th></tr>
+                        ${Object.keys(older).map(field => `
+                            <tr class="${older[field] === newer[field] ? '' : 'changed'}">
+                                <td>${field}</td><td>${escapeHtml(older[field])}</td><td>${escapeHtml(newer[field])}</td>
+                            </tr>`).join('')}
+                    </table>`;
+            };
+        });
+
+        const bindVersion = (cls, action) => view.querySelectorAll(cls).forEach(btn => {
+            btn.onclick = async () => {
+                btn.disabled = true;
+                try {
+                    await action(btn.dataset.version);
+                } catch (err) {
+                    console.error('Version History Error:', err);
+                    alert(`Version history: ${err.message}`);
+                    btn.disabled = false;
+                }
+            };
+        });
+
+        bindVersion('.shield-version-restore', async (versionId) => {
+            if (!window.confirm('Make this version the current state? The current state stays in the history.')) {
+                view.querySelector(`.shield-version-restore[data-version="${versionId}"]`).disabled = false;
+                return;
+            }
+            await shieldStorage.restoreVersion(versionId);
+            await showProjectVersions(projectId);
+        });
+        bindVersion('.shield-version-fork', async (versionId) => {
+            const version = versions.find(v => v.versionId === versionId);
+            const forkName = window.prompt('Name of the new project:', `${version.meta.name || 'Project'} (fork)`);
+            if (forkName === null) {
+                view.querySelector(`.shield-version-fork[data-version="${versionId}"]`).disabled = false;
+                return;
+            }
+            await shieldStorage.forkVersion(versionId, forkName.trim() || undefined);
+            await showVault();
+        });
+        bindVersion('.shield-version-download', async (versionId) => {
+            const p = await shieldStorage.getProjectVersion(versionId);
+            if (p && p.file) downloadBlob(p.file, p.name || 'download');
+            view.querySelector(`.shield-version-download[data-version="${versionId}"]`).disabled = false;
+        });
+    }
+
+    /**
+     * VAULT SECURITY: Encryption status and passphrase controls above the project list
+     * Not encrypted → enable form; locked → unlock field; unlocked → lock now, auto-lock
+     * delay, passphrase change and removal (both re-encrypt every project).
+     */
+    const AUTO_LOCK_CHOICES = [5, 15, 30, 60];
+    const MIN_PASSPHRASE_LENGTH = 8;
+
+    async function renderVaultSecurity() {
+        const panel = elements.vaultSecurityId;
+        if (!panel) return;
+
+        const config = await shieldStorage.getEncryptionConfig();
+        const autoLock = config ? config.autoLockMinutes : DEFAULT_AUTO_LOCK_MINUTES;
+        const lockSelect = `
+            <select class="shield-rules-select shield-vault-autolock">
+                ${AUTO_LOCK_CHOICES.map(m => `<option value="${m}" ${m === autoLock ? 'selected' : ''}>Auto-lock after ${m} min</option>`).join('')}
+            </select>`;
+
+        if (!config) {
+            panel.innerHTML = `
+                <div class="shield-vault-status">🔓 VAULT NOT ENCRYPTED</div>
+                <details class="shield-vault-form">
+                    <summary>ENCRYPT WITH A MASTER PASSPHRASE</summary>
+                    <input type="password" class="shield-vault-next" placeholder="Master passphrase (min. ${MIN_PASSPHRASE_LENGTH} characters)" autocomplete="new-password">
+                    <input type="password" class="shield-vault-confirm" placeholder="Repeat passphrase" autocomplete="new-password">
+                    <div class="shield-rule-actions">${lockSelect}<button class="vault-tool-btn shield-vault-enable">ENCRYPT VAULT</button></div>
+                    <div class="shield-ruleset-meta">Encrypts projects, their versions, folders and tags, and redaction rule sets. Settings (reviewer name, exemption codes), detection rules, hash lists and workflows stay unencrypted.</div>
+                    <div class="shield-ruleset-meta">There is no recovery: a forgotten passphrase makes the saved projects unreadable.</div>
+                </details>`;
+        } else if (!shieldStorage.isUnlocked()) {
+            panel.innerHTML = `
+                <div class="shield-vault-status locked">🔒 VAULT LOCKED</div>
+                <div class="shield-rule-actions">
+                    <input type="password" class="shield-vault-current" placeholder="Master passphrase" autocomplete="current-password">
+                    <button class="vault-tool-btn shield-vault-unlock">UNLOCK</button>
+                </div>`;
+        } else {
+            panel.innerHTML = `
+                <div class="shield-rule-actions">
+                    <div class="shield-vault-status">🔐 VAULT ENCRYPTED · UNLOCKED</div>
+                    ${lockSelect}
+                    <button class="vault-tool-btn shield-vault-lock">LOCK NOW</button>
+                </div>
+                <details class="shield-vault-form">
+                    <summary>CHANGE PASSPHRASE</summary>
+                    <input type="password" class="shield-vault-current" placeholder="Current passphrase" autocomplete="current-password">
+                    <input type="password" class="shield-vault-next" placeholder="New passphrase (min. ${MIN_PASSPHRASE_LENGTH} characters)" autocomplete="new-password">
+                    <input type="password" class="shield-vault-confirm" placeholder="Repeat new passphrase" autocomplete="new-password">
+                    <div class="shield-rule-actions"><button class="vault-tool-btn shield-vault-change">RE-ENCRYPT VAULT</button></div>
+                </details>
+                <details class="shield-vault-form">
+                    <summary>REMOVE ENCRYPTION</summary>
+                    <input type="password" class="shield-vault-remove-pass" placeholder="Current passphrase" autocomplete="current-password">
+                    <div class="shield-rule-actions"><button class="vault-tool-btn shield-vault-disable">DECRYPT VAULT</button></div>
+                </details>`;
+        }
+
+        const field = (cls) => panel.querySelector(cls)?.value || '';
+        const newPassphrase = () => {
+            if (field('.shield-vault-next').length < MIN_PASSPHRASE_LENGTH) throw new Error(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+            if (field('.shield-vault-next') !== field('.shield-vault-confirm')) throw new Error('Passphrases do not match.');
+            return field('.shield-vault-next');
+        };
+        const bind = (cls, busyText, action) => {
+            const btn = panel.querySelector(cls);
+            if (!btn) return;
+            btn.onclick = async () => {
+                const originalText = btn.innerText;
+                btn.disabled = true;
+                btn.innerText = busyText;
+                try {
+                    await action();
+                    await showVault();
+                } catch (err) {
+                    console.error('Vault Security Error:', err);
+                    alert(`Vault: ${err.message}`);
+                    btn.disabled = false;
+                    btn.innerText = originalText;
+                }
+            };
+        };
+
+        bind('.shield-vault-enable', 'ENCRYPTING...', () => shieldStorage.enableEncryption(newPassphrase(), Number(field('.shield-vault-autolock'))));
+        bind('.shield-vault-unlock', 'UNLOCKING...', () => shieldStorage.unlock(field('.shield-vault-current')));
+        bind('.shield-vault-lock', 'LOCKING...', async () => shieldStorage.lock());
+        bind('.shield-vault-change', 'RE-ENCRYPTING...', () => shieldStorage.changePassphrase(field('.shield-vault-current'), newPassphrase()));
+        bind('.shield-vault-disable', 'DECRYPTING...', () => {
+            if (!window.confirm('Store every vault project unencrypted again?')) return Promise.resolve();
+            return shieldStorage.disableEncryption(field('.shield-vault-remove-pass'));
+        });
+
+        const unlockField = panel.querySelector('.shield-vault-unlock') && panel.querySelector('.shield-vault-current');
+        if (unlockField) unlockField.onkeydown = (e) => { if (e.key === 'Enter') panel.querySelector('.shield-vault-unlock').click(); };
+        const select = panel.querySelector('.shield-vault-autolock');
+        if (select && config) {
+            select.onchange = () => shieldStorage.setAutoLockMinutes(Number(select.value)).catch(err => console.error(err));
+        }
+    }
+
+    /**
+     * UNLOCK DIALOG: Asks for the passphrase when any tool touches a locked vault
+     * Concurrent requests share one dialog; resolves after unlock or cancel (the storage
+     * call then fails with "Vault is locked").
+     */
+    let unlockPrompt = null;
+    function requestVaultUnlock() {
+        const dialog = elements.vaultUnlockDialogId;
+        if (!dialog) return Promise.resolve();
+        if (unlockPrompt) return unlockPrompt;
+
+        unlockPrompt = new Promise(resolve => {
+            const input = elements.vaultUnlockInputId;
+            const finish = () => {
+                dialog.style.display = 'none';
+                input.value = '';
+                unlockPrompt = null;
+                resolve();
+            };
+            elements.vaultUnlockErrorId.textContent = '';
+            dialog.style.display = 'flex';
+            input.focus();
+
+            elements.vaultUnlockBtnId.onclick = async () => {
+                try {
+                    await shieldStorage.unlock(input.value);
+                    finish();
+                } catch (err) {
+                    elements.vaultUnlockErrorId.textContent = err.message;
+                }
+            };
+            elements.vaultUnlockCancelBtnId.onclick = finish;
+            input.onkeydown = (e) => {
+                if (e.key === 'Enter') elements.vaultUnlockBtnId.click();
+                if (e.key === 'Escape') finish();
+            };
+        });
+        return unlockPrompt;
+    }
+
+    shieldStorage.setUnlockHandler(requestVaultUnlock);
+    shieldStorage.onLockChange(async (unlocked) => {
+        if (unlocked) return;
+        // Locking closes the open document: its pages, text and redactions are decrypted vault data
+        const locked = await shieldStorage.isEncrypted();
+        if (locked) {
+            // Rule sets are sealed too; opening the editor or rule manager reloads them after unlocking
+            ruleSets = [];
+            editingRuleSet = null;
+            renderRuleSetSelect();
+        }
+        const rulesOpen = elements.rulesViewId && elements.rulesViewId.style.display === 'block';
+        if (locked && (currentProject.file || elements.editorViewId.style.display === 'block' || rulesOpen)) {
+            resetUI();
+            showVault();
+        } else if (elements.vaultViewId.style.display === 'block') {
+            showVault();
+        }
+    });
+    // Any interaction counts as activity for the auto-lock countdown
+    ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, () => shieldStorage.touch(), { passive: true }));
+
+    /**
+     * PROJECT LOADER: Reconstructs an editor session from Vault storage
+     * Includes intelligent routing to specialized tools if needed.
+     */
+    async function loadProject(id) {
+        const p = await shieldStorage.getProject(id);
+        if (!p) return;
+
+        // Route to the correct tool
+        if (p.tool === 'Image Compressor' && window.imageCompressorLoadFile) {
+            closeSpecificModal(config.modalId);
+            window.imageCompressorLoadFile(p.file, p);
+            return;
+        }
+        if (p.tool === 'JPG to PDF' && window.jpgToPdfLoadFile) {
+            closeSpecificModal(config.modalId);
+            window.jpgToPdfLoadFile(p.file, p);
+            return;
+        }
+        if (p.tool === 'PDF to JPG' && window.pdfToJpgLoadFile) {
+            closeSpecificModal(config.modalId);
+            window.pdfToJpgLoadFile(p.file, p);
+            return;
+        }
+        if (p.tool === 'PDF to Word' && window.pdfToWordLoadFile) {
+            closeSpecificModal(config.modalId);
+            window.pdfToWordLoadFile(p.file, p);
+            return;
+        }
+        if ((p.tool === 'Edit PDF' || p.tool === 'PDF Editor Project' || p.tool === 'PDF Merger Project' || p.tool === 'PDF Compressor Project') && window.pdfEditorLoadFile) {
+            closeSpecificModal(config.modalId);
+            window.pdfEditorLoadFile(p.file, p);
+            return;
+        }
+
+        // Workflow results that the redactor cannot open (encrypted, ZIP, Word) are downloaded
+        if (p.workflow && p.file.type !== 'application/pdf' && !p.file.type.startsWith('image/')) {
+            downloadBlob(p.file, p.name);
+            return;
+        }
+
+        // Default to Shield Redactor (handles 'Shield Redactor' and 'Shield Redactor Storage')
+        await openDocument(p.file, p);
+        setupEditor();
+    }
+
+    elements.saveBtnId.onclick = async () => {
+        const originalText = elements.saveBtnId.innerText;
+        elements.saveBtnId.disabled = true;
+        elements.saveBtnId.innerText = 'SAVING...';
+
+        try {
+            await shieldStorage.saveProject({
+                id: currentProject.id,
+                name: currentProject.file.name,
+                file: currentProject.file,
+                redactions: normalizeRedactions(currentProject.redactions),
+                auditSecret: currentProject.auditSecret,
+                tool: 'Shield Redactor Storage'
             });
+            alert('Vault Secured. Project Saved.');
+        } catch (err) {
+            console.error(err);
+            alert('Save failed: ' + err.message);
+        } finally {
+            elements.saveBtnId.disabled = false;
+            elements.saveBtnId.innerText = originalText;
+        }
+    };
+
+    // --- REDACT ALL HANDLER ---
+    if (elements.redactAllBtnId) {
+        elements.redactAllBtnId.onclick = async () => {
+            if (!currentPiiMatches.length) return;
+            for (const match of currentPiiMatches) {
+                pageRedactions(match.page).push(await createAuditedRedaction(match.rect, auditMeta({ type: match.type, source: match.source, text: match.text })));
+            }
             renderCanvas();
             elements.scanResultsId.innerHTML = '<div style="color:#00ff80; padding:10px;">ALL_RESOURCES_REDACTED_SUCCESSFULLY</div>';
 
@@ -509,126 +1969,660 @@ export function init(config) {
     }
 
     /**
-     * AUTO-SCAN (OCR): Utilizes Tesseract.js for visual PII discovery
-     * Identifies emails, phone numbers, SSNs, and common security tokens.
+     * RESULTS PANEL: Lists PII matches (keeping threat findings at the top)
+     */
+    function renderPiiResults() {
+        const existingThreats = elements.scanResultsId.querySelector('#shield-threat-container');
+        elements.scanResultsId.innerHTML = '';
+        if (existingThreats) elements.scanResultsId.appendChild(existingThreats);
+        else if (lastThreatsHTML) elements.scanResultsId.insertAdjacentHTML('afterbegin', lastThreatsHTML);
+
+        if (currentPiiMatches.length === 0) {
+            elements.scanResultsId.insertAdjacentHTML('beforeend', '<div style="color:#888; padding:10px;" class="pii-status-msg">No PII detected.</div>');
+            return;
+        }
+
+        if (elements.redactAllBtnId) elements.redactAllBtnId.style.display = 'block';
+        const multiPage = currentProject.pageCount > 1;
+        const piiHTML = currentPiiMatches.map((match, i) => `
+            <div class="pii-match" data-index="${i}" style="border:1px solid rgba(0,255,128,0.3); padding:8px; margin-bottom:5px; border-radius:4px; background:rgba(0,0,0,0.3); cursor:pointer;">
+                <div style="color:#00ff80; font-weight:bold;">${escapeHtml(match.type)}${multiPage ? `<span style="float:right; color:#888; font-weight:normal;">P${match.page + 1}</span>` : ''}</div>
+                <div style="font-size:10px; overflow:hidden; text-overflow:ellipsis;">${escapeHtml(match.text)}</div>
+                <div style="font-size:9px; color:#666;">${match.source === 'text' ? 'TEXT LAYER' : 'OCR'} · <span style="color:${match.confidence >= 0.8 ? '#00ff80' : match.confidence >= 0.6 ? '#ffcc00' : '#ff9966'};">${Math.round(match.confidence * 100)}% CONFIDENCE</span></div>
+                <button class="redact-match-btn" data-index="${i}" style="background:#00ff80; color:#000; border:none; padding:2px 5px; font-size:10px; margin-top:5px; cursor:pointer; width:100%;">REDACT</button>
+            </div>
+        `).join('');
+        elements.scanResultsId.insertAdjacentHTML('beforeend', piiHTML);
+
+        elements.scanResultsId.querySelectorAll('.pii-match[data-index]').forEach(card => {
+            card.onclick = (e) => {
+                if (e.target.closest('.redact-match-btn')) return;
+                const match = currentPiiMatches[card.dataset.index];
+                if (match.page !== currentProject.currentPage) showPage(match.page);
+            };
+        });
+
+        document.querySelectorAll('.redact-match-btn').forEach(btn => {
+            btn.onclick = async () => {
+                const match = currentPiiMatches[btn.dataset.index];
+                btn.disabled = true;
+                pageRedactions(match.page).push(await createAuditedRedaction(match.rect, auditMeta({ type: match.type, source: match.source, text: match.text })));
+                if (match.page === currentProject.currentPage) renderCanvas();
+                btn.disabled = true;
+                btn.innerText = 'REDACTED';
+                updateProjectStatus();
+            };
+        });
+    }
+
+    /**
+     * PAGE RECOGNIZER: Returns { words, lines, width, height, source } for one page
+     * Digital PDF pages use the embedded text layer (exact boxes, no OCR);
+     * scanned pages and images fall back to Tesseract on the rendered raster.
+     */
+    async function recognizePage(pageIndex) {
+        if (currentProject.pdf) {
+            const page = await currentProject.pdf.getPage(pageIndex + 1);
+            const layer = await extractTextLayer(page);
+            if (!isScannedPage(layer)) return { ...layer, source: 'text' };
+        }
+
+        const bitmap = pageIndex === currentProject.currentPage ? currentProject.originalBitmap : await renderPageBitmap(pageIndex);
+        const pageCanvas = document.createElement('canvas');
+        pageCanvas.width = bitmap.width;
+        pageCanvas.height = bitmap.height;
+        pageCanvas.getContext('2d').drawImage(bitmap, 0, 0);
+
+        const { data } = await ocrService.recognize(pageCanvas);
+        return { words: data.words, lines: data.lines, width: pageCanvas.width, height: pageCanvas.height, source: 'ocr' };
+    }
+
+    /**
+     * DOCUMENT PASS: Recognizes every page in order and hands each result to onPage
+     * Scanned pages go through the shared OCR pool (ocr-service.js), whose workers stay
+     * warm between passes.
+     * @returns {Promise<boolean>} false when the project changed mid-pass
+     */
+    async function scanAllPages(project, onPage) {
+        for (let i = 0; i < project.pageCount; i++) {
+            if (currentProject !== project) return false;
+            elements.scanResultsId.innerHTML = `<div style="color:#00ff80; padding:10px;">Scanning page ${i + 1} of ${project.pageCount}...</div>`;
+
+            const result = await recognizePage(i);
+            onPage(result, i);
+        }
+        return currentProject === project;
+    }
+
+    /**
+     * AUTO-SCAN: Text-layer extraction with Tesseract.js fallback for PII discovery
+     * Identifies emails, cards, IBANs, national IDs and phone numbers on every page,
+     * most confident first within each page.
      */
     elements.autoScanBtnId.onclick = async () => {
         elements.autoScanBtnId.disabled = true;
         elements.autoScanBtnId.innerText = 'SCANNING...';
-        elements.scanResultsId.innerHTML = '<div style="color:#00ff80; padding:10px;">Initializing OCR Engine...</div>';
+        elements.scanResultsId.innerHTML = '<div style="color:#00ff80; padding:10px;">Reading document text...</div>';
         if (elements.redactAllBtnId) elements.redactAllBtnId.style.display = 'none';
 
         try {
-            const worker = await Tesseract.createWorker('eng');
-            const canvas = elements.canvasId;
-            const { data } = await worker.recognize(canvas);
-            const { words, lines } = data;
-
             currentPiiMatches = [];
-            const standardPatterns = [
-                { type: 'Email', regex: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/ },
-                { type: 'Phone', regex: /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/ },
-                { type: 'SSN', regex: /\b\d{3}-\d{2}-\d{4}\b/ },
-                { type: 'Credit Card', regex: /\b(?:\d[ -]*?){13,16}\b/ },
-                { type: 'IP Address', regex: /\b\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}\b/ }
-            ];
-
-            // 1. Label-Based Name Detection (Contextual)
-            const nameLabels = ['name', 'full name', 'owner', 'contact', 'attn', 'to', 'from', 'customer', 'patient', 'client', 'employee'];
-            lines.forEach(line => {
-                const text = line.text.trim();
-                const lowerText = text.toLowerCase();
-
-                for (const label of nameLabels) {
-                    if (lowerText.startsWith(label)) {
-                        const remaining = text.substring(label.length).replace(/^[:\s-]+/, '').trim();
-                        if (remaining.length > 2 && remaining.split(/\s+/).length <= 4) {
-                            // Find precise box by skipping the label words
-                            const labelWordCount = label.split(/\s+/).length;
-                            const nameWords = line.words.slice(labelWordCount);
-                            if (nameWords.length > 0) {
-                                const bbox = {
-                                    x0: Math.min(...nameWords.map(w => w.bbox.x0)),
-                                    y0: Math.min(...nameWords.map(w => w.bbox.y0)),
-                                    x1: Math.max(...nameWords.map(w => w.bbox.x1)),
-                                    y1: Math.max(...nameWords.map(w => w.bbox.y1))
-                                };
-                                currentPiiMatches.push({
-                                    text: remaining,
-                                    type: 'Potential Name',
-                                    bbox: bbox
-                                });
-                            }
-                        }
-                    }
-                }
+
+            const completed = await scanAllPages(currentProject, (result, i) => {
+                const matches = detectPii(result, i, result.width, result.height);
+                matches.forEach(match => { match.source = result.source; });
+                matches.sort((a, b) => b.confidence - a.confidence);
+                currentPiiMatches.push(...matches);
             });
 
-            // 2. Standard Regex Discovery (Word-based)
-            words.forEach(word => {
-                const text = word.text.trim();
-                for (const p of standardPatterns) {
-                    if (p.regex.test(text)) {
-                        if (!currentPiiMatches.some(m => m.text.includes(text))) {
-                            currentPiiMatches.push({
-                                text: text,
-                                type: p.type,
-                                bbox: word.bbox
-                            });
-                        }
-                        break;
-                    }
+            if (completed) renderPiiResults();
+        } catch (err) {
+            console.error(err);
+            elements.scanResultsId.innerHTML = `<div style="color:red; padding:10px;">OCR Error: ${escapeHtml(err.message || err)} Try manual redaction.</div>`;
+        }
+
+        elements.autoScanBtnId.disabled = false;
+        elements.autoScanBtnId.innerText = 'AUTO-SCAN PII';
+    };
+
+    // --- RULE SETS (DICTIONARIES) ---
+    /**
+     * RULE SET LOADER: Pulls saved rule sets from the vault into the sidebar picker
+     */
+    async function loadRuleSets() {
+        try {
+            ruleSets = await shieldStorage.getAllRuleSets();
+        } catch (err) {
+            console.error('Rule Set Load Error:', err);
+            ruleSets = [];
+        }
+        ruleSets.sort((a, b) => a.name.localeCompare(b.name));
+        renderRuleSetSelect();
+    }
+
+    function renderRuleSetSelect() {
+        if (!elements.ruleSetSelectId) return;
+        const previous = elements.ruleSetSelectId.value;
+        elements.ruleSetSelectId.innerHTML = ruleSets.length
+            ? `<option value="__all__">All rule sets (${ruleSets.length})</option>` +
+              ruleSets.map(set => `<option value="${set.id}">${escapeHtml(set.name)} (${set.rules.length})</option>`).join('')
+            : '<option value="">No rule sets yet</option>';
+        if ([...elements.ruleSetSelectId.options].some(o => o.value === previous)) elements.ruleSetSelectId.value = previous;
+        if (elements.findRedactBtnId) elements.findRedactBtnId.disabled = !ruleSets.length;
+    }
+
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    /**
+     * REDACTION DEDUPE: Adds a box unless an equivalent one already exists on the page
+     * @returns {Promise<boolean>} true when the box was added
+     */
+    async function addRedaction(pageIndex, rect, meta) {
+        const list = pageRedactions(pageIndex);
+        const eps = 0.002;
+        const exists = list.some(r => Math.abs(r.x - rect.x) < eps && Math.abs(r.y - rect.y) < eps &&
+            Math.abs(r.w - rect.w) < eps && Math.abs(r.h - rect.h) < eps);
+        if (!exists) list.push(await createAuditedRedaction(rect, auditMeta(meta)));
+        return !exists;
+    }
+
+    /**
+     * FIND & REDACT: Matches the selected rule set(s) on every page and boxes each hit
+     */
+    if (elements.findRedactBtnId) {
+        elements.findRedactBtnId.onclick = async () => {
+            const selected = elements.ruleSetSelectId.value;
+            const sets = selected === '__all__' ? ruleSets : ruleSets.filter(set => set.id === selected);
+
+            let matchers;
+            try {
+                matchers = sets.flatMap(set => compileRuleSet(set));
+            } catch (err) {
+                alert(`Rule set error: ${err.message}`);
+                return;
+            }
+            if (!matchers.length) {
+                alert('The selected rule set has no rules. Add terms under MANAGE first.');
+                return;
+            }
+
+            const btn = elements.findRedactBtnId;
+            const originalText = btn.innerText;
+            btn.disabled = true;
+            btn.innerText = 'SEARCHING...';
+            if (elements.redactAllBtnId) elements.redactAllBtnId.style.display = 'none';
+
+            try {
+                const found = [];
+                let added = 0;
+
+                const completed = await scanAllPages(currentProject, (result, i) => {
+                    found.push(...findRuleMatches(result, matchers, i));
+                });
+                if (!completed) return;
+
+                for (const match of found) {
+                    if (await addRedaction(match.page, match.rect, { type: match.type, source: 'rule', text: match.text })) added++;
                 }
-            });
 
+                renderCanvas();
+                updateProjectStatus();
+                renderRuleResults(found, added);
+            } catch (err) {
+                console.error(err);
+                elements.scanResultsId.innerHTML = `<div style="color:red; padding:10px;">Search Error: ${escapeHtml(err.message || err)} Try manual redaction.</div>`;
+            } finally {
+                btn.disabled = false;
+                btn.innerText = originalText;
+            }
+        };
+    }
 
+    /**
+     * RULE RESULTS: Summarizes a Find & Redact pass (matches are already boxed)
+     */
+    function renderRuleResults(found, added) {
+        elements.scanResultsId.innerHTML = '';
+        if (lastThreatsHTML) elements.scanResultsId.insertAdjacentHTML('afterbegin', lastThreatsHTML);
+
+        const pages = new Set(found.map(m => m.page)).size;
+        const summary = found.length
+            ? `${found.length} match(es) on ${pages} page(s). ${added} new box(es) added.`
+            : 'No rule matches found.';
+        elements.scanResultsId.insertAdjacentHTML('beforeend', `<div style="color:#00ff80; padding:10px;" class="pii-status-msg">${summary}</div>`);
+
+        elements.scanResultsId.insertAdjacentHTML('beforeend', found.map(match => `
+            <div class="pii-match rule-match" data-page="${match.page}" style="border:1px solid rgba(0,255,128,0.3); padding:8px; margin-bottom:5px; border-radius:4px; background:rgba(0,0,0,0.3); cursor:pointer;">
+                <div style="color:#00ff80; font-weight:bold;">${escapeHtml(match.type)}<span style="float:right; color:#888; font-weight:normal;">P${match.page + 1}</span></div>
+                <div style="font-size:10px; overflow:hidden; text-overflow:ellipsis;">${escapeHtml(match.text)}</div>
+            </div>
+        `).join(''));
+
+        elements.scanResultsId.querySelectorAll('.rule-match').forEach(card => {
+            card.onclick = () => {
+                const page = Number(card.dataset.page);
+                if (page !== currentProject.currentPage) showPage(page);
+            };
+        });
+    }
 
-            // Clear PII results but keep threats
-            const existingThreats = elements.scanResultsId.querySelector('#shield-threat-container');
-            elements.scanResultsId.innerHTML = '';
-            if (existingThreats) elements.scanResultsId.appendChild(existingThreats);
-            else if (lastThreatsHTML) elements.scanResultsId.insertAdjacentHTML('afterbegin', lastThreatsHTML);
+    /**
+     * RULE MANAGER: Create, edit and delete rule sets stored in the vault
+     */
+    async function showRuleManager() {
+        elements.editorViewId.style.display = 'none';
+        elements.rulesViewId.style.display = 'block';
+        await loadRuleSets();
+        editingRuleSet = editingRuleSet || (ruleSets[0] ? structuredClone(ruleSets[0]) : createRuleSet());
+        renderRuleManager();
+    }
 
-            if (currentPiiMatches.length === 0) {
-                elements.scanResultsId.insertAdjacentHTML('beforeend', '<div style="color:#888; padding:10px;" class="pii-status-msg">No PII detected.</div>');
-            } else {
-                if (elements.redactAllBtnId) elements.redactAllBtnId.style.display = 'block';
-                const piiHTML = currentPiiMatches.map((match, i) => `
-                    <div class="pii-match" style="border:1px solid rgba(0,255,128,0.3); padding:8px; margin-bottom:5px; border-radius:4px; background:rgba(0,0,0,0.3);">
-                        <div style="color:#00ff80; font-weight:bold;">${match.type}</div>
-                        <div style="font-size:10px; overflow:hidden; text-overflow:ellipsis;">${match.text}</div>
-                        <button class="redact-match-btn" data-index="${i}" style="background:#00ff80; color:#000; border:none; padding:2px 5px; font-size:10px; margin-top:5px; cursor:pointer; width:100%;">REDACT</button>
+    function renderRuleManager() {
+        elements.ruleSetListId.innerHTML = ruleSets.map(set => `
+            <div class="shield-ruleset-item ${editingRuleSet && set.id === editingRuleSet.id ? 'active' : ''}" data-id="${set.id}">
+                <div class="shield-ruleset-name">${escapeHtml(set.name)}</div>
+                <div class="shield-ruleset-meta">${set.rules.length} rule(s)</div>
+            </div>
+        `).join('') + '<button class="vault-tool-btn shield-ruleset-new">+ NEW RULE SET</button>';
+
+        const set = editingRuleSet;
+        elements.ruleEditorId.innerHTML = `
+            <input class="shield-rule-name" type="text" value="${escapeHtml(set.name)}" placeholder="Rule set name (e.g. Matter 2291 - Acme)">
+            <div class="shield-rule-rows">
+                ${set.rules.map((rule, i) => `
+                    <div class="shield-rule-row" data-index="${i}">
+                        <input class="shield-rule-pattern" type="text" value="${escapeHtml(rule.pattern)}" placeholder="${rule.type === 'regex' ? 'Regular expression' : 'Term or phrase'}">
+                        <select class="shield-rule-type">
+                            <option value="term" ${rule.type === 'term' ? 'selected' : ''}>Term</option>
+                            <option value="regex" ${rule.type === 'regex' ? 'selected' : ''}>Regex</option>
+                        </select>
+                        <label title="Case sensitive"><input type="checkbox" class="shield-rule-case" ${rule.caseSensitive ? 'checked' : ''}>Aa</label>
+                        <label title="Whole word only"><input type="checkbox" class="shield-rule-word" ${rule.wholeWord ? 'checked' : ''}>Word</label>
+                        <button class="shield-rule-remove" title="Remove rule">×</button>
                     </div>
-                `).join('');
-                elements.scanResultsId.insertAdjacentHTML('beforeend', piiHTML);
-
-                document.querySelectorAll('.redact-match-btn').forEach(btn => {
-                    btn.onclick = () => {
-                        const match = currentPiiMatches[btn.dataset.index];
-                        const canvas = elements.canvasId;
-                        currentProject.redactions.push({
-                            x: match.bbox.x0 / canvas.width,
-                            y: match.bbox.y0 / canvas.height,
-                            w: (match.bbox.x1 - match.bbox.x0) / canvas.width,
-                            h: (match.bbox.y1 - match.bbox.y0) / canvas.height
-                        });
-                        renderCanvas();
-                        btn.disabled = true;
-                        btn.innerText = 'REDACTED';
-                        updateProjectStatus();
-                    };
-                });
+                `).join('') || '<div style="color:#666; padding:10px;">No rules yet.</div>'}
+            </div>
+            <textarea class="shield-rule-bulk" rows="3" placeholder="Bulk add: one term per line"></textarea>
+            <div class="shield-rule-actions">
+                <button class="vault-tool-btn shield-rule-add">+ ADD RULE</button>
+                <button class="vault-tool-btn shield-rule-save">SAVE RULE SET</button>
+                <button class="vault-tool-btn shield-rule-delete">DELETE</button>
+            </div>
+        `;
+
+        elements.ruleSetListId.querySelectorAll('.shield-ruleset-item').forEach(item => {
+            item.onclick = () => {
+                editingRuleSet = structuredClone(ruleSets.find(s => s.id === item.dataset.id));
+                renderRuleManager();
+            };
+        });
+        elements.ruleSetListId.querySelector('.shield-ruleset-new').onclick = () => {
+            editingRuleSet = createRuleSet();
+            renderRuleManager();
+        };
+
+        const editor = elements.ruleEditorId;
+        editor.querySelector('.shield-rule-add').onclick = () => {
+            readRuleEditor();
+            editingRuleSet.rules.push(createRule());
+            renderRuleManager();
+        };
+        editor.querySelectorAll('.shield-rule-remove').forEach(btn => {
+            btn.onclick = () => {
+                readRuleEditor();
+                editingRuleSet.rules.splice(Number(btn.closest('.shield-rule-row').dataset.index), 1);
+                renderRuleManager();
+            };
+        });
+        editor.querySelector('.shield-rule-save').onclick = () => saveEditingRuleSet();
+        editor.querySelector('.shield-rule-delete').onclick = async () => {
+            if (!ruleSets.some(s => s.id === editingRuleSet.id)) {
+                editingRuleSet = createRuleSet();
+                renderRuleManager();
+                return;
             }
+            if (!window.confirm(`Delete rule set "${editingRuleSet.name}"? This cannot be undone.`)) return;
+            await shieldStorage.deleteRuleSet(editingRuleSet.id);
+            editingRuleSet = null;
+            showRuleManager();
+        };
+    }
+
+    /**
+     * EDITOR SYNC: Copies the form fields back into the draft rule set
+     */
+    function readRuleEditor() {
+        const editor = elements.ruleEditorId;
+        editingRuleSet.name = editor.querySelector('.shield-rule-name').value.trim() || 'Untitled Rule Set';
+        editingRuleSet.rules = [...editor.querySelectorAll('.shield-rule-row')].map(row => ({
+            pattern: row.querySelector('.shield-rule-pattern').value,
+            type: row.querySelector('.shield-rule-type').value,
+            caseSensitive: row.querySelector('.shield-rule-case').checked,
+            wholeWord: row.querySelector('.shield-rule-word').checked
+        }));
+
+        const bulk = editor.querySelector('.shield-rule-bulk');
+        bulk.value.split(/\r?\n/).map(t => t.trim()).filter(Boolean).forEach(term => {
+            editingRuleSet.rules.push(createRule(term));
+        });
+        bulk.value = '';
+    }
 
-            await worker.terminate();
+    async function saveEditingRuleSet() {
+        readRuleEditor();
+        editingRuleSet.rules = editingRuleSet.rules.filter(rule => rule.pattern.trim());
+
+        try {
+            editingRuleSet.rules.forEach(rule => compileRule(rule));
+        } catch (err) {
+            alert(`Cannot save: ${err.message}`);
+            renderRuleManager();
+            return;
+        }
+
+        try {
+            await shieldStorage.saveRuleSet(editingRuleSet);
+            await loadRuleSets();
+            renderRuleManager();
         } catch (err) {
             console.error(err);
-            elements.scanResultsId.innerHTML = '<div style="color:red; padding:10px;">OCR Error. Try manual redaction.</div>';
+            alert('Save failed: ' + err.message);
         }
+    }
 
-        elements.autoScanBtnId.disabled = false;
-        elements.autoScanBtnId.innerText = 'AUTO-SCAN PII';
-    };
+    if (elements.manageRulesBtnId) elements.manageRulesBtnId.onclick = () => showRuleManager();
+    if (elements.backToEditorBtnId) {
+        elements.backToEditorBtnId.onclick = () => {
+            elements.rulesViewId.style.display = 'none';
+            elements.editorViewId.style.display = 'block';
+        };
+    }
+
+    // --- DETECTION RULES (SCANNER) ---
+    /**
+     * DETECTION RULE LOADER: Compiles the enabled rule files from the vault into the scanner
+     * A stored file that no longer compiles is skipped (and logged) instead of blocking scans.
+     */
+    async function loadDetectionRules() {
+        try {
+            ruleFiles = await shieldStorage.getAllRuleFiles();
+        } catch (err) {
+            console.error('Detection Rule Load Error:', err);
+            ruleFiles = [];
+        }
+        ruleFiles.sort((a, b) => a.name.localeCompare(b.name));
+
+        const rules = [];
+        ruleFiles.filter(file => file.enabled).forEach(file => {
+            try {
+                rules.push(...compileRuleFile(file));
+            } catch (err) {
+                console.error('Detection Rule Compile Error:', err);
+            }
+        });
+        scanner.setDetectionRules(rules);
+        if (elements.detectionRulesBtnId) {
+            elements.detectionRulesBtnId.innerText = rules.length ? `DETECTION RULES (${rules.length})` : 'DETECTION RULES';
+        }
+    }
+
+    /**
+     * DETECTION RULE MANAGER: Write, import, export and toggle YARA-style rule files
+     */
+    async function showDetectionRules() {
+        elements.editorViewId.style.display = 'none';
+        elements.detectionRulesViewId.style.display = 'block';
+        await Promise.all([loadDetectionRules(), loadHashLists()]);
+        editingRuleFile = editingRuleFile || (ruleFiles[0] ? structuredClone(ruleFiles[0]) : createRuleFile());
+        renderDetectionRules();
+        renderHashLists();
+    }
+
+    function renderDetectionRules() {
+        elements.detectionRuleListId.innerHTML = ruleFiles.map(file => `
+            <div class="shield-ruleset-item ${editingRuleFile && file.id === editingRuleFile.id ? 'active' : ''}" data-id="${file.id}">
+                <div class="shield-ruleset-name">${escapeHtml(file.name)}</div>
+                <div class="shield-ruleset-meta">${file.enabled ? 'Enabled' : 'Disabled'}</div>
+            </div>
+        `).join('') + `
+            <button class="vault-tool-btn shield-ruleset-new">+ NEW RULE FILE</button>
+            <button class="vault-tool-btn shield-detection-import" title=".yar, .yara or .txt rule files">IMPORT FILES</button>
+            <input type="file" class="shield-detection-file" accept=".yar,.yara,.txt" multiple hidden>
+        `;
+
+        const file = editingRuleFile;
+        elements.detectionRuleEditorId.innerHTML = `
+            <input class="shield-rule-name" type="text" value="${escapeHtml(file.name)}" placeholder="Rule file name (e.g. Week 42 campaigns)">
+            <label class="shield-detection-enabled"><input type="checkbox" ${file.enabled ? 'checked' : ''}> Use these rules when scanning</label>
+            <textarea class="shield-detection-source" rows="16" spellcheck="false">${escapeHtml(file.source)}</textarea>
+            <div class="shield-detection-status"></div>
+            <div class="shield-rule-actions">
+                <button class="vault-tool-btn shield-detection-check">CHECK</button>
+                <button class="vault-tool-btn shield-rule-save">SAVE RULE FILE</button>
+                <button class="vault-tool-btn shield-detection-export">EXPORT</button>
+                <button class="vault-tool-btn shield-rule-delete">DELETE</button>
+            </div>
+        `;
+
+        const list = elements.detectionRuleListId;
+        list.querySelectorAll('.shield-ruleset-item').forEach(item => {
+            item.onclick = () => {
+                editingRuleFile = structuredClone(ruleFiles.find(f => f.id === item.dataset.id));
+                renderDetectionRules();
+            };
+        });
+        list.querySelector('.shield-ruleset-new').onclick = () => {
+            editingRuleFile = createRuleFile();
+            renderDetectionRules();
+        };
+
+        const fileInput = list.querySelector('.shield-detection-file');
+        list.querySelector('.shield-detection-import').onclick = () => fileInput.click();
+        fileInput.onchange = () => importRuleFiles(fileInput.files);
+
+        const editor = elements.detectionRuleEditorId;
+        editor.querySelector('.shield-detection-check').onclick = () => {
+            readDetectionEditor();
+            checkEditingRuleFile();
+        };
+        editor.querySelector('.shield-rule-save').onclick = () => saveEditingRuleFile();
+        editor.querySelector('.shield-detection-export').onclick = () => {
+            readDetectionEditor();
+            const name = editingRuleFile.name.replace(/[^\w.-]+/g, '_');
+            downloadBlob(new Blob([editingRuleFile.source], { type: 'text/plain' }), `${name}.yar`);
+        };
+        editor.querySelector('.shield-rule-delete').onclick = async () => {
+            if (!ruleFiles.some(f => f.id === editingRuleFile.id)) {
+                editingRuleFile = createRuleFile();
+                renderDetectionRules();
+                return;
+            }
+            if (!window.confirm(`Delete rule file "${editingRuleFile.name}"? This cannot be undone.`)) return;
+            try {
+                await shieldStorage.deleteRuleFile(editingRuleFile.id);
+                detectionRulesChanged = true;
+            } catch (err) {
+                console.error(err);
+                alert('Delete failed: ' + err.message);
+            }
+            editingRuleFile = null;
+            showDetectionRules();
+        };
+    }
+
+    /**
+     * EDITOR SYNC: Copies the form fields back into the draft rule file
+     */
+    function readDetectionEditor() {
+        const editor = elements.detectionRuleEditorId;
+        editingRuleFile.name = editor.querySelector('.shield-rule-name').value.trim() || 'Untitled Rules';
+        editingRuleFile.enabled = editor.querySelector('.shield-detection-enabled input').checked;
+        editingRuleFile.source = editor.querySelector('.shield-detection-source').value;
+    }
+
+    /**
+     * RULE CHECK: Compiles the draft and shows the result under the editor
+     * @returns {boolean} true when every rule compiled
+     */
+    function checkEditingRuleFile() {
+        const status = elements.detectionRuleEditorId.querySelector('.shield-detection-status');
+        try {
+            const rules = compileRuleFile(editingRuleFile);
+            status.style.color = '#00ff80';
+            status.innerText = `${rules.length} rule(s) compiled: ${rules.map(r => r.name).join(', ')}`;
+            return true;
+        } catch (err) {
+            status.style.color = '#ff4d4d';
+            status.innerText = err.message;
+            return false;
+        }
+    }
+
+    async function saveEditingRuleFile() {
+        readDetectionEditor();
+        if (!checkEditingRuleFile()) {
+            alert('Cannot save: fix the rule error shown under the editor first.');
+            return;
+        }
+
+        try {
+            await shieldStorage.saveRuleFile(editingRuleFile);
+            detectionRulesChanged = true;
+            await loadDetectionRules();
+            renderDetectionRules();
+        } catch (err) {
+            console.error(err);
+            alert('Save failed: ' + err.message);
+        }
+    }
+
+    /**
+     * IMPORTER: Stores each picked file as its own rule file (files with errors are rejected)
+     */
+    async function importRuleFiles(files) {
+        for (const file of files) {
+            const ruleFile = createRuleFile(file.name.replace(/\.(yara?|txt)$/i, ''), await file.text());
+            try {
+                compileRuleFile(ruleFile);
+                await shieldStorage.saveRuleFile(ruleFile);
+                detectionRulesChanged = true;
+                editingRuleFile = ruleFile;
+            } catch (err) {
+                console.error(err);
+                alert('Import failed: ' + err.message);
+            }
+        }
+        await loadDetectionRules();
+        renderDetectionRules();
+    }
+
+    // --- HASH LISTS (SCANNER) ---
+    /**
+     * HASH LIST LOADER: Hands the vault's hash lists to the scanner
+     */
+    async function loadHashLists() {
+        try {
+            hashLists = await shieldStorage.getAllHashLists();
+        } catch (err) {
+            console.error('Hash List Load Error:', err);
+            hashLists = [];
+        }
+        hashLists.sort((a, b) => a.name.localeCompare(b.name));
+        scanner.setHashLists(hashLists);
+    }
+
+    /**
+     * HASH LIST MANAGER: Import IOC feeds as blocklists (known bad) or allowlists (known good)
+     */
+    function renderHashLists() {
+        const panel = elements.hashListPanelId;
+        if (!panel) return;
+
+        panel.innerHTML = (hashLists.length ? '' : '<div class="shield-ruleset-meta">No hash lists imported.</div>') + hashLists.map(list => `
+            <div class="shield-ocr-row" data-id="${list.id}">
+                <label><input type="checkbox" class="shield-hash-use" ${list.enabled ? 'checked' : ''}> ${escapeHtml(list.name)}</label>
+                <span class="shield-hash-kind ${list.kind}">${list.kind === 'block' ? 'BLOCKLIST' : 'ALLOWLIST'}</span>
+                <span class="shield-ocr-status">${list.entries.length} hashes</span>
+                <button class="vault-tool-btn shield-hash-remove" title="Remove from vault">✕</button>
+            </div>
+        `).join('') + `
+            <input type="file" class="shield-hash-file" accept=".csv,.txt" multiple hidden>
+            <div class="shield-rule-actions">
+                <select class="shield-rules-select shield-hash-import-kind">
+                    <option value="block">Known bad (blocklist)</option>
+                    <option value="allow">Known good (allowlist)</option>
+                </select>
+                <button class="vault-tool-btn shield-hash-import" title="CSV or plain text with MD5, SHA-1 or SHA-256 hashes">IMPORT HASH LISTS</button>
+            </div>
+        `;
+
+        panel.querySelectorAll('.shield-hash-use').forEach(box => {
+            box.onchange = async () => {
+                const list = hashLists.find(l => l.id === box.closest('.shield-ocr-row').dataset.id);
+                try {
+                    await shieldStorage.saveHashList({ ...list, enabled: box.checked });
+                    detectionRulesChanged = true;
+                } catch (err) {
+                    console.error(err);
+                    alert('Save failed: ' + err.message);
+                }
+                await loadHashLists();
+                renderHashLists();
+            };
+        });
+        panel.querySelectorAll('.shield-hash-remove').forEach(btn => {
+            btn.onclick = async () => {
+                const list = hashLists.find(l => l.id === btn.closest('.shield-ocr-row').dataset.id);
+                if (!window.confirm(`Delete hash list "${list.name}"? This cannot be undone.`)) return;
+                try {
+                    await shieldStorage.deleteHashList(list.id);
+                    detectionRulesChanged = true;
+                } catch (err) {
+                    console.error(err);
+                    alert('Delete failed: ' + err.message);
+                }
+                await loadHashLists();
+                renderHashLists();
+            };
+        });
+
+        const fileInput = panel.querySelector('.shield-hash-file');
+        panel.querySelector('.shield-hash-import').onclick = () => fileInput.click();
+        fileInput.onchange = () => importHashLists(fileInput.files, panel.querySelector('.shield-hash-import-kind').value);
+    }
+
+    /**
+     * IMPORTER: Stores each picked file as its own hash list (files without hashes are rejected)
+     */
+    async function importHashLists(files, kind) {
+        for (const file of files) {
+            try {
+                const { entries, skipped } = parseHashList(await file.text());
+                if (!entries.length) throw new Error(`"${file.name}" contains no MD5, SHA-1 or SHA-256 hashes.`);
+                await shieldStorage.saveHashList(createHashList(file.name.replace(/\.(csv|txt)$/i, ''), kind, entries));
+                detectionRulesChanged = true;
+                if (skipped) console.warn(`Hash list ${file.name}: ${skipped} line(s) without a hash were skipped.`);
+            } catch (err) {
+                console.error(err);
+                alert('Import failed: ' + err.message);
+            }
+        }
+        await loadHashLists();
+        renderHashLists();
+    }
+
+    if (elements.detectionRulesBtnId) elements.detectionRulesBtnId.onclick = () => showDetectionRules();
+    if (elements.backFromDetectionBtnId) {
+        elements.backFromDetectionBtnId.onclick = () => {
+            elements.detectionRulesViewId.style.display = 'none';
+            elements.editorViewId.style.display = 'block';
+            // New or changed rules and hash lists apply to the open file right away
+            if (detectionRulesChanged && currentProject.file) runScan(currentProject.file);
+            detectionRulesChanged = false;
+        };
+    }
 
     /**
      * UI RESET: Purges current project state and returns to landing
@@ -637,17 +2631,28 @@ export function init(config) {
         elements.initialViewId.style.display = 'block';
         elements.editorViewId.style.display = 'none';
         elements.vaultViewId.style.display = 'none';
+        if (elements.rulesViewId) elements.rulesViewId.style.display = 'none';
+        if (elements.detectionRulesViewId) elements.detectionRulesViewId.style.display = 'none';
 
         // Reset Project State
-        currentProject = { id: null, file: null, fileBytes: null, redactions: [], originalBitmap: null };
+        if (currentProject.pdf) currentProject.pdf.destroy();
+        currentProject = createEmptyProject();
         currentPiiMatches = [];
         lastThreatsHTML = '';
+        lastAuditLog = null;
+        lastScan = null;
+        if (elements.exportScanReportBtnId) elements.exportScanReportBtnId.disabled = true;
+        if (elements.exportCdrBtnId) elements.exportCdrBtnId.classList.remove('shield-cdr-recommended');
 
         // Reset UI Elements
         updateProjectStatus();
         if (elements.redactAllBtnId) elements.redactAllBtnId.style.display = 'none';
         if (elements.fileInputId) elements.fileInputId.value = '';
         if (elements.scanResultsId) elements.scanResultsId.innerHTML = '';
+        if (elements.pageStripId) {
+            elements.pageStripId.innerHTML = '';
+            elements.pageStripId.style.display = 'none';
+        }
         if (elements.threatShieldId) {
             elements.threatShieldId.innerText = 'Checking...';
             elements.threatShieldId.className = 'threat-status-badge';
@@ -0,0 +1,573 @@
+/**
+ * SHIELD SANITIZER: Metadata Scrubbing for PDFs, JPEGs and PNGs
+ *
+ * ROLE:
+ * Removes identifying metadata from exported files and reports exactly what was taken
+ * out (author names, GPS coordinates, camera serials, embedded files...). Image pixels
+ * are never decoded or re-encoded: segments and chunks are dropped byte-for-byte.
+ *
+ * ARCHITECTURE:
+ * - PDF (pdf-lib object model, modified in place before save):
+ *     Info dictionary, XMP /Metadata streams, /PieceInfo, page thumbnails, embedded
+ *     files (name tree, FileAttachment annotations, /AF), trailer /ID. The rewrite on
+ *     save collapses incremental updates into a single revision and orphaned objects
+ *     from older revisions are garbage-collected.
+ * - JPEG (segment walker): Keeps JFIF (minus thumbnail), ICC profile, Adobe APP14 and all
+ *   coding segments; drops EXIF, XMP, IPTC/Photoshop, MPF, comments and trailing data.
+ *   A non-default EXIF orientation is carried over in a minimal EXIF block so the image
+ *   is not displayed rotated.
+ * - PNG (chunk walker): Keeps critical and rendering chunks; drops tEXt/zTXt/iTXt,
+ *   eXIf, tIME and unknown ancillary chunks.
+ *
+ * REPORT SHAPE: { format, removed: [{ category, item, detail }], notes: [] }
+ * (createReport / record are shared with the CDR engine, shield-cdr.js)
+ *
+ * DEPENDENCIES: window.PDFLib (global), collectGarbage (shield-pdf-redaction.js)
+ */
+
+import { collectGarbage } from './shield-pdf-redaction.js';
+
+const MAX_DETAIL = 160;
+
+export function createReport(format) {
+    return { format, removed: [], notes: [] };
+}
+
+export function record(report, category, item, detail = '') {
+    const text = String(detail ?? '').replace(/\s+/g, ' ').trim();
+    report.removed.push({ category, item, detail: text.length > MAX_DETAIL ? text.slice(0, MAX_DETAIL) + '…' : text });
+}
+
+/**
+ * XMP SUMMARY: Pulls simple property values out of an XMP packet for the report
+ */
+function summarizeXmp(xml) {
+    const fields = [];
+    const elementPattern = /<((?:dc|xmp|pdf|xmpMM|xmpRights|photoshop|exif|tiff|Iptc4xmpCore|aux):\w+)\b[^>]*>([\s\S]*?)<\/\1>/g;
+    const attributePattern = /\s((?:dc|xmp|pdf|xmpMM|xmpRights|photoshop|exif|tiff|aux):\w+)="([^"]+)"/g;
+    let match;
+    while ((match = elementPattern.exec(xml)) !== null && fields.length < 30) {
+        const value = match[2].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+        if (value) fields.push([match[1], value]);
+    }
+    while ((match = attributePattern.exec(xml)) !== null && fields.length < 30) {
+        fields.push([match[1], match[2]]);
+    }
+    return fields;
+}
+
+// --- PDF ---
+
+function pdfText(value) {
+    if (!value) return '';
+    if (typeof value.decodeText === 'function') {
+        try {
+            return value.decodeText();
+        } catch (err) {
+            return value.toString();
+        }
+    }
+    return value.toString();
+}
+
+function streamText(stream) {
+    const { PDFRawStream, decodePDFRawStream } = window.PDFLib;
+    try {
+        const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+        return new TextDecoder().decode(bytes);
+    } catch (err) {
+        return '';
+    }
+}
+
+/**
+ * NAME TREE: Collects [name, value] leaves of a PDF name tree (e.g. EmbeddedFiles)
+ */
+function nameTreeEntries(context, node, depth = 0) {
+    const { PDFArray, PDFDict, PDFName } = window.PDFLib;
+    const dict = context.lookup(node);
+    if (!(dict instanceof PDFDict) || depth > 32) return [];
+
+    const entries = [];
+    const names = context.lookup(dict.get(PDFName.of('Names')));
+    if (names instanceof PDFArray) {
+        for (let i = 0; i + 1 < names.size(); i += 2) entries.push([pdfText(names.get(i)), names.get(i + 1)]);
+    }
+    const kids = context.lookup(dict.get(PDFName.of('Kids')));
+    if (kids instanceof PDFArray) {
+        kids.asArray().forEach(kid => entries.push(...nameTreeEntries(context, kid, depth + 1)));
+    }
+    return entries;
+}
+
+function fileSpecName(context, spec) {
+    const { PDFDict, PDFName } = window.PDFLib;
+    const dict = context.lookup(spec);
+    if (!(dict instanceof PDFDict)) return pdfText(dict);
+    return pdfText(dict.get(PDFName.of('UF')) || dict.get(PDFName.of('F')));
+}
+
+/**
+ * REVISION COUNT: Number of incremental updates appended after the original save
+ * A linearized file carries one extra %%EOF for its first-page section.
+ */
+function countIncrementalUpdates(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const marker = [0x25, 0x25, 0x45, 0x4F, 0x46]; // %%EOF
+    let eofs = 0;
+    for (let i = 0; i <= data.length - marker.length; i++) {
+        if (data[i] === 0x25 && marker.every((b, j) => data[i + j] === b)) eofs++;
+    }
+    const head = new TextDecoder('latin1').decode(data.subarray(0, 1024));
+    const linearized = head.includes('/Linearized');
+    return Math.max(0, eofs - 1 - (linearized ? 1 : 0));
+}
+
+/**
+ * PDF SCRUBBER: Removes metadata from a pdf-lib document in place
+ * Load the document with { updateMetadata: false } so pdf-lib does not write a fresh
+ * Producer/ModDate into the Info dictionary on save.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {ArrayBuffer|Uint8Array} originalBytes - Source bytes (for revision history)
+ * @returns {object} Sanitization report
+ */
+export function sanitizePdf(pdfDoc, originalBytes) {
+    const { PDFDict, PDFArray, PDFName, PDFRawStream, PDFStream } = window.PDFLib;
+    const context = pdfDoc.context;
+    const catalog = pdfDoc.catalog;
+    const report = createReport('pdf');
+
+    // 1. Document Info dictionary
+    const info = context.lookup(context.trailerInfo.Info);
+    if (info instanceof PDFDict) {
+        info.entries().forEach(([key, value]) => record(report, 'Document Info', key.decodeText(), pdfText(context.lookup(value))));
+    }
+    if (context.trailerInfo.Info) {
+        if (!(info instanceof PDFDict) || info.entries().length === 0) record(report, 'Document Info', 'Info dictionary', 'empty');
+        context.trailerInfo.Info = undefined;
+    }
+
+    // 2. XMP metadata and application private data on any object
+    const catalogRef = context.trailerInfo.Root;
+    context.enumerateIndirectObjects().forEach(([ref, object]) => {
+        const dict = object instanceof PDFDict ? object : object instanceof PDFStream ? object.dict : null;
+        if (!dict) return;
+        const owner = ref === catalogRef ? 'document' : `object ${ref.objectNumber}`;
+
+        const metadataRef = dict.get(PDFName.of('Metadata'));
+        if (metadataRef) {
+            const stream = context.lookup(metadataRef);
+            const fields = stream instanceof PDFRawStream || stream instanceof PDFStream ? summarizeXmp(streamText(stream)) : [];
+            if (fields.length) fields.forEach(([name, value]) => record(report, `XMP (${owner})`, name, value));
+            else record(report, `XMP (${owner})`, 'Metadata stream');
+            dict.delete(PDFName.of('Metadata'));
+        }
+        if (dict.has(PDFName.of('PieceInfo'))) {
+            record(report, 'Private Data', 'PieceInfo', owner);
+            dict.delete(PDFName.of('PieceInfo'));
+        }
+        if (dict.has(PDFName.of('AF'))) {
+            record(report, 'Embedded Files', 'Associated files (/AF)', owner);
+            dict.delete(PDFName.of('AF'));
+        }
+    });
+
+    // 3. Embedded files (name tree + portfolio)
+    const names = context.lookup(catalog.get(PDFName.of('Names')));
+    if (names instanceof PDFDict && names.has(PDFName.of('EmbeddedFiles'))) {
+        const files = nameTreeEntries(context, names.get(PDFName.of('EmbeddedFiles')));
+        files.forEach(([name, spec]) => record(report, 'Embedded Files', fileSpecName(context, spec) || name || 'unnamed', 'attachment'));
+        if (!files.length) record(report, 'Embedded Files', 'EmbeddedFiles', 'empty name tree');
+        names.delete(PDFName.of('EmbeddedFiles'));
+        if (names.keys().length === 0) catalog.delete(PDFName.of('Names'));
+    }
+    if (catalog.has(PDFName.of('Collection'))) {
+        record(report, 'Embedded Files', 'Portfolio (/Collection)');
+        catalog.delete(PDFName.of('Collection'));
+    }
+
+    // 4. Per-page thumbnails and file attachment annotations
+    pdfDoc.getPages().forEach((page, index) => {
+        const node = page.node;
+        if (node.has(PDFName.of('Thumb'))) {
+            record(report, 'Thumbnails', `Page ${index + 1}`, 'embedded preview image');
+            node.delete(PDFName.of('Thumb'));
+        }
+
+        const annots = context.lookup(node.get(PDFName.of('Annots')));
+        if (!(annots instanceof PDFArray)) return;
+        const kept = annots.asArray().filter(ref => {
+            const annot = context.lookup(ref);
+            if (!(annot instanceof PDFDict)) return true;
+            if (annot.get(PDFName.of('Subtype')) !== PDFName.of('FileAttachment')) return true;
+            record(report, 'Embedded Files', fileSpecName(context, annot.get(PDFName.of('FS'))) || 'attachment', `annotation on page ${index + 1}`);
+            return false;
+        });
+        if (kept.length !== annots.size()) node.set(PDFName.of('Annots'), context.obj(kept));
+    });
+
+    // 5. File identifier and revision history
+    if (context.trailerInfo.ID) {
+        record(report, 'Trailer', 'File identifier (/ID)');
+        context.trailerInfo.ID = undefined;
+    }
+    if (originalBytes) {
+        const updates = countIncrementalUpdates(originalBytes);
+        if (updates > 0) record(report, 'Revision History', `${updates} incremental update(s)`, 'earlier revisions discarded; file rewritten as a single revision');
+    }
+
+    const purged = collectGarbage(pdfDoc);
+    if (purged > 0) record(report, 'Revision History', `${purged} unreferenced object(s)`, 'orphaned data purged');
+
+    return report;
+}
+
+// --- EXIF / TIFF ---
+
+const EXIF_TAGS = {
+    0x010E: 'ImageDescription', 0x010F: 'Make', 0x0110: 'Model', 0x0112: 'Orientation',
+    0x0131: 'Software', 0x0132: 'DateTime', 0x013B: 'Artist', 0x8298: 'Copyright',
+    0x9003: 'DateTimeOriginal', 0x9004: 'DateTimeDigitized', 0x9286: 'UserComment',
+    0x927C: 'MakerNote', 0xA420: 'ImageUniqueID', 0xA430: 'CameraOwnerName',
+    0xA431: 'BodySerialNumber', 0xA433: 'LensMake', 0xA434: 'LensModel', 0xA435: 'LensSerialNumber'
+};
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * TIFF READER: Extracts reportable EXIF fields, GPS position and orientation
+ * @param {Uint8Array} bytes - TIFF structure (starting at the byte-order mark)
+ */
+function readExif(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const result = { fields: [], gps: null, orientation: 1, thumbnail: false };
+    if (bytes.length < 8) return result;
+
+    const little = view.getUint16(0) === 0x4949;
+    const u16 = (o) => view.getUint16(o, little);
+    const u32 = (o) => view.getUint32(o, little);
+
+    const readValue = (entry) => {
+        const type = u16(entry + 2);
+        const count = u32(entry + 4);
+        const size = (TYPE_SIZES[type] || 1) * count;
+        const offset = size <= 4 ? entry + 8 : u32(entry + 8);
+        if (offset + size > bytes.length) return null;
+
+        if (type === 2) return new TextDecoder('latin1').decode(bytes.subarray(offset, offset + count)).replace(/\0+$/, '');
+        if (type === 3) return count === 1 ? u16(offset) : Array.from({ length: count }, (_, i) => u16(offset + i * 2));
+        if (type === 4) return count === 1 ? u32(offset) : Array.from({ length: count }, (_, i) => u32(offset + i * 4));
+        if (type === 5) return Array.from({ length: count }, (_, i) => u32(offset + i * 8) / (u32(offset + i * 8 + 4) || 1));
+        if (type === 7) return `${count} bytes`;
+        return null;
+    };
+
+    const readIfd = (start, visit) => {
+        if (start <= 0 || start + 2 > bytes.length) return 0;
+        const count = u16(start);
+        for (let i = 0; i < count; i++) {
+            const entry = start + 2 + i * 12;
+            if (entry + 12 > bytes.length) break;
+            visit(u16(entry), entry);
+        }
+        const next = start + 2 + count * 12;
+        return next + 4 <= bytes.length ? u32(next) : 0;
+    };
+
+    const visitTag = (tag, entry) => {
+        if (tag === 0x8769) {
+            readIfd(u32(entry + 8), visitTag);
+        } else if (tag === 0x8825) {
+            const gps = {};
+            readIfd(u32(entry + 8), (gpsTag, gpsEntry) => { gps[gpsTag] = readValue(gpsEntry); });
+            const toDegrees = (dms, ref) => {
+                if (!Array.isArray(dms) || dms.length < 3) return null;
+                const deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+                return ref === 'S' || ref === 'W' ? -deg : deg;
+            };
+            const lat = toDegrees(gps[2], gps[1]);
+            const lon = toDegrees(gps[4], gps[3]);
+            result.gps = lat !== null && lon !== null ? { lat: Math.round(lat * 1e6) / 1e6, lon: Math.round(lon * 1e6) / 1e6 } : {};
+        } else if (EXIF_TAGS[tag]) {
+            const value = readValue(entry);
+            if (tag === 0x0112) result.orientation = Number(value) || 1;
+            else if (value !== null && value !== '') result.fields.push([EXIF_TAGS[tag], value]);
+        }
+    };
+
+    const ifd1 = readIfd(u32(4), visitTag);
+    result.thumbnail = ifd1 > 0;
+    return result;
+}
+
+function reportExif(report, exif, category = 'EXIF') {
+    exif.fields.forEach(([name, value]) => record(report, category, name, value));
+    if (exif.gps) {
+        record(report, 'GPS', 'Location', exif.gps.lat !== undefined ? `${exif.gps.lat}, ${exif.gps.lon}` : 'GPS block present');
+    }
+    if (exif.thumbnail) record(report, category, 'Thumbnail', 'embedded preview image');
+    if (!exif.fields.length && !exif.gps && !exif.thumbnail) record(report, category, 'EXIF block');
+}
+
+/**
+ * MINIMAL EXIF: Big-endian TIFF with a single Orientation entry
+ */
+function orientationTiff(orientation) {
+    const bytes = new Uint8Array(26);
+    const view = new DataView(bytes.buffer);
+    bytes.set([0x4D, 0x4D, 0x00, 0x2A], 0);
+    view.setUint32(4, 8);
+    view.setUint16(8, 1);
+    view.setUint16(10, 0x0112);
+    view.setUint16(12, 3);
+    view.setUint32(14, 1);
+    view.setUint16(18, orientation);
+    view.setUint32(22, 0);
+    return bytes;
+}
+
+function concat(parts) {
+    const total = parts.reduce((sum, p) => sum + p.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(p => {
+        out.set(p, offset);
+        offset += p.length;
+    });
+    return out;
+}
+
+function startsWith(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+// --- JPEG ---
+
+/**
+ * JPEG SCRUBBER: Drops metadata segments without touching the entropy-coded image data
+ * @param {Uint8Array} bytes - JPEG file
+ * @returns {{ bytes: Uint8Array, report: object }}
+ */
+export function sanitizeJpeg(bytes) {
+    const report = createReport('jpeg');
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) throw new Error('Not a JPEG file');
+
+    const parts = [bytes.subarray(0, 2)];
+    let orientation = 1;
+    let pos = 2;
+
+    // Entropy-coded data runs until a marker that is not a stuffed 0xFF00 or a restart
+    const isScanByte = (i) => !(bytes[i] === 0xFF && bytes[i + 1] !== 0x00 && (bytes[i + 1] < 0xD0 || bytes[i + 1] > 0xD7));
+
+    while (pos + 1 < bytes.length) {
+        if (bytes[pos] !== 0xFF) throw new Error(`Corrupt JPEG: expected a marker at byte ${pos}`);
+
+        const marker = bytes[pos + 1];
+        if (marker === 0xFF) {
+            pos++;
+            continue;
+        }
+        if (marker === 0xD9) {
+            parts.push(bytes.subarray(pos, pos + 2));
+            pos += 2;
+            break;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            parts.push(bytes.subarray(pos, pos + 2));
+            pos += 2;
+            continue;
+        }
+
+        const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+        const segment = bytes.subarray(pos, pos + 2 + length);
+        const body = pos + 4;
+        pos += 2 + length;
+
+        if (marker === 0xE0 && startsWith(bytes, body, 'JFIF\0')) {
+            // Keep density info, drop the optional thumbnail
+            const hasThumb = bytes[body + 12] > 0 && bytes[body + 13] > 0;
+            if (hasThumb) {
+                const trimmed = segment.slice(0, 18);
+                trimmed[2] = 0;
+                trimmed[3] = 16;
+                trimmed[16] = 0;
+                trimmed[17] = 0;
+                parts.push(trimmed);
+                record(report, 'JFIF', 'Thumbnail', `${bytes[body + 12]}x${bytes[body + 13]} preview`);
+            } else {
+                parts.push(segment);
+            }
+        } else if (marker === 0xE1 && startsWith(bytes, body, 'Exif\0\0')) {
+            const exif = readExif(bytes.subarray(body + 6, body + length - 2));
+            orientation = exif.orientation;
+            reportExif(report, exif);
+        } else if (marker === 0xE1 && startsWith(bytes, body, 'http://ns.adobe.com/xap/1.0/')) {
+            const xml = new TextDecoder().decode(bytes.subarray(body, body + length - 2));
+            const fields = summarizeXmp(xml);
+            if (fields.length) fields.forEach(([name, value]) => record(report, 'XMP', name, value));
+            else record(report, 'XMP', 'XMP packet');
+        } else if (marker === 0xE2 && startsWith(bytes, body, 'ICC_PROFILE\0')) {
+            parts.push(segment); // Colour management, needed to display pixels correctly
+        } else if (marker === 0xEE && startsWith(bytes, body, 'Adobe')) {
+            parts.push(segment); // Colour transform flag, needed to decode pixels correctly
+        } else if (marker === 0xED) {
+            record(report, 'IPTC', 'Photoshop/IPTC block', `${length - 2} bytes`);
+        } else if (marker === 0xFE) {
+            record(report, 'Comment', 'COM', new TextDecoder('latin1').decode(bytes.subarray(body, body + length - 2)));
+        } else if (marker >= 0xE0 && marker <= 0xEF) {
+            const id = new TextDecoder('latin1').decode(bytes.subarray(body, Math.min(body + 12, body + length - 2))).split('\0')[0];
+            record(report, `APP${marker - 0xE0}`, id || 'Application segment', `${length - 2} bytes`);
+        } else {
+            parts.push(segment);
+            if (marker === 0xDA) {
+                const start = pos;
+                while (pos < bytes.length && isScanByte(pos)) pos++;
+                parts.push(bytes.subarray(start, pos));
+            }
+        }
+    }
+
+    if (pos < bytes.length) record(report, 'Trailing Data', `${bytes.length - pos} bytes after end of image`, 'appended previews or hidden payload');
+
+    // Carry over a non-default orientation so the image is not shown rotated
+    if (orientation > 1 && orientation <= 8) {
+        const tiff = orientationTiff(orientation);
+        const app1 = concat([new Uint8Array([0xFF, 0xE1, 0, 0]), new TextEncoder().encode('Exif\0\0'), tiff]);
+        app1[2] = (app1.length - 2) >> 8;
+        app1[3] = (app1.length - 2) & 0xFF;
+        parts.splice(1, 0, app1);
+        report.notes.push(`Orientation (${orientation}) kept in a minimal EXIF block so the image displays upright.`);
+    }
+
+    return { bytes: concat(parts), report };
+}
+
+// --- PNG ---
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const PNG_KEEP = new Set(['IHDR', 'PLTE', 'IDAT', 'IEND', 'tRNS', 'gAMA', 'cHRM', 'sRGB', 'iCCP', 'sBIT', 'pHYs', 'bKGD', 'acTL', 'fcTL', 'fdAT']);
+
+let crcTable = null;
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(new TextEncoder().encode(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+async function inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') return null;
+    try {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * PNG TEXT: Decodes tEXt / zTXt / iTXt into [keyword, text]
+ */
+async function readPngText(type, data) {
+    const nul = data.indexOf(0);
+    const keyword = new TextDecoder('latin1').decode(data.subarray(0, nul));
+    if (type === 'tEXt') return [keyword, new TextDecoder('latin1').decode(data.subarray(nul + 1))];
+    if (type === 'zTXt') {
+        const text = await inflate(data.subarray(nul + 2));
+        return [keyword, text ? new TextDecoder('latin1').decode(text) : 'compressed text'];
+    }
+
+    // iTXt: keyword\0 flag method lang\0 translated\0 text
+    const compressed = data[nul + 1] === 1;
+    let p = nul + 3;
+    p = data.indexOf(0, p) + 1;
+    p = data.indexOf(0, p) + 1;
+    const raw = compressed ? await inflate(data.subarray(p)) : data.subarray(p);
+    return [keyword, raw ? new TextDecoder().decode(raw) : 'compressed text'];
+}
+
+/**
+ * PNG SCRUBBER: Drops metadata chunks, copying image chunks verbatim
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Promise<{ bytes: Uint8Array, report: object }>}
+ */
+export async function sanitizePng(bytes) {
+    const report = createReport('png');
+    if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error('Not a PNG file');
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [bytes.subarray(0, 8)];
+    let orientation = 1;
+    let pos = 8;
+
+    while (pos + 12 <= bytes.length) {
+        const length = view.getUint32(pos);
+        const type = new TextDecoder('latin1').decode(bytes.subarray(pos + 4, pos + 8));
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        const chunk = bytes.subarray(pos, pos + 12 + length);
+        pos += 12 + length;
+
+        if (PNG_KEEP.has(type)) {
+            parts.push(chunk);
+            if (type === 'IEND') break;
+        } else if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') {
+            const [keyword, text] = await readPngText(type, data);
+            if (keyword === 'XML:com.adobe.xmp') {
+                const fields = summarizeXmp(text);
+                if (fields.length) fields.forEach(([name, value]) => record(report, 'XMP', name, value));
+                else record(report, 'XMP', 'XMP packet');
+            } else {
+                record(report, 'Text', keyword || type, text);
+            }
+        } else if (type === 'eXIf') {
+            const exif = readExif(data);
+            orientation = exif.orientation;
+            reportExif(report, exif);
+        } else if (type === 'tIME') {
+            const t = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            record(report, 'Timestamp', 'tIME', `${t.getUint16(0)}-${data[2]}-${data[3]} ${data[4]}:${data[5]}:${data[6]}`);
+        } else {
+            record(report, 'Ancillary Chunk', type, `${length} bytes`);
+        }
+    }
+
+    if (pos < bytes.length) record(report, 'Trailing Data', `${bytes.length - pos} bytes after IEND`, 'appended data');
+
+    if (orientation > 1 && orientation <= 8) {
+        // eXIf must precede IDAT; IHDR is always first
+        parts.splice(2, 0, pngChunk('eXIf', orientationTiff(orientation)));
+        report.notes.push(`Orientation (${orientation}) kept in a minimal eXIf chunk so the image displays upright.`);
+    }
+
+    return { bytes: concat(parts), report };
+}
+
+/**
+ * IMAGE DISPATCHER: Sanitizes JPEG/PNG bytes; returns null for other formats
+ */
+export async function sanitizeImage(bytes, mimeType) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    if (mimeType === 'image/jpeg' || (data[0] === 0xFF && data[1] === 0xD8)) return sanitizeJpeg(data);
+    if (mimeType === 'image/png' || PNG_SIGNATURE.every((b, i) => data[i] === b)) return sanitizePng(data);
+    return null;
+}
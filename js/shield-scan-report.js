@@ -0,0 +1,269 @@
+/**
+ * SHIELD SCAN REPORT: Exportable Threat Scan Reports (JSON, SARIF 2.1.0, HTML)
+ *
+ * ROLE:
+ * Turns a ShieldScanner result into a file that can be attached to an incident ticket or
+ * fed to a SARIF viewer, so a scan can be reviewed without the redactor.
+ *
+ * ARCHITECTURE:
+ * - Report: buildScanReport() produces a versioned JSON document with the file metadata and
+ *   hashes, the verdict, per-severity counts, every threat (the "| LOG:" part of a
+ *   description becomes `evidence`; line and snippet come from getLineInfo), the hash
+ *   inventory of every scanned object and, for emails, the sender headers and link inventory
+ * - SARIF: toSarif() maps threat types to rules and threats to results; archive entries are
+ *   artifacts addressed as "outer.zip!/entry" with a parentIndex to their container
+ * - HTML: toHtmlReport() writes a standalone page (inline styles, no scripts) that opens
+ *   offline in any browser
+ *
+ * USAGE:
+ *   const report = buildScanReport(file, await scanner.scan(file));
+ *   const sarif = JSON.stringify(toSarif(report), null, 2);
+ */
+
+import { SCANNER_VERSION } from './shield-scanner.js';
+
+export const SCAN_REPORT_VERSION = 1;
+
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+// Severity → SARIF level and the CVSS-like score SARIF viewers use to rank security results
+const SARIF_LEVELS = {
+    Critical: { level: 'error', score: '9.5' },
+    High: { level: 'error', score: '8.0' },
+    Medium: { level: 'warning', score: '5.5' },
+    Low: { level: 'note', score: '3.0' }
+};
+
+/**
+ * VERDICT: The same three states the redactor's threat badge shows
+ * @returns {string} 'secure' | 'suspicious' | 'threat'
+ */
+export function scanVerdict(threats) {
+    if (!threats.length) return 'secure';
+    return threats.some(t => t.severity === 'Critical' || t.severity === 'High') ? 'threat' : 'suspicious';
+}
+
+/**
+ * REPORT BUILDER: Assembles the exportable record for one scanned file
+ * @param {File} file - The scanned upload
+ * @param {object} results - Return value of ShieldScanner.scan()
+ */
+export function buildScanReport(file, results) {
+    const root = results.hashes.find(h => !h.path) || {};
+    const threats = results.threats.map((t, i) => {
+        const { type, severity, path, line, snippet, description: text, ...extra } = t;
+        const [description, evidence] = text.split(' | LOG: ');
+        return {
+            index: i + 1,
+            type,
+            severity,
+            description,
+            evidence: evidence || null,
+            path: path || null,
+            line: typeof line === 'number' ? line : null,
+            snippet: snippet ?? null,
+            ...extra
+        };
+    });
+
+    const summary = { total: threats.length };
+    SEVERITIES.forEach(s => { summary[s] = threats.filter(t => t.severity === s).length; });
+
+    return {
+        version: SCAN_REPORT_VERSION,
+        generator: { name: 'Shield Scanner', version: SCANNER_VERSION },
+        generatedAt: new Date().toISOString(),
+        scannedAt: results.scannedAt || null,
+        file: {
+            name: file.name,
+            size: file.size,
+            type: file.type || null,
+            lastModified: file.lastModified ? new Date(file.lastModified).toISOString() : null,
+            md5: root.md5 || null,
+            sha1: root.sha1 || null,
+            sha256: root.sha256 || null
+        },
+        verdict: scanVerdict(results.threats),
+        summary,
+        threats,
+        objects: results.hashes.map(h => ({ ...h, path: h.path || null })),
+        emails: (results.emails || []).map(e => ({ ...e, path: e.path || null }))
+    };
+}
+
+// "invoice.zip > word/vbaProject.bin" → "invoice.zip!/word/vbaProject.bin"
+// Each path segment is encoded whole, so names with '#', '?' or '!' stay inside their segment
+function artifactUri(fileName, path) {
+    return [fileName, ...(path ? path.split(' > ') : [])]
+        .map(part => part.split('/').map(encodeURIComponent).join('/'))
+        .join('!/');
+}
+
+function ruleId(type) {
+    return type.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'threat';
+}
+
+/**
+ * SARIF EXPORT: SARIF 2.1.0 log with one run
+ * @param {object} report - Output of buildScanReport()
+ */
+export function toSarif(report) {
+    const rules = [];
+    const ruleIndex = new Map();
+    const artifacts = report.objects.map(obj => ({
+        location: { uri: artifactUri(report.file.name, obj.path) },
+        length: obj.size,
+        hashes: { md5: obj.md5, 'sha-1': obj.sha1, 'sha-256': obj.sha256 }
+    }));
+    const artifactIndex = new Map(report.objects.map((obj, i) => [obj.path, i]));
+
+    // Nested entries point at their container
+    report.objects.forEach((obj, i) => {
+        if (!obj.path) return;
+        const parent = obj.path.split(' > ').slice(0, -1).join(' > ') || null;
+        if (artifactIndex.has(parent)) artifacts[i].parentIndex = artifactIndex.get(parent);
+    });
+
+    const results = report.threats.map(t => {
+        const id = ruleId(t.type);
+        const sarifLevel = SARIF_LEVELS[t.severity] || SARIF_LEVELS.Medium;
+        if (!ruleIndex.has(id)) {
+            ruleIndex.set(id, rules.length);
+            rules.push({
+                id,
+                name: t.type,
+                shortDescription: { text: t.type },
+                fullDescription: { text: t.description },
+                defaultConfiguration: { level: sarifLevel.level },
+                properties: { 'security-severity': sarifLevel.score, tags: ['security'] }
+            });
+        }
+
+        const physicalLocation = { artifactLocation: { uri: artifactUri(report.file.name, t.path) } };
+        if (artifactIndex.has(t.path)) physicalLocation.artifactLocation.index = artifactIndex.get(t.path);
+        if (t.line) {
+            physicalLocation.region = { startLine: t.line };
+            if (t.snippet) physicalLocation.region.snippet = { text: t.snippet };
+        }
+
+        return {
+            ruleId: id,
+            ruleIndex: ruleIndex.get(id),
+            level: sarifLevel.level,
+            message: { text: t.evidence ? `${t.description} ${t.evidence}` : t.description },
+            locations: [{ physicalLocation }],
+            properties: { severity: t.severity, evidence: t.evidence }
+        };
+    });
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: report.generator.name, version: report.generator.version, rules } },
+            invocations: [{
+                executionSuccessful: true,
+                startTimeUtc: report.scannedAt || undefined,
+                endTimeUtc: report.generatedAt
+            }],
+            artifacts,
+            results,
+            properties: { verdict: report.verdict, summary: report.summary }
+        }]
+    };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * HTML EXPORT: Standalone report page
+ * @param {object} report - Output of buildScanReport()
+ */
+export function toHtmlReport(report) {
+    const colors = { Critical: '#ff4d4d', High: '#ff8c1a', Medium: '#ffd11a', Low: '#8ab4f8' };
+    const verdictColor = { secure: '#00c06a', suspicious: '#e0a800', threat: '#e03c3c' }[report.verdict];
+
+    const threatRows = report.threats.map(t => `
+        <tr>
+            <td><span class="sev" style="background:${colors[t.severity]}">${escapeHtml(t.severity)}</span></td>
+            <td><b>${escapeHtml(t.type)}</b>${t.path ? `<div class="muted">in ${escapeHtml(t.path)}</div>` : ''}</td>
+            <td>${escapeHtml(t.description)}
+                ${t.evidence ? `<pre>${escapeHtml(t.evidence)}</pre>` : ''}
+                ${(t.macros || []).map(m => `<details><summary>Macro source: ${escapeHtml(m.name)}</summary><pre>${escapeHtml(m.source)}</pre></details>`).join('')}
+            </td>
+            <td>${t.line ? `L${t.line}` : ''}</td>
+        </tr>`).join('');
+
+    const objectRows = report.objects.map(o => `
+        <tr>
+            <td>${escapeHtml(o.path || o.name)}${o.allowlisted ? `<div class="muted">allowlisted: ${escapeHtml(o.allowlisted)}</div>` : ''}</td>
+            <td>${o.size}</td>
+            <td class="hash">${o.md5}<br>${o.sha1}<br>${o.sha256}</td>
+        </tr>`).join('');
+
+    const emailSections = report.emails.map(e => `
+<h3>${escapeHtml(e.path || e.name)}</h3>
+<table>
+    <tr><th>Subject</th><td>${escapeHtml(e.subject || '')}</td></tr>
+    <tr><th>From</th><td>${escapeHtml(e.from || '')}</td></tr>
+    <tr><th>Reply-To</th><td>${escapeHtml(e.replyTo || '')}</td></tr>
+    <tr><th>Return-Path</th><td>${escapeHtml(e.returnPath || '')}</td></tr>
+    <tr><th>Date</th><td>${escapeHtml(e.date || '')}</td></tr>
+    <tr><th>Attachments</th><td>${escapeHtml(e.attachments.join(', ') || 'none')}</td></tr>
+    <tr><th>Links (${e.urls.length})</th><td>${e.urls.map(u => `<div class="hash">${escapeHtml(u.url)}${u.suspicious ? ` <b>[${escapeHtml(u.suspicious)}]</b>` : ''}</div>`).join('') || 'none'}</td></tr>
+</table>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Scan report: ${escapeHtml(report.file.name)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+    h1 { font-size: 1.4em; margin-bottom: 0.2em; }
+    h2 { font-size: 1.1em; margin-top: 1.6em; }
+    h3 { font-size: 1em; margin: 1.2em 0 0.4em; word-break: break-all; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f3f3f3; }
+    pre { background: #f6f6f6; padding: 6px; white-space: pre-wrap; word-break: break-all; margin: 6px 0 0; }
+    .verdict { display: inline-block; padding: 4px 10px; border-radius: 4px; color: #fff; font-weight: bold; background: ${verdictColor}; }
+    .sev { display: inline-block; padding: 2px 6px; border-radius: 3px; color: #000; font-size: 0.85em; }
+    .muted { color: #777; font-size: 0.85em; word-break: break-all; }
+    .hash { font-family: monospace; font-size: 0.85em; word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>Threat scan report</h1>
+<div class="muted">${escapeHtml(report.generator.name)} ${escapeHtml(report.generator.version)} · generated ${escapeHtml(report.generatedAt)}</div>
+<p><span class="verdict">${escapeHtml(report.verdict.toUpperCase())}</span>
+    ${report.summary.total} finding(s): ${SEVERITIES.map(s => `${report.summary[s]} ${s}`).join(', ')}</p>
+
+<h2>File</h2>
+<table>
+    <tr><th>Name</th><td>${escapeHtml(report.file.name)}</td></tr>
+    <tr><th>Size</th><td>${report.file.size} bytes</td></tr>
+    <tr><th>Type</th><td>${escapeHtml(report.file.type || 'unknown')}</td></tr>
+    <tr><th>Last modified</th><td>${escapeHtml(report.file.lastModified || 'unknown')}</td></tr>
+    <tr><th>MD5</th><td class="hash">${escapeHtml(report.file.md5)}</td></tr>
+    <tr><th>SHA-1</th><td class="hash">${escapeHtml(report.file.sha1)}</td></tr>
+    <tr><th>SHA-256</th><td class="hash">${escapeHtml(report.file.sha256)}</td></tr>
+</table>
+
+<h2>Findings</h2>
+${report.threats.length ? `<table>
+    <tr><th>Severity</th><th>Threat</th><th>Details</th><th>Line</th></tr>${threatRows}
+</table>` : '<p>No threats detected.</p>'}
+${emailSections ? `
+<h2>Email messages</h2>${emailSections}
+` : ''}
+<h2>Scanned objects</h2>
+<table>
+    <tr><th>Object</th><th>Bytes</th><th>MD5 / SHA-1 / SHA-256</th></tr>${objectRows}
+</table>
+</body>
+</html>
+`;
+}
@@ -9,20 +9,113 @@
  * - Forensic Header Analysis (Magic Number validation)
  * - PDF Security Analysis (JS injection, Auto-execution triggers)
  * - Script Detection (Embedded <script> in SVG, VBA macros in Office)
+ * - VBA Analysis (OLE2 files and vbaProject.bin decoded; macro source attached to the report)
  * - Phishing Heuristics (Keyword density, suspicious domain tracking)
  * - Evasive Technique Detection (Double extensions, null-byte padding, EOF smuggling)
+ * - Archive Inspection (ZIP/OOXML/JAR entries scanned recursively, zip-bomb heuristics)
+ * - PDF Object Analysis (xref/object streams walked, filters decoded, actions reported by object)
+ * - Detection Rules (user-authored YARA-style signatures, see shield-detection-rules.js)
+ * - Hash Inventory (MD5/SHA-1/SHA-256 of every object, matched against local hash lists)
+ * - Email Analysis (.eml/.msg decoded; sender header mismatches, link inventory, attachments)
+ * - Entropy Map (per-4 KB entropy with PE/ZIP/PDF structures located, see shield-entropy.js)
  * 
  * ARCHITECTURE:
  * - Static Analysis: Scans file headers and raw text segments without execution
+ * - Streaming: The whole file is read as a stream in 1 MB windows with a 4 KB overlap, so
+ *   payloads anywhere in the file are seen while memory stays bounded
  * - Pattern Matching: Uses regex and keyword sets for rapid discovery
+ * - Containers: Each archive entry runs the same checks; findings carry the entry path
+ *   (e.g. "invoice.docx > word/document.xml"), see shield-archive.js
+ * - PDF Objects: PDFs are parsed into objects (see shield-pdf-parser.js); when that works
+ *   it replaces the raw /JS and /OpenAction pattern checks (5, 6)
+ * - Emails: Decoded bodies and attachments are scanned as objects under the message path
+ *   (e.g. "forward.eml > invoice.pdf"), see shield-email.js; every link of the message is
+ *   listed in the email inventory with the suspicious-domain verdict
+ * - Entropy: Each object gets a block-entropy map that drives the high-entropy check (15);
+ *   the map of the scanned file itself is returned for the byte visualizer
+ * - Hash Lists: A blocklisted hash is a Critical threat; an allowlisted object is known
+ *   good, so the heuristic findings raised for it (and its entries) are dropped
  * - Scoring: Aggregates multiple indicators to determine overall safety
  */
+
+import { ARCHIVE_LIMITS, isZip, readZipDirectory, assessZipBomb, extractEntry } from './shield-archive.js';
+import { parsePdf } from './shield-pdf-parser.js';
+import { RuleMatcher } from './shield-detection-rules.js';
+import { isOle, readCompoundFile, extractVbaProjects, analyzeMacros } from './shield-ole.js';
+import { FileHasher, HashIndex } from './shield-hash.js';
+import { looksLikeEml, parseEml, parseMsg, headerMismatches, extractUrls } from './shield-email.js';
+import { EntropyMap, highEntropyRegions } from './shield-entropy.js';
+
+// Engine version recorded in exported scan reports (see shield-scan-report.js)
+export const SCANNER_VERSION = '2.0.0';
+
+// Streaming: window size, overlap carried between windows, bytes kept for end-of-file checks
+const WINDOW_SIZE = 1 << 20;
+const WINDOW_OVERLAP = 4096;
+const TAIL_SIZE = 1024;
+
+// Largest PDF loaded into memory to walk its objects
+const MAX_PDF_SIZE = 256 << 20;
+
+// Largest OLE2 file decoded for VBA, and the macro source kept per module in the report
+const MAX_OLE_SIZE = 64 << 20;
+const MAX_MACRO_SOURCE = 256 << 10;
+
+// Largest email decoded into bodies and attachments, and the bytes sniffed for mail headers
+const MAX_EMAIL_SIZE = 64 << 20;
+const EMAIL_SNIFF_SIZE = 4096;
+
+// Parser finding kind → threat; "auto" applies when the action runs on open (/OpenAction, /AA)
+const PDF_ACTIONS = {
+    JavaScript: { type: 'PDF JavaScript', severity: 'Medium', auto: ['PDF Auto-Execution (JavaScript)', 'High'], label: 'JavaScript' },
+    Launch: { type: 'PDF Launch Action', severity: 'High', auto: ['PDF Auto-Execution (Program Launch)', 'Critical'], label: 'Launch action' },
+    EmbeddedFile: { type: 'PDF Embedded File', severity: 'Medium', label: 'Embedded file' },
+    URI: { type: 'PDF URI Action', severity: 'Low', auto: ['PDF Auto-Execution (URL Redirect)', 'High'], label: 'URI action' },
+    SubmitForm: { type: 'PDF Form Submission', severity: 'Medium', auto: ['PDF Auto-Execution (Data Submission)', 'High'], label: 'Form submission' }
+};
+
+// High-entropy bytes (packed / encrypted) that make check 15 fire, and formats that are compressed by design
+const MIN_HIGH_ENTROPY_BYTES = 16 << 10;
+const COMPRESSED_EXTENSIONS = /\.(zip|jar|apk|gz|tgz|bz2|xz|7z|rar|cab|pdf|png|jpe?g|gif|webp|avif|heic|mp3|mp4|m4a|mkv|webm|avi|mov|ogg|flac|woff2?|docx|xlsx|pptx|odt|ods|odp|epub)$/i;
+const COMPRESSED_MAGIC = [
+    [0x50, 0x4B], [0x25, 0x50, 0x44, 0x46], [0x89, 0x50, 0x4E, 0x47], [0xFF, 0xD8, 0xFF], [0x47, 0x49, 0x46, 0x38],
+    [0x1F, 0x8B], [0x37, 0x7A, 0xBC, 0xAF], [0x52, 0x61, 0x72, 0x21], [0x42, 0x5A, 0x68], [0xFD, 0x37, 0x7A, 0x58],
+    [0x52, 0x49, 0x46, 0x46], [0x4F, 0x67, 0x67, 0x53], [0x49, 0x44, 0x33], [0x4D, 0x53, 0x43, 0x46], [0x77, 0x4F, 0x46]
+];
+
+// Threat raised for a blocklisted hash; it survives an allowlist match on a parent archive
+const KNOWN_BAD_HASH = 'Known Malicious File';
+
+// Entries that run code when opened straight from an archive
+const EXECUTABLE_ENTRY = /\.(exe|scr|com|pif|bat|cmd|ps1|vbs|vbe|js|jse|wsf|hta|lnk|msi|jar|dll|cpl)$/i;
+
+// URL shorteners and tunnelling services (check 20 and the email link inventory)
+const SUSPICIOUS_DOMAINS = ['bit.ly', 'tinyurl.com', 'ipfs.io', 'ngrok-free.app'];
+
+function findSuspiciousDomain(text) {
+    return SUSPICIOUS_DOMAINS.find(domain => text.includes(domain)) || null;
+}
+
+function countLines(text, end) {
+    let count = 0;
+    for (let i = text.indexOf('\n'); i !== -1 && i < end; i = text.indexOf('\n', i + 1)) count++;
+    return count;
+}
+
 export class ShieldScanner {
     /**
      * INITIALIZATION: Configures common file signatures (Magic Numbers)
      */
     constructor() {
         this.threats = [];
+        this.currentPath = null;
+        this.extractBudget = 0;
+        this.lineBase = 0;
+        this.detectionRules = [];
+        this.hashIndex = new HashIndex();
+        this.hashes = [];
+        this.emails = [];
+        this.entropy = null;
         this.magicNumbers = {
             pdf: [0x25, 0x50, 0x44, 0x46],
             png: [0x89, 0x50, 0x4E, 0x47],
@@ -32,9 +125,23 @@ export class ShieldScanner {
         };
     }
 
+    /**
+     * RULE LOADER: Replaces the user detection rules (output of compileRuleFile)
+     */
+    setDetectionRules(rules) {
+        this.detectionRules = rules;
+    }
+
+    /**
+     * HASH LIST LOADER: Replaces the known-bad / known-good hash lists (vault records)
+     */
+    setHashLists(lists) {
+        this.hashIndex = new HashIndex(lists);
+    }
+
     /**
      * FORENSIC UTILITY: Maps a byte offset to a specific line number and snippet for logging
-     * @param {string} text - Scanned text segment
+     * @param {string} text - Scanned text segment (current stream window)
      * @param {number} index - Byte/Character offset
      * @returns {object} { number, content } information
      */
@@ -44,20 +151,78 @@ export class ShieldScanner {
         const lineNumber = lines.length;
         const fullLines = text.split('\n');
         const content = (fullLines[lineNumber - 1] || '').trim().substring(0, 100);
-        return { number: lineNumber, content: content };
+        return { number: this.lineBase + lineNumber, content: content }; // lineBase: lines before the streamed window
     }
 
     /**
      * MASTER SCAN: Orchestrates the 20-point security analysis pipeline
+     * The file is streamed in windows (see streamWindows), so every byte is checked with
+     * bounded memory. ZIP-based containers are opened and every entry is scanned the same way.
      * 
      * @param {File} file - Target file for investigation
-     * @returns {object} { safe, threats } result pack
+     * @returns {object} { safe, threats, hashes, emails, entropy, scannedAt } result pack; threats
+     *   found inside archives carry a path, hashes lists { path, name, size, md5, sha1, sha256,
+     *   allowlisted } per object, emails { path, name, subject, from, replyTo, returnPath, date,
+     *   attachments, urls } per message, entropy is the block map of the file (see EntropyMap)
      */
     async scan(file) {
+        const scannedAt = new Date().toISOString();
         this.threats = [];
-        const buffer = await file.arrayBuffer();
-        const header = new Uint8Array(buffer.slice(0, 16));
-        const text = new TextDecoder().decode(buffer.slice(0, 100000)); // Scan first 100KB for text patterns
+        this.hashes = [];
+        this.emails = [];
+        this.entropy = null;
+        this.currentPath = null;
+        this.extractBudget = ARCHIVE_LIMITS.extractBudget;
+
+        await this.scanObject(file, file.name, 0);
+
+        return {
+            safe: this.threats.length === 0,
+            threats: this.threats,
+            hashes: this.hashes,
+            emails: this.emails,
+            entropy: this.entropy,
+            scannedAt
+        };
+    }
+
+    /**
+     * OBJECT SCAN: Runs the checks on one file or archive entry, then descends into it
+     * Content checks are skipped for archives and emails that open cleanly: their raw bytes
+     * are compressed or transfer-encoded, so the entries (bodies, attachments) are checked instead.
+     * @param {Blob} blob - The uploaded File, or an extracted entry
+     */
+    async scanObject(blob, name, depth) {
+        const firstThreat = this.threats.length;
+        const record = { path: this.currentPath, name, size: blob.size }; // Listed before its entries
+        this.hashes.push(record);
+
+        const header = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+        const inspected = isZip(header) && await this.inspectArchive(blob, depth);
+        const isPdf = header[0] === 0x25 && header[1] === 0x50 && header[2] === 0x44 && header[3] === 0x46;
+        const parsed = (isPdf || name.toLowerCase().endsWith('.pdf')) && await this.inspectPdf(blob);
+        const decoded = (isOle(header) || /^vbaProject\.bin$/i.test(name)) && await this.inspectOle(blob, name);
+        const email = !inspected && !parsed && await this.isEmail(blob, name, header) && await this.inspectEmail(blob, name, depth);
+        // Decoded OLE files: macros are already reported, and sector slack is zero-filled by design
+        const skip = [...(parsed ? [5, 6] : []), ...(decoded ? [9, 13] : [])];
+        const { digest, entropy } = await this.runChecks(blob, name, header, !inspected && !email, skip);
+        Object.assign(record, digest);
+        if (depth === 0) this.entropy = entropy;
+        this.checkHashLists(record, firstThreat);
+    }
+
+    /**
+     * CHECK PIPELINE: The 20 static checks for a single object, plus the detection rules
+     * Name and header checks run once; text and byte checks run on every streamed window
+     * until they fire (each check reports at most once per object); tail checks run on the
+     * last bytes once the stream ends. Detection rules see every window's raw bytes, and
+     * the hasher and entropy map every byte once (the window overlap is not counted twice).
+     * @param {boolean} content - Include the text-pattern checks
+     * @param {number[]} [skip] - Checks already covered by a deeper analysis (e.g. the PDF parser)
+     * @returns {Promise<object>} { digest: { md5, sha1, sha256 }, entropy } of the object
+     */
+    async runChecks(blob, name, header, content, skip = []) {
+        const file = { name };
 
         // 1. Double Extension Detection
         this.checkDoubleExtension(file.name);
@@ -68,68 +233,522 @@ export class ShieldScanner {
         // 3. Magic Number Mismatch
         this.checkMagicNumber(file, header);
 
-        // 4. EICAR Test Signature
-        this.checkEicar(text);
+        // 17. Recursive Depth (Mock check for names)
+        this.checkRecursiveDepth(file.name);
 
-        // 5. PDF JavaScript Detection
-        this.checkPdfJS(text);
+        // 18. Malformed PDF Header
+        this.checkPdfMalformed(header, file.name);
 
-        // 6. PDF OpenAction Detection
-        this.checkPdfOpenAction(text);
+        const fired = new Set(skip);
+        const once = (id, check) => {
+            if (fired.has(id)) return;
+            const before = this.threats.length;
+            check();
+            if (this.threats.length > before) fired.add(id);
+        };
 
-        // 7. SVG Script Injection
-        this.checkSvgScript(text, file.name);
+        const matcher = this.detectionRules.length ? new RuleMatcher(this.detectionRules) : null;
+        const hasher = new FileHasher();
+        const entropy = new EntropyMap();
+        let hashed = 0;
+        let tail = new Uint8Array(0);
+        await this.streamWindows(blob, (text, bytes, offset) => {
+            const fresh = bytes.subarray(hashed - offset);
+            hasher.update(fresh);
+            entropy.update(fresh);
+            entropy.scan(bytes, offset);
+            hashed = offset + bytes.length;
 
-        // 8. Embedded Executable (MZ Header)
-        this.checkEmbeddedPE(header, buffer, file.name);
+            // 8. Embedded Executable (MZ Header)
+            once(8, () => this.checkEmbeddedPE(bytes, offset, file.name));
+            tail = bytes.slice(-TAIL_SIZE);
+            if (matcher) matcher.feed(bytes, offset);
 
-        // 9. Office Macro Detection (Basic)
-        this.checkOfficeMacros(text, file.name);
+            if (!content) return;
 
-        // 10. Zip Autorun Detection
-        this.checkAutorun(text, file.name);
+            // 4. EICAR Test Signature
+            once(4, () => this.checkEicar(text));
 
-        // 11. Obfuscated Script detection
-        this.checkObfuscation(text);
+            // 5. PDF JavaScript Detection
+            once(5, () => this.checkPdfJS(text));
 
-        // 12. Phishing Keyword Detection
-        this.checkPhishing(text);
+            // 6. PDF OpenAction Detection
+            once(6, () => this.checkPdfOpenAction(text));
 
-        // 13. Null Byte Padding
-        this.checkNullPadding(buffer);
+            // 7. SVG Script Injection
+            once(7, () => this.checkSvgScript(text, file.name));
 
-        // 14. DDE Exploit Detection
-        this.checkDDE(text);
+            // 9. Office Macro Detection (Basic)
+            once(9, () => this.checkOfficeMacros(text, file.name));
 
-        // 15. High Entropy / Packed Data
-        this.checkHighEntropy(buffer);
+            // 10. Zip Autorun Detection
+            once(10, () => this.checkAutorun(text, file.name));
 
-        // 16. Polyglot Detection
-        this.checkPolyglot(header, text);
+            // 11. Obfuscated Script detection
+            once(11, () => this.checkObfuscation(text));
 
-        // 17. Recursive Depth (Mock check for names)
-        this.checkRecursiveDepth(file.name);
+            // 12. Phishing Keyword Detection
+            once(12, () => this.checkPhishing(text));
 
-        // 18. Malformed PDF Header
-        this.checkPdfMalformed(header, file.name);
+            // 14. DDE Exploit Detection
+            once(14, () => this.checkDDE(text));
+
+            // 16. Polyglot Detection
+            once(16, () => this.checkPolyglot(header, text));
+
+            // 20. Suspicious Phishing Domains
+            once(20, () => this.checkSuspiciousDomains(text));
+        });
+
+        // 13. Null Byte Padding
+        if (!skip.includes(13)) this.checkNullPadding(tail);
+
+        // 15. High Entropy / Packed Data
+        const map = entropy.finish();
+        this.checkHighEntropy(map, header, file.name);
 
         // 19. Stealth EOF Data
-        this.checkStealthEOF(buffer, file.name);
+        this.checkStealthEOF(tail, file.name);
 
-        // 20. Suspicious Phishing Domains
-        this.checkSuspiciousDomains(text);
+        // User Detection Rules
+        if (matcher) this.checkDetectionRules(matcher, blob.size);
 
-        return {
-            safe: this.threats.length === 0,
-            threats: this.threats
+        return { digest: hasher.digest(), entropy: map };
+    }
+
+    /**
+     * STREAM READER: Feeds a Blob to onWindow in ~WINDOW_SIZE pieces
+     * Each window starts with the last WINDOW_OVERLAP bytes/characters of the previous one,
+     * so a pattern split across a chunk boundary is still seen whole. Text is decoded
+     * incrementally (multi-byte characters survive the split) and this.lineBase tracks the
+     * line count before the window so reported line numbers are file-absolute.
+     *
+     * @param {Blob} blob - Source (File or extracted entry)
+     * @param {function} onWindow - (text, bytes, offset) with offset = file position of bytes[0]
+     */
+    async streamWindows(blob, onWindow) {
+        const reader = blob.stream().getReader();
+        const decoder = new TextDecoder();
+        let pending = [];
+        let pendingSize = 0;
+        let byteCarry = new Uint8Array(0);
+        let textCarry = '';
+        let offset = 0;
+        this.lineBase = 0;
+
+        const flush = (final) => {
+            const bytes = new Uint8Array(byteCarry.length + pendingSize);
+            bytes.set(byteCarry, 0);
+            let at = byteCarry.length;
+            pending.forEach(chunk => {
+                bytes.set(chunk, at);
+                at += chunk.length;
+            });
+            const text = textCarry + decoder.decode(bytes.subarray(byteCarry.length), { stream: !final });
+            pending = [];
+            pendingSize = 0;
+
+            onWindow(text, bytes, offset);
+
+            const keepBytes = Math.min(WINDOW_OVERLAP, bytes.length);
+            byteCarry = bytes.slice(bytes.length - keepBytes);
+            offset += bytes.length - keepBytes;
+
+            const keepText = Math.min(WINDOW_OVERLAP, text.length);
+            this.lineBase += countLines(text, text.length - keepText);
+            textCarry = text.slice(text.length - keepText);
         };
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                pending.push(value);
+                pendingSize += value.length;
+                if (pendingSize >= WINDOW_SIZE) flush(false);
+            }
+            if (pendingSize > 0 || offset === 0) flush(true);
+        } finally {
+            this.lineBase = 0;
+            reader.releaseLock();
+        }
+    }
+
+    /**
+     * ARCHIVE WALKER: Scans every entry of a ZIP container, recursing into nested archives
+     * The directory is judged first; suspected bombs are reported and never inflated.
+     * @returns {Promise<boolean>} true when the archive was opened and its entries handled
+     */
+    async inspectArchive(blob, depth) {
+        if (blob.size > ARCHIVE_LIMITS.maxArchiveSize) {
+            this.addThreat('Archive Not Opened', 'Low', `Archive is larger than ${Math.round(ARCHIVE_LIMITS.maxArchiveSize / 1048576)} MB; only its raw bytes were scanned.`);
+            return false;
+        }
+
+        // Random access is needed for the directory and JSZip, so archives are loaded whole
+        const buffer = await blob.arrayBuffer();
+        const bytes = new Uint8Array(buffer);
+        const directory = readZipDirectory(bytes);
+        if (!directory) return false;
+
+        const findings = assessZipBomb(directory, bytes);
+        findings.forEach(f => this.addThreat(f.type, f.severity, f.description));
+        if (directory.truncated || findings.some(f => f.severity === 'Critical')) return true;
+
+        const parentPath = this.currentPath;
+        const files = directory.entries.filter(e => !e.directory);
+        try {
+            // Name-level checks need no inflation, so they also cover encrypted and too-deep entries
+            files.forEach(entry => {
+                this.currentPath = parentPath ? `${parentPath} > ${entry.name}` : entry.name;
+                this.checkEntryName(entry);
+            });
+            this.currentPath = parentPath;
+
+            if (depth >= ARCHIVE_LIMITS.maxDepth) {
+                this.addThreat('Archive Depth Limit', 'Medium', `Archive nested more than ${ARCHIVE_LIMITS.maxDepth} levels deep was not opened (possible recursive zip bomb).`);
+                return true;
+            }
+            // JSZip refuses archives with any encrypted entry; the raw bytes are scanned instead
+            if (files.some(e => e.encrypted)) return false;
+
+            let zip;
+            try {
+                zip = await window.JSZip.loadAsync(buffer);
+            } catch (err) {
+                this.addThreat('Malformed Archive', 'Medium', `Archive structure could not be read; raw bytes scanned instead. | LOG: ${err.message}`);
+                return false;
+            }
+
+            for (const entry of files) {
+                if (this.extractBudget <= 0) {
+                    this.currentPath = null;
+                    if (!this.threats.some(t => t.type === 'Inspection Limit Reached')) {
+                        this.addThreat('Inspection Limit Reached', 'Medium', `Archive inflation budget (${Math.round(ARCHIVE_LIMITS.extractBudget / 1048576)} MB) is spent; remaining entries were not inspected.`);
+                    }
+                    break;
+                }
+                this.currentPath = parentPath ? `${parentPath} > ${entry.name}` : entry.name;
+                await this.inspectEntry(zip, entry, depth);
+            }
+        } finally {
+            this.currentPath = parentPath;
+        }
+        return true;
+    }
+
+    /**
+     * ENTRY NAME CHECKS: Zip Slip paths, directly executable files, macro projects, encryption
+     */
+    checkEntryName(entry) {
+        if (/(^|\/)\.\.(\/|$)/.test(entry.name) || /^([a-z]:)?[\\/]/i.test(entry.name)) {
+            this.addThreat('Path Traversal Entry', 'High', `Entry would be written outside the extraction folder (Zip Slip). | LOG: ${entry.name}`);
+        }
+        if (EXECUTABLE_ENTRY.test(entry.name)) {
+            this.addThreat('Executable in Archive', 'High', `Archive contains a file that runs code when opened. | LOG: ${entry.name}`);
+        }
+        if (entry.encrypted) {
+            this.addThreat('Encrypted Archive Entry', 'Medium', 'Password-protected entry cannot be inspected; encryption is commonly used to slip payloads past scanners.');
+        }
+    }
+
+    /**
+     * ENTRY INSPECTION: Bounded extraction, then a full object scan (recursing into archives)
+     * Extraction stops at the declared size, so an entry that lies about it cannot run away.
+     */
+    async inspectEntry(zip, entry, depth) {
+        if (entry.size > ARCHIVE_LIMITS.maxEntrySize) {
+            this.addThreat('Entry Not Inspected', 'Low', `Entry is larger than ${Math.round(ARCHIVE_LIMITS.maxEntrySize / 1048576)} MB and was skipped.`);
+            return;
+        }
+
+        const file = zip.file(entry.name);
+        if (!file) return;
+
+        const limit = Math.min(entry.size, this.extractBudget);
+        let data;
+        try {
+            data = await extractEntry(file, limit);
+        } catch (err) {
+            this.addThreat('Malformed Archive', 'Medium', `Entry could not be decompressed. | LOG: ${err.message}`);
+            return;
+        }
+        if (!data) {
+            if (limit === entry.size) {
+                this.addThreat('Zip Bomb (Inflation Limit)', 'Critical', `Entry kept inflating past its declared size; extraction was stopped. | LOG: declared ${entry.size} bytes`);
+            }
+            this.extractBudget = 0; // Either a lying bomb or the scan budget is spent
+            return;
+        }
+        this.extractBudget -= data.length;
+
+        await this.scanObject(new Blob([data]), entry.name.split('/').pop(), depth + 1);
+    }
+
+    /**
+     * PDF WALKER: Parses the PDF into objects and reports its actions by object number
+     * Object streams and filters are decoded, so scripts hidden in compressed streams or
+     * behind #xx-escaped names are found. Each action kind is reported once, listing the
+     * objects it was found in; auto-run actions (/OpenAction, /AA) raise the severity.
+     * @returns {Promise<boolean>} true when the object walk replaced the raw pattern checks
+     */
+    async inspectPdf(blob) {
+        if (blob.size > MAX_PDF_SIZE) return false;
+
+        let report;
+        try {
+            report = await parsePdf(new Uint8Array(await blob.arrayBuffer()));
+        } catch (err) {
+            console.error('PDF Parse Error:', err);
+            return false;
+        }
+        if (!report.objects) return false;
+
+        Object.entries(PDF_ACTIONS).forEach(([kind, action]) => {
+            const found = report.findings.filter(f => f.kind === kind);
+            if (!found.length) return;
+
+            const auto = action.auto ? found.filter(f => f.triggered) : [];
+            const objects = [...new Set(found.map(f => parseInt(f.obj, 10)))].sort((x, y) => x - y);
+            const log = (auto.length ? auto : found).slice(0, 3).map(f => `obj ${f.obj}${f.triggered ? ' (auto)' : ''}: ${f.detail || '(empty)'}`).join('; ');
+            const [type, severity] = auto.length ? action.auto : [action.type, action.severity];
+            this.addThreat(
+                type,
+                severity,
+                `${action.label} in ${objects.length} object${objects.length === 1 ? '' : 's'} (${objects.slice(0, 10).join(', ')}${objects.length > 10 ? ', ...' : ''})${auto.length ? ', run on open via /OpenAction or /AA' : ''}. | LOG: ${log}`
+            );
+        });
+
+        if (report.obfuscatedNames.length) {
+            const examples = report.obfuscatedNames.slice(0, 3).map(n => `/${n.raw} → /${n.name} (obj ${n.obj})`).join('; ');
+            this.addThreat('PDF Name Obfuscation', 'Medium', `${report.obfuscatedNames.length} name${report.obfuscatedNames.length === 1 ? ' is' : 's are'} spelled with #xx escapes to dodge keyword filters. | LOG: ${examples}`);
+        }
+
+        if (report.encrypted) {
+            this.addThreat('Encrypted PDF', 'Low', 'PDF is encrypted; strings and streams could not be decoded, so scripts inside them may be missed.');
+        } else if (report.errors.length) {
+            this.addThreat('PDF Parse Errors', 'Low', `Some objects could not be decoded. | LOG: ${report.errors.slice(0, 3).join('; ')}`);
+        }
+        return true;
+    }
+
+    /**
+     * VBA WALKER: Decodes the macro projects of an OLE2 file (legacy Office or vbaProject.bin)
+     * Reports the macros with their source, auto-exec entry points and dropper-style calls.
+     * A vbaProject.bin that cannot be decoded is still reported as a macro project.
+     * @returns {Promise<boolean>} true when the file was decoded (replaces check 9)
+     */
+    async inspectOle(blob, name) {
+        const isVbaProject = /^vbaProject\.bin$/i.test(name);
+        const undecoded = (reason) => {
+            if (isVbaProject) this.addThreat('Office Macro Execution', 'High', `Office container holds a VBA macro project that could not be decoded. | LOG: ${reason}`);
+        };
+        if (blob.size > MAX_OLE_SIZE) {
+            undecoded(`Larger than ${Math.round(MAX_OLE_SIZE / 1048576)} MB`);
+            return false;
+        }
+
+        let projects;
+        try {
+            projects = extractVbaProjects(readCompoundFile(new Uint8Array(await blob.arrayBuffer())));
+        } catch (err) {
+            console.error('OLE Parse Error:', err);
+            undecoded(err.message);
+            return false;
+        }
+        if (!projects.length) {
+            undecoded('No VBA storage found');
+            return true;
+        }
+
+        const modules = projects.flatMap(p => p.modules);
+        const errors = projects.flatMap(p => p.errors);
+        if (!modules.length) {
+            this.addThreat('Office Macro Execution', 'High', `VBA project found but no module source could be decoded (source stripped or corrupted). | LOG: ${errors.slice(0, 3).join('; ')}`);
+            return true;
+        }
+
+        const lines = modules.reduce((sum, m) => sum + m.source.split('\n').length, 0);
+        const macros = modules.map(({ name: module, stream, source }) => ({
+            name: module,
+            stream,
+            source: source.length > MAX_MACRO_SOURCE ? source.slice(0, MAX_MACRO_SOURCE) + '\n\' [truncated]' : source
+        }));
+        this.addThreat(
+            'Office Macro Execution',
+            'High',
+            `VBA project with ${modules.length} module(s): ${modules.map(m => m.name).join(', ')}. | LOG: ${projects.map(p => p.path).join(', ')} (${lines} lines)`,
+            { macros }
+        );
+
+        const { autoExec, suspicious } = analyzeMacros(modules);
+        if (autoExec.length) {
+            this.addThreat(
+                'VBA Auto-Execution',
+                suspicious.length ? 'Critical' : 'High',
+                `Macro code runs automatically when the document is opened or closed${suspicious.length ? ' and calls APIs used by droppers' : ''}. | LOG: ${autoExec.slice(0, 5).map(a => `${a.name} (${a.module} L${a.line})`).join(', ')}`
+            );
+        }
+        if (suspicious.length) {
+            this.addThreat(
+                'VBA Suspicious Calls',
+                'High',
+                `Macros use ${[...new Set(suspicious.map(s => s.label))].join(', ')}. | LOG: ${[...new Set(suspicious.map(s => `${s.module} L${s.line}: ${s.text}`))].slice(0, 5).join('; ')}`
+            );
+        }
+        if (errors.length) {
+            this.addThreat('Malformed VBA Project', 'Low', `Some macro modules could not be decoded. | LOG: ${errors.slice(0, 3).join('; ')}`);
+        }
+        return true;
+    }
+
+    /**
+     * EMAIL DETECTION: .msg Outlook items, .eml files, and mail saved under another name
+     */
+    async isEmail(blob, name, header) {
+        if (/\.msg$/i.test(name)) return isOle(header);
+        if (/\.eml$/i.test(name)) return true;
+        if (isOle(header) || isZip(header)) return false;
+        return looksLikeEml(await blob.slice(0, EMAIL_SNIFF_SIZE).text());
+    }
+
+    /**
+     * EMAIL WALKER: Decodes an .eml / .msg file and inspects the message
+     * @returns {Promise<boolean>} true when the message was decoded (its raw text is not checked)
+     */
+    async inspectEmail(blob, name, depth) {
+        if (blob.size > MAX_EMAIL_SIZE) {
+            this.addThreat('Email Not Parsed', 'Low', `Email is larger than ${Math.round(MAX_EMAIL_SIZE / 1048576)} MB; only its raw bytes were scanned.`);
+            return false;
+        }
+
+        let message;
+        try {
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            message = isOle(bytes) ? parseMsg(bytes) : parseEml(bytes);
+        } catch (err) {
+            console.error('Email Parse Error:', err);
+            return false;
+        }
+        await this.inspectMessage(message, name, depth);
+        return true;
+    }
+
+    /**
+     * MESSAGE INSPECTION: Sender headers, link inventory, then bodies and attachments
+     * Bodies are scanned as "body.txt" / "body.html" objects so the phishing and script
+     * checks see decoded text; attachments go through the full object scan (archives,
+     * PDFs, macros, nested emails) with the same depth and inflation budget as archives.
+     */
+    async inspectMessage(message, name, depth) {
+        headerMismatches(message).forEach(m => {
+            const text = m.header === 'Reply-To'
+                ? 'Replies go to a different domain than the sender shown (common in phishing and invoice fraud).'
+                : 'Bounce address (Return-Path) belongs to a different domain than the sender shown.';
+            this.addThreat('Email Sender Mismatch', m.severity, `${text} | LOG: From: ${m.from}; ${m.header}: ${m.address}`);
+        });
+
+        this.emails.push({
+            path: this.currentPath,
+            name,
+            subject: message.subject,
+            from: message.from,
+            replyTo: message.replyTo,
+            returnPath: message.returnPath,
+            date: message.date,
+            attachments: message.attachments.map(a => a.name),
+            urls: extractUrls(message).map(u => ({ ...u, suspicious: findSuspiciousDomain(u.domain || u.url) }))
+        });
+
+        if (message.errors.length) {
+            this.addThreat('Malformed Email', 'Low', `Some parts of the message could not be read. | LOG: ${message.errors.slice(0, 3).join('; ')}`);
+        }
+
+        const parentPath = this.currentPath;
+        const childPath = (childName) => parentPath ? `${parentPath} > ${childName}` : childName;
+        const bodies = [
+            ...message.textBodies.map((text, i) => [i ? `body${i + 1}.txt` : 'body.txt', text]),
+            ...message.htmlBodies.map((html, i) => [i ? `body${i + 1}.html` : 'body.html', html])
+        ];
+        try {
+            for (const [bodyName, text] of bodies) {
+                this.currentPath = childPath(bodyName);
+                await this.scanObject(new Blob([text]), bodyName, depth + 1);
+            }
+
+            if (message.attachments.length && depth >= ARCHIVE_LIMITS.maxDepth) {
+                this.currentPath = parentPath;
+                this.addThreat('Archive Depth Limit', 'Medium', `Email nested more than ${ARCHIVE_LIMITS.maxDepth} levels deep; its attachments were not opened.`);
+                return;
+            }
+
+            for (const attachment of message.attachments) {
+                this.currentPath = childPath(attachment.name);
+                if (EXECUTABLE_ENTRY.test(attachment.name)) {
+                    this.addThreat('Executable Attachment', 'High', `Email carries a file that runs code when opened. | LOG: ${attachment.name} (${attachment.contentType})`);
+                }
+                if (attachment.message) {
+                    await this.inspectMessage(attachment.message, attachment.name, depth + 1);
+                    continue;
+                }
+                if (this.extractBudget <= 0) {
+                    if (!this.threats.some(t => t.type === 'Inspection Limit Reached')) {
+                        this.currentPath = null;
+                        this.addThreat('Inspection Limit Reached', 'Medium', `Archive inflation budget (${Math.round(ARCHIVE_LIMITS.extractBudget / 1048576)} MB) is spent; remaining entries were not inspected.`);
+                    }
+                    break;
+                }
+                this.extractBudget -= attachment.data.length;
+                await this.scanObject(new Blob([attachment.data]), attachment.name, depth + 1);
+            }
+        } finally {
+            this.currentPath = parentPath;
+        }
     }
 
     /**
      * REPORTING: Commits a detected threat to the project manifest
+     * Threats raised while an archive entry is being scanned carry that entry's path.
+     * @param {object} [extra] - Evidence attached to the threat (e.g. { macros }, or { line, snippet }
+     *   from getLineInfo)
      */
-    addThreat(type, severity, description) {
-        this.threats.push({ type, severity, description });
+    addThreat(type, severity, description, extra = {}) {
+        this.threats.push({ type, severity, description, path: this.currentPath, ...extra });
+    }
+
+    /**
+     * HASH LIST CHECK: Looks the object's digests up in the enabled hash lists
+     * Blocklisted: Critical threat. Allowlisted: the object is known good, so every finding
+     * raised since its scan started (entries included) is dropped, except blocklist hits.
+     * @param {object} record - Inventory record with md5, sha1 and sha256
+     * @param {number} firstThreat - this.threats.length when the object's scan started
+     */
+    checkHashLists(record, firstThreat) {
+        const match = this.hashIndex.match(record);
+        if (!match) return;
+
+        const label = match.label ? ` (${match.label})` : '';
+        if (match.kind === 'block') {
+            this.addThreat(KNOWN_BAD_HASH, 'Critical', `File matches the known-bad hash list "${match.list}". | LOG: ${match.algorithm} ${match.hash}${label}`);
+            return;
+        }
+        record.allowlisted = `${match.list}${label}`;
+        const findings = this.threats.splice(firstThreat);
+        this.threats.push(...findings.filter(t => t.type === KNOWN_BAD_HASH));
+    }
+
+    checkDetectionRules(matcher, size) {
+        matcher.evaluate(size).forEach(({ rule, hits }) => {
+            const log = [...hits].filter(([, hit]) => hit.count).slice(0, 4).map(([id, hit]) =>
+                `$${id} ×${hit.count} @0x${hit.offsets[0].toString(16)} "${hit.samples[0].replace(/[^\x20-\x7E]/g, '.')}"`
+            );
+            const tags = rule.tags.length ? ` [${rule.tags.join(', ')}]` : '';
+            this.addThreat(
+                String(rule.meta.threat || `Rule: ${rule.name}`),
+                rule.severity,
+                `${rule.meta.description || `Matched detection rule ${rule.name}.`}${tags} | LOG: ${rule.file} / ${rule.name}${log.length ? ': ' + log.join('; ') : ''}`
+            );
+        });
     }
 
     checkDoubleExtension(name) {
@@ -172,7 +791,7 @@ export class ShieldScanner {
         if (text.includes('/JS') || text.includes('/JavaScript')) {
             const start = text.includes('/JavaScript') ? text.indexOf('/JavaScript') : text.indexOf('/JS');
             const info = this.getLineInfo(text, start);
-            this.addThreat('PDF JavaScript', 'Medium', `Embedded JavaScript detected in PDF. Could lead to cross-site scripting. | LOG: [L${info.number}] ${info.content}`);
+            this.addThreat('PDF JavaScript', 'Medium', `Embedded JavaScript detected in PDF. Could lead to cross-site scripting. | LOG: [L${info.number}] ${info.content}`, { line: info.number, snippet: info.content });
         }
     }
 
@@ -213,7 +832,7 @@ export class ShieldScanner {
             }
 
             const info = this.getLineInfo(text, start);
-            this.addThreat(`PDF Auto-Execution (${actionType})`, 'High', `${detail} | LOG: [L${info.number}] ${info.content}`);
+            this.addThreat(`PDF Auto-Execution (${actionType})`, 'High', `${detail} | LOG: [L${info.number}] ${info.content}`, { line: info.number, snippet: info.content });
         }
     }
 
@@ -221,17 +840,30 @@ export class ShieldScanner {
         if (name.endsWith('.svg') && (text.includes('<script') || text.includes('onload='))) {
             const start = text.includes('<script') ? text.indexOf('<script') : text.indexOf('onload=');
             const info = this.getLineInfo(text, start);
-            this.addThreat('SVG Script Execution', 'High', `SVG image file contains embedded scripts or event handlers that execute when rendered. | LOG: [L${info.number}] ${info.content}`);
+            this.addThreat('SVG Script Execution', 'High', `SVG image file contains embedded scripts or event handlers that execute when rendered. | LOG: [L${info.number}] ${info.content}`, { line: info.number, snippet: info.content });
         }
     }
 
-    checkEmbeddedPE(header, buffer, name) {
+    /**
+     * Near the start of the file any MZ counts; deeper in, the DOS header must point at a
+     * "PE\0\0" signature (a bare "MZ" is too common in compressed data to mean anything).
+     * @param {Uint8Array} bytes - Current stream window
+     * @param {number} offset - File position of bytes[0]
+     */
+    checkEmbeddedPE(bytes, offset, name) {
         const ext = name.split('.').pop().toLowerCase();
         if (ext !== 'exe' && ext !== 'dll') {
-            const view = new Uint8Array(buffer);
-            for (let i = 0; i < Math.min(view.length, 1024); i++) {
-                if (view[i] === 0x4D && view[i + 1] === 0x5A) { // MZ
-                    this.addThreat('Hidden Executable', 'Critical', `Executable binary header found inside a non-binary file. | LOG: Magic Header: 0x4D 0x5A (MZ) found at offset ${i}`);
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            for (let i = bytes.indexOf(0x4D); i !== -1 && i + 1 < bytes.length; i = bytes.indexOf(0x4D, i + 1)) {
+                if (bytes[i + 1] !== 0x5A) continue; // MZ
+                if (offset + i < 1024) {
+                    this.addThreat('Hidden Executable', 'Critical', `Executable binary header found inside a non-binary file. | LOG: Magic Header: 0x4D 0x5A (MZ) found at offset ${offset + i}`);
+                    break;
+                }
+                if (i + 64 > bytes.length) break;
+                const peOffset = view.getUint32(i + 60, true);
+                if (peOffset >= 64 && peOffset < 4096 && i + peOffset + 4 <= bytes.length && view.getUint32(i + peOffset, true) === 0x00004550) {
+                    this.addThreat('Hidden Executable', 'Critical', `Executable binary embedded inside a non-binary file. | LOG: MZ header at offset ${offset + i}, PE signature at offset ${offset + i + peOffset}`);
                     break;
                 }
             }
@@ -245,13 +877,13 @@ export class ShieldScanner {
                 const marker = text.includes('vbaProject.bin') ? 'vbaProject.bin' : 'word/vbaProject';
                 const start = text.indexOf(marker);
                 const info = this.getLineInfo(text, start);
-                this.addThreat('Office Macro Execution', 'High', `Microsoft Office (${name.split('.').pop().toUpperCase()}) file contains embedded VBA macros capable of executing malicious code. | LOG: [L${info.number}] ${info.content}`);
+                this.addThreat('Office Macro Execution', 'High', `Microsoft Office (${name.split('.').pop().toUpperCase()}) file contains embedded VBA macros capable of executing malicious code. | LOG: [L${info.number}] ${info.content}`, { line: info.number, snippet: info.content });
             }
         }
     }
 
     checkAutorun(text, name) {
-        if (text.includes('autorun.inf') || text.includes('[autorun]')) {
+        if (text.includes('autorun.inf') || text.includes('[autorun]') || name.toLowerCase() === 'autorun.inf') {
             this.addThreat('Auto-Run Config', 'Medium', 'Detection of auto-run configuration files.');
         }
     }
@@ -270,7 +902,8 @@ export class ShieldScanner {
         if (text.length > 1000 && (text.match(/[a-zA-Z0-9+/]{100,}/g) || []).length > 2) score++; // Base64 density
         if (score >= 2) {
             const info = firstMatchIndex !== -1 ? this.getLineInfo(text, firstMatchIndex) : { number: '?', content: 'Unknown' };
-            this.addThreat('Obfuscated Code', 'Low', `Highly obfuscated strings detected, common in malware payloads. | LOG: [L${info.number}] ${info.content}`);
+            const location = firstMatchIndex !== -1 ? { line: info.number, snippet: info.content } : {};
+            this.addThreat('Obfuscated Code', 'Low', `Highly obfuscated strings detected, common in malware payloads. | LOG: [L${info.number}] ${info.content}`, location);
         }
     }
 
@@ -280,12 +913,12 @@ export class ShieldScanner {
         if (found.length > 0) {
             const first = text.toLowerCase().indexOf(found[0]);
             const info = this.getLineInfo(text, first);
-            this.addThreat('Potential Phishing Content', 'Medium', `Document contains language typical of phishing attempts. | LOG: [L${info.number}] ${info.content}`);
+            this.addThreat('Potential Phishing Content', 'Medium', `Document contains language typical of phishing attempts. | LOG: [L${info.number}] ${info.content}`, { line: info.number, snippet: info.content });
         }
     }
 
-    checkNullPadding(buffer) {
-        const view = new Uint8Array(buffer);
+    checkNullPadding(tail) {
+        const view = tail;
         let nullCount = 0;
         for (let i = view.length - 1; i > Math.max(0, view.length - 1000); i--) {
             if (view[i] === 0) nullCount++;
@@ -299,15 +932,24 @@ export class ShieldScanner {
         if (text.includes('DDEAUTO') || text.includes('DDE ')) {
             const start = text.includes('DDEAUTO') ? text.indexOf('DDEAUTO') : text.indexOf('DDE ');
             const info = this.getLineInfo(text, start);
-            this.addThreat('DDE Exploit', 'High', `Potential Dynamic Data Exchange (DDE) exploit pattern detected. | LOG: [L${info.number}] ${info.content}`);
+            this.addThreat('DDE Exploit', 'High', `Potential Dynamic Data Exchange (DDE) exploit pattern detected. | LOG: [L${info.number}] ${info.content}`, { line: info.number, snippet: info.content });
         }
     }
 
-    checkHighEntropy(buffer) {
-        // Mock entropy check - truly high entropy needs more math, but we can flag very large, non-standard files
-        if (buffer.byteLength > 10 * 1024 * 1024 && !['mp4', 'mkv', 'zip'].includes(name.split('.').pop())) {
-            // Just a placeholder for the logic
-        }
+    checkHighEntropy(map, header, name) {
+        // Archives, media and PDFs are compressed by design; elsewhere random-looking bytes are packed or encrypted
+        if (COMPRESSED_EXTENSIONS.test(name) || COMPRESSED_MAGIC.some(magic => magic.every((byte, i) => header[i] === byte))) return;
+        const regions = highEntropyRegions(map);
+        const total = regions.reduce((sum, r) => sum + r.end - r.start, 0);
+        if (total < MIN_HIGH_ENTROPY_BYTES) return;
+
+        const executable = header[0] === 0x4D && header[1] === 0x5A;
+        const log = regions.slice(0, 3).map(r => `0x${r.start.toString(16)}-0x${r.end.toString(16)} (${r.entropy.toFixed(2)} bits/byte)`).join('; ');
+        this.addThreat(
+            executable ? 'Packed Executable' : 'High Entropy Data',
+            executable ? 'Medium' : 'Low',
+            `${Math.round(total / 1024)} KB of ${executable ? 'the executable' : 'the file'} look compressed or encrypted (overall ${map.overall.toFixed(2)} bits/byte). | LOG: ${log}${regions.length > 3 ? `; +${regions.length - 3} more` : ''}`
+        );
     }
 
     checkPolyglot(header, text) {
@@ -328,21 +970,20 @@ export class ShieldScanner {
         }
     }
 
-    checkStealthEOF(buffer, name) {
+    checkStealthEOF(tail, name) {
         // Logic: Search for multiple EOF markers in PDF or data after PNG IEND
-        const text = new TextDecoder().decode(buffer.slice(-100));
+        const text = new TextDecoder().decode(tail.slice(-100));
         if (name.endsWith('.pdf') && (text.match(/%%EOF/g) || []).length > 2) {
             this.addThreat('Stealth Payload', 'Medium', 'Multiple end-of-file markers detected. Could hide secondary payloads.');
         }
     }
 
     checkSuspiciousDomains(text) {
-        const suspicious = ['bit.ly', 'tinyurl.com', 'ipfs.io', 'ngrok-free.app'];
-        const found = suspicious.find(domain => text.includes(domain));
+        const found = findSuspiciousDomain(text);
         if (found) {
             const start = text.indexOf(found);
             const info = this.getLineInfo(text, start);
-            this.addThreat('Suspicious Link', 'Low', `Document contains links to URL shorteners or tunneling services. | LOG: [L${info.number}] ${info.content}`);
+            this.addThreat('Suspicious Link', 'Low', `Document contains links to URL shorteners or tunneling services. | LOG: [L${info.number}] ${info.content}`, { line: info.number, snippet: info.content });
         }
     }
 }
@@ -0,0 +1,167 @@
+/**
+ * SHIELD TEXT LAYER: Glyph-Accurate Text Extraction for Digital PDFs
+ *
+ * ROLE:
+ * Reads the embedded text layer of a PDF page through pdf.js and returns word and line
+ * boxes in the same shape Tesseract produces. PII detection can then run on exact
+ * positions without rasterizing or OCR, which is reserved for scanned pages.
+ *
+ * ARCHITECTURE:
+ * - Source: pdf.js getTextContent() items (string + transform + advance width)
+ * - Glyph Placement: Per-character advances measured with the item's font family and
+ *   scaled to the item's true width, so proportional fonts line up precisely
+ * - Geometry: Boxes are projected through the viewport (handles /Rotate and CropBox)
+ * - Grouping: Items are merged into lines by EOL markers and baseline changes
+ *
+ * OUTPUT SHAPE (Tesseract-compatible):
+ * { words: [{ text, bbox }], lines: [{ text, words }], width, height, charCount }
+ * bbox = { x0, y0, x1, y1 } in viewport pixels at the requested scale
+ *
+ * LINE INDEXING: indexLine()/spanRect() let text matchers run on whole lines and map
+ * character ranges back to the boxes of the words they touch.
+ */
+
+const SCANNED_PAGE_MIN_CHARS = 12;
+const ASCENT = 0.8;
+const DESCENT = -0.2;
+
+let measureContext = null;
+
+/**
+ * ADVANCE MEASUREMENT: Returns cumulative character offsets (0-1) along a text run
+ */
+function measureOffsets(str, fontFamily) {
+    if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+    measureContext.font = `100px ${fontFamily || 'sans-serif'}`;
+
+    const total = measureContext.measureText(str).width;
+    const offsets = [0];
+    for (let i = 1; i <= str.length; i++) {
+        offsets.push(total > 0 ? measureContext.measureText(str.slice(0, i)).width / total : i / str.length);
+    }
+    return offsets;
+}
+
+/**
+ * BOX PROJECTION: Maps a span of a text item to a viewport-space bounding box
+ */
+function spanBox(item, viewport, from, to) {
+    const [a, b, c, d, e, f] = item.transform;
+    const scale = Math.hypot(a, b) || 1;
+    const dir = [a / scale, b / scale];
+    const height = item.height || Math.hypot(c, d) || scale;
+    const up = [-dir[1], dir[0]];
+
+    const corners = [
+        [from, DESCENT], [to, DESCENT], [from, ASCENT], [to, ASCENT]
+    ].map(([along, rise]) => viewport.convertToViewportPoint(
+        e + dir[0] * along * item.width + up[0] * rise * height,
+        f + dir[1] * along * item.width + up[1] * rise * height
+    ));
+
+    const xs = corners.map(p => p[0]);
+    const ys = corners.map(p => p[1]);
+    return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+/**
+ * MASTER EXTRACTION: Builds word and line boxes for one pdf.js page
+ *
+ * @param {PDFPageProxy} page - pdf.js page
+ * @param {number} scale - Viewport scale the boxes should be expressed in
+ * @returns {Promise<object>} Tesseract-compatible { words, lines, width, height, charCount }
+ */
+export async function extractTextLayer(page, scale = 1) {
+    const viewport = page.getViewport({ scale });
+    const content = await page.getTextContent();
+    const words = [];
+    const lines = [];
+    let line = null;
+    let lastBaseline = null;
+    let charCount = 0;
+
+    const closeLine = () => {
+        if (line && line.words.length) {
+            line.text = line.words.map(w => w.text).join(' ');
+            lines.push(line);
+        }
+        line = null;
+    };
+
+    content.items.forEach(item => {
+        const str = item.str || '';
+        if (!str.trim() || !item.width) {
+            if (item.hasEOL) closeLine();
+            return;
+        }
+
+        // Baseline shift (perpendicular to writing direction) starts a new line
+        const [a, b, , , e, f] = item.transform;
+        const baseline = Math.abs(a) >= Math.abs(b) ? f : e;
+        if (line && lastBaseline !== null && Math.abs(baseline - lastBaseline) > (item.height || 1) * 0.5) closeLine();
+        lastBaseline = baseline;
+        if (!line) line = { text: '', words: [] };
+
+        const style = content.styles[item.fontName] || {};
+        const offsets = measureOffsets(str, style.fontFamily);
+        const pattern = /\S+/g;
+        let match;
+        while ((match = pattern.exec(str)) !== null) {
+            const word = {
+                text: match[0],
+                bbox: spanBox(item, viewport, offsets[match.index], offsets[match.index + match[0].length])
+            };
+            charCount += match[0].length;
+            words.push(word);
+            line.words.push(word);
+        }
+
+        if (item.hasEOL) closeLine();
+    });
+    closeLine();
+
+    return { words, lines, width: viewport.width, height: viewport.height, charCount };
+}
+
+/**
+ * SCAN CLASSIFIER: A page without a usable text layer needs OCR
+ * @param {object} layer - Result of extractTextLayer
+ * @returns {boolean} true when the page is effectively an image
+ */
+export function isScannedPage(layer) {
+    return layer.charCount < SCANNED_PAGE_MIN_CHARS;
+}
+
+/**
+ * LINE INDEX: Rebuilds a line from its words with single spaces, remembering word offsets
+ * @param {object} line - { words } from extractTextLayer or Tesseract
+ * @returns {{ text: string, spans: Array<{ start, end, word }> }}
+ */
+export function indexLine(line) {
+    const spans = [];
+    let text = '';
+    (line.words || []).forEach(word => {
+        const value = (word.text || '').trim();
+        if (!value) return;
+        if (text) text += ' ';
+        spans.push({ start: text.length, end: text.length + value.length, word });
+        text += value;
+    });
+    return { text, spans };
+}
+
+/**
+ * SPAN BOX: Normalized rect covering every word touched by the range [from, to)
+ * Whole words are always covered; partial boxes could leave glyph fragments visible.
+ * @returns {object|null} { x, y, w, h } relative to width/height, or null if no word is hit
+ */
+export function spanRect(spans, from, to, width, height) {
+    const hit = spans.filter(s => s.start < to && s.end > from).map(s => s.word.bbox);
+    if (!hit.length) return null;
+
+    const x0 = Math.min(...hit.map(b => b.x0));
+    const y0 = Math.min(...hit.map(b => b.y0));
+    const x1 = Math.max(...hit.map(b => b.x1));
+    const y1 = Math.max(...hit.map(b => b.y1));
+    return { x: x0 / width, y: y0 / height, w: (x1 - x0) / width, h: (y1 - y0) / height };
+}
@@ -0,0 +1,310 @@
+/**
+ * SHIELD VAULT BACKUP: Portable Backup and Restore of the Vault
+ *
+ * ROLE:
+ * The vault only lives in this browser's IndexedDB (ShieldVault, plus the PDF editor's
+ * ViewPortsDB), so clearing site data destroys it. A backup is one file that restores the
+ * whole vault, or a selection of projects, in any other browser.
+ *
+ * ARCHITECTURE:
+ * - Archive: ZIP (JSZip) with manifest.json; every project is stored decrypted as
+ *   projects/<n>/current.json (metadata) + current.bin (file), and each earlier version as
+ *   projects/<n>/v<m>.json/.bin, oldest first
+ * - Full backups also carry settings.json (settings, rule sets, detection rules, hash
+ *   lists, workflows) and the editor's working PDF. OCR language packs are left out: they are large
+ *   and can be downloaded again
+ * - Passphrase: The ZIP is wrapped in the Krypt packet format ([salt 16][iv 12][AES-GCM],
+ *   PBKDF2-SHA-256, 100,000 iterations), so the Krypt tool can open it as well
+ * - Restore: Projects whose id already exists are kept side by side under a new id,
+ *   replace the stored one (which stays in its version history) or are skipped. Rule sets,
+ *   detection rules, hash lists and workflows with a clashing id are added as "(imported)" copies
+ *   unless identical; existing settings win over imported ones. Workflows that are malformed or
+ *   use unknown steps are skipped, and so are vault internals (encryption config, retention)
+ *   and unknown setting ids
+ *
+ * DEPENDENCIES: window.JSZip (global), ShieldStorage, StorageManager (PDF editor DB)
+ *
+ * USAGE:
+ *   const { blob, fileName } = await createVaultBackup({ passphrase });
+ *   const summary = await restoreVaultBackup(file, { passphrase, conflict: 'keep-both' });
+ */
+
+import { shieldStorage, DEFAULT_VERSION_RETENTION } from './shield-redactor-storage.js';
+import { normalizeWorkflow } from './workflow-steps.js';
+import { StorageManager } from './pdf-editor/StorageManager.js';
+
+export const BACKUP_FORMAT = 'shield-vault-backup';
+export const BACKUP_VERSION = 1;
+
+export const CONFLICT_POLICIES = [
+    { id: 'keep-both', label: 'Keep both (imported copy gets a new id)' },
+    { id: 'replace', label: 'Replace (current state stays in history)' },
+    { id: 'skip', label: 'Skip existing projects' }
+];
+
+const KRYPT_ITERATIONS = 100000;
+
+/**
+ * BACKUP: Builds the archive
+ * @param {object} [options]
+ * @param {string[]|null} [options.projectIds] - Selection; null backs up the whole vault
+ * @param {string} [options.passphrase] - Encrypts the archive when set
+ * @param {function} [options.onProgress] - (message) during the export
+ * @returns {Promise<object>} { blob, fileName, manifest }
+ */
+export async function createVaultBackup({ projectIds = null, passphrase = '', onProgress = () => {} } = {}) {
+    const zip = new window.JSZip();
+    const full = !projectIds;
+    const ids = full ? (await shieldStorage.getProjectIndex()).map(p => p.id) : projectIds;
+    const manifest = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        scope: full ? 'full' : 'selection',
+        projects: [],
+        settings: null,
+        editor: null
+    };
+
+    for (const [i, id] of ids.entries()) {
+        const project = await shieldStorage.getProject(id);
+        if (!project) continue;
+        onProgress(`Exporting project ${i + 1} / ${ids.length}...`);
+        const path = `projects/${String(i + 1).padStart(4, '0')}`;
+        await addSnapshot(zip, `${path}/current`, project);
+
+        const versions = (await shieldStorage.getProjectVersions(id)).filter(v => !v.current).reverse();
+        const versionEntries = [];
+        for (const [n, version] of versions.entries()) {
+            const snapshot = await shieldStorage.getProjectVersion(version.versionId);
+            const versionPath = `${path}/v${String(n + 1).padStart(4, '0')}`;
+            await addSnapshot(zip, versionPath, snapshot);
+            versionEntries.push({ path: versionPath, archivedAt: version.archivedAt });
+        }
+
+        const entry = await shieldStorage.getCatalogEntry(id);
+        manifest.projects.push({
+            id,
+            name: project.name || null,
+            tool: project.tool || null,
+            updatedAt: project.updatedAt || null,
+            path: `${path}/current`,
+            versions: versionEntries,
+            retention: await shieldStorage.getVersionRetention(id),
+            folder: entry ? entry.folder : '',
+            tags: entry ? entry.tags : []
+        });
+    }
+
+    if (full) {
+        onProgress('Exporting settings and rules...');
+        zip.file('settings.json', JSON.stringify({
+            settings: await shieldStorage.getAllSettings(),
+            ruleSets: await shieldStorage.getAllRuleSets(),
+            detectionRules: await shieldStorage.getAllRuleFiles(),
+            hashLists: await shieldStorage.getAllHashLists(),
+            workflows: await shieldStorage.getAllWorkflows()
+        }, null, 2));
+        manifest.settings = 'settings.json';
+        manifest.editor = await addEditorFile(zip);
+    }
+
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+    onProgress('Compressing...');
+    const bytes = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+    const date = manifest.createdAt.slice(0, 10);
+
+    if (!passphrase) {
+        return { blob: new Blob([bytes], { type: 'application/zip' }), fileName: `shield-vault-backup-${date}.zip`, manifest };
+    }
+    onProgress('Encrypting...');
+    return { blob: new Blob([await kryptEncrypt(bytes, passphrase)]), fileName: `shield-vault-backup-${date}.zip.krypt`, manifest };
+}
+
+// Snapshot → <path>.json (metadata and file info) + <path>.bin (file bytes)
+async function addSnapshot(zip, path, project) {
+    const { file, ...meta } = project;
+    const fileInfo = file ? { name: file.name ?? null, type: file.type || '', lastModified: file.lastModified ?? null } : null;
+    zip.file(`${path}.json`, JSON.stringify({ ...meta, file: fileInfo }, null, 2));
+    if (file) zip.file(`${path}.bin`, new Uint8Array(await file.arrayBuffer()));
+}
+
+async function readSnapshot(zip, path) {
+    const { file: info, ...meta } = JSON.parse(await readEntry(zip, `${path}.json`, 'string'));
+    if (!info) return { ...meta, file: null };
+    const bytes = await readEntry(zip, `${path}.bin`, 'uint8array');
+    const file = info.name !== null
+        ? new File([bytes], info.name, { type: info.type, lastModified: info.lastModified ?? Date.now() })
+        : new Blob([bytes], { type: info.type });
+    return { ...meta, file };
+}
+
+async function readEntry(zip, path, type) {
+    const entry = zip.file(path);
+    if (!entry) throw new Error(`Backup is incomplete: ${path} is missing.`);
+    return entry.async(type);
+}
+
+// The PDF editor keeps one working file (bytes or a base64/data-URL string)
+async function addEditorFile(zip) {
+    const editor = new StorageManager();
+    const data = await editor.getPdf();
+    if (!data) return null;
+    const fileName = await editor.getFileName();
+    if (typeof data === 'string') {
+        zip.file('editor/current.txt', data);
+        return { path: 'editor/current.txt', kind: 'text', fileName };
+    }
+    const bytes = data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+    zip.file('editor/current.bin', bytes);
+    return { path: 'editor/current.bin', kind: 'binary', fileName };
+}
+
+/**
+ * ENCRYPTED CHECK: A plain backup is a ZIP; anything else is treated as a Krypt packet
+ */
+export function isEncryptedBackup(bytes) {
+    return !(bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04);
+}
+
+async function kryptKey(passphrase, salt) {
+    return shieldStorage.deriveVaultKey(passphrase, salt, KRYPT_ITERATIONS);
+}
+
+async function kryptEncrypt(bytes, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await kryptKey(passphrase, salt), bytes);
+    const packet = new Uint8Array(28 + data.byteLength);
+    packet.set(salt, 0);
+    packet.set(iv, 16);
+    packet.set(new Uint8Array(data), 28);
+    return packet;
+}
+
+async function kryptDecrypt(packet, passphrase) {
+    try {
+        const key = await kryptKey(passphrase, packet.slice(0, 16));
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: packet.slice(16, 28) }, key, packet.slice(28)));
+    } catch {
+        throw new Error('Incorrect backup passphrase or damaged backup file.');
+    }
+}
+
+/**
+ * READ: Opens a backup file and validates its manifest
+ * @returns {Promise<object>} { manifest, zip }
+ * @throws {Error} When a passphrase is needed, wrong, or the file is not a vault backup
+ */
+export async function readVaultBackup(file, passphrase = '') {
+    let bytes = new Uint8Array(await file.arrayBuffer());
+    if (isEncryptedBackup(bytes)) {
+        if (!passphrase) throw new Error('This backup is encrypted. Enter its passphrase.');
+        bytes = await kryptDecrypt(bytes, passphrase);
+    }
+
+    let zip;
+    try {
+        zip = await window.JSZip.loadAsync(bytes);
+    } catch {
+        throw new Error('Not a Shield vault backup.');
+    }
+    const manifestEntry = zip.file('manifest.json');
+    const manifest = manifestEntry ? JSON.parse(await manifestEntry.async('string')) : null;
+    if (!manifest || manifest.format !== BACKUP_FORMAT) throw new Error('Not a Shield vault backup.');
+    if (manifest.version > BACKUP_VERSION) throw new Error('This backup was made by a newer version and cannot be restored here.');
+    return { manifest, zip };
+}
+
+/**
+ * RESTORE: Imports a backup into this browser's vault
+ * @param {File|Blob} file - Backup archive (.zip or .zip.krypt)
+ * @param {object} [options]
+ * @param {string} [options.passphrase] - For encrypted backups
+ * @param {string} [options.conflict] - An id from CONFLICT_POLICIES
+ * @param {boolean} [options.restoreEditor] - Overwrite the PDF editor's working file
+ * @param {function} [options.onProgress] - (message) during the import
+ * @returns {Promise<object>} { projects, versions, renamed, replaced, skipped, settings, editor }
+ */
+export async function restoreVaultBackup(file, { passphrase = '', conflict = 'keep-both', restoreEditor = false, onProgress = () => {} } = {}) {
+    const { manifest, zip } = await readVaultBackup(file, passphrase);
+    const existing = new Set((await shieldStorage.getProjectIndex()).map(p => p.id));
+    const summary = { projects: 0, versions: 0, renamed: 0, replaced: 0, skipped: 0, settings: 0, editor: false };
+
+    for (const [i, item] of manifest.projects.entries()) {
+        onProgress(`Restoring project ${i + 1} / ${manifest.projects.length}...`);
+        let id = item.id;
+        if (existing.has(id)) {
+            if (conflict === 'skip') {
+                summary.skipped++;
+                continue;
+            }
+            if (conflict === 'replace') summary.replaced++;
+            else {
+                id = `proj_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+                summary.renamed++;
+            }
+        }
+
+        const project = await readSnapshot(zip, item.path);
+        const versions = [];
+        for (const version of item.versions || []) {
+            versions.push({ archivedAt: version.archivedAt, project: await readSnapshot(zip, version.path) });
+        }
+        if (item.retention !== undefined && item.retention !== DEFAULT_VERSION_RETENTION) {
+            await shieldStorage.setVersionRetention(id, item.retention);
+        }
+        await shieldStorage.importProject({ ...project, id }, versions);
+        if (item.folder || (item.tags && item.tags.length)) {
+            await shieldStorage.updateCatalogEntry(id, { folder: item.folder || '', tags: item.tags || [] });
+        }
+        existing.add(id);
+        summary.projects++;
+        summary.versions += versions.length;
+    }
+
+    if (manifest.settings) {
+        onProgress('Restoring settings and rules...');
+        summary.settings = await restoreSettings(JSON.parse(await readEntry(zip, manifest.settings, 'string')));
+    }
+
+    if (restoreEditor && manifest.editor) {
+        const editor = new StorageManager();
+        const data = manifest.editor.kind === 'text'
+            ? await readEntry(zip, manifest.editor.path, 'string')
+            : (await readEntry(zip, manifest.editor.path, 'uint8array')).slice().buffer;
+        await editor.savePdf(data);
+        if (manifest.editor.fileName) await editor.saveFileName(manifest.editor.fileName);
+        summary.editor = true;
+    }
+    return summary;
+}
+
+// Rule sets, detection rules, hash lists and workflows merge by id; settings only fill gaps
+async function restoreSettings(data) {
+    let restored = 0;
+    const merge = async (items, current, save) => {
+        const byId = new Map(current.map(item => [item.id, item]));
+        for (const item of items || []) {
+            const stored = byId.get(item.id);
+            if (stored && JSON.stringify(stored) === JSON.stringify(item)) continue;
+            await save(stored ? { ...item, id: `${item.id}_${Date.now().toString(36)}`, name: `${item.name || item.id} (imported)` } : item);
+            restored++;
+        }
+    };
+    await merge(data.ruleSets, await shieldStorage.getAllRuleSets(), item => shieldStorage.saveRuleSet(item));
+    await merge(data.detectionRules, await shieldStorage.getAllRuleFiles(), item => shieldStorage.saveRuleFile(item));
+    await merge(data.hashLists, await shieldStorage.getAllHashLists(), item => shieldStorage.saveHashList(item));
+    // Workflows are rendered and run by the builder: only well-formed ones with known steps
+    const workflows = (Array.isArray(data.workflows) ? data.workflows : []).map(normalizeWorkflow).filter(Boolean);
+    await merge(workflows, (await shieldStorage.getAllWorkflows()).map(w => normalizeWorkflow(w) || w), item => shieldStorage.saveWorkflow(item));
+
+    const settings = new Set((await shieldStorage.getAllSettings()).map(s => s.id));
+    for (const { id, value } of data.settings || []) {
+        // Internal records (encryption config, retention) and unknown ids are never written
+        if (!shieldStorage.isPortableSetting(id) || settings.has(id)) continue;
+        await shieldStorage.saveSetting(id, value);
+        restored++;
+    }
+    return restored;
+}
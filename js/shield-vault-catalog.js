@@ -0,0 +1,151 @@
+/**
+ * SHIELD VAULT CATALOG: Search Text, Filtering and Sorting for the Vault View
+ *
+ * ROLE:
+ * Keeps a large vault usable: projects are found by name, folder, tag or the text inside
+ * their files, and listed in the order the user picks.
+ *
+ * ARCHITECTURE:
+ * - Extraction: extractSearchText() reads the text of a saved file once per save: the
+ *   pdf.js text layer for PDFs, the XML text runs of Word/Excel/PowerPoint files and plain
+ *   text formats as is. Images have no text to index (OCR is not run for search)
+ * - Entries: ShieldStorage keeps the result in the project's catalog entry together with
+ *   its folder and tags (see CATALOG in shield-redactor-storage.js)
+ * - Search: Every whitespace-separated term must occur in the name, tool, folder, a tag or
+ *   the extracted text (case-insensitive)
+ *
+ * DEPENDENCIES: pdfjsLib, window.JSZip (globals)
+ */
+
+// Extraction bounds, so one huge file cannot stall indexing or bloat the catalog
+const MAX_INDEX_PAGES = 500;
+const MAX_INDEX_CHARS = 500000;
+const MAX_TEXT_FILE_SIZE = 16 << 20;
+
+const TEXT_EXTENSIONS = /\.(txt|csv|tsv|md|json|xml|html?|eml|log|rtf|svg)$/i;
+const OOXML_PARTS = /^(word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml|xl\/sharedStrings\.xml|ppt\/slides\/slide\d+\.xml)$/;
+
+export const SORT_ORDERS = [
+    { id: 'date-desc', label: 'Newest first' },
+    { id: 'date-asc', label: 'Oldest first' },
+    { id: 'size-desc', label: 'Largest first' },
+    { id: 'size-asc', label: 'Smallest first' },
+    { id: 'name', label: 'Name' },
+    { id: 'tool', label: 'Tool' }
+];
+
+/**
+ * TEXT EXTRACTION: Searchable text of a saved file ('' when it has none)
+ * @param {Blob|File} file - Project file
+ * @param {string} [name] - File name when the Blob has none
+ */
+export async function extractSearchText(file, name = file && file.name) {
+    if (!file) return '';
+    const fileName = name || '';
+    const type = file.type || '';
+
+    if (type === 'application/pdf' || /\.pdf$/i.test(fileName)) {
+        const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()), isEvalSupported: false }).promise;
+        const parts = [];
+        let length = 0;
+        try {
+            for (let i = 1; i <= Math.min(pdf.numPages, MAX_INDEX_PAGES) && length < MAX_INDEX_CHARS; i++) {
+                const page = await pdf.getPage(i);
+                const content = await page.getTextContent();
+                const text = content.items.map(item => item.str).join(' ');
+                parts.push(text);
+                length += text.length;
+            }
+        } finally {
+            pdf.destroy();
+        }
+        return normalizeText(parts.join('\n'));
+    }
+
+    if (/\.(docx|docm|xlsx|xlsm|pptx|pptm)$/i.test(fileName) || type.includes('officedocument')) {
+        const zip = await window.JSZip.loadAsync(await file.arrayBuffer());
+        const parts = [];
+        for (const path of Object.keys(zip.files).filter(p => OOXML_PARTS.test(p)).sort()) {
+            const xml = await zip.file(path).async('string');
+            parts.push(xml.replace(/<\/(w:p|a:p|si)>/g, '\n').replace(/<[^>]+>/g, ''));
+        }
+        return normalizeText(decodeEntities(parts.join('\n')));
+    }
+
+    if ((type.startsWith('text/') || TEXT_EXTENSIONS.test(fileName)) && file.size <= MAX_TEXT_FILE_SIZE) {
+        return normalizeText(await file.text());
+    }
+    return '';
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+        const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity.toLowerCase()];
+        if (named) return named;
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    });
+}
+
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim().slice(0, MAX_INDEX_CHARS);
+}
+
+/**
+ * TAG PARSER: "Contract, client a,contract" → ['Contract', 'client a'] (case-insensitive dedupe)
+ */
+export function parseTags(text) {
+    const seen = new Set();
+    return String(text || '').split(',').map(t => t.trim()).filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * SEARCH: Whether every term of the query occurs in the project or its catalog entry
+ * @param {object} project - Index entry ({ name, tool, ... })
+ * @param {object|undefined} entry - Catalog entry ({ folder, tags, text })
+ */
+export function matchesQuery(project, entry, query) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.length) return true;
+    const haystack = [
+        project.name,
+        project.tool,
+        entry && entry.folder,
+        ...(entry ? entry.tags : []),
+        entry && entry.text
+    ].filter(Boolean).join('\n').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * SORTING: Returns a sorted copy of the project index
+ * @param {string} order - An id from SORT_ORDERS
+ */
+export function sortProjects(projects, order) {
+    const time = p => Date.parse(p.updatedAt || 0) || 0;
+    const text = value => String(value || '').toLowerCase();
+    const compare = {
+        'date-desc': (a, b) => time(b) - time(a),
+        'date-asc': (a, b) => time(a) - time(b),
+        'size-desc': (a, b) => (b.size || 0) - (a.size || 0),
+        'size-asc': (a, b) => (a.size || 0) - (b.size || 0),
+        name: (a, b) => text(a.name).localeCompare(text(b.name)),
+        tool: (a, b) => text(a.tool).localeCompare(text(b.tool)) || time(b) - time(a)
+    }[order] || ((a, b) => time(b) - time(a));
+    return projects.slice().sort(compare);
+}
+
+/**
+ * SIZE FORMAT: Bytes → "1.4 MB"
+ */
+export function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
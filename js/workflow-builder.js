@@ -0,0 +1,391 @@
+/**
+ * WORKFLOW BUILDER
+ *
+ * ROLE:
+ * Editor and launcher for tool pipelines (see workflow-steps.js): pick the tools in order,
+ * set each step's options once, save, then drop files to run the whole chain.
+ *
+ * ARCHITECTURE:
+ * - Editing: The selected workflow is edited as a copy; SAVE (or starting a run) writes it
+ *   to the vault's 'workflows' store. Option fields are generated from WORKFLOW_STEPS
+ * - Running: Dropped/selected files run one after another with a status row each; the
+ *   Krypt cipher key is read from the run panel and never saved
+ * - Output: Each finished file offers its final output and attachments; DOWNLOAD ALL bundles
+ *   everything in one ZIP (JSZip). Intermediate results sit in the vault (folder
+ *   "Workflow: <name>") when "keep intermediates" is on
+ *
+ * DEPENDENCIES:
+ * - workflow-steps.js (step registry and runner)
+ * - shield-redactor-storage.js (workflows, rule sets)
+ * - JSZip (global) for DOWNLOAD ALL
+ */
+
+import { shieldStorage } from './shield-redactor-storage.js';
+import { WORKFLOW_STEPS, createWorkflow, createStep, needsPassphrase, describeWorkflow, runWorkflow } from './workflow-steps.js';
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 100);
+}
+
+/**
+ * INITIALIZATION: Binds the builder and run panel
+ * @param {object} config - Configuration with element IDs
+ */
+export function init(config) {
+    const elements = {};
+    [
+        'workflowSelectId', 'workflowNameId', 'newBtnId', 'deleteBtnId', 'saveBtnId', 'stepsId',
+        'addStepSelectId', 'addStepBtnId', 'keepIntermediatesId', 'summaryId', 'dropZoneId',
+        'fileInputId', 'passphraseRowId', 'passphraseId', 'resultsId', 'downloadAllBtnId', 'cancelBtnId'
+    ].forEach(key => { elements[key] = document.getElementById(config[key]); });
+    if (!elements.stepsId) return;
+
+    let workflows = [];
+    let current = null;
+    let ruleSets = [];
+    let results = [];
+    let running = null; // AbortController of the active run
+
+    elements.addStepSelectId.innerHTML = Object.entries(WORKFLOW_STEPS)
+        .map(([id, step]) => `<option value="${id}">${escapeHtml(step.label)} (${escapeHtml(step.input)})</option>`)
+        .join('');
+
+    /**
+     * LOADER: Reads saved workflows and rule sets (for the redact step's picker)
+     */
+    async function loadWorkflows(selectId = current && current.id) {
+        try {
+            workflows = await shieldStorage.getAllWorkflows();
+        } catch (err) {
+            console.error('Workflow Load Error:', err);
+            workflows = [];
+        }
+        // Rule sets are sealed in an encrypted vault; a locked vault leaves the picker empty
+        try {
+            ruleSets = await shieldStorage.getAllRuleSets();
+        } catch (err) {
+            console.error('Rule Set Load Error:', err);
+            ruleSets = [];
+        }
+        workflows.sort((a, b) => a.name.localeCompare(b.name));
+        ruleSets.sort((a, b) => a.name.localeCompare(b.name));
+        const selected = workflows.find(w => w.id === selectId) || workflows[0];
+        current = selected ? structuredClone(selected) : createWorkflow('My Workflow');
+        render();
+    }
+
+    /**
+     * RENDER: Workflow picker, steps with their option fields and the run panel state
+     */
+    function render() {
+        const saved = workflows.some(w => w.id === current.id);
+        elements.workflowSelectId.innerHTML = workflows.map(w =>
+            `<option value="${escapeHtml(w.id)}" ${w.id === current.id ? 'selected' : ''}>${escapeHtml(w.name)}</option>`
+        ).join('') + (saved ? '' : `<option value="${escapeHtml(current.id)}" selected>${escapeHtml(current.name)} (unsaved)</option>`);
+        elements.workflowNameId.value = current.name;
+        elements.keepIntermediatesId.checked = current.keepIntermediates !== false;
+        elements.deleteBtnId.disabled = !saved;
+        if (elements.summaryId) elements.summaryId.textContent = describeWorkflow(current);
+        if (elements.passphraseRowId) elements.passphraseRowId.style.display = needsPassphrase(current) ? 'flex' : 'none';
+
+        elements.stepsId.innerHTML = current.steps.map((step, i) => {
+            const definition = WORKFLOW_STEPS[step.tool];
+            if (!definition) return `<div class="workflow-step"><div class="workflow-step-head"><span>${i + 1}. Unknown step "${escapeHtml(step.tool)}"</span><button class="workflow-step-remove" data-index="${i}" title="Remove">×</button></div></div>`;
+            const fields = definition.options.map(option => renderField(option, step.options[option.id] ?? option.default, i)).join('');
+            return `
+                <div class="workflow-step" data-index="${i}">
+                    <div class="workflow-step-head">
+                        <span>${i + 1}. ${escapeHtml(definition.label)} <small>${escapeHtml(definition.input)}</small></span>
+                        <span>
+                            <button class="workflow-step-up" data-index="${i}" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                            <button class="workflow-step-down" data-index="${i}" title="Move down" ${i === current.steps.length - 1 ? 'disabled' : ''}>↓</button>
+                            <button class="workflow-step-remove" data-index="${i}" title="Remove">×</button>
+                        </span>
+                    </div>
+                    ${fields ? `<div class="workflow-step-options">${fields}</div>` : ''}
+                    ${definition.passphrase ? '<div class="workflow-step-note">The cipher key is asked for when the workflow runs and is never saved.</div>' : ''}
+                </div>`;
+        }).join('') || '<div class="workflow-empty">No steps yet. Add the first tool below.</div>';
+
+        bindSteps();
+    }
+
+    function renderField(option, value, index) {
+        const attrs = `data-index="${index}" data-option="${option.id}"`;
+        if (option.type === 'checkbox') {
+            return `<label class="workflow-field workflow-field-check"><input type="checkbox" ${attrs} ${value ? 'checked' : ''}> ${escapeHtml(option.label)}</label>`;
+        }
+        if (option.type === 'number') {
+            return `<label class="workflow-field">${escapeHtml(option.label)}<input type="number" min="1" ${attrs} value="${escapeHtml(value)}"></label>`;
+        }
+        const choices = option.type === 'ruleset'
+            ? [{ value: '', label: 'None' }, ...(ruleSets.length ? [{ value: '__all__', label: `All rule sets (${ruleSets.length})` }] : []), ...ruleSets.map(set => ({ value: set.id, label: set.name }))]
+            : option.choices;
+        const missing = value && !choices.some(c => String(c.value) === String(value));
+        return `<label class="workflow-field">${escapeHtml(option.label)}<select ${attrs}>
+            ${choices.map(c => `<option value="${escapeHtml(c.value)}" ${String(c.value) === String(value) ? 'selected' : ''}>${escapeHtml(c.label)}</option>`).join('')}
+            ${missing ? `<option value="${escapeHtml(value)}" selected>Missing (${escapeHtml(value)})</option>` : ''}
+        </select></label>`;
+    }
+
+    function bindSteps() {
+        elements.stepsId.querySelectorAll('[data-option]').forEach(input => {
+            input.onchange = () => {
+                const step = current.steps[input.dataset.index];
+                const option = WORKFLOW_STEPS[step.tool].options.find(o => o.id === input.dataset.option);
+                step.options[option.id] = option.type === 'checkbox' ? input.checked
+                    : option.type === 'number' ? Number(input.value) || option.default
+                        : input.value;
+            };
+        });
+        const move = (selector, offset) => {
+            elements.stepsId.querySelectorAll(selector).forEach(btn => {
+                btn.onclick = () => {
+                    const i = Number(btn.dataset.index);
+                    const [step] = current.steps.splice(i, 1);
+                    if (offset !== null) current.steps.splice(i + offset, 0, step);
+                    render();
+                };
+            });
+        };
+        move('.workflow-step-up', -1);
+        move('.workflow-step-down', 1);
+        move('.workflow-step-remove', null);
+    }
+
+    /**
+     * PERSISTENCE: Saves the edited copy and reloads the list
+     */
+    async function saveCurrent() {
+        current.name = elements.workflowNameId.value.trim() || 'Untitled Workflow';
+        current.keepIntermediates = elements.keepIntermediatesId.checked;
+        await shieldStorage.saveWorkflow(current);
+        await loadWorkflows(current.id);
+    }
+
+    elements.workflowSelectId.onchange = () => {
+        const selected = workflows.find(w => w.id === elements.workflowSelectId.value);
+        if (selected) current = structuredClone(selected);
+        render();
+    };
+
+    elements.workflowNameId.oninput = () => {
+        current.name = elements.workflowNameId.value;
+    };
+
+    elements.keepIntermediatesId.onchange = () => {
+        current.keepIntermediates = elements.keepIntermediatesId.checked;
+    };
+
+    elements.addStepBtnId.onclick = () => {
+        current.steps.push(createStep(elements.addStepSelectId.value));
+        render();
+    };
+
+    elements.newBtnId.onclick = () => {
+        current = createWorkflow('New Workflow');
+        render();
+        elements.workflowNameId.focus();
+        elements.workflowNameId.select();
+    };
+
+    elements.deleteBtnId.onclick = async () => {
+        if (!confirm(`Delete the workflow "${current.name}"? Results already in the vault are kept.`)) return;
+        try {
+            await shieldStorage.deleteWorkflow(current.id);
+            current = null;
+            await loadWorkflows();
+        } catch (err) {
+            console.error(err);
+            alert('Delete failed: ' + err.message);
+        }
+    };
+
+    elements.saveBtnId.onclick = async () => {
+        const originalText = elements.saveBtnId.innerText;
+        elements.saveBtnId.disabled = true;
+        elements.saveBtnId.innerText = 'SAVING...';
+        try {
+            await saveCurrent();
+        } catch (err) {
+            console.error(err);
+            alert('Save failed: ' + err.message);
+        } finally {
+            elements.saveBtnId.disabled = false;
+            elements.saveBtnId.innerText = originalText;
+        }
+    };
+
+    // --- RUNNING ---
+
+    /**
+     * RUN: Saves the workflow, then sends the files through it
+     * @param {File[]} files - Dropped or selected files
+     */
+    async function runFiles(files) {
+        if (!files.length || running) return;
+        if (!current.steps.length) {
+            alert('Add at least one step before running the workflow.');
+            return;
+        }
+        const passphrase = elements.passphraseId ? elements.passphraseId.value : '';
+        if (needsPassphrase(current) && !passphrase) {
+            alert('A Cipher Key is required for the Krypt step.');
+            if (elements.passphraseId) elements.passphraseId.focus();
+            return;
+        }
+
+        try {
+            await saveCurrent();
+        } catch (err) {
+            console.error(err);
+            alert('Save failed: ' + err.message);
+            return;
+        }
+
+        const workflow = structuredClone(current);
+        running = new AbortController();
+        results = files.map(file => ({ name: file.name, output: null, attachments: [], log: [], error: null, status: 'Queued' }));
+        renderResults();
+        if (elements.cancelBtnId) elements.cancelBtnId.style.display = 'inline-block';
+        if (elements.downloadAllBtnId) elements.downloadAllBtnId.style.display = 'none';
+
+        try {
+            const finished = await runWorkflow(workflow, files, {
+                passphrase,
+                signal: running.signal,
+                onProgress: ({ file, step, message }) => {
+                    const label = step < workflow.steps.length ? `Step ${step + 1}/${workflow.steps.length}: ${message}` : message;
+                    results[file].status = label;
+                    renderResultStatus(file);
+                }
+            });
+            results = finished.map(result => ({ ...result, status: result.error ? 'Failed' : 'Done' }));
+        } catch (err) {
+            console.error('Workflow Error:', err);
+            alert('Workflow failed: ' + err.message);
+        } finally {
+            running = null;
+            if (elements.passphraseId) elements.passphraseId.value = '';
+            if (elements.cancelBtnId) elements.cancelBtnId.style.display = 'none';
+            if (elements.fileInputId) elements.fileInputId.value = '';
+            renderResults();
+        }
+    }
+
+    function renderResultStatus(index) {
+        const row = elements.resultsId.querySelector(`.workflow-result[data-index="${index}"] .workflow-result-status`);
+        if (row) row.textContent = results[index].status;
+    }
+
+    /**
+     * RESULTS: One row per file with its step log, output and attachments
+     */
+    function renderResults() {
+        elements.resultsId.innerHTML = results.map((result, i) => `
+            <div class="workflow-result${result.error ? ' failed' : result.output ? ' done' : ''}" data-index="${i}">
+                <div class="workflow-result-head">
+                    <span class="workflow-result-name">${escapeHtml(result.name)}</span>
+                    <span class="workflow-result-status">${escapeHtml(result.status)}</span>
+                </div>
+                ${result.log.map(entry => `<div class="workflow-result-log">${entry.step}. ${escapeHtml(entry.label)}${entry.note ? ` · ${escapeHtml(entry.note)}` : ''}${entry.projectId ? ' · kept in vault' : ''}</div>`).join('')}
+                ${result.error ? `<div class="workflow-result-error">${escapeHtml(result.error)}</div>` : ''}
+                ${result.output ? `<button class="workflow-result-download" data-index="${i}">↓ ${escapeHtml(result.output.name)}</button>` : ''}
+                ${result.attachments.map((a, j) => `<button class="workflow-result-attachment" data-index="${i}" data-attachment="${j}">↓ ${escapeHtml(a.name)}</button>`).join('')}
+            </div>
+        `).join('');
+
+        elements.resultsId.querySelectorAll('.workflow-result-download').forEach(btn => {
+            btn.onclick = () => {
+                const { output } = results[btn.dataset.index];
+                downloadBlob(output.blob, output.name);
+            };
+        });
+        elements.resultsId.querySelectorAll('.workflow-result-attachment').forEach(btn => {
+            btn.onclick = () => {
+                const attachment = results[btn.dataset.index].attachments[btn.dataset.attachment];
+                downloadBlob(attachment.blob, attachment.name);
+            };
+        });
+
+        const outputs = results.filter(r => r.output).length;
+        if (elements.downloadAllBtnId) elements.downloadAllBtnId.style.display = !running && outputs ? 'inline-block' : 'none';
+    }
+
+    /**
+     * DOWNLOAD ALL: Every output and attachment of the last run in one ZIP
+     */
+    if (elements.downloadAllBtnId) {
+        elements.downloadAllBtnId.onclick = async () => {
+            const zip = new window.JSZip();
+            const used = new Set();
+            const add = (name, blob) => {
+                let path = name.replace(/[\\/:*?"<>|]+/g, '_');
+                for (let n = 2; used.has(path.toLowerCase()); n++) path = name.replace(/(\.[^.]*)?$/, ` (${n})$1`);
+                used.add(path.toLowerCase());
+                zip.file(path, blob);
+            };
+            results.filter(r => r.output).forEach(r => {
+                add(r.output.name, r.output.blob);
+                r.attachments.forEach(a => add(a.name, a.blob));
+            });
+            const blob = await zip.generateAsync({ type: 'blob' });
+            const slug = current.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'workflow';
+            downloadBlob(blob, `${slug}-${new Date().toISOString().slice(0, 10)}.zip`);
+        };
+    }
+
+    if (elements.cancelBtnId) {
+        elements.cancelBtnId.onclick = () => {
+            if (running) running.abort();
+        };
+    }
+
+    if (elements.dropZoneId) {
+        elements.dropZoneId.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            elements.dropZoneId.classList.add('dragover');
+        });
+        elements.dropZoneId.addEventListener('dragleave', (e) => {
+            e.preventDefault();
+            elements.dropZoneId.classList.remove('dragover');
+        });
+        elements.dropZoneId.addEventListener('drop', (e) => {
+            e.preventDefault();
+            elements.dropZoneId.classList.remove('dragover');
+            runFiles([...e.dataTransfer.files]);
+        });
+        elements.dropZoneId.addEventListener('click', () => {
+            if (elements.fileInputId) elements.fileInputId.click();
+        });
+    }
+
+    if (elements.fileInputId) {
+        elements.fileInputId.addEventListener('change', () => runFiles([...elements.fileInputId.files]));
+    }
+
+    /**
+     * RESET: Clears the last run's results (the workflow stays selected); reloads the
+     * saved workflows so rule sets created meanwhile show up
+     */
+    function reset() {
+        if (running) return;
+        results = [];
+        renderResults();
+        if (elements.passphraseId) elements.passphraseId.value = '';
+        loadWorkflows();
+    }
+
+    window.resetWorkflowBuilder = reset;
+    loadWorkflows();
+}
@@ -0,0 +1,432 @@
+/**
+ * WORKFLOW STEPS: Tool Pipelines Across the Suite
+ *
+ * ROLE:
+ * Chains the suite's tools into one run ("scan → redact → compress PDF → encrypt"), so a
+ * sequence repeated many times a day is configured once and applied to dropped files.
+ *
+ * ARCHITECTURE:
+ * - Model: { id, name, steps: [{ tool, options }], keepIntermediates } in the ShieldStorage
+ *   'workflows' store; options hold every setting of a step except passphrases, which are
+ *   asked for at run time and never stored
+ * - Steps: WORKFLOW_STEPS maps a tool id to its label, the option fields the builder shows,
+ *   accepts(item) and run(item, options, context). An item is { blob, name }; a step returns
+ *   a new item, or { note } only when it passes the file on unchanged (scan). The tools'
+ *   headless engines do the work (imageToPdf, pdfToJpg, pdfToDocx, compressImageFile,
+ *   autoRedactFile, GhostscriptManager / CompressionManager, KRYPT.encrypt)
+ * - Runs: Files go through the steps one after another; a failing step stops that file only.
+ *   With keepIntermediates every step output is saved to the vault as its own project
+ *   ({ workflow: { id, name, runId, step, stepLabel } }), filed in the folder
+ *   "Workflow: <name>" and tagged "workflow"
+ * - Attachments: Reports a step produces (redaction audit log, scan report) travel with the
+ *   file's final output
+ *
+ * USAGE:
+ *   const results = await runWorkflow(workflow, files, { passphrase, onProgress });
+ *   results[0].output  // { blob, name } or null when results[0].error is set
+ */
+
+import { shieldStorage } from './shield-redactor-storage.js';
+import { ShieldScanner } from './shield-scanner.js';
+import { buildScanReport, scanVerdict } from './shield-scan-report.js';
+import { compileRuleFile } from './shield-detection-rules.js';
+import { compileRuleSet } from './shield-dictionaries.js';
+import { autoRedactFile } from './shield-auto-redact.js';
+import { imageToPdf } from './jpg-to-pdf.js';
+import { pdfToJpg } from './pdf-to-jpg.js';
+import { pdfToDocx } from './pdf-to-word.js';
+import { compressImageFile } from './image-compressor.js';
+import { GhostscriptManager } from './pdf-editor/GhostscriptManager.js';
+import { CompressionManager } from './pdf-editor/CompressionManager.js';
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const isPdf = item => item.blob.type === 'application/pdf' || /\.pdf$/i.test(item.name);
+const isImage = item => /^image\/(jpeg|png)$/.test(item.blob.type);
+const baseName = name => name.replace(/\.[^/.]+$/, '');
+
+const jsonBlob = data => new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+
+/**
+ * STEP REGISTRY: Tool id → { label, input, options: [{ id, label, type, choices?, default }],
+ * accepts(item), run(item, options, context) }
+ * Option types: 'select' (choices [{ value, label }]), 'checkbox', 'number', 'ruleset'
+ * (a vault rule set id, '' for none or '__all__').
+ */
+export const WORKFLOW_STEPS = {
+    scan: {
+        label: 'Threat scan',
+        input: 'Any file',
+        options: [
+            {
+                id: 'stopOn', label: 'Stop the file on', type: 'select', default: 'threat', choices: [
+                    { value: 'threat', label: 'High / Critical findings' },
+                    { value: 'suspicious', label: 'Any finding' },
+                    { value: 'never', label: 'Never (report only)' }
+                ]
+            },
+            { id: 'attachReport', label: 'Attach JSON scan report', type: 'checkbox', default: false }
+        ],
+        accepts: () => true,
+        async run(item, options, context) {
+            const file = item.blob instanceof File ? item.blob : new File([item.blob], item.name, { type: item.blob.type });
+            const scanner = await context.getScanner();
+            const results = await scanner.scan(file);
+            const verdict = scanVerdict(results.threats);
+            const note = results.threats.length ? `${verdict.toUpperCase()}: ${results.threats.length} finding(s)` : 'No threats detected';
+
+            const stop = options.stopOn === 'suspicious' ? verdict !== 'secure' : options.stopOn === 'threat' && verdict === 'threat';
+            if (stop) {
+                const types = [...new Set(results.threats.map(t => `${t.type} (${t.severity})`))].slice(0, 5).join(', ');
+                throw new Error(`Scan stopped the workflow. ${note}: ${types}`);
+            }
+            const attachments = options.attachReport
+                ? [{ name: `${baseName(item.name)}.scan-report.json`, blob: jsonBlob(buildScanReport(file, results)) }]
+                : [];
+            return { note, attachments };
+        }
+    },
+
+    redact: {
+        label: 'Redact PII',
+        input: 'PDF, JPEG, PNG',
+        options: [
+            { id: 'detect', label: 'Detect PII (names, cards, IBANs, IDs...)', type: 'checkbox', default: true },
+            {
+                id: 'minConfidence', label: 'Minimum confidence', type: 'select', default: '0.6', choices: [
+                    { value: '0', label: 'Any' },
+                    { value: '0.5', label: '50%' },
+                    { value: '0.6', label: '60%' },
+                    { value: '0.8', label: '80%' }
+                ]
+            },
+            { id: 'ruleSet', label: 'Rule set', type: 'ruleset', default: '' },
+            { id: 'ocr', label: 'OCR scanned pages and images', type: 'checkbox', default: true },
+            { id: 'attachAudit', label: 'Attach JSON audit log', type: 'checkbox', default: false }
+        ],
+        accepts: item => isPdf(item) || isImage(item),
+        async run(item, options, context) {
+            const matchers = await context.getMatchers(options.ruleSet);
+            if (!options.detect && !matchers.length) throw new Error('Nothing to redact: enable PII detection or choose a rule set.');
+
+            const { blob, redactions, auditLog, auditSecret } = await autoRedactFile(item.blob, {
+                name: item.name,
+                detect: options.detect,
+                matchers,
+                minConfidence: Number(options.minConfidence) || 0,
+                ocr: options.ocr,
+                meta: { reviewer: await context.getReviewer() }
+            }, context.onProgress);
+
+            // The log travels with the released file, so it is opt-in; its text hashes are keyed
+            // with auditSecret, which only the step's vault project keeps (see keepInVault)
+            const name = `redacted_${item.name}`;
+            const attachments = options.attachAudit
+                ? [{ name: `${baseName(name)}.audit.json`, blob: jsonBlob(auditLog) }]
+                : [];
+            return { blob, name, note: `${redactions.length} redaction(s), metadata removed`, attachments, auditSecret };
+        }
+    },
+
+    'compress-pdf': {
+        label: 'Compress PDF',
+        input: 'PDF',
+        options: [
+            {
+                id: 'engine', label: 'Engine', type: 'select', default: 'ghostscript', choices: [
+                    { value: 'ghostscript', label: 'Ghostscript (keeps text)' },
+                    { value: 'raster', label: 'Rasterize to target size' }
+                ]
+            },
+            {
+                id: 'preset', label: 'Ghostscript preset', type: 'select', default: '/ebook', choices: [
+                    { value: '/screen', label: 'Screen (72 dpi) - Smallest' },
+                    { value: '/ebook', label: 'Ebook (150 dpi) - Medium' },
+                    { value: '/printer', label: 'Printer (300 dpi) - High Quality' }
+                ]
+            },
+            { id: 'targetKB', label: 'Raster target size (KB)', type: 'number', default: 1024 }
+        ],
+        accepts: isPdf,
+        async run(item, options, context) {
+            const bytes = new Uint8Array(await item.blob.arrayBuffer());
+            let result;
+            if (options.engine === 'raster') {
+                result = await new CompressionManager().compress(bytes, Math.max(1, Number(options.targetKB) || 1024) * 1024, status => {
+                    context.onProgress(typeof status === 'string' ? status : `Compressing ${Math.round(status)}%...`);
+                });
+            } else {
+                context.onProgress('Compressing (WASM)...');
+                result = await new GhostscriptManager().compress(bytes, options.preset || '/ebook');
+            }
+            const blob = new Blob([result], { type: 'application/pdf' });
+            return { blob, name: `compressed_${item.name}`, note: `${Math.round(item.blob.size / 1024)} KB → ${Math.round(blob.size / 1024)} KB` };
+        }
+    },
+
+    'compress-image': {
+        label: 'Compress image',
+        input: 'JPEG, PNG',
+        options: [
+            { id: 'quality', label: 'Quality (1-100)', type: 'number', default: 75 },
+            {
+                id: 'format', label: 'Output format', type: 'select', default: 'original', choices: [
+                    { value: 'original', label: 'Keep original' },
+                    { value: 'image/jpeg', label: 'JPEG' },
+                    { value: 'image/png', label: 'PNG' }
+                ]
+            },
+            {
+                id: 'maxWidth', label: 'Max width', type: 'select', default: '0', choices: [
+                    { value: '0', label: 'Original size' },
+                    { value: '1920', label: '1920px (Full HD)' },
+                    { value: '1280', label: '1280px (HD)' },
+                    { value: '800', label: '800px (Web)' }
+                ]
+            }
+        ],
+        accepts: isImage,
+        async run(item, options, context) {
+            context.onProgress('Compressing image...');
+            const blob = await compressImageFile(item.blob, {
+                quality: Math.min(100, Math.max(1, Number(options.quality) || 75)),
+                format: options.format,
+                maxWidth: Number(options.maxWidth) || 0
+            });
+            const ext = blob.type === 'image/png' ? '.png' : '.jpg';
+            return { blob, name: `compressed_${baseName(item.name)}${ext}`, note: `${Math.round(item.blob.size / 1024)} KB → ${Math.round(blob.size / 1024)} KB` };
+        }
+    },
+
+    'jpg-to-pdf': {
+        label: 'JPG to PDF',
+        input: 'JPEG, PNG',
+        options: [],
+        accepts: isImage,
+        async run(item, options, context) {
+            const blob = await imageToPdf(item.blob, (percent, label) => context.onProgress(label));
+            return { blob, name: `${baseName(item.name)}.pdf`, note: 'Converted to PDF' };
+        }
+    },
+
+    'pdf-to-jpg': {
+        label: 'PDF to JPG',
+        input: 'PDF',
+        options: [],
+        accepts: isPdf,
+        async run(item, options, context) {
+            const { blob, extension } = await pdfToJpg(item.blob, (percent, label) => context.onProgress(label), { signal: context.signal });
+            return { blob, name: `${baseName(item.name)}.${extension}`, note: extension === 'zip' ? 'Pages extracted (ZIP)' : 'Page extracted' };
+        }
+    },
+
+    'pdf-to-word': {
+        label: 'PDF to Word',
+        input: 'PDF',
+        options: [
+            {
+                id: 'conversionType', label: 'Content', type: 'select', default: 'standard', choices: [
+                    { value: 'standard', label: 'Text and images' },
+                    { value: 'text', label: 'Text only' },
+                    { value: 'images', label: 'Images only' }
+                ]
+            },
+            { id: 'preserveFormatting', label: 'Preserve layout', type: 'checkbox', default: true }
+        ],
+        accepts: isPdf,
+        async run(item, options, context) {
+            const docx = await pdfToDocx(item.blob, options, (percent, label) => context.onProgress(label), context.signal);
+            return { blob: new Blob([docx], { type: DOCX_TYPE }), name: `${baseName(item.name)}.docx`, note: 'Converted to Word' };
+        }
+    },
+
+    encrypt: {
+        label: 'Encrypt (Krypt)',
+        input: 'Any file',
+        passphrase: true,
+        options: [],
+        accepts: () => true,
+        async run(item, options, context) {
+            if (!context.passphrase) throw new Error('A Cipher Key is required for the Krypt step.');
+            await import('./krypt.js');
+            context.onProgress('Encrypting...');
+            const packet = await window.KRYPT.encrypt(await item.blob.arrayBuffer(), context.passphrase);
+            return { blob: new Blob([packet], { type: 'application/octet-stream' }), name: `${item.name}.krypt`, note: 'AES-256-GCM (Krypt format)' };
+        }
+    }
+};
+
+/**
+ * FACTORY: Returns an empty workflow ready for editing
+ */
+export function createWorkflow(name = 'Untitled Workflow') {
+    return {
+        id: 'wf_' + Date.now(),
+        name,
+        steps: [],
+        keepIntermediates: true
+    };
+}
+
+/**
+ * FACTORY: Returns a step of the given tool with its default options
+ */
+export function createStep(tool) {
+    const definition = WORKFLOW_STEPS[tool];
+    if (!definition) throw new Error(`Unknown workflow step: ${tool}`);
+    const options = {};
+    definition.options.forEach(option => { options[option.id] = option.default; });
+    return { tool, options };
+}
+
+/**
+ * IMPORT CHECK: Clean copy of a workflow from an untrusted source (backup ZIP), or null
+ * when its shape is wrong or it uses a step this build does not know. Option values are
+ * limited to the declared options and to strings, numbers and booleans.
+ */
+export function normalizeWorkflow(item) {
+    if (!item || typeof item.id !== 'string' || !/^[\w.-]{1,100}$/.test(item.id)) return null;
+    if (typeof item.name !== 'string' || !Array.isArray(item.steps)) return null;
+    const steps = [];
+    for (const step of item.steps) {
+        const definition = step && typeof step.tool === 'string' && Object.hasOwn(WORKFLOW_STEPS, step.tool) ? WORKFLOW_STEPS[step.tool] : null;
+        if (!definition) return null;
+        const { options } = createStep(step.tool);
+        definition.options.forEach(option => {
+            const value = step.options && step.options[option.id];
+            if (['string', 'number', 'boolean'].includes(typeof value)) options[option.id] = value;
+        });
+        steps.push({ tool: step.tool, options });
+    }
+    return { id: item.id, name: item.name.slice(0, 200), steps, keepIntermediates: item.keepIntermediates !== false };
+}
+
+/**
+ * PASSPHRASE CHECK: Whether a run has to ask for a Krypt cipher key
+ */
+export function needsPassphrase(workflow) {
+    return workflow.steps.some(step => WORKFLOW_STEPS[step.tool] && WORKFLOW_STEPS[step.tool].passphrase);
+}
+
+/**
+ * PIPELINE LABEL: "Threat scan → Redact PII → Encrypt (Krypt)"
+ */
+export function describeWorkflow(workflow) {
+    return workflow.steps.map(step => (WORKFLOW_STEPS[step.tool] || { label: step.tool }).label).join(' → ') || 'No steps';
+}
+
+// Vault data the steps share within one run, loaded on first use
+function createContext(passphrase, signal) {
+    let scanner = null;
+    let ruleSets = null;
+    let reviewer;
+    return {
+        passphrase,
+        signal,
+        onProgress: () => {},
+        async getScanner() {
+            if (scanner) return scanner;
+            scanner = new ShieldScanner();
+            const rules = [];
+            (await shieldStorage.getAllRuleFiles()).filter(file => file.enabled).forEach(file => {
+                try {
+                    rules.push(...compileRuleFile(file));
+                } catch (err) {
+                    console.error('Detection Rule Compile Error:', err);
+                }
+            });
+            scanner.setDetectionRules(rules);
+            scanner.setHashLists(await shieldStorage.getAllHashLists());
+            return scanner;
+        },
+        async getMatchers(ruleSetId) {
+            if (!ruleSetId) return [];
+            ruleSets = ruleSets || await shieldStorage.getAllRuleSets();
+            const sets = ruleSetId === '__all__' ? ruleSets : ruleSets.filter(set => set.id === ruleSetId);
+            if (!sets.length) throw new Error('The rule set of this step no longer exists. Edit the workflow.');
+            return sets.flatMap(set => compileRuleSet(set));
+        },
+        async getReviewer() {
+            if (reviewer === undefined) reviewer = (await shieldStorage.getSetting('reviewerName', '')) || null;
+            return reviewer;
+        }
+    };
+}
+
+// One step output as a vault project in the workflow's folder
+async function keepInVault(workflow, runId, stepIndex, item) {
+    const id = `proj_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    const step = workflow.steps[stepIndex];
+    const stepLabel = WORKFLOW_STEPS[step.tool].label;
+    await shieldStorage.saveProject({
+        id,
+        name: item.name,
+        file: new File([item.blob], item.name, { type: item.blob.type }),
+        ...(item.auditSecret ? { auditSecret: item.auditSecret } : {}),
+        tool: 'Workflow',
+        workflow: { id: workflow.id, name: workflow.name, runId, step: stepIndex + 1, stepLabel }
+    });
+    await shieldStorage.updateCatalogEntry(id, { folder: `Workflow: ${workflow.name}`, tags: ['workflow'] });
+    return id;
+}
+
+/**
+ * RUNNER: Sends every file through the workflow
+ *
+ * @param {object} workflow - { id, name, steps, keepIntermediates }
+ * @param {File[]} files - Dropped or selected files
+ * @param {object} [options]
+ * @param {string} [options.passphrase] - Cipher key for Krypt steps (never stored)
+ * @param {function} [options.onProgress] - ({ file, step, message }) with file/step indexes
+ * @param {AbortSignal} [options.signal] - Stops before the next step when aborted; PDF to JPG
+ *   and PDF to Word also stop between pages
+ * @returns {Promise<Array>} Per file: { name, output: { blob, name } | null, attachments,
+ *   log: [{ step, label, note, projectId }], error }
+ */
+export async function runWorkflow(workflow, files, { passphrase = '', onProgress = () => {}, signal = null } = {}) {
+    if (!workflow.steps.length) throw new Error('The workflow has no steps.');
+    const unknown = workflow.steps.find(step => !WORKFLOW_STEPS[step.tool]);
+    if (unknown) throw new Error(`Unknown workflow step: ${unknown.tool}`);
+    if (needsPassphrase(workflow) && !passphrase) throw new Error('A Cipher Key is required for the Krypt step.');
+
+    const runId = 'run_' + Date.now();
+    const context = createContext(passphrase, signal);
+    const results = [];
+
+    for (let f = 0; f < files.length; f++) {
+        const file = files[f];
+        const result = { name: file.name, output: null, attachments: [], log: [], error: null };
+        results.push(result);
+        let item = { blob: file, name: file.name };
+
+        try {
+            for (let s = 0; s < workflow.steps.length; s++) {
+                if (signal && signal.aborted) throw new Error('Run cancelled.');
+                const step = workflow.steps[s];
+                const definition = WORKFLOW_STEPS[step.tool];
+                if (!definition.accepts(item)) {
+                    throw new Error(`Step ${s + 1} (${definition.label}) takes ${definition.input}, not ${item.name}.`);
+                }
+
+                context.onProgress = message => onProgress({ file: f, step: s, message });
+                context.onProgress(`${definition.label}...`);
+                const options = { ...createStep(step.tool).options, ...step.options };
+                const output = await definition.run(item, options, context);
+                result.attachments.push(...(output.attachments || []));
+
+                const entry = { step: s + 1, label: definition.label, note: output.note || '', projectId: null };
+                if (output.blob) {
+                    item = { blob: output.blob, name: output.name, auditSecret: output.auditSecret };
+                    if (workflow.keepIntermediates) entry.projectId = await keepInVault(workflow, runId, s, item);
+                }
+                result.log.push(entry);
+            }
+            result.output = item;
+        } catch (err) {
+            console.error('Workflow Error:', err);
+            result.error = signal && signal.aborted ? 'Run cancelled.' : err.message || String(err);
+        }
+        onProgress({ file: f, step: workflow.steps.length, message: result.error ? 'Failed' : 'Done' });
+    }
+    return results;
+}